@@ -0,0 +1,165 @@
+/*
+ * Status and client-side playout check of a channel (see EluvioLiveStream.ChannelStatus)
+ *
+ * The fabric calls are passed in, so the checks only depend on what they return and on
+ * the playlists served at the playout URLs.
+ */
+
+const { HttpFetch } = require("./HttpFetch");
+const { HlsPlaylist } = require("./HlsPlaylist");
+
+// HLS playout methods in order of preference
+const PLAYOUT_METHODS = ["clear", "aes-128", "sample-aes", "fairplay"];
+
+// Version hash of the stream the channel's 'default' offering links to
+const StreamHash = (meta) => {
+  const items = meta.channel && meta.channel.offerings && meta.channel.offerings.default &&
+    meta.channel.offerings.default.items;
+  const match = items && items.length > 0 && items[0].source ?
+    /^\/qfab\/([^/]+)\//.exec(items[0].source["/"]) : null;
+  return match ? match[1] : null;
+};
+
+class ChannelCheck {
+
+  /**
+   * Status of a channel - resolves the stream the channel links to, checks the link points
+   * to the latest version of the stream and verifies playout (see Playout())
+   *
+   * @namedParams
+   * @param {string} name - Channel name
+   * @param {string} objectId - Channel object ID
+   * @param {function} metadata - async () => channel metadata (public/asset_metadata/title and
+   * channel/offerings/default/items)
+   * @param {function} latestHash - async (versionHash) => latest version hash of the same object
+   * @param {function} optionsUrl - async () => URL of the channel's options.json
+   * @param {function} playout - async () => playout check (see Playout())
+   * @return {Promise<Object>} - { name, object_id, channel_title, stream_hash, stream_latest_hash,
+   * offerings, playout, result, error, warnings }
+   */
+  static async Status({name, objectId, metadata, latestHash, optionsUrl, playout}) {
+    let status = {name, object_id: objectId};
+    let warnings = [];
+
+    try {
+      const meta = await metadata();
+      status.channel_title = meta.public && meta.public.asset_metadata && meta.public.asset_metadata.title;
+
+      const streamHash = StreamHash(meta);
+      if (!streamHash) {
+        status.error = "channel has no stream link";
+        return status;
+      }
+
+      status.stream_hash = streamHash;
+
+      status.stream_latest_hash = await latestHash(status.stream_hash);
+      if (status.stream_hash != status.stream_latest_hash) {
+        warnings.push("Stream version is not the latest");
+      }
+
+      const offerings = await HttpFetch.Fetch({url: await optionsUrl()});
+      try {
+        if (offerings.check.result != "pass") {
+          throw Error(offerings.check.error);
+        }
+        status.offerings = JSON.parse(offerings.body);
+      } catch (error) {
+        warnings.push("Failed to retrieve channel offerings: " + error.message);
+      }
+
+      status.playout = await playout();
+      status.result = status.playout.result;
+
+    } catch (error) {
+      status.error = error.message || String(error);
+      status.result = "fail";
+    }
+
+    if (warnings.length > 0) {
+      status.warnings = warnings;
+    }
+    return status;
+  }
+
+  /**
+   * Client-side playout check of a channel - opens the 'default' offering and retrieves
+   * the master playlist and, for every rendition, the media playlist and init segment.
+   * Each step is reported as 'pass' or 'fail'.
+   *
+   * @namedParams
+   * @param {function} offerings - async () => available offerings of the channel
+   * @param {function} playoutOptions - async (offeringUri) => playout options of an offering
+   * @return {Promise<Object>} - { result, error, playout_method, master_playlist, renditions } - each
+   * rendition is { rendition, media_playlist, init_segment } (see HttpFetch.Fetch for the checks)
+   */
+  static async Playout({offerings, playoutOptions}) {
+    let playout = {};
+
+    // Choosing offering 'default'
+    const offering = (await offerings()).default;
+    if (!offering) {
+      return {result: "fail", error: "no default offering"};
+    }
+
+    const options = await playoutOptions(offering.uri);
+    const playoutMethods = (options.hls && options.hls.playoutMethods) || {};
+    const method = PLAYOUT_METHODS.find(m => playoutMethods[m]);
+    if (!method) {
+      return {result: "fail", error: "no HLS playout"};
+    }
+    playout.playout_method = method;
+
+    // Retrieve master playlist
+    const masterPlaylistUrl = playoutMethods[method].playoutUrl;
+    const master = await HttpFetch.Fetch({url: masterPlaylistUrl});
+    playout.master_playlist = master.check;
+    if (master.check.result != "pass") {
+      playout.result = "fail";
+      return playout;
+    }
+
+    let renditions;
+    try {
+      const {variants, media} = HlsPlaylist.ParseMaster({text: master.body, baseUrl: masterPlaylistUrl});
+      renditions = [
+        ...variants.map(v => ({rendition: "video " + (v.resolution || "") + "@" + v.bandwidth, url: v.url})),
+        ...media.map(m => ({rendition: m.type.toLowerCase() + " " + (m.name || m.language || m.group_id), url: m.url}))
+      ];
+    } catch (error) {
+      playout.master_playlist.result = "fail";
+      playout.master_playlist.error = error.message;
+      playout.result = "fail";
+      return playout;
+    }
+
+    // Retrieve the media playlist and init segment of each rendition
+    playout.renditions = [];
+    for (const {rendition, url} of renditions) {
+      let check = {rendition};
+      const mediaPlaylist = await HttpFetch.Fetch({url});
+      check.media_playlist = mediaPlaylist.check;
+      if (mediaPlaylist.check.result == "pass") {
+        try {
+          const {init} = HlsPlaylist.ParseMedia({text: mediaPlaylist.body, baseUrl: url});
+          if (init) {
+            check.init_segment = (await HttpFetch.Fetch({url: init, binary: true})).check;
+          }
+        } catch (error) {
+          check.media_playlist.result = "fail";
+          check.media_playlist.error = error.message;
+        }
+      }
+      playout.renditions.push(check);
+    }
+
+    const failed = playout.renditions.some(r =>
+      r.media_playlist.result != "pass" || (r.init_segment && r.init_segment.result != "pass"));
+    playout.result = (failed || renditions.length == 0) ? "fail" : "pass";
+    return playout;
+  }
+}
+
+ChannelCheck.PLAYOUT_METHODS = PLAYOUT_METHODS;
+
+exports.ChannelCheck = ChannelCheck;
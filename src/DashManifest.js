@@ -0,0 +1,135 @@
+/*
+ * Minimal DASH manifest (MPD) parsing - enough to find the most recent segments of
+ * each representation of a live playout.  Supports SegmentTemplate with either a
+ * SegmentTimeline or a fixed segment duration.
+ */
+
+const ParseAttributes = (text) => {
+  let attrs = {};
+  const regex = /([A-Za-z:]+)="([^"]*)"/g;
+  let match;
+  while ((match = regex.exec(text)) !== null) {
+    attrs[match[1]] = match[2];
+  }
+  return attrs;
+};
+
+// Elements named 'tag' in 'text' - { attrs, body } (body is "" for self-closing elements)
+const Elements = (text, tag) => {
+  let elements = [];
+  const regex = new RegExp("<" + tag + "\\b([^>]*?)(/>|>([\\s\\S]*?)</" + tag + ">)", "g");
+  let match;
+  while ((match = regex.exec(text)) !== null) {
+    elements.push({attrs: ParseAttributes(match[1]), body: match[3] || ""});
+  }
+  return elements;
+};
+
+// ISO 8601 duration, e.g. 'PT1H2M3.5S'
+const ParseDuration = (value) => {
+  const match = /^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:([\d.]+)S)?)?$/.exec(value || "");
+  if (!match) return undefined;
+  return Number(match[1] || 0) * 86400 + Number(match[2] || 0) * 3600 +
+    Number(match[3] || 0) * 60 + Number(match[4] || 0);
+};
+
+// Expand $RepresentationID$, $Bandwidth$, $Number$ and $Time$ (with optional %0Nd format)
+const ExpandTemplate = (template, values) => {
+  return template.replace(/\$(RepresentationID|Bandwidth|Number|Time)(%0(\d+)d)?\$/g, (m, name, f, width) => {
+    const value = String(values[name]);
+    return width ? value.padStart(Number(width), "0") : value;
+  }).replace(/\$\$/g, "$");
+};
+
+class DashManifest {
+
+  /**
+   * Parse a manifest and compute the URLs of the most recent segments of each representation
+   *
+   * @namedParams
+   * @param {string} text - Manifest contents
+   * @param {string} baseUrl - URL of the manifest (its query is kept on segment URLs)
+   * @param {number} count - Number of segments (from the end) to return per representation
+   * @param {number} now - Current time in ms (for manifests without a SegmentTimeline)
+   * @return {Object} - { type, representations } - representations are
+   * { id, bandwidth, mime_type, init, segments } and segments are { url, duration }
+   */
+  static Parse({text, baseUrl, count = 3, now = Date.now()}) {
+    const mpd = Elements(text, "MPD")[0];
+    if (!mpd) {
+      throw Error("Not a DASH manifest");
+    }
+    const query = new URL(baseUrl).search;
+    const resolve = (uri) => {
+      const url = new URL(uri, baseUrl);
+      if (url.search == "") url.search = query;
+      return url.toString();
+    };
+
+    let representations = [];
+    for (const period of Elements(mpd.body, "Period")) {
+      for (const adaptation of Elements(period.body, "AdaptationSet")) {
+        // Segment template can be set on the adaptation set or the representation
+        const adaptationBody = adaptation.body.replace(/<Representation\b[\s\S]*?(\/>|<\/Representation>)/g, "");
+        const adaptationTemplate = Elements(adaptationBody, "SegmentTemplate")[0];
+
+        for (const rep of Elements(adaptation.body, "Representation")) {
+          const template = Elements(rep.body, "SegmentTemplate")[0] || adaptationTemplate;
+          if (!template) continue;
+
+          const attrs = template.attrs;
+          const timescale = Number(attrs.timescale || 1);
+          const startNumber = Number(attrs.startNumber || 1);
+          const values = {RepresentationID: rep.attrs.id, Bandwidth: rep.attrs.bandwidth};
+
+          // List all segments (number, time, duration) then keep the last 'count'
+          let segments = [];
+          const timeline = Elements(template.body, "SegmentTimeline")[0];
+          if (timeline) {
+            let number = startNumber;
+            let time = 0;
+            for (const s of Elements(timeline.body, "S")) {
+              if (s.attrs.t !== undefined) time = Number(s.attrs.t);
+              const d = Number(s.attrs.d);
+              const repeat = Number(s.attrs.r || 0);
+              for (let i = 0; i <= repeat; i++) {
+                segments.push({number, time, duration: d / timescale});
+                number++;
+                time += d;
+              }
+            }
+          } else if (attrs.duration) {
+            const duration = Number(attrs.duration) / timescale;
+            let last = startNumber;
+            if (mpd.attrs.type == "dynamic" && mpd.attrs.availabilityStartTime) {
+              const elapsed = (now - Date.parse(mpd.attrs.availabilityStartTime)) / 1000;
+              last = startNumber + Math.floor(elapsed / duration) - 1;
+            }
+            for (let number = Math.max(startNumber, last - count + 1); number <= last; number++) {
+              segments.push({number, time: (number - startNumber) * Number(attrs.duration), duration});
+            }
+          }
+
+          representations.push({
+            id: rep.attrs.id,
+            bandwidth: rep.attrs.bandwidth ? Number(rep.attrs.bandwidth) : undefined,
+            mime_type: rep.attrs.mimeType || adaptation.attrs.mimeType,
+            init: attrs.initialization ? resolve(ExpandTemplate(attrs.initialization, values)) : null,
+            segments: segments.slice(-count).map(s => ({
+              url: resolve(ExpandTemplate(attrs.media, {...values, Number: s.number, Time: s.time})),
+              duration: s.duration
+            }))
+          });
+        }
+      }
+    }
+
+    return {
+      type: mpd.attrs.type || "static",
+      min_buffer_time: ParseDuration(mpd.attrs.minBufferTime),
+      representations
+    };
+  }
+}
+
+exports.DashManifest = DashManifest;
@@ -4,6 +4,18 @@ const { Config } = require("./Config.js");
 const { ElvAccount } = require("./ElvAccount");
 const { ElvFabric } = require("../src/ElvFabric.js");
 const { ElvUtils } = require("./Utils");
+const { NftSnapshot } = require("./NftSnapshot");
+const { NftIndexer } = require("./NftIndexer");
+const { MintBatch } = require("./MintBatch");
+const { NftBatch } = require("./NftBatch");
+const { NftMigration } = require("./NftMigration");
+const { NftOffers } = require("./NftOffers");
+const { OfferVoucher } = require("./OfferVoucher");
+const { FeePolicy } = require("./FeePolicy");
+const { NftBuild } = require("./NftBuild");
+const { Rarity } = require("./Rarity");
+const { MetadataDiff } = require("./MetadataDiff");
+const { StagedWrites } = require("./StagedWrites");
 const Ethers = require("ethers");
 const fs = require("fs");
 const path = require("path");
@@ -699,7 +711,11 @@ class EluvioLive {
    * @param {string} startMint - the start date of the mint stage (optional)
    * @param {boolean} newUuid - create a new UUID for the drop (optional)
    * @param {string} update - Tenant-level EluvioLive object ID, to update
-   * @return {Promise<Object>} - An object containing new drop info
+   * @param {boolean} stage - Show the metadata changes and only finalize if 'commit' is set
+   * (see ReplaceMetadataStaged) - the tenant-level object is only updated once finalized, by
+   * StagedCommit if the write token is left open
+   * @param {boolean} commit - Finalize a staged change
+   * @return {Promise<Object>} - An object containing new drop info ('staged' has the diff and write token)
    */
   async SiteSetDrop({
     libraryId,
@@ -711,6 +727,8 @@ class EluvioLive {
     startMint,
     newUuid,
     update,
+    stage = false,
+    commit = false,
   }) {
     const defaultStageDurationMin = 2;
 
@@ -766,30 +784,22 @@ class EluvioLive {
         // Set new metadata
         m.info.drops[key] = drop;
 
-        const dryRun = false;
-        if (!dryRun) {
-          var e = await this.client.EditContentObject({
-            libraryId,
-            objectId,
-          });
-
-          await this.client.ReplaceMetadata({
-            libraryId,
-            objectId,
-            writeToken: e.write_token,
-            metadataSubtree: "/public/asset_metadata",
-            metadata: m,
-          });
-
-          var f = await this.client.FinalizeContentObject({
-            libraryId,
-            objectId,
-            writeToken: e.write_token,
-            commitMessage: "Set drop start " + uuid + " " + start,
-          });
+        const res = await this.ReplaceMetadataStaged({
+          libraryId,
+          objectId,
+          edits: [{ metadataSubtree: "/public/asset_metadata", metadata: m }],
+          commitMessage: "Set drop start " + uuid + " " + start,
+          stage,
+          commit,
+          update: update || undefined,
+        });
 
-          dropInfo.hash = f.hash;
-          console.log("Finalized: ", f);
+        if (stage) {
+          dropInfo.staged = res;
+        }
+        dropInfo.hash = res.hash;
+        if (dropInfo.hash) {
+          console.log("Finalized: ", dropInfo.hash);
 
           if (update != null && update != "") {
             await this.client.UpdateContentObjectGraph({
@@ -798,9 +808,6 @@ class EluvioLive {
             });
             console.log("Update ", update);
           }
-        } else {
-          console.log("New drop:", drop);
-          console.log("New metadata:", m);
         }
         break;
       }
@@ -813,6 +820,189 @@ class EluvioLive {
     return dropInfo;
   }
 
+  /**
+   * Replace metadata of an object and finalize it - or, staged, leave the write token open
+   *
+   * Staged, the changes are written to a new write token and compared with the latest
+   * version.  The token is only finalized if 'commit' is set; otherwise it is recorded
+   * (see StagedWrites) so it can be committed or discarded later (StagedCommit, StagedDiscard).
+   *
+   * @namedParams
+   * @param {string} libraryId - The library ID
+   * @param {string} objectId - The object ID
+   * @param {Array<Object>} edits - { metadataSubtree, metadata } - without metadataSubtree the
+   * whole metadata is replaced
+   * @param {string} commitMessage - Commit message
+   * @param {boolean} stage - Show the changes before finalizing
+   * @param {boolean} commit - Finalize a staged write token
+   * @param {string} stagedFile - Where staged write tokens are recorded (optional)
+   * @param {string} update - Object whose links StagedCommit updates once the write token is
+   * finalized (optional - only recorded, callers update it themselves when finalizing here)
+   * @return {Promise<Object>} - Not staged: the finalize response.  Staged: { object_id, write_token,
+   * diff, summary, committed, hash } - diff is a list of changes (see MetadataDiff)
+   */
+  async ReplaceMetadataStaged({ libraryId, objectId, edits, commitMessage, stage = false, commit = false,
+    stagedFile, update }) {
+    let diff = [];
+    if (stage) {
+      for (const edit of edits) {
+        const current = await this.client.ContentObjectMetadata({
+          libraryId,
+          objectId,
+          metadataSubtree: edit.metadataSubtree,
+          resolveLinks: false,
+        });
+        diff = diff.concat(MetadataDiff.Diff({
+          from: current === null ? undefined : current,
+          to: edit.metadata,
+          path: edit.metadataSubtree ? "/" + edit.metadataSubtree.replace(/^\/+|\/+$/g, "") : "",
+        }));
+      }
+    }
+
+    var e = await this.client.EditContentObject({
+      libraryId,
+      objectId,
+    });
+
+    for (const edit of edits) {
+      await this.client.ReplaceMetadata({
+        libraryId,
+        objectId,
+        writeToken: e.write_token,
+        metadataSubtree: edit.metadataSubtree,
+        metadata: edit.metadata,
+      });
+    }
+
+    if (!stage) {
+      return await this.client.FinalizeContentObject({
+        libraryId,
+        objectId,
+        writeToken: e.write_token,
+        commitMessage,
+      });
+    }
+
+    let res = {
+      object_id: objectId,
+      write_token: e.write_token,
+      diff,
+      summary: MetadataDiff.Summary({ changes: diff }),
+      committed: false,
+    };
+
+    if (commit) {
+      const f = await this.client.FinalizeContentObject({
+        libraryId,
+        objectId,
+        writeToken: e.write_token,
+        commitMessage,
+      });
+      res.committed = true;
+      res.hash = f.hash;
+    } else {
+      StagedWrites.Add({
+        file: stagedFile,
+        entry: {
+          write_token: e.write_token,
+          library_id: libraryId,
+          object_id: objectId,
+          node_url: e.nodeUrl,
+          commit_message: commitMessage,
+          subtrees: edits.map(edit => edit.metadataSubtree || "/"),
+          summary: res.summary,
+          update,
+        },
+      });
+    }
+
+    return res;
+  }
+
+  /**
+   * Finalize a write token left open by a staged command
+   *
+   * If the staged command was to update another object once finalized (e.g. site_set_drop
+   * --update), its links are updated too.
+   *
+   * @namedParams
+   * @param {string} writeToken - The write token
+   * @param {string} objectId - The object (only needed if the token isn't recorded in stagedFile)
+   * @param {string} commitMessage - Commit message (default: the staged command's)
+   * @param {string} stagedFile - Where staged write tokens are recorded (optional)
+   * @return {Promise<Object>} - { object_id, write_token, hash, updated } - updated is the object
+   * whose links were updated (if any)
+   */
+  async StagedCommit({ writeToken, objectId, commitMessage, stagedFile }) {
+    const entry = await this.StagedEntry({ writeToken, objectId, stagedFile });
+    if (entry.node_url) {
+      this.client.RecordWriteToken({ writeToken, fabricNodeUrl: entry.node_url });
+    }
+
+    const f = await this.client.FinalizeContentObject({
+      libraryId: entry.library_id,
+      objectId: entry.object_id,
+      writeToken,
+      commitMessage: commitMessage || entry.commit_message,
+    });
+    StagedWrites.Remove({ file: stagedFile, writeToken });
+
+    let res = { object_id: entry.object_id, write_token: writeToken, hash: f.hash };
+    if (entry.update) {
+      await this.client.UpdateContentObjectGraph({
+        libraryId: await this.client.ContentObjectLibraryId({ objectId: entry.update }),
+        objectId: entry.update,
+      });
+      res.updated = entry.update;
+    }
+
+    return res;
+  }
+
+  /**
+   * Delete a write token left open by a staged command - its changes are dropped
+   *
+   * @namedParams
+   * @param {string} writeToken - The write token
+   * @param {string} objectId - The object (only needed if the token isn't recorded in stagedFile)
+   * @param {string} stagedFile - Where staged write tokens are recorded (optional)
+   * @return {Promise<Object>} - { object_id, write_token, discarded }
+   */
+  async StagedDiscard({ writeToken, objectId, stagedFile }) {
+    const entry = await this.StagedEntry({ writeToken, objectId, stagedFile });
+    if (entry.node_url) {
+      this.client.RecordWriteToken({ writeToken, fabricNodeUrl: entry.node_url });
+    }
+
+    await this.client.DeleteWriteToken({
+      libraryId: entry.library_id,
+      writeToken,
+    });
+    StagedWrites.Remove({ file: stagedFile, writeToken });
+
+    return { object_id: entry.object_id, write_token: writeToken, discarded: true };
+  }
+
+  // The recorded staged write token - or one for an object given explicitly
+  async StagedEntry({ writeToken, objectId, stagedFile }) {
+    let entry = StagedWrites.Find({ file: stagedFile, writeToken });
+    if (!entry) {
+      if (!objectId) {
+        throw Error("Write token " + writeToken + " is not recorded in " +
+          (stagedFile || StagedWrites.DefaultFile()) + " - specify its object");
+      }
+      entry = { write_token: writeToken, object_id: objectId };
+    }
+    if (objectId && objectId != entry.object_id) {
+      throw Error("Write token " + writeToken + " is for object " + entry.object_id + ", not " + objectId);
+    }
+    if (!entry.library_id) {
+      entry.library_id = await this.client.ContentObjectLibraryId({ objectId: entry.object_id });
+    }
+    return entry;
+  }
+
   /**
    * Create a new NFT contract (ElvTradable, ERC-721-based) and set it up for this tenant
    * - create a new contract
@@ -1038,10 +1228,48 @@ class EluvioLive {
       });
     } catch (e) {
       info.warns = "Bad mint helper address " + addr;
+      return info;
+    }
+
+    try {
+      const overrideHoldSecs = await this.client.CallContractMethod({
+        contractAddress: addr,
+        abi: JSON.parse(abistr),
+        methodName: "overrideHoldSecs",
+        formatArguments: true,
+      });
+      info.overrideHoldSecs = overrideHoldSecs.toString();
+    } catch (e) {
+      info.overrideHoldSecs = "not supported";
     }
     return info;
   }
 
+  /**
+   * Set the hold period the mint helper applies to the tokens it mints (its
+   * 'overrideHoldSecs').  Must be run as the mint helper owner.
+   *
+   * @namedParams
+   * @param {string} addr - The mint helper contract address
+   * @param {integer} holdSecs - Hold period in seconds
+   * @return {Promise<Object>} - Mint helper info object
+   */
+  async MintHelperSetHold({ addr, holdSecs }) {
+    const abi = fs.readFileSync(
+      path.resolve(__dirname, "../contracts/v3/ElvTokenHelper.abi")
+    );
+
+    await this.client.CallContractMethodAndWait({
+      contractAddress: addr,
+      abi: JSON.parse(abi),
+      methodName: "setOverrideHoldSecs",
+      methodArgs: [holdSecs],
+      formatArguments: true,
+    });
+
+    return await this.ShowMintHelper({ addr });
+  }
+
   /**
    *  WIP
    */
@@ -1395,6 +1623,219 @@ class EluvioLive {
     return nftInfo;
   }
 
+  /**
+   * Snapshot of all token holders of an NFT contract at a block height
+   *
+   * @namedParams
+   * @param {string} addr - The NFT contract address
+   * @param {integer} blockNumber - Block height of the snapshot (default: the latest block)
+   * @param {integer} concurrency - Maximum number of tokens read at the same time
+   * @param {string} checkpointFile - Save progress to this file and resume from it if it exists
+   * @param {function} onProgress - Called with ({done, total}) as tokens are read (optional)
+   * @return {Promise<Object>} - { addr, block_number, total_supply, tokens, errors } (see NftSnapshot)
+   */
+  async NftSnapshot({ addr, blockNumber, concurrency, checkpointFile, onProgress }) {
+    const abi = JSON.parse(fs.readFileSync(
+      path.resolve(__dirname, "../contracts/v3/ElvTradableLocal.abi")
+    ));
+
+    if (blockNumber == undefined) {
+      // A resumed snapshot keeps the block height it was started at
+      const checkpoint = NftSnapshot.ReadCheckpoint({ file: checkpointFile });
+      blockNumber = checkpoint ? checkpoint.block_number :
+        await this.client.ethClient.Provider().getBlockNumber();
+    }
+    const overrides = { blockTag: Number(blockNumber) };
+
+    const call = (methodName, methodArgs = []) => this.client.CallContractMethod({
+      contractAddress: addr,
+      abi,
+      methodName,
+      methodArgs,
+      overrides,
+      formatArguments: true,
+    });
+
+    const totalSupply = Number(await call("totalSupply"));
+
+    const readToken = async (index) => {
+      const tokenId = await call("tokenByIndex", [index]);
+      const [owner, ordinal, tokenURI, holdSecs] = await Promise.all([
+        call("ownerOf", [tokenId]),
+        call("ordinalOfToken", [tokenId]).catch(() => undefined),
+        call("tokenURI", [tokenId]),
+        call("_allTokensHolds", [tokenId]).catch(() => undefined)
+      ]);
+
+      return {
+        index,
+        token_id: tokenId.toString(),
+        owner,
+        ordinal: ordinal === undefined ? undefined : ordinal.toString(),
+        token_uri: tokenURI,
+        hold_end: holdSecs && Number(holdSecs) > 0 ?
+          new Date(Number(holdSecs) * 1000).toISOString() : undefined
+      };
+    };
+
+    return await NftSnapshot.Run({
+      addr,
+      blockNumber: overrides.blockTag,
+      totalSupply,
+      readToken,
+      concurrency,
+      checkpointFile,
+      onProgress
+    });
+  }
+
+  /**
+   * Tokens of an NFT contract that are still under hold (can't be transferred yet), with
+   * their release time
+   *
+   * Holds are set when a token is minted - the contract has no way to change the hold of
+   * a minted token or the contract's default hold.  The hold of tokens minted through a
+   * mint helper can be set with MintHelperSetHold().
+   *
+   * @namedParams
+   * @param {string} addr - The NFT contract address
+   * @param {string} owner - Only the tokens of this address (read without a full snapshot)
+   * @param {integer} concurrency - Maximum number of tokens read at the same time
+   * @param {string} checkpointFile - Save progress to this file and resume from it if it exists
+   * @param {function} onProgress - Called with ({done, total}) as tokens are read (optional)
+   * @return {Promise<Object>} - { addr, def_hold_secs, time, tokens, errors } - tokens are
+   * { token_id, owner, hold_end, remaining_secs } (see NftSnapshot.Holds)
+   */
+  async NftHolds({ addr, owner, concurrency, checkpointFile, onProgress }) {
+    const abi = JSON.parse(fs.readFileSync(
+      path.resolve(__dirname, "../contracts/v3/ElvTradableLocal.abi")
+    ));
+    const defHoldSecs = await this.client.CallContractMethod({
+      contractAddress: addr,
+      abi,
+      methodName: "defHoldSecs",
+      formatArguments: true,
+    });
+
+    let tokens;
+    let errors = [];
+    if (owner) {
+      tokens = (await this.NftBalanceOf({ addr, ownerAddr: owner })).map(t => ({
+        token_id: t.tokenId,
+        owner,
+        hold_end: Number(t.hold) > 0 ? new Date(Number(t.hold) * 1000).toISOString() : undefined
+      }));
+    } else {
+      const snapshot = await this.NftSnapshot({ addr, concurrency, checkpointFile, onProgress });
+      tokens = snapshot.tokens;
+      errors = snapshot.errors;
+    }
+
+    const now = Date.now();
+    return {
+      addr,
+      def_hold_secs: defHoldSecs.toString(),
+      time: new Date(now).toISOString(),
+      tokens: NftSnapshot.Holds({ tokens, owner, now }),
+      errors
+    };
+  }
+
+  /**
+   * Update the local ownership index of an NFT contract from its Transfer logs (see NftIndexer)
+   *
+   * @namedParams
+   * @param {string} addr - The NFT contract address
+   * @param {string} storeFile - Index file (default: nft_index_<addr>.json in the current directory)
+   * @param {string} rpcUrl - Read logs from this node instead of the fabric's (e.g. a local dev chain)
+   * @param {integer} fromBlock - First block to index when creating the index (e.g. the contract creation block)
+   * @param {integer} toBlock - Last block to index (default: latest block)
+   * @param {function} onProgress - Called with ({block, toBlock, transfers}) after each batch of blocks (optional)
+   * @return {Promise<Object>} - Blocks and transfers processed, and a summary of the index
+   */
+  async NftIndexSync({ addr, storeFile, rpcUrl, fromBlock, toBlock, onProgress }) {
+    const indexer = new NftIndexer({
+      addr,
+      storeFile: storeFile || NftIndexer.DefaultStoreFile({ addr }),
+      provider: this.EthProvider({ rpcUrl })
+    });
+    const res = await indexer.Sync({ fromBlock, toBlock, onProgress });
+
+    return {
+      ...res,
+      index: indexer.Info()
+    };
+  }
+
+  /**
+   * Chain of custody of a token - mint, transfers (including proxy transfers), redeemed offers
+   * and burn, with block times and transaction hashes (see NftIndexer.TokenHistory)
+   *
+   * @namedParams
+   * @param {string} addr - The NFT contract address
+   * @param {string} tokenId - The token ID
+   * @param {string} rpcUrl - Read logs from this node instead of the fabric's (optional)
+   * @param {integer} fromBlock - First block to search (e.g. the contract creation block)
+   * @return {Promise<Object>} - { addr, token_id, owner, events }
+   */
+  async NftTokenHistory({ addr, tokenId, rpcUrl, fromBlock }) {
+    const indexer = new NftIndexer({ addr, provider: this.EthProvider({ rpcUrl }) });
+    let history = await indexer.TokenHistory({ tokenId, fromBlock });
+
+    // The transfer proxy registered with the contract is the usual 'via' of proxy transfers
+    const abi = fs.readFileSync(
+      path.resolve(__dirname, "../contracts/v3/ElvTradableLocal.abi")
+    );
+    const proxy = await this.client.CallContractMethod({
+      contractAddress: addr,
+      abi: JSON.parse(abi),
+      methodName: "proxyRegistryAddress",
+      formatArguments: true,
+    });
+    for (const event of history.events) {
+      if (event.via && event.via.toLowerCase() == proxy.toLowerCase()) {
+        event.via_transfer_proxy = true;
+      }
+    }
+    return history;
+  }
+
+  /**
+   * Redeemable offers of an NFT contract with their active status and redemption counts,
+   * and the list of redemptions (see NftOffers)
+   *
+   * @namedParams
+   * @param {string} addr - The NFT contract address
+   * @param {string} rpcUrl - Read logs from this node instead of the fabric's (optional)
+   * @param {integer} fromBlock - First block to search (e.g. the contract creation block)
+   * @param {integer} offerId - Only this offer (optional)
+   * @return {Promise<Object>} - { addr, offers, redemptions }
+   */
+  async NftOffers({ addr, rpcUrl, fromBlock, offerId }) {
+    const indexer = new NftIndexer({ addr, provider: this.EthProvider({ rpcUrl }) });
+    const toBlock = await indexer.provider.getBlockNumber();
+    const offers = await indexer.Offers({ fromBlock, toBlock });
+    const redemptions = await indexer.Redemptions({ fromBlock, toBlock });
+
+    const report = NftOffers.Report({ offers, redemptions, offerId });
+    for (const offer of report.offers) {
+      offer.active = await this.NFTIsOfferActive({ addr, offerId: offer.offer_id });
+    }
+
+    return {
+      addr: indexer.addr,
+      ...report
+    };
+  }
+
+  /**
+   * ethers provider for reading logs - the fabric's blockchain node unless 'rpcUrl' is set
+   */
+  EthProvider({ rpcUrl }) {
+    return rpcUrl ?
+      new ethers.providers.JsonRpcProvider(rpcUrl) : this.client.ethClient.Provider();
+  }
+
   /**
    * Add a minter to NFT or ElvToken
    *
@@ -1479,6 +1920,8 @@ class EluvioLive {
    *
    * @namedParams
    * @param {string} addr - The NFT contract address
+   * @return {Promise<Object>} - The transaction receipt, with 'offer_id' set to the ID of the
+   * new offer (from the RedeemableAdded log)
    */
   async NFTAddRedeemableOffer({addr}){
     const abi = fs.readFileSync(
@@ -1492,6 +1935,12 @@ class EluvioLive {
       formatArguments: true,
     });
 
+    // The only event of addRedeemableOffer is RedeemableAdded
+    const added = (res.logs || []).find(log => log.values && log.values.offerId !== undefined);
+    if (added) {
+      res.offer_id = added.values.offerId;
+    }
+
     return res;
   }
 
@@ -1586,6 +2035,85 @@ class EluvioLive {
     return res;
   }
 
+  /**
+   * Sign offer redemption vouchers for many tokens and offers (see OfferVoucher)
+   *
+   * @namedParams
+   * @param {string} addr - The NFT contract address
+   * @param {string} mintHelperAddr - The mint helper address
+   * @param {Array<Object>} rows - { token_id, offer_id } to make vouchers for
+   * @param {string} output - Voucher file - one encoded voucher per line
+   * @param {string} qrDir - Also write a QR code PNG per voucher to this directory (optional)
+   * @return {Promise<Object>} - { output, vouchers, signer, qr_dir }
+   */
+  async NftOfferVouchers({ addr, mintHelperAddr, rows, output, qrDir }) {
+    if (qrDir) {
+      fs.mkdirSync(qrDir, { recursive: true });
+    }
+
+    let lines = [];
+    for (const row of rows) {
+      const voucher = await OfferVoucher.Create({
+        signer: this.client.signer,
+        nftAddress: addr,
+        mintHelperAddress: mintHelperAddr,
+        tokenId: row.token_id,
+        offerId: row.offer_id
+      });
+      lines.push(OfferVoucher.Encode({ voucher }));
+      if (qrDir) {
+        await OfferVoucher.WriteQr({
+          voucher,
+          file: path.join(qrDir, "voucher_" + voucher.token_id + "_" + voucher.offer_id + ".png")
+        });
+      }
+    }
+    fs.writeFileSync(output, lines.join("\n") + "\n");
+
+    return {
+      output,
+      vouchers: lines.length,
+      signer: this.client.signer.address,
+      qr_dir: qrDir
+    };
+  }
+
+  /**
+   * Check offer redemption vouchers against the contract - the signature, that the signer
+   * owns the token, that the offer is active and not yet redeemed for the token
+   *
+   * @namedParams
+   * @param {Array<Object>} vouchers - The vouchers (see OfferVoucher.Read)
+   * @param {string} addr - The NFT contract the vouchers must be for (optional)
+   * @param {Object} used - Vouchers already accepted (see OfferVoucher.Verify) (optional)
+   * @return {Promise<Array<Object>>} - The result of every voucher (see OfferVoucher.Verify)
+   */
+  async NftVerifyOfferVouchers({ vouchers, addr, used }) {
+    const abi = JSON.parse(fs.readFileSync(
+      path.resolve(__dirname, "../contracts/v3/ElvTradableLocal.abi")
+    ));
+
+    let results = [];
+    for (const voucher of vouchers) {
+      const nftAddr = voucher.nft_address;
+      results.push(await OfferVoucher.Verify({
+        voucher,
+        nftAddress: addr,
+        ownerOf: (tokenId) => this.client.CallContractMethod({
+          contractAddress: nftAddr,
+          abi,
+          methodName: "ownerOf",
+          methodArgs: [tokenId],
+          formatArguments: true
+        }),
+        isOfferActive: (offerId) => this.NFTIsOfferActive({ addr: nftAddr, offerId }),
+        isOfferRedeemed: (tokenId, offerId) => this.NFTIsOfferRedeemed({ addr: nftAddr, tokenId, offerId }),
+        used
+      }));
+    }
+    return results;
+  }
+
   /**
    * Redeem an nft offer using the Authority Service
    *
@@ -1925,7 +2453,11 @@ class EluvioLive {
    * @param {string} hold - Hold period in seconds
    * @param {string} contractUri - URI for the ERC-721 contract
    * @param {string} totalSupply - the mint cap for this template (should be called 'cap')
-   * @return {Promise<Object>} - An object containing info about the new NFT
+   * @param {string} proxyAddress - Proxy address for the ERC721 contract (Optional, Default uses tenant minter config)
+   * @param {boolean} stage - Show the template metadata changes and only finalize if 'commit' is set
+   * (see ReplaceMetadataStaged) - the contract is created either way
+   * @param {boolean} commit - Finalize a staged change
+   * @return {Promise<Object>} - The new NFT contract address - staged, { nft_addr, ...staged changes }
    */
   async NftTemplateAddNftContract({
     objectId,
@@ -1935,6 +2467,9 @@ class EluvioLive {
     hold,
     contractUri,
     totalSupply,
+    proxyAddress,
+    stage = false,
+    commit = false,
   }) {
 
     const nftInfo = await this.CreateNftContract({
@@ -1944,6 +2479,7 @@ class EluvioLive {
       collectionSymbol,
       hold,
       contractUri,
+      proxyAddress,
     });
 
     const nftAddr = nftInfo.nftAddr;
@@ -1962,26 +2498,16 @@ class EluvioLive {
     m.public.asset_metadata.nft.total_supply = totalSupply;
     m.public.asset_metadata.mint.mint_shuffle_key_id = nftInfo.mintShuffleKeyId;
 
-    var e = await this.client.EditContentObject({
+    const res = await this.ReplaceMetadataStaged({
       libraryId,
       objectId,
-    });
-
-    await this.client.ReplaceMetadata({
-      libraryId,
-      objectId,
-      writeToken: e.write_token,
-      metadata: m,
-    });
-
-    await this.client.FinalizeContentObject({
-      libraryId,
-      objectId,
-      writeToken: e.write_token,
+      edits: [{ metadata: m }],
       commitMessage: "Set NFT contract address " + nftAddr,
+      stage,
+      commit,
     });
 
-    return nftAddr;
+    return stage ? { nft_addr: nftAddr, ...res } : nftAddr;
   }
 
   /**
@@ -2044,69 +2570,22 @@ class EluvioLive {
   }
 
   /**
-   * Read image and attributes info from a directory
+   * Read and validate the NFT json files of a directory (see NftBuild.ReadDir)
    *
-   * Required format:
-   * - the directory should contain a list of '*.json' files (flat, not in a hierarchy)
-
-   * Returns an array of objects containing:
-   * - imgFile - file name (no path)
-   * - imgFilePath - full path to source file
-   * - attrs - attributes object (optional)
+   * Throws with all the problems found if any file is not valid.
    *
    * @namedParams
    * @param {string} nftDir - the directory containing the nft json files
-   * @return {Promise<Object>} - The 'images' object and calculated rarity
-   */
-  async readNftDir({ nftDir }) {
-    let nftMetas = [];
-    let files;
-    let rarity = {};
-
-    files = await fs.promises.readdir(nftDir);
-    files.forEach(function (file) {
-      // Only considering jpg files
-      if (path.extname(file) == ".json") {
-        let attrsBuf = fs.readFileSync(path.join(nftDir, file));
-        let nftMeta = JSON.parse(attrsBuf);
-        let count = 1;
-        if (nftMeta.count && nftMeta.count > 1) {
-          count = nftMeta.count;
-        }
-
-        for (var i = 0; i < count; i++) {
-          // Calculate rarity
-          if (nftMeta.attributes != null) {
-            //console.log("attributes ", nftMeta.attributes);
-            nftMeta.attributes.forEach((elem) => {
-              // Fix up attributes - replace 'type' wit 'trait_type'
-              if (elem.type != null) {
-                elem.trait_type = elem.type;
-                delete elem.type;
-              }
-
-              if (rarity[elem.trait_type]) {
-                rarity[elem.trait_type].total =
-                  rarity[elem.trait_type].total + 1;
-              } else {
-                rarity[elem.trait_type] = {};
-                rarity[elem.trait_type].total = 1;
-              }
-
-              if (rarity[elem.trait_type][elem.value]) {
-                rarity[elem.trait_type][elem.value] =
-                  rarity[elem.trait_type][elem.value] + 1;
-              } else {
-                rarity[elem.trait_type][elem.value] = 1;
-              }
-            });
-          }
-          nftMetas.push(nftMeta);
-        }
-      }
-    });
-
-    return { nftMetas, rarity };
+   * @param {string} mediaDir - the directory local image and video files are relative to (optional)
+   * @return {Promise<Object>} - The NFT metadata, calculated rarity and local media files
+   */
+  async readNftDir({ nftDir, mediaDir }) {
+    const { nftMetas, rarity, media, errors } = await NftBuild.ReadDir({ nftDir, mediaDir });
+    if (errors.length > 0) {
+      throw Error("Invalid NFT files in " + nftDir + ":\n" +
+        NftBuild.FormatErrors({ errors }).join("\n"));
+    }
+    return { nftMetas, rarity, media };
   }
 
   /**
@@ -2124,9 +2603,10 @@ class EluvioLive {
    * @param {string} imagePath - Local file path to the image
    * @param {Object} attrs - Extra attributes for this token
    * @param {Object} rarity - Stats for each trait and value
+   * @param {Object} tokenRarity - Rarity score and rank of this token (optional - see Rarity.TokenRarity)
    * @return {Promise<Object>} - The public/nfts JSON array element
    */
-  async NftMakeGenerative({ assetMetadata, hash, nftMeta, rarity }) {
+  async NftMakeGenerative({ assetMetadata, hash, nftMeta, rarity, tokenRarity }) {
     const m = assetMetadata;
     var pnft = {};
 
@@ -2146,9 +2626,11 @@ class EluvioLive {
     pnft.created_at = m.nft.created_at;
     pnft.creator = m.nft.creator;
 
-    pnft.embed_url = nftMeta.embed_url;
-    pnft.external_url = nftMeta.embed_url;
-    pnft.youtube_url = nftMeta.embed_url;
+    pnft.embed_url = nftMeta.embed_url || m.nft.embed_url;
+    pnft.external_url = nftMeta.external_url || m.nft.external_url;
+    pnft.youtube_url = nftMeta.youtube_url ||
+      (m.nft.marketplace_attributes && m.nft.marketplace_attributes.opensea &&
+        m.nft.marketplace_attributes.opensea.youtube_url);
     pnft.image = nftMeta.image;
     pnft.playable = m.nft.playable;
 
@@ -2176,21 +2658,55 @@ class EluvioLive {
     ];
 
     // Insert rarity if doesn't exist
-    for (const i in nftMeta.attributes) {
-      if (nftMeta.attributes[i].rarity !== undefined){
-        continue;
-      }
-      if (rarity && rarity[nftMeta.attributes[i].trait_type]) {
-        let r = rarity[nftMeta.attributes[i].trait_type];
-        nftMeta.attributes[i].rarity =
-          r[nftMeta.attributes[i].value] + "/" + total_supply;
-      }
+    pnft.attributes = pnft.attributes.concat(
+      NftBuild.TokenAttributes({ nftMeta, rarity, totalSupply: total_supply })
+    );
+
+    if (tokenRarity) {
+      pnft.rarity = tokenRarity;
     }
-    pnft.attributes = pnft.attributes.concat(nftMeta.attributes);
 
     return pnft;
   }
 
+  /**
+   * Upload local media files into the object files under 'nft_media/'
+   *
+   * @namedParams
+   * @param {string} libraryId - The NFT Template library
+   * @param {string} objectId - The NFT Template object
+   * @param {Array<Object>} media - The files - { path, file, mime_type, size } (see NftBuild.MediaFiles)
+   * @return {Promise<Object>} - The finalized version
+   */
+  async NftUploadMedia({ libraryId, objectId, media }) {
+    var e = await this.client.EditContentObject({
+      libraryId,
+      objectId,
+    });
+
+    for (const f of media) {
+      await this.client.UploadFiles({
+        libraryId,
+        objectId,
+        writeToken: e.write_token,
+        fileInfo: [{
+          path: NftBuild.MEDIA_PATH + "/" + f.path,
+          type: "file",
+          mime_type: f.mime_type,
+          size: f.size,
+          data: fs.readFileSync(f.file),
+        }],
+      });
+    }
+
+    return await this.client.FinalizeContentObject({
+      libraryId,
+      objectId,
+      writeToken: e.write_token,
+      commitMessage: "Upload NFT media (" + media.length + " files)",
+    });
+  }
+
   /**
    * Set the public/nft section based on asset metadata
    *
@@ -2204,9 +2720,11 @@ class EluvioLive {
    *   "display_name": "Example NFT",               (OPTIONAL, Default: from Content Object)
    *   "description" : "This is an example NFT.",   (OPTIONAL, Default: from Content Object)
    *   "rich_text" : "",                            (OPTIONAL, Default: from Content Object)
-   *   "image": "https://image003",
-   *   "embed_url":"https://videoURL003",
-   *   "attributes:":
+   *   "image": "https://image003",                 (or a file in mediaDir, e.g. "images/003.png")
+   *   "embed_url":"https://videoURL003",           (OPTIONAL, URL or a file in mediaDir)
+   *   "external_url":"https://example.com/003",    (OPTIONAL, Default: from Content Object)
+   *   "youtube_url":"https://youtu.be/003",        (OPTIONAL, Default: from Content Object)
+   *   "attributes":
    *   [
    *     {
    *       "trait_type":"trait01",
@@ -2222,17 +2740,52 @@ class EluvioLive {
    * All other optional keys (name, display_name, description, etc) will override the
    * NFT content object's value from /asset_metadata/nft if present.
    *
-   * The required key 'attributes' is an array of objects {"trait_type": "", "value": ""}
+   * The optional key 'attributes' is an array of objects {"trait_type": "", "value": ""}
    * and is used to calculate trait rarity. If rarity is already present in the attribute,
-   * it will be used instead.
+   * it will be used instead.  Other attribute keys (e.g. display_type, max_value) are kept.
+   *
+   * All files are validated (see nft_build.schema.json) before the object is changed and
+   * all problems are reported together.
+   *
+   * Local 'image' and 'embed_url' files are uploaded into the object under 'nft_media/'
+   * (in a version of their own) and replaced with their URLs.
+   *
+   * Each generative NFT also gets an overall 'rarity' - { method, score, rank, total } - scored
+   * by rarityMethod (see Rarity.js).
    *
    * @namedParams
    * @param {string} library ID
    * @param {string} hash - The NFT Template hash or id
    * @param {string} nftDir - Directory containing nft json file(s) for building nfts
-   * @return {Promise<Object>} - The public/nft or public/nfts JSON
+   * @param {string} mediaDir - Directory local image and video files are relative to (optional)
+   * @param {string} rarityMethod - statistical (default), information-content or trait-normalized
+   * @param {boolean} stage - Show the public/nft or public/nfts changes and only finalize if 'commit'
+   * is set (see ReplaceMetadataStaged).  Local media is uploaded in its own version first, so it
+   * can't be staged without 'commit'.
+   * @param {boolean} commit - Finalize a staged change
+   * @return {Promise<Object>} - The finalize response - staged, the staged changes
    */
-  async NftBuild({ libraryId, objectId, nftDir }) {
+  async NftBuild({ libraryId, objectId, nftDir, mediaDir, rarityMethod = "statistical", stage = false,
+    commit = false }) {
+    let nftDirInfo;
+    if (nftDir && nftDir.length > 0) {
+      nftDirInfo = await this.readNftDir({ nftDir, mediaDir });
+      nftDirInfo.scores = Rarity.Score({ nftMetas: nftDirInfo.nftMetas, method: rarityMethod });
+    }
+
+    if (nftDirInfo && nftDirInfo.media.length > 0) {
+      if (stage && !commit) {
+        throw Error("Local media is uploaded in a version of its own that can't be discarded - " +
+          "use --commit or pre-hosted URLs to stage an NFT build");
+      }
+      const uploaded = await this.NftUploadMedia({ libraryId, objectId, media: nftDirInfo.media });
+      NftBuild.RewriteUrls({
+        nftMetas: nftDirInfo.nftMetas,
+        mediaDir,
+        baseUrl: urljoin(Config.consts[Config.net].tokenUriStart, uploaded.hash, "files"),
+      });
+    }
+
     var hash = await this.client.LatestVersionHash({
       objectId,
     });
@@ -2252,14 +2805,18 @@ class EluvioLive {
     if (nftDir && nftDir.length > 0) {
       // Generative NFT - build an nft array
 
-      // Read image and attributes info from directory
-      let { nftMetas, rarity } = await this.readNftDir({ nftDir });
-      for (const nftMeta of nftMetas) {
+      let { nftMetas, rarity, scores } = nftDirInfo;
+      for (const [i, nftMeta] of nftMetas.entries()) {
         pnft = await this.NftMakeGenerative({
           assetMetadata: m,
           hash,
           nftMeta,
           rarity,
+          tokenRarity: Rarity.TokenRarity({
+            method: scores.method,
+            token: scores.tokens[i],
+            total: nftMetas.length,
+          }),
         });
         pnfts.push(pnft);
       }
@@ -2268,39 +2825,19 @@ class EluvioLive {
       pnft = await this.NftMake({ assetMetadata: m, hash });
     }
 
-    var e = await this.client.EditContentObject({
-      libraryId,
-      objectId,
-    });
+    // Replace the nft array or the single nft object
+    const edit = nftDir && nftDir.length > 0 ?
+      { metadataSubtree: "public/nfts", metadata: pnfts } :
+      { metadataSubtree: "public/nft", metadata: pnft };
 
-    if (nftDir && nftDir.length > 0) {
-      // Merge the nft array
-      await this.client.ReplaceMetadata({
-        libraryId,
-        objectId,
-        writeToken: e.write_token,
-        metadataSubtree: "public/nfts",
-        metadata: pnfts,
-      });
-    } else {
-      // Merge the single nft object
-      await this.client.ReplaceMetadata({
-        libraryId,
-        objectId,
-        writeToken: e.write_token,
-        metadataSubtree: "public/nft",
-        metadata: pnft,
-      });
-    }
-
-    var f = await this.client.FinalizeContentObject({
+    return await this.ReplaceMetadataStaged({
       libraryId,
       objectId,
-      writeToken: e.write_token,
+      edits: [edit],
       commitMessage: "Set NFT public/nft",
+      stage,
+      commit,
     });
-
-    return f;
   }
 
   /**
@@ -2413,6 +2950,362 @@ class EluvioLive {
     return res;
   }
 
+  /**
+   * Plan a batch of NFT transfers and burns (see NftBatch)
+   *
+   * Checks the current owner of every token and whether the signer can transfer or burn
+   * it - as the owner (CheckIsOwner) or, for transfers, as the owner of the contract's
+   * transfer proxy (NFTProxyAddress).  Nothing is changed.
+   *
+   * @namedParams
+   * @param {string} csvFile - Batch CSV (addr, token_id, from, to)
+   * @param {string} journalFile - Journal of an earlier run of the batch (default: the CSV file name + '.journal')
+   * @return {Promise<Object>} - Plan { csv, journal, rows, totals } (or { errors } if the CSV is invalid)
+   */
+  async NftBatchPlan({ csvFile, journalFile }) {
+    const { rows, errors } = await NftBatch.ReadCsv({ file: csvFile });
+    if (errors.length > 0) {
+      return { csv: csvFile, errors };
+    }
+    journalFile = journalFile || csvFile + ".journal";
+
+    const abi = JSON.parse(fs.readFileSync(
+      path.resolve(__dirname, "../contracts/v3/ElvTradableLocal.abi")
+    ));
+    let proxies = {};
+
+    const check = async (row) => {
+      let owner;
+      try {
+        owner = await this.client.CallContractMethod({
+          contractAddress: row.addr,
+          abi,
+          methodName: "ownerOf",
+          methodArgs: [row.token_id],
+          formatArguments: true
+        });
+      } catch (e) {
+        throw Error("token does not exist");
+      }
+
+      if (row.from && owner.toLowerCase() != row.from.toLowerCase()) {
+        throw Error("not owned by " + row.from + " (owner: " + owner + ")");
+      }
+      if (!row.burn && owner.toLowerCase() == row.to.toLowerCase()) {
+        throw Error("already owned by " + row.to);
+      }
+
+      try {
+        await this.CheckIsOwner({ addr: row.addr, tokenId: row.token_id });
+        return { owner, op: row.burn ? "burn" : "transfer" };
+      } catch (e) {
+        if (row.burn) {
+          throw Error("signer is not the owner (owner: " + owner + ") - proxy burn is not supported");
+        }
+      }
+
+      if (!proxies[row.addr]) {
+        try {
+          proxies[row.addr] = { proxy: await this.NFTProxyAddress({ addr: row.addr }) };
+        } catch (e) {
+          proxies[row.addr] = { error: "signer is not the owner and can't use the transfer proxy: " + (e.message || e) };
+        }
+      }
+      if (proxies[row.addr].error) {
+        throw Error(proxies[row.addr].error);
+      }
+      return { owner, op: "proxy_transfer", proxy: proxies[row.addr].proxy };
+    };
+
+    const plan = await NftBatch.Plan({ rows, check, journalFile });
+    return { csv: csvFile, journal: journalFile, ...plan };
+  }
+
+  /**
+   * Run a batch of NFT transfers and burns planned by NftBatchPlan()
+   *
+   * Every row is recorded in the plan's journal, so running the same batch again
+   * resumes it - rows that are done are skipped.
+   *
+   * @namedParams
+   * @param {Object} plan - The plan returned by NftBatchPlan()
+   * @param {function} onRow - Called with each row result (optional)
+   * @return {Promise<Object>} - { csv, journal, rows, totals } with the result of every row
+   */
+  async NftBatchRun({ plan, onRow }) {
+    const abi = JSON.parse(fs.readFileSync(
+      path.resolve(__dirname, "../contracts/v3/ElvTradableLocal.abi")
+    ));
+
+    const execute = async (row) => {
+      let res;
+      if (row.op == "burn") {
+        res = await this.NftBurn({ addr: row.addr, tokenId: row.token_id });
+      } else if (row.op == "transfer") {
+        res = await this.NftTransfer({ addr: row.addr, tokenId: row.token_id, toAddr: row.to });
+      } else {
+        res = await this.NftProxyTransferFrom({
+          addr: row.addr,
+          tokenId: row.token_id,
+          fromAddr: row.owner,
+          toAddr: row.to
+        });
+      }
+      if (!res || !ElvUtils.isTransactionSuccess(res)) {
+        throw Error("transaction failed");
+      }
+    };
+
+    // Whether the transfer or burn of an interrupted row went through
+    const verify = async (row) => {
+      let owner;
+      try {
+        owner = await this.client.CallContractMethod({
+          contractAddress: row.addr,
+          abi,
+          methodName: "ownerOf",
+          methodArgs: [row.token_id],
+          formatArguments: true
+        });
+      } catch (e) {
+        return row.burn;
+      }
+      return !row.burn && owner.toLowerCase() == row.to.toLowerCase();
+    };
+
+    const res = await NftBatch.Run({ plan, journalFile: plan.journal, execute, verify, onRow });
+    return { csv: plan.csv, journal: plan.journal, ...res };
+  }
+
+  /**
+   * Migrate an NFT contract to a replacement contract (see NftMigration)
+   *
+   * - snapshot the tokens of the old contract
+   * - deploy the new contract (CreateNftContract) or, if a template object is given,
+   *   deploy it and set it in the template (NftTemplateAddNftContract).  The name,
+   *   symbol, contract URI, cap, hold and transfer proxy of the old contract are used
+   *   unless overridden.
+   * - mint every token on the new contract to its current owner with the same token ID,
+   *   token URI and remaining hold, in the order of the original ordinals
+   * - optionally retire the originals - 'lock' removes the old contract from the tenant's
+   *   'tenant_nfts' group (the contract itself can't be paused); 'burn' also burns every
+   *   original token - as the owner if the signer owns it, otherwise by moving it through
+   *   the transfer proxy to NftMigration.RETIRED_ADDRESS
+   *
+   * The snapshot and the progress are saved to the mapping file - running the migration
+   * again resumes it (the new contract is not deployed again).  A dry run doesn't save
+   * the mapping file but returns the mapping, which can be passed to the migration so the
+   * tokens aren't read again.  The owner of each token is checked on the old contract again just
+   * before it is minted, so tokens transferred since the snapshot go to their current owner.
+   *
+   * @namedParams
+   * @param {string} addr - The NFT contract to migrate
+   * @param {string} tenantId - The tenant ID
+   * @param {string} objectId - NFT Template to update with the new contract (optional)
+   * @param {number} cap - Mint cap of the new contract (default: same as the old contract)
+   * @param {number} hold - Default hold period of the new contract in seconds (default: same as the old contract)
+   * @param {string} proxyAddress - Transfer proxy of the new contract (default: same as the old contract)
+   * @param {string} collectionName - Name of the new contract (default: same as the old contract)
+   * @param {string} collectionSymbol - Symbol of the new contract (default: same as the old contract)
+   * @param {string} contractUri - Contract URI of the new contract (default: same as the old contract)
+   * @param {string} originals - What to do with the original tokens: keep, lock or burn
+   * @param {string} mappingFile - Mapping file (default: nft_migrate_<addr>.json in the current directory)
+   * @param {Object} mapping - Mapping returned by a dry run - used if the mapping file doesn't exist yet
+   * instead of taking a new snapshot (optional)
+   * @param {boolean} dryRun - Only snapshot the tokens and show the new contract's parameters
+   * @param {function} onToken - Called with each token after it is processed (optional)
+   * @return {Promise<Object>} - { mapping_file, old_addr, new_addr, template, contract, totals, failed } -
+   * a dry run also returns the 'mapping'
+   */
+  async NftMigrate({
+    addr,
+    tenantId,
+    objectId,
+    cap,
+    hold,
+    proxyAddress,
+    collectionName,
+    collectionSymbol,
+    contractUri,
+    originals = "keep",
+    mappingFile,
+    mapping,
+    dryRun = false,
+    onToken,
+  }) {
+    if (!["keep", "lock", "burn"].includes(originals)) {
+      throw Error("Bad originals option '" + originals + "' - must be keep, lock or burn");
+    }
+    mappingFile = mappingFile || NftMigration.DefaultMappingFile({ addr });
+
+    const abi = JSON.parse(fs.readFileSync(
+      path.resolve(__dirname, "../contracts/v3/ElvTradableLocal.abi")
+    ));
+    const call = (contractAddress, methodName, methodArgs = []) => this.client.CallContractMethod({
+      contractAddress,
+      abi,
+      methodName,
+      methodArgs,
+      formatArguments: true,
+    });
+
+    const saved = NftMigration.ReadMapping({ file: mappingFile });
+    if (saved) {
+      if (saved.old_addr.toLowerCase() != addr.toLowerCase()) {
+        throw Error("Mapping file " + mappingFile + " is for contract " + saved.old_addr);
+      }
+      mapping = saved;
+    } else {
+      if (mapping) {
+        if (mapping.old_addr.toLowerCase() != addr.toLowerCase()) {
+          throw Error("Mapping is for contract " + mapping.old_addr);
+        }
+      } else {
+        const snapshot = await this.NftSnapshot({ addr });
+        if (snapshot.errors.length > 0) {
+          throw Error("Could not read " + snapshot.errors.length + " tokens of " + addr +
+            " (first: token index " + snapshot.errors[0].index + " - " + snapshot.errors[0].error + ")");
+        }
+        mapping = NftMigration.Mapping({ oldAddr: addr, snapshot });
+      }
+      // A dry run doesn't save the snapshot - it is returned so the migration can start from it
+      if (!dryRun) {
+        NftMigration.WriteMapping({ file: mappingFile, mapping });
+      }
+    }
+
+    // The parameters are fixed once the new contract is deployed
+    if (!mapping.new_addr) {
+      mapping.contract = {
+        name: collectionName || await call(addr, "name"),
+        symbol: collectionSymbol || await call(addr, "symbol"),
+        contract_uri: contractUri != undefined ? contractUri : await call(addr, "contractURI"),
+        cap: cap != undefined ? Number(cap) : Number(await call(addr, "cap")),
+        hold: hold != undefined ? Number(hold) : Number(await call(addr, "defHoldSecs")),
+        proxy: proxyAddress || await call(addr, "proxyRegistryAddress"),
+      };
+      mapping.template = objectId;
+    }
+    if (mapping.contract.cap < mapping.tokens.length) {
+      throw Error("Cap " + mapping.contract.cap + " is lower than the number of tokens (" +
+        mapping.tokens.length + ")");
+    }
+
+    const summary = () => ({
+      mapping_file: mappingFile,
+      old_addr: mapping.old_addr,
+      new_addr: mapping.new_addr,
+      template: mapping.template,
+      contract: mapping.contract,
+      originals,
+      totals: NftMigration.Totals({ mapping }),
+      failed: mapping.tokens.filter(t => t.error)
+        .map(t => ({ token_id: t.token_id, status: t.status, error: t.error })),
+    });
+
+    if (dryRun) {
+      return { ...summary(), mapping };
+    }
+
+    if (!mapping.new_addr) {
+      const params = {
+        tenantId,
+        collectionName: mapping.contract.name,
+        collectionSymbol: mapping.contract.symbol,
+        contractUri: mapping.contract.contract_uri,
+        totalSupply: mapping.contract.cap,
+        hold: mapping.contract.hold,
+        proxyAddress: mapping.contract.proxy,
+      };
+      if (mapping.template) {
+        mapping.new_addr = await this.NftTemplateAddNftContract({ objectId: mapping.template, ...params });
+      } else {
+        mapping.new_addr = (await this.CreateNftContract(params)).nftAddr;
+      }
+      NftMigration.WriteMapping({ file: mappingFile, mapping });
+    }
+
+    if (!await call(mapping.new_addr, "isMinter", [this.client.signer.address])) {
+      throw Error("Signer " + this.client.signer.address + " is not a minter of " + mapping.new_addr);
+    }
+
+    const mint = async (token) => {
+      // Minted by an interrupted run
+      if (!await call(mapping.new_addr, "exists", [token.token_id])) {
+        // The token may have changed hands (or been burned) since the snapshot
+        if (!await call(addr, "exists", [token.token_id])) {
+          throw Error("token no longer exists on " + addr);
+        }
+        const owner = await call(addr, "ownerOf", [token.token_id]);
+        if (owner.toLowerCase() != token.owner.toLowerCase()) {
+          token.snapshot_owner = token.snapshot_owner || token.owner;
+          token.owner = owner;
+        }
+        const res = await this.client.CallContractMethodAndWait({
+          contractAddress: mapping.new_addr,
+          abi,
+          methodName: "mintHoldWithTokenURI",
+          methodArgs: [
+            token.owner,
+            token.token_id,
+            token.token_uri,
+            NftMigration.HoldSecs({ holdEnd: token.hold_end }),
+          ],
+          formatArguments: true,
+        });
+        if (!ElvUtils.isTransactionSuccess(res)) {
+          throw Error("mint transaction failed");
+        }
+      }
+      return (await call(mapping.new_addr, "ordinalOfToken", [token.token_id])).toString();
+    };
+
+    const burn = async (token) => {
+      const owner = await call(addr, "ownerOf", [token.token_id]);
+      if (owner.toLowerCase() == this.client.signer.address.toLowerCase()) {
+        const res = await this.NftBurn({ addr, tokenId: token.token_id });
+        if (!ElvUtils.isTransactionSuccess(res)) {
+          throw Error("burn transaction failed");
+        }
+        return "burned";
+      }
+
+      if (owner.toLowerCase() != token.owner.toLowerCase()) {
+        throw Error("owner changed since the token was minted - " + owner + ", not " + token.owner);
+      }
+      const res = await this.NftProxyTransferFrom({
+        addr,
+        tokenId: token.token_id,
+        fromAddr: token.owner,
+        toAddr: NftMigration.RETIRED_ADDRESS,
+      });
+      if (!res) {
+        throw Error("owner changed since the token was minted - not " + token.owner);
+      }
+      if (!ElvUtils.isTransactionSuccess(res)) {
+        throw Error("proxy transfer failed");
+      }
+      return "retired";
+    };
+
+    await NftMigration.Run({
+      mapping,
+      mappingFile,
+      mint,
+      retire: originals == "burn" ? burn : undefined,
+      onToken,
+    });
+
+    if (originals != "keep" && !mapping.old_removed_from_tenant &&
+      mapping.tokens.every(t => t.status == "minted")) {
+      await this.TenantRemoveNft({ tenantId, nftAddr: addr });
+      mapping.old_removed_from_tenant = true;
+      NftMigration.WriteMapping({ file: mappingFile, mapping });
+    }
+
+    return summary();
+  }
+
   /**
    * Transfer the specified NFT token as the owner using Authority Service
    *
@@ -2569,6 +3462,121 @@ class EluvioLive {
     return res;
   }
 
+  /**
+   * Transfer fee limits of a tenant - kept in the tenant contract's metadata (see FeePolicy)
+   *
+   * @namedParams
+   * @param {string} tenantId - The tenant ID
+   * @return {Promise<Object>} - { min_elv, max_elv, min_usd, max_usd } or null if not set
+   */
+  async TenantFeeLimits({ tenantId }) {
+    const limits = await this.client.ContractMetadata({
+      contractAddress: Utils.HashToAddress(tenantId),
+      metadataKey: FeePolicy.LIMITS_KEY,
+    });
+    if (!limits || typeof limits != "object") {
+      return null;
+    }
+    return FeePolicy.Limits({ limits });
+  }
+
+  /**
+   * Set the transfer fee limits of a tenant (replaces the current limits)
+   *
+   * @namedParams
+   * @param {string} tenantId - The tenant ID
+   * @param {Object} limits - { min_elv, max_elv, min_usd, max_usd } - all optional
+   * @return {Promise<Object>} - The limits
+   */
+  async TenantSetFeeLimits({ tenantId, limits }) {
+    limits = FeePolicy.Limits({ limits });
+    await this.client.ReplaceContractMetadata({
+      contractAddress: Utils.HashToAddress(tenantId),
+      metadataKey: FeePolicy.LIMITS_KEY,
+      metadata: limits,
+    });
+    return limits;
+  }
+
+  /**
+   * Apply a transfer fee policy to the NFT contracts of a tenant (see FeePolicy)
+   *
+   * The fee is converted to wei and checked against the tenant's limits (see
+   * TenantFeeLimits), then the current fee of every contract in the tenant's
+   * 'tenant_nfts' group is read.  Unless
+   * dryRun is set, the contracts whose fee differs are updated and each change is
+   * recorded in the audit log.
+   *
+   * @namedParams
+   * @param {string} tenantId - The tenant ID
+   * @param {Object} policy - The fee policy
+   * @param {string} rate - USD per ELV (overrides the policy's 'usd_per_elv')
+   * @param {string} addr - Only this contract (optional - must be one of the tenant's)
+   * @param {string} auditFile - Audit log (default: fee_audit_<tenant>.jsonl in the current directory)
+   * @param {boolean} dryRun - Only show what would change
+   * @param {function} onRow - Called with each contract after it is processed (optional)
+   * @return {Promise<Object>} - { tenant, policy, limits, fee, audit, rows, totals }
+   */
+  async TenantFeePolicy({ tenantId, policy, rate, addr, auditFile, dryRun = false, onRow }) {
+    const limits = await this.TenantFeeLimits({ tenantId });
+    const fee = FeePolicy.Fee({ policy, limits, rate });
+    auditFile = auditFile || path.resolve("fee_audit_" + tenantId + ".jsonl");
+
+    let addresses = await this.TenantNftList({ tenantId });
+    if (addr) {
+      if (!addresses.includes(addr.toLowerCase())) {
+        throw Error("NFT contract " + addr + " is not in tenant " + tenantId);
+      }
+      addresses = [addr.toLowerCase()];
+    }
+
+    const abi = JSON.parse(fs.readFileSync(
+      path.resolve(__dirname, "../contracts/v3/ElvTradableLocal.abi")
+    ));
+    let contracts = [];
+    for (const address of addresses) {
+      try {
+        const current = await this.client.CallContractMethod({
+          contractAddress: address,
+          abi,
+          methodName: "baseTransferFee",
+          formatArguments: true,
+        });
+        contracts.push({ address, fee: current.toString() });
+      } catch (e) {
+        contracts.push({ address, error: "can't read the fee: " + (e.message || e) });
+      }
+    }
+
+    const plan = FeePolicy.Plan({ contracts, feeWei: fee.fee_wei, exclude: policy.exclude });
+    let res = { rows: plan, totals: {} };
+    if (dryRun) {
+      plan.forEach(row => { res.totals[row.action] = (res.totals[row.action] || 0) + 1; });
+    } else {
+      res = await FeePolicy.Apply({
+        plan,
+        policyName: policy.name,
+        auditFile,
+        setFee: async (address, feeWei) => {
+          const tx = await this.NftSetTransferFee({ address, fee: feeWei });
+          if (!ElvUtils.isTransactionSuccess(tx)) {
+            throw Error("transaction failed");
+          }
+        },
+        onRow
+      });
+    }
+
+    return {
+      tenant: tenantId,
+      policy: policy.name,
+      limits,
+      fee,
+      audit: dryRun ? undefined : auditFile,
+      ...res
+    };
+  }
+
   async TenantSign({ message }) {
     const signature = await this.client.authClient.Sign(
       Ethers.utils.keccak256(Ethers.utils.toUtf8Bytes(message))
@@ -2680,13 +3688,16 @@ class EluvioLive {
    * @param {string} marketplace - Marketplace ID of the NFT
    * @param {string} sku - SKU of the NFTs
    * @param {string} addr - The address to mint to
+   * @param {integer} quantity - Number of NFTs to mint
+   * @param {string} transId - Transaction ID identifying this mint request (optional)
+   * @param {string} email - Email of the recipient (optional)
    * @return {Promise<Object>} - API Response Object
    */
-  async TenantMint({ tenant, marketplace, sku, addr, quantity = 1 }) {
+  async TenantMint({ tenant, marketplace, sku, addr, quantity = 1, transId = "", email = "minter@tenant.com" }) {
     let now = Date.now();
 
     let body = {
-      trans_id: "",
+      trans_id: transId,
       tickets: null,
       products: [
         {
@@ -2695,9 +3706,9 @@ class EluvioLive {
           quant: quantity,
         },
       ],
-      ident: "minter@tenant.com",
-      email: "minter@tenant.com",
-      cust_name: "minter@tenant.com",
+      ident: email,
+      email: email,
+      cust_name: email,
       ts: now,
       extra: {
         elv_addr: addr,
@@ -2711,6 +3722,59 @@ class EluvioLive {
     return res;
   }
 
+  /**
+   * Mint the NFTs listed in a CSV allowlist using Tenant Auth (see MintBatch)
+   *
+   * Rows are minted one at a time, rate limited, and failed rows are retried.  Every
+   * request is recorded in the journal file so running the same batch again only
+   * mints the rows that were not minted.
+   *
+   * @namedParams
+   * @param {string} tenant - The Tenant ID
+   * @param {string} marketplace - Marketplace ID of the NFTs
+   * @param {string} csvFile - CSV allowlist (address, sku, quantity, email)
+   * @param {string} journalFile - Journal of mint requests (default: the CSV file name + '.journal')
+   * @param {string} batchId - Set to mint the same rows again as a new batch (optional)
+   * @param {number} ratePerSec - Maximum number of mint requests per second
+   * @param {number} retries - Number of retries of a failed row
+   * @param {boolean} retryUnconfirmed - Also send rows whose previous request got no response
+   * @param {boolean} dryRun - Only report what would be minted
+   * @param {function} onRow - Called with each row result (optional)
+   * @return {Promise<Object>} - Reconciliation report { csv, journal, rows, totals } (or { errors } if the CSV is invalid)
+   */
+  async TenantMintBatch({ tenant, marketplace, csvFile, journalFile, batchId, ratePerSec, retries,
+    retryUnconfirmed, dryRun, onRow }) {
+    const { rows, errors } = await MintBatch.ReadCsv({ file: csvFile });
+    if (errors.length > 0) {
+      return { csv: csvFile, errors };
+    }
+
+    journalFile = journalFile || csvFile + ".journal";
+    const res = await MintBatch.Run({
+      rows,
+      tenant,
+      marketplace,
+      batchId,
+      journalFile,
+      ratePerSec,
+      retries,
+      retryUnconfirmed,
+      dryRun,
+      onRow,
+      mint: ({ row, transId }) => this.TenantMint({
+        tenant,
+        marketplace,
+        sku: row.sku,
+        addr: row.address,
+        quantity: row.quantity,
+        transId,
+        email: row.email
+      })
+    });
+
+    return { csv: csvFile, journal: journalFile, ...res };
+  }
+
   /**
    * Get the list of wallets bound by the Tenant
    *
@@ -2,6 +2,7 @@ const { ElvClient } = require("@eluvio/elv-client-js");
 const ethers = require("ethers");
 const Utils = require("@eluvio/elv-client-js/src/Utils.js");
 const { ElvUtils } = require("./Utils");
+const { OfferVoucher } = require("./OfferVoucher");
 
 const TOKEN_DURATION = 120000; //2 min
 class ElvAccount {
@@ -227,20 +228,9 @@ class ElvAccount {
   }
 
   async CreateOfferSignature({nftAddress, mintHelperAddress, tokenId, offerId}){
-    const nftAddressBytes = ethers.utils.arrayify(nftAddress);
-    const mintAddressBytes = ethers.utils.arrayify(mintHelperAddress);
-    const tokenIdBigInt = ethers.BigNumber.from(tokenId).toHexString();
-
-    const packedData = ethers.utils.solidityPack(
-      ["bytes", "bytes", "uint256", "uint8"],
-      [nftAddressBytes, mintAddressBytes, tokenIdBigInt, offerId]
-    );
-
-    const encodedData = ethers.utils.keccak256(
-      packedData
-    );
-
-    let messageHashBytes = ethers.utils.arrayify(encodedData);
+    const {packedData, encodedData, messageHashBytes} = OfferVoucher.MessageHash({
+      nftAddress, mintHelperAddress, tokenId, offerId
+    });
 
     const signedData = await this.client.signer.signMessage(messageHashBytes);
     const signature = ethers.utils.splitSignature(signedData);
@@ -0,0 +1,258 @@
+/*
+ * Transfer fee policy for the NFT contracts of a tenant
+ *
+ * The fee is given in ELV or in USD (converted at an ELV price supplied with the
+ * policy or on the command line) and checked against the tenant's limits before it
+ * is set as the 'baseTransferFee' of the contracts.
+ *
+ * Policy file (JSON):
+ *
+ *   {
+ *     "name": "2023 standard",
+ *     "fee": "0.5",
+ *     "currency": "USD",
+ *     "usd_per_elv": "0.25",
+ *     "exclude": [ "0x..." ]
+ *   }
+ *
+ * The limits are not part of the policy - they are kept in the metadata of the tenant
+ * contract (key LIMITS_KEY) so a policy can't set the limits it is checked against:
+ *
+ *   { "min_elv": "0", "max_elv": "10", "min_usd": "0", "max_usd": "5" }
+ *
+ * 'currency' is ELV (default) or USD; 'usd_per_elv' is only needed for USD fees or
+ * USD limits.  Every change is appended to an audit log (one JSON object per line):
+ *
+ *   { "time", "policy", "address", "old_fee", "new_fee", "status", "error" }
+ *
+ * with fees in wei.
+ */
+
+const fs = require("fs");
+const ethers = require("ethers");
+
+const CURRENCIES = ["ELV", "USD"];
+
+const LIMITS = ["min_elv", "max_elv", "min_usd", "max_usd"];
+
+// Tenant contract metadata key of the limits
+const LIMITS_KEY = "transfer_fee_limits";
+
+const Decimal = (value, name) => {
+  const s = String(value).trim();
+  if (!/^[0-9]+(\.[0-9]+)?$/.test(s)) {
+    throw Error("Bad " + name + " '" + value + "' - must be a non-negative decimal number");
+  }
+  if ((s.split(".")[1] || "").length > 18) {
+    throw Error("Bad " + name + " '" + value + "' - at most 18 decimals");
+  }
+  return s;
+};
+
+class FeePolicy {
+
+  static Load({file}) {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  }
+
+  /**
+   * Check tenant limits - { min_elv, max_elv, min_usd, max_usd }, all optional
+   *
+   * @return {Object} - The limits that are set, as decimal strings
+   */
+  static Limits({limits}) {
+    if (!limits || typeof limits != "object" || Array.isArray(limits)) {
+      throw Error("Bad fee limits - must be an object with " + LIMITS.join(", "));
+    }
+    let res = {};
+    for (const [name, value] of Object.entries(limits)) {
+      if (!LIMITS.includes(name)) {
+        throw Error("Bad fee limit '" + name + "' - must be one of " + LIMITS.join(", "));
+      }
+      if (value !== undefined && value !== null) {
+        res[name] = Decimal(value, name);
+      }
+    }
+    for (const unit of ["elv", "usd"]) {
+      const min = res["min_" + unit];
+      const max = res["max_" + unit];
+      if (min !== undefined && max !== undefined && ethers.utils.parseEther(min).gt(ethers.utils.parseEther(max))) {
+        throw Error("Bad fee limits - min_" + unit + " " + min + " is above max_" + unit + " " + max);
+      }
+    }
+    return res;
+  }
+
+  /**
+   * Fee of a policy in wei, checked against the tenant's limits
+   *
+   * @namedParams
+   * @param {Object} policy - The policy
+   * @param {Object} limits - The tenant's limits (see Limits())
+   * @param {string} rate - USD per ELV (overrides the policy's 'usd_per_elv')
+   * @return {Object} - { fee_wei, fee_elv, fee_usd, usd_per_elv }
+   */
+  static Fee({policy, limits, rate}) {
+    if (policy.limits !== undefined) {
+      throw Error("The policy can't set limits - they are read from the tenant (see tenant_fee_limits)");
+    }
+    if (!limits) {
+      throw Error("The tenant has no transfer fee limits - set them with tenant_fee_limits");
+    }
+    limits = FeePolicy.Limits({limits});
+
+    const currency = (policy.currency || "ELV").toUpperCase();
+    if (!CURRENCIES.includes(currency)) {
+      throw Error("Bad currency '" + policy.currency + "' - must be one of " + CURRENCIES.join(", "));
+    }
+    if (policy.fee === undefined || policy.fee === null) {
+      throw Error("Policy has no 'fee'");
+    }
+
+    const fee = ethers.utils.parseEther(Decimal(policy.fee, "fee"));
+    const usdPerElv = rate != undefined ? rate : policy.usd_per_elv;
+    let price;
+    if (usdPerElv != undefined) {
+      price = ethers.utils.parseEther(Decimal(usdPerElv, "USD per ELV rate"));
+      if (price.isZero()) {
+        throw Error("USD per ELV rate must not be 0");
+      }
+    } else if (currency == "USD" || limits.max_usd != undefined || limits.min_usd != undefined) {
+      throw Error("A USD fee or limit needs the ELV price - set 'usd_per_elv' or pass a rate");
+    }
+
+    const one = ethers.utils.parseEther("1");
+    const feeWei = currency == "ELV" ? fee : fee.mul(one).div(price);
+    const feeUsd = price ? feeWei.mul(price).div(one) : undefined;
+
+    let errors = [];
+    const check = (name, value, unit, min) => {
+      if (limits[name] == undefined) return;
+      const b = ethers.utils.parseEther(limits[name]);
+      if (min ? value.lt(b) : value.gt(b)) {
+        errors.push("fee " + ethers.utils.formatEther(value) + " " + unit + " is " + (min ? "below " : "above ") +
+          name + " " + limits[name]);
+      }
+    };
+    check("min_elv", feeWei, "ELV", true);
+    check("max_elv", feeWei, "ELV", false);
+    if (feeUsd) {
+      check("min_usd", feeUsd, "USD", true);
+      check("max_usd", feeUsd, "USD", false);
+    }
+    if (errors.length > 0) {
+      throw Error("Fee outside the tenant limits: " + errors.join("; "));
+    }
+
+    return {
+      fee_wei: feeWei.toString(),
+      fee_elv: ethers.utils.formatEther(feeWei),
+      fee_usd: feeUsd ? ethers.utils.formatEther(feeUsd) : undefined,
+      usd_per_elv: price ? ethers.utils.formatEther(price) : undefined
+    };
+  }
+
+  /**
+   * What applying a fee changes
+   *
+   * @namedParams
+   * @param {Array<Object>} contracts - { address, fee } - current fees in wei (or 'error' if it could not be read)
+   * @param {string} feeWei - The new fee
+   * @param {Array<string>} exclude - Contracts the policy doesn't apply to
+   * @return {Array<Object>} - { address, old_fee, new_fee, action } - action is set, unchanged, excluded or error
+   */
+  static Plan({contracts, feeWei, exclude = []}) {
+    const excluded = exclude.map(a => a.toLowerCase());
+    return contracts.map(c => {
+      let row = {address: c.address, old_fee: c.fee, new_fee: feeWei};
+      if (excluded.includes(c.address.toLowerCase())) {
+        row.action = "excluded";
+        row.new_fee = c.fee;
+      } else if (c.error) {
+        row.action = "error";
+        row.error = c.error;
+      } else {
+        row.action = ethers.BigNumber.from(c.fee).eq(feeWei) ? "unchanged" : "set";
+      }
+      return row;
+    });
+  }
+
+  /**
+   * Set the fee of the contracts a plan changes and record every change in the audit log
+   *
+   * @namedParams
+   * @param {Array<Object>} plan - See Plan()
+   * @param {string} policyName - Recorded in the audit log
+   * @param {string} auditFile - Audit log
+   * @param {function} setFee - async (address, fee) => void - throws on failure
+   * @param {function} onRow - Called with each row after it is processed (optional)
+   * @return {Promise<Object>} - { rows, totals } - rows have 'status' (set, failed or the plan's action)
+   */
+  static async Apply({plan, policyName, auditFile, setFee, onRow}) {
+    if (fs.existsSync(auditFile)) {
+      const text = fs.readFileSync(auditFile, "utf8");
+      if (text.length > 0 && !text.endsWith("\n")) {
+        fs.appendFileSync(auditFile, "\n");
+      }
+    }
+
+    let rows = [];
+    for (const entry of plan) {
+      let row = {...entry, status: entry.action};
+      if (entry.action == "set") {
+        try {
+          await setFee(entry.address, entry.new_fee);
+          row.status = "set";
+        } catch (error) {
+          row.status = "failed";
+          row.error = error.message || String(error);
+        }
+        fs.appendFileSync(auditFile, JSON.stringify({
+          time: new Date().toISOString(),
+          policy: policyName,
+          address: row.address,
+          old_fee: row.old_fee,
+          new_fee: row.new_fee,
+          status: row.status,
+          error: row.error
+        }) + "\n");
+      }
+      rows.push(row);
+      if (onRow) {
+        onRow(row);
+      }
+    }
+
+    let totals = {};
+    for (const r of rows) {
+      totals[r.status] = (totals[r.status] || 0) + 1;
+    }
+    return {rows, totals};
+  }
+
+  /**
+   * Read an audit log - optionally only the entries of one contract
+   */
+  static ReadAudit({file, address}) {
+    if (!fs.existsSync(file)) {
+      return [];
+    }
+    let entries = [];
+    for (const line of fs.readFileSync(file, "utf8").split("\n")) {
+      if (line.trim() == "") continue;
+      try {
+        entries.push(JSON.parse(line));
+      } catch (error) {
+        // A line cut short by an interruption
+      }
+    }
+    return address ? entries.filter(e => e.address.toLowerCase() == address.toLowerCase()) : entries;
+  }
+}
+
+FeePolicy.CURRENCIES = CURRENCIES;
+FeePolicy.LIMITS = LIMITS;
+FeePolicy.LIMITS_KEY = LIMITS_KEY;
+
+exports.FeePolicy = FeePolicy;
@@ -0,0 +1,137 @@
+/*
+ * Minimal HLS playlist parsing - enough to walk the renditions of a playout
+ */
+
+// Parse an attribute list, e.g. 'BANDWIDTH=1280000,CODECS="avc1.640028,mp4a.40.2"'
+const ParseAttributes = (text) => {
+  let attrs = {};
+  const regex = /([A-Z0-9-]+)=("[^"]*"|[^,]*)/g;
+  let match;
+  while ((match = regex.exec(text)) !== null) {
+    attrs[match[1]] = match[2].replace(/^"(.*)"$/, "$1");
+  }
+  return attrs;
+};
+
+class HlsPlaylist {
+
+  /**
+   * Resolve a playlist URI against the URL of the playlist.  URIs without a query
+   * string keep the playlist's query (authorization token, etc.)
+   */
+  static ResolveUri({uri, baseUrl}) {
+    const url = new URL(uri, baseUrl);
+    if (url.search == "" && !/^[a-z]+:/i.test(uri)) {
+      url.search = new URL(baseUrl).search;
+    }
+    return url.toString();
+  }
+
+  /**
+   * Parse a master playlist
+   *
+   * @namedParams
+   * @param {string} text - Playlist contents
+   * @param {string} baseUrl - URL of the playlist
+   * @return {Object} - { variants, media } - variants are the EXT-X-STREAM-INF entries
+   * ({ url, bandwidth, resolution, codecs, audio }), media the EXT-X-MEDIA entries with a URI
+   * ({ url, type, group_id, name, language })
+   */
+  static ParseMaster({text, baseUrl}) {
+    const lines = text.split(/\r?\n/).map(l => l.trim());
+    if (lines[0] != "#EXTM3U") {
+      throw Error("Not an HLS playlist");
+    }
+
+    let variants = [];
+    let media = [];
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i];
+      if (line.startsWith("#EXT-X-STREAM-INF:")) {
+        const attrs = ParseAttributes(line.substring("#EXT-X-STREAM-INF:".length));
+        // The URI is the next line that is not a tag or comment
+        let j = i + 1;
+        while (j < lines.length && (lines[j] == "" || lines[j].startsWith("#"))) j++;
+        if (j == lines.length) {
+          throw Error("Missing URI for EXT-X-STREAM-INF on line " + (i + 1));
+        }
+        variants.push({
+          url: HlsPlaylist.ResolveUri({uri: lines[j], baseUrl}),
+          bandwidth: attrs.BANDWIDTH ? Number(attrs.BANDWIDTH) : undefined,
+          resolution: attrs.RESOLUTION,
+          codecs: attrs.CODECS,
+          audio: attrs.AUDIO
+        });
+        i = j;
+      } else if (line.startsWith("#EXT-X-MEDIA:")) {
+        const attrs = ParseAttributes(line.substring("#EXT-X-MEDIA:".length));
+        if (attrs.URI) {
+          media.push({
+            url: HlsPlaylist.ResolveUri({uri: attrs.URI, baseUrl}),
+            type: attrs.TYPE,
+            group_id: attrs["GROUP-ID"],
+            name: attrs.NAME,
+            language: attrs.LANGUAGE
+          });
+        }
+      }
+    }
+
+    return {variants, media};
+  }
+
+  /**
+   * Parse a media playlist
+   *
+   * @namedParams
+   * @param {string} text - Playlist contents
+   * @param {string} baseUrl - URL of the playlist
+   * @return {Object} - { init, segments, target_duration, media_sequence, ended } -
+   * 'init' is the URL of the init segment (EXT-X-MAP) if any, segments are { url, duration }
+   * (plus 'program_date_time' if set)
+   */
+  static ParseMedia({text, baseUrl}) {
+    const lines = text.split(/\r?\n/).map(l => l.trim());
+    if (lines[0] != "#EXTM3U") {
+      throw Error("Not an HLS playlist");
+    }
+
+    let playlist = {
+      init: null,
+      segments: [],
+      target_duration: undefined,
+      media_sequence: 0,
+      ended: false
+    };
+    let duration;
+    let programDateTime;
+    for (const line of lines) {
+      if (line.startsWith("#EXT-X-MAP:")) {
+        const attrs = ParseAttributes(line.substring("#EXT-X-MAP:".length));
+        playlist.init = HlsPlaylist.ResolveUri({uri: attrs.URI, baseUrl});
+      } else if (line.startsWith("#EXT-X-TARGETDURATION:")) {
+        playlist.target_duration = Number(line.substring("#EXT-X-TARGETDURATION:".length));
+      } else if (line.startsWith("#EXT-X-MEDIA-SEQUENCE:")) {
+        playlist.media_sequence = Number(line.substring("#EXT-X-MEDIA-SEQUENCE:".length));
+      } else if (line.startsWith("#EXT-X-PROGRAM-DATE-TIME:")) {
+        programDateTime = line.substring("#EXT-X-PROGRAM-DATE-TIME:".length);
+      } else if (line.startsWith("#EXTINF:")) {
+        duration = parseFloat(line.substring("#EXTINF:".length));
+      } else if (line == "#EXT-X-ENDLIST") {
+        playlist.ended = true;
+      } else if (line != "" && !line.startsWith("#")) {
+        let segment = {url: HlsPlaylist.ResolveUri({uri: line, baseUrl}), duration};
+        if (programDateTime) {
+          segment.program_date_time = programDateTime;
+        }
+        playlist.segments.push(segment);
+        duration = undefined;
+        programDateTime = undefined;
+      }
+    }
+
+    return playlist;
+  }
+}
+
+exports.HlsPlaylist = HlsPlaylist;
@@ -0,0 +1,53 @@
+/*
+ * HTTP retrieval for playout checks (see EluvioLiveStream.ChannelPlayout and PlayoutProbe)
+ *
+ * Failures are not thrown - they are reported in the check so every step of a
+ * playout can be checked and reported.
+ */
+
+const got = require("got");
+
+const DEFAULT_TIMEOUT_SEC = 10;
+
+class HttpFetch {
+
+  /**
+   * Retrieve a URL, recording the response time and any HTTP error
+   *
+   * @namedParams
+   * @param {string} url - The URL
+   * @param {boolean} binary - Return the body as a Buffer (default: text)
+   * @param {number} timeoutSec - Request timeout
+   * @return {Promise<Object>} - { body, check } - check is { url, result, status, time_ms, error } with
+   * result 'pass' or 'fail'; body is null if the request failed
+   */
+  static async Fetch({url, binary = false, timeoutSec = DEFAULT_TIMEOUT_SEC}) {
+    const start = Date.now();
+    let check = {url};
+    try {
+      const response = await got(url, {
+        responseType: binary ? "buffer" : "text",
+        timeout: timeoutSec * 1000,
+        retry: 0
+      });
+      check.result = "pass";
+      check.status = response.statusCode;
+      check.time_ms = Date.now() - start;
+      return {body: response.body, check};
+    } catch (error) {
+      check.result = "fail";
+      check.time_ms = Date.now() - start;
+      if (error.response) {
+        check.status = error.response.statusCode;
+        check.error = "HTTP " + error.response.statusCode;
+      } else {
+        check.error = error.code || error.message;
+      }
+      return {body: null, check};
+    }
+  }
+}
+
+HttpFetch.DEFAULT_TIMEOUT_SEC = DEFAULT_TIMEOUT_SEC;
+
+exports.HttpFetch = HttpFetch;
@@ -0,0 +1,240 @@
+/*
+ * Validation of JSON documents against a subset of JSON Schema (see ValidateSchema)
+ *
+ * Errors are reported all together, each with the path of the offending value and,
+ * when the document text is available, the line it is on:
+ *
+ *   { line, path, message }
+ */
+
+// Format a path (array of keys and indexes) as 'streams.my_stream.ladder.video[0]'
+const PathString = (p) => {
+  let s = "";
+  for (const key of p) {
+    if (typeof key == "number") {
+      s = s + "[" + key + "]";
+    } else {
+      s = s + (s == "" ? "" : ".") + key;
+    }
+  }
+  return s;
+};
+
+/*
+ * Map each value in a JSON document to the line it starts on.
+ * The text must be valid JSON (call after JSON.parse succeeds).
+ */
+const LocateLines = (text) => {
+  const lines = {};
+  let pos = 0;
+  let line = 1;
+
+  const skipSpace = () => {
+    while (pos < text.length && /\s/.test(text[pos])) {
+      if (text[pos] == "\n") line++;
+      pos++;
+    }
+  };
+
+  const readString = () => {
+    const start = pos;
+    pos++;
+    while (text[pos] != "\"") {
+      if (text[pos] == "\\") pos++;
+      pos++;
+    }
+    pos++;
+    return JSON.parse(text.slice(start, pos));
+  };
+
+  const readValue = (p) => {
+    skipSpace();
+    lines[PathString(p)] = line;
+    const c = text[pos];
+    if (c == "{" || c == "[") {
+      const close = c == "{" ? "}" : "]";
+      pos++;
+      skipSpace();
+      let index = 0;
+      while (text[pos] != close) {
+        let key = index++;
+        if (c == "{") {
+          key = readString();
+          skipSpace();
+          pos++; // ':'
+        }
+        readValue(p.concat(key));
+        skipSpace();
+        if (text[pos] == ",") {
+          pos++;
+          skipSpace();
+        }
+      }
+      pos++;
+    } else if (c == "\"") {
+      readString();
+    } else {
+      while (pos < text.length && /[^,\]}\s]/.test(text[pos])) pos++;
+    }
+  };
+
+  readValue([]);
+  return lines;
+};
+
+const TypeOf = (value) => {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (typeof value == "number" && Number.isInteger(value)) return "integer";
+  return typeof value;
+};
+
+const TypeMatches = (value, type) => {
+  if (Array.isArray(type)) {
+    return type.some(t => TypeMatches(value, t));
+  }
+  const actual = TypeOf(value);
+  return actual == type || (type == "number" && actual == "integer");
+};
+
+/*
+ * Validate a value against the supported subset of JSON Schema: type (a name or a list
+ * of names), const, enum, pattern, minimum, required, properties, additionalProperties,
+ * items, minItems and local '$ref's
+ */
+const ValidateSchema = ({value, node, root, p = [], errors = []}) => {
+  if (node.$ref) {
+    node = node.$ref.replace(/^#\//, "").split("/")
+      .reduce((n, key) => n[key], root);
+  }
+
+  const fail = (message, at = p) => {
+    errors.push({path: PathString(at), message});
+  };
+
+  if (node.const !== undefined && value !== node.const) {
+    fail("must be " + JSON.stringify(node.const));
+    return errors;
+  }
+  if (node.enum && !node.enum.includes(value)) {
+    fail("must be one of: " + node.enum.join(", "));
+    return errors;
+  }
+  if (node.type && !TypeMatches(value, node.type)) {
+    fail("must be of type " + [].concat(node.type).join(" or ") + " (found " + TypeOf(value) + ")");
+    return errors;
+  }
+  if (node.pattern && typeof value == "string" && !new RegExp(node.pattern).test(value)) {
+    fail("invalid value '" + value + "' (must match " + node.pattern + ")");
+  }
+  if (node.minimum !== undefined && typeof value == "number" && value < node.minimum) {
+    fail("must be >= " + node.minimum);
+  }
+
+  if (Array.isArray(value)) {
+    if (node.minItems !== undefined && value.length < node.minItems) {
+      fail("must have at least " + node.minItems + " item(s)");
+    }
+    if (node.items) {
+      value.forEach((item, i) => {
+        ValidateSchema({value: item, node: node.items, root, p: p.concat(i), errors});
+      });
+    }
+  } else if (TypeOf(value) == "object") {
+    for (const key of node.required || []) {
+      if (value[key] === undefined) {
+        fail("missing required property '" + key + "'");
+      }
+    }
+    for (const [key, v] of Object.entries(value)) {
+      if (node.properties && node.properties[key]) {
+        ValidateSchema({value: v, node: node.properties[key], root, p: p.concat(key), errors});
+      } else if (node.additionalProperties === false) {
+        fail("unknown property '" + key + "'", p.concat(key));
+      } else if (node.additionalProperties) {
+        ValidateSchema({value: v, node: node.additionalProperties, root, p: p.concat(key), errors});
+      }
+    }
+  }
+
+  return errors;
+};
+
+class JsonSchema {
+
+  /**
+   * Parse and validate JSON text
+   *
+   * @namedParams
+   * @param {string} text - The JSON text
+   * @param {Object} schema - The schema
+   * @param {Object} node - Validate against this part of the schema instead of the whole schema (optional)
+   * @return {Object} - { value, errors } - value is null if the text is not valid JSON
+   */
+  static Parse({text, schema, node = schema}) {
+    let value;
+    try {
+      value = JSON.parse(text);
+    } catch (error) {
+      return {value: null, errors: [JsonSchema.SyntaxError({text, error})]};
+    }
+    return {value, errors: JsonSchema.Validate({value, text, schema, node})};
+  }
+
+  /**
+   * Validate a parsed value - errors get line numbers if the text it was parsed from is given
+   */
+  static Validate({value, text, schema, node = schema}) {
+    const errors = ValidateSchema({value, node, root: schema});
+    if (text !== undefined) {
+      JsonSchema.LocateErrors({text, errors});
+    }
+    return errors;
+  }
+
+  /**
+   * Set the line of each error from its path
+   */
+  static LocateErrors({text, errors}) {
+    const lines = LocateLines(text);
+    for (const error of errors) {
+      // Errors on missing properties point at the parent object
+      let p = error.path;
+      while (lines[p] === undefined && p != "") {
+        p = p.replace(/(\.[^.[]*|\[\d+\])$/, "");
+      }
+      error.line = lines[p];
+    }
+    return errors;
+  }
+
+  /**
+   * Error for a JSON.parse() failure, with the line it happened on if known
+   */
+  static SyntaxError({text, error}) {
+    let line;
+    const lineMatch = /line (\d+)/.exec(error.message);
+    const posMatch = /position (\d+)/.exec(error.message);
+    if (lineMatch) {
+      line = Number(lineMatch[1]);
+    } else if (posMatch) {
+      line = text.slice(0, Number(posMatch[1])).split("\n").length;
+    }
+    return {line, path: "", message: error.message};
+  }
+
+  /**
+   * Format errors as 'file:line: path: message'
+   */
+  static FormatErrors({file, errors}) {
+    return errors.map(e =>
+      file + (e.line ? ":" + e.line : "") + ": " +
+      (e.path ? e.path + ": " : "") + e.message
+    );
+  }
+}
+
+JsonSchema.PathString = PathString;
+JsonSchema.TypeOf = TypeOf;
+
+exports.JsonSchema = JsonSchema;
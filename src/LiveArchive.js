@@ -0,0 +1,102 @@
+/*
+ * Live-to-VOD archive helpers
+ *
+ * An archive is a new content object made from the recording periods of a
+ * terminated live stream session (the version finalized by 'terminate').
+ */
+
+// Date given as epoch seconds, ISO string or offset (seconds) from 'baseSec'
+const ParseTime = ({value, baseSec}) => {
+  if (value === undefined || value === null || value === "") return undefined;
+  if (typeof value == "number" || /^[0-9.]+$/.test(value)) {
+    return baseSec + Number(value);
+  }
+  const ms = Date.parse(value);
+  if (isNaN(ms)) {
+    throw Error("Bad time: " + value + " (must be seconds from the start of the session or an ISO date)");
+  }
+  return ms / 1000;
+};
+
+class LiveArchive {
+
+  /**
+   * Recording periods of a live session
+   *
+   * @namedParams
+   * @param {Object} recordings - The session's /live_recording/recordings metadata
+   * @return {Array<Object>} - { period, start_time_epoch_sec, end_time_epoch_sec, duration_sec }
+   */
+  static RecordingPeriods({recordings}) {
+    if (!recordings || !recordings.live_offering) {
+      return [];
+    }
+    return recordings.live_offering.map((p, i) => ({
+      period: i,
+      start_time_epoch_sec: p.start_time_epoch_sec,
+      end_time_epoch_sec: p.end_time_epoch_sec,
+      duration_sec: p.end_time_epoch_sec ? p.end_time_epoch_sec - p.start_time_epoch_sec : 0
+    }));
+  }
+
+  /**
+   * Compute the start and end times of the archive
+   *
+   * The start and end can be given as seconds from the start of the session or as
+   * ISO dates.  They default to the start of the first and end of the last recording period.
+   *
+   * @namedParams
+   * @param {Array<Object>} periods - Recording periods (see RecordingPeriods())
+   * @param {string|number} start - Start of the archive (optional)
+   * @param {string|number} end - End of the archive (optional)
+   * @return {Object} - { start_time, end_time } as ISO strings
+   */
+  static TrimTimes({periods, start, end}) {
+    if (periods.length == 0) {
+      throw Error("Session has no recording periods");
+    }
+    const sessionStart = periods[0].start_time_epoch_sec;
+    const sessionEnd = periods[periods.length - 1].end_time_epoch_sec;
+
+    const startSec = ParseTime({value: start, baseSec: sessionStart});
+    const endSec = ParseTime({value: end, baseSec: sessionStart});
+
+    const startTime = startSec === undefined ? sessionStart : startSec;
+    const endTime = endSec === undefined ? sessionEnd : endSec;
+
+    if (startTime < sessionStart || (sessionEnd && endTime > sessionEnd)) {
+      throw Error("Archive times must be within the session (" +
+        new Date(sessionStart * 1000).toISOString() + " - " +
+        (sessionEnd ? new Date(sessionEnd * 1000).toISOString() : "") + ")");
+    }
+    if (endTime && endTime <= startTime) {
+      throw Error("Archive end must be after its start");
+    }
+
+    return {
+      start_time: new Date(startTime * 1000).toISOString(),
+      end_time: endTime ? new Date(endTime * 1000).toISOString() : undefined
+    };
+  }
+
+  /**
+   * Public metadata of the archive object
+   *
+   * @namedParams
+   * @param {string} title - Archive title
+   * @param {Object} source - { object_id, hash, start_time, end_time } of the live session
+   * @return {Object} - The 'public' metadata
+   */
+  static PublicMetadata({title, source}) {
+    return {
+      name: title,
+      asset_metadata: {
+        title,
+        display_title: title,
+        live_archive: source
+      }
+    };
+  }
+}
+
+exports.LiveArchive = LiveArchive;
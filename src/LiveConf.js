@@ -0,0 +1,138 @@
+/*
+ * Live stream configuration (liveconf.json)
+ *
+ * Two formats are supported:
+ *
+ * - Legacy (unversioned) - a map of stream names to objects:
+ *
+ *   {
+ *     "my_stream": { "objectId": "iq__..." }
+ *   }
+ *
+ * - Version 1 - validated against liveconf.schema.json:
+ *
+ *   {
+ *     "version": 1,
+ *     "streams": {
+ *       "my_stream": {
+ *         "objectId": "iq__...",
+ *         "ingest": { "url": "srt://..." },
+ *         "video": { "width": 1920, "height": 1080, "bit_rate": 9500000, "frame_rate": "30000/1001", "time_base": "1/30000" },
+ *         "audio": { "channels": 2, "channel_layout": "stereo", "sample_rate": 48000, "bit_rate": 128000 },
+ *         "ladder": { "video": [ { "height": 1080, "width": 1920, "bit_rate": 9500000 } ] },  (see LiveLadder.js)
+ *         "drm": { "formats": ["hls-clear", "hls-aes128"] },
+ *         "insertion": { "audio_abr_duration": 2.005333, "video_abr_duration": 2.002002 },
+ *         "hooks": [ { "events": ["start", "stop"], "url": "https://...", "secret_env": "LIVE_HOOK_SECRET" } ]  (see LiveHooks.js)
+ *       }
+ *     },
+ *     "channels": {
+ *       "my_channel": { "objectId": "iq__..." }
+ *     }
+ *   }
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const { JsonSchema } = require("./JsonSchema");
+const schema = require("./liveconf.schema.json");
+
+const DEFAULT_CONF_PATH = path.resolve(__dirname, "../liveconf.json");
+
+class LiveConf {
+
+  /**
+   * Parse and validate the text of a liveconf.json file
+   *
+   * Unversioned (legacy) files are only checked for JSON syntax.
+   *
+   * @namedParams
+   * @param {string} text - The file contents
+   * @param {string} definition - Validate against this schema definition (e.g. "ladder")
+   * instead of the whole configuration (optional)
+   * @return {Object} - { conf, errors } where each error is { line, path, message }
+   */
+  static Parse({text, definition}) {
+    let conf;
+    try {
+      conf = JSON.parse(text);
+    } catch (error) {
+      return {conf: null, errors: [JsonSchema.SyntaxError({text, error})]};
+    }
+
+    let node = schema;
+    if (definition) {
+      node = schema.definitions[definition];
+    } else if (JsonSchema.TypeOf(conf) != "object" || conf.version === undefined) {
+      return {conf, errors: []};
+    }
+
+    return {conf, errors: JsonSchema.Validate({value: conf, text, schema, node})};
+  }
+
+  /**
+   * Read and validate a liveconf.json file
+   *
+   * @namedParams
+   * @param {string} file - Path to the configuration file (default: liveconf.json in the package root)
+   * @return {Object} - { conf, errors }
+   */
+  static Read({file = DEFAULT_CONF_PATH} = {}) {
+    const text = fs.readFileSync(file, "utf8");
+    return LiveConf.Parse({text});
+  }
+
+  /**
+   * Format validation errors as 'file:line: path: message'
+   */
+  static FormatErrors({file = DEFAULT_CONF_PATH, errors}) {
+    return JsonSchema.FormatErrors({file, errors});
+  }
+
+  /**
+   * Return the map of stream names to stream configuration
+   * for either configuration format
+   */
+  static Streams({conf}) {
+    if (conf.version === undefined) {
+      return conf;
+    }
+    return conf.streams || {};
+  }
+
+  /**
+   * Look up a stream by name
+   *
+   * @namedParams
+   * @param {Object} conf - Parsed configuration
+   * @param {string} name - Stream name
+   * @return {Object} - Stream configuration (with 'name' set) or null if not found
+   */
+  static Stream({conf, name}) {
+    const stream = LiveConf.Streams({conf})[name];
+    if (stream == null) {
+      return null;
+    }
+    return {name, ...stream};
+  }
+
+  /**
+   * Look up a channel by name (version 1 configurations only)
+   *
+   * @namedParams
+   * @param {Object} conf - Parsed configuration
+   * @param {string} name - Channel name
+   * @return {Object} - Channel configuration (with 'name' set) or null if not found
+   */
+  static Channel({conf, name}) {
+    const channel = (conf.version !== undefined && conf.channels) ? conf.channels[name] : null;
+    if (channel == null) {
+      return null;
+    }
+    return {name, ...channel};
+  }
+}
+
+LiveConf.DEFAULT_CONF_PATH = DEFAULT_CONF_PATH;
+
+exports.LiveConf = LiveConf;
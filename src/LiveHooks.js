@@ -0,0 +1,167 @@
+/*
+ * Stream lifecycle hooks
+ *
+ * Hooks are configured per stream in liveconf.json:
+ *
+ *   "hooks": [
+ *     { "events": ["start", "stop", "stall"], "url": "https://example.com/live", "secret_env": "LIVE_HOOK_SECRET" },
+ *     { "events": ["*"], "command": "/usr/local/bin/on-live-event" }
+ *   ]
+ *
+ * Events: create, start, stop, reset, terminate, insertion, stall ('*' for all).
+ * Each hook has either a 'url' or a 'command' and an optional 'timeout_sec'.
+ *
+ * A URL hook receives the payload as a JSON POST.  If 'secret_env' names an environment
+ * variable, the body is signed with HMAC-SHA256 using its value and the signature is sent
+ * in the X-Elv-Signature header as 'sha256=<hex>'.
+ *
+ * A command hook is run by the shell with the payload on stdin and the event and stream
+ * in the ELV_LIVE_EVENT and ELV_LIVE_STREAM environment variables.
+ *
+ * Payload:
+ *
+ *   { "event": "start", "stream": "my_stream", "object_id": "iq__...", "time": "2023-...", "data": { ... } }
+ */
+
+const crypto = require("crypto");
+const { spawn } = require("child_process");
+const got = require("got");
+
+const EVENTS = ["create", "start", "stop", "reset", "terminate", "insertion", "stall"];
+
+const DEFAULT_TIMEOUT_SEC = 10;
+
+class LiveHooks {
+
+  /**
+   * @namedParams
+   * @param {Array<Object>} hooks - Hook configuration (see above)
+   * @param {number} timeoutSec - Maximum time for a hook to complete (unless the hook sets 'timeout_sec')
+   */
+  constructor({hooks = [], timeoutSec = DEFAULT_TIMEOUT_SEC}) {
+    this.hooks = hooks;
+    this.timeoutSec = timeoutSec;
+  }
+
+  /**
+   * Signature of a payload body - 'sha256=<hex HMAC-SHA256>'
+   */
+  static Sign({body, secret}) {
+    return "sha256=" + crypto.createHmac("sha256", secret).update(body).digest("hex");
+  }
+
+  /**
+   * Run the hooks configured for an event.  Hook failures are reported in the
+   * results and never thrown.
+   *
+   * @namedParams
+   * @param {string} event - Event name (see EVENTS)
+   * @param {string} stream - Stream name
+   * @param {string} objectId - Stream object ID
+   * @param {Object} data - Event data (usually the result of the operation)
+   * @return {Array<Object>} - Results: { hook, ok, error }
+   */
+  async Emit({event, stream, objectId, data = {}}) {
+    const hooks = this.hooks.filter(h => h.events.includes(event) || h.events.includes("*"));
+    if (hooks.length == 0) {
+      return [];
+    }
+
+    const payload = {
+      event,
+      stream,
+      object_id: objectId,
+      time: new Date().toISOString(),
+      data
+    };
+    const body = JSON.stringify(payload);
+
+    let results = [];
+    for (const hook of hooks) {
+      const name = hook.url || hook.command || "";
+      try {
+        const timeoutSec = hook.timeout_sec || this.timeoutSec;
+        if (hook.url) {
+          await this.Post({hook, event, body, timeoutSec});
+        } else if (hook.command) {
+          await this.Run({hook, event, stream, body, timeoutSec});
+        } else {
+          throw Error("hook must have a 'url' or a 'command'");
+        }
+        results.push({hook: name, ok: true});
+      } catch (error) {
+        results.push({hook: name, ok: false, error: error.message || String(error)});
+      }
+    }
+    return results;
+  }
+
+  async Post({hook, event, body, timeoutSec}) {
+    let headers = {
+      "Content-Type": "application/json",
+      "X-Elv-Event": event
+    };
+    if (hook.secret_env) {
+      const secret = process.env[hook.secret_env];
+      if (!secret) {
+        throw Error("hook secret not set (" + hook.secret_env + ")");
+      }
+      headers["X-Elv-Signature"] = LiveHooks.Sign({body, secret});
+    }
+
+    await got.post(hook.url, {
+      headers,
+      body,
+      timeout: timeoutSec * 1000,
+      retry: 0
+    });
+  }
+
+  async Run({hook, event, stream, body, timeoutSec}) {
+    await new Promise((resolve, reject) => {
+      // In a process group of its own so a timeout stops the command and not just the shell
+      const child = spawn(hook.command, {
+        shell: true,
+        detached: true,
+        stdio: ["pipe", "ignore", "pipe"],
+        env: {...process.env, ELV_LIVE_EVENT: event, ELV_LIVE_STREAM: stream}
+      });
+
+      let stderr = "";
+      child.stderr.on("data", (chunk) => {
+        stderr = stderr + chunk;
+      });
+
+      const timer = setTimeout(() => {
+        try {
+          process.kill(-child.pid, "SIGKILL");
+        } catch (error) {
+          // Already exited
+        }
+        reject(Error("hook command timed out after " + timeoutSec + " sec"));
+      }, timeoutSec * 1000);
+
+      child.on("error", (error) => {
+        clearTimeout(timer);
+        reject(error);
+      });
+      child.on("close", (code) => {
+        clearTimeout(timer);
+        if (code == 0) {
+          resolve();
+        } else {
+          reject(Error("hook command exited with code " + code + (stderr ? ": " + stderr.trim() : "")));
+        }
+      });
+
+      // Commands that don't read the payload close stdin early
+      child.stdin.on("error", () => {});
+      child.stdin.end(body);
+    });
+  }
+}
+
+LiveHooks.EVENTS = EVENTS;
+LiveHooks.DEFAULT_TIMEOUT_SEC = DEFAULT_TIMEOUT_SEC;
+
+exports.LiveHooks = LiveHooks;
@@ -0,0 +1,185 @@
+/*
+ * Insertion (ad/slate) schedules for live streams
+ *
+ * A schedule lists the insertions of a stream and is written to the stream's
+ * playout_config.interleaves as a whole.  It can be a CSV file:
+ *
+ *   insertion_time,duration,target_hash
+ *   600,30,hq__...
+ *   00:25:00,60,hq__...
+ *
+ * or a JSON file with an array of objects with the same fields.  Times are seconds
+ * from the start of the stream (or hh:mm:ss[.ffffff]).  'duration' defaults to the
+ * stream's insertion duration in liveconf.json.  Optional 'audio_abr_duration' and
+ * 'video_abr_duration' fields override the stream's values.
+ */
+
+const fs = require("fs");
+const { parse } = require("csv-parse");
+
+const FIELDS = ["insertion_time", "duration", "target_hash", "audio_abr_duration", "video_abr_duration"];
+
+// Seconds, or hh:mm:ss[.ffffff]
+const ParseTime = (value) => {
+  if (typeof value == "number") return value;
+  if (value === undefined || value === null || value === "") return undefined;
+  const parts = String(value).trim().split(":");
+  if (parts.length > 3 || parts.some(p => p === "" || isNaN(Number(p)))) return NaN;
+  return parts.reduce((t, p) => t * 60 + Number(p), 0);
+};
+
+// Round to the 6 decimal precision used by the playout
+const Round = (t) => Math.round(t * 1000000) / 1000000;
+
+class LiveInsertions {
+
+  /**
+   * Read an insertion schedule from a CSV or JSON file
+   *
+   * @namedParams
+   * @param {string} file - Schedule file (.csv or .json)
+   * @return {Array<Object>} - Schedule entries with 'where' set to the location in the file
+   */
+  static async Read({file}) {
+    const text = fs.readFileSync(file, "utf8");
+    if (file.toLowerCase().endsWith(".json")) {
+      let entries = JSON.parse(text);
+      if (!Array.isArray(entries)) {
+        entries = entries.insertions || [];
+      }
+      return entries.map((entry, i) => ({...entry, where: "entry " + i}));
+    }
+
+    const records = await new Promise((resolve, reject) => {
+      parse(text, {
+        columns: true,
+        skip_empty_lines: true,
+        trim: true,
+        comment: "#",
+        info: true
+      }, (error, records) => error ? reject(error) : resolve(records));
+    });
+    return records.map(({record, info}) => ({...record, where: "line " + info.lines}));
+  }
+
+  /**
+   * Validate a schedule and convert it to interleaves
+   *
+   * Checks for bad or missing values, insertion times that are not increasing,
+   * insertions overlapping the previous one and missing target hashes.
+   *
+   * @namedParams
+   * @param {Array<Object>} schedule - Schedule entries (see Read())
+   * @param {Object} insertionConf - Stream insertion settings { duration, audio_abr_duration, video_abr_duration }
+   * @return {Object} - { interleaves, errors }
+   */
+  static Validate({schedule, insertionConf}) {
+    let errors = [];
+    let interleaves = [];
+    let previous = null;
+
+    for (const entry of schedule) {
+      const where = entry.where ? entry.where + ": " : "";
+      const fail = (message) => errors.push(where + message);
+
+      for (const key of Object.keys(entry)) {
+        if (key != "where" && key != "label" && !FIELDS.includes(key)) {
+          fail("unknown field '" + key + "'");
+        }
+      }
+
+      const insertionTime = ParseTime(entry.insertion_time);
+      let duration = ParseTime(entry.duration);
+      if (duration === undefined) {
+        duration = insertionConf.duration;
+      }
+      const targetHash = entry.target_hash ? String(entry.target_hash).trim() : "";
+
+      if (insertionTime === undefined || isNaN(insertionTime) || insertionTime < 0) {
+        fail("bad insertion_time '" + entry.insertion_time + "'");
+        continue;
+      }
+      if (duration === undefined || isNaN(duration) || duration <= 0) {
+        fail("bad duration '" + (entry.duration === undefined ? "" : entry.duration) + "'");
+        continue;
+      }
+      if (targetHash == "") {
+        fail("missing target_hash");
+      } else if (!targetHash.startsWith("hq__")) {
+        fail("bad target_hash '" + targetHash + "' (must be a version hash)");
+      }
+
+      if (previous) {
+        if (insertionTime <= previous.insertion_time) {
+          fail("insertion_time " + insertionTime + " is not after the previous insertion (" +
+            previous.insertion_time + ")");
+        } else if (insertionTime < previous.insertion_time + previous.duration) {
+          fail("insertion at " + insertionTime + " overlaps the previous insertion (" +
+            previous.insertion_time + " - " + Round(previous.insertion_time + previous.duration) + ")");
+        }
+      }
+
+      const interleave = {
+        insertion_time: Round(insertionTime),
+        duration: Round(duration),
+        audio_abr_duration: Number(entry.audio_abr_duration || insertionConf.audio_abr_duration),
+        video_abr_duration: Number(entry.video_abr_duration || insertionConf.video_abr_duration),
+        playout: LiveInsertions.Playout({targetHash})
+      };
+      interleaves.push(interleave);
+      previous = interleave;
+    }
+
+    return {interleaves, errors};
+  }
+
+  /**
+   * The playout path of an insertion target
+   */
+  static Playout({targetHash}) {
+    return "/qfab/" + targetHash + "/rep/playout";  // TO FIX - should be a link
+  }
+
+  /**
+   * The target hash of an interleave (from its playout path)
+   */
+  static TargetHash({interleave}) {
+    const match = /^\/qfab\/([^/]+)\//.exec(interleave.playout || "");
+    return match ? match[1] : "";
+  }
+
+  /**
+   * Compare two lists of interleaves, matching insertions by insertion time
+   *
+   * @namedParams
+   * @param {Array<Object>} current - Current interleaves
+   * @param {Array<Object>} next - New interleaves
+   * @return {Object} - { added, removed, changed, unchanged } - changed entries are { from, to }
+   */
+  static Diff({current, next}) {
+    const byTime = (list) => new Map(list.map(i => [Round(i.insertion_time), i]));
+    const currentByTime = byTime(current);
+    const nextByTime = byTime(next);
+
+    let diff = {added: [], removed: [], changed: [], unchanged: []};
+    for (const [time, to] of nextByTime) {
+      const from = currentByTime.get(time);
+      if (!from) {
+        diff.added.push(to);
+      } else if (from.duration != to.duration || from.playout != to.playout ||
+        from.audio_abr_duration != to.audio_abr_duration || from.video_abr_duration != to.video_abr_duration) {
+        diff.changed.push({from, to});
+      } else {
+        diff.unchanged.push(to);
+      }
+    }
+    for (const [time, from] of currentByTime) {
+      if (!nextByTime.has(time)) {
+        diff.removed.push(from);
+      }
+    }
+    return diff;
+  }
+}
+
+exports.LiveInsertions = LiveInsertions;
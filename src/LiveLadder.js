@@ -0,0 +1,246 @@
+/*
+ * ABR ladder definitions for live stream offerings
+ *
+ * A ladder describes the video renditions and the audio tracks of the offering:
+ *
+ *   {
+ *     "tier": "1080p",
+ *     "video": [
+ *       { "height": 1080, "width": 1920, "bit_rate": 9500000 },
+ *       { "height": 720, "width": 1280, "bit_rate": 4500000 }
+ *     ],
+ *     "audio": [
+ *       { "stream_index": 1, "channels": 2, "bit_rate": 128000, "language": "en", "label": "English" },
+ *       { "stream_index": 2, "channels": 6, "bit_rate": 384000, "language": "es", "label": "Spanish" }
+ *     ]
+ *   }
+ *
+ * The video renditions are either listed explicitly in 'video' or taken from one
+ * of the predefined tiers ('720p', '1080p', '4k').  'video' takes precedence over 'tier'.
+ * Each audio track is a separate stream in the source feed.
+ */
+
+const fs = require("fs");
+const Fraction = require("fraction.js");
+
+const { LiveConf } = require("./LiveConf");
+
+// Video rendition heights and bit rates - widths are computed from the source aspect ratio
+const TIERS = {
+  "720p": [
+    {height: 720, bit_rate: 4500000},
+    {height: 540, bit_rate: 2000000},
+    {height: 432, bit_rate: 1100000},
+    {height: 360, bit_rate: 810000}
+  ],
+  "1080p": [
+    {height: 1080, bit_rate: 9500000},
+    {height: 720, bit_rate: 4500000},
+    {height: 540, bit_rate: 2000000},
+    {height: 432, bit_rate: 1100000},
+    {height: 360, bit_rate: 810000}
+  ],
+  "4k": [
+    {height: 2160, bit_rate: 20000000},
+    {height: 1440, bit_rate: 12000000},
+    {height: 1080, bit_rate: 9500000},
+    {height: 720, bit_rate: 4500000},
+    {height: 540, bit_rate: 2000000},
+    {height: 360, bit_rate: 810000}
+  ]
+};
+
+const CHANNEL_LAYOUTS = {
+  1: "mono",
+  2: "stereo",
+  6: "5.1",
+  8: "7.1"
+};
+
+class LiveLadder {
+
+  /**
+   * Read and validate a ladder definition file (same format as 'ladder' in liveconf.json)
+   *
+   * @namedParams
+   * @param {string} file - Path to the ladder file
+   * @return {Object} - { ladder, errors } - see LiveConf.Parse()
+   */
+  static Read({file}) {
+    const text = fs.readFileSync(file, "utf8");
+    const { conf, errors } = LiveConf.Parse({text, definition: "ladder"});
+    return {ladder: conf, errors};
+  }
+
+  /**
+   * Ladder for a tier name, or the contents of a ladder file
+   *
+   * @namedParams
+   * @param {string} spec - Tier name ('720p', '1080p', '4k') or path to a ladder file
+   * @return {Object} - The ladder definition
+   */
+  static Load({spec}) {
+    if (TIERS[spec]) {
+      return {tier: spec};
+    }
+    const { ladder, errors } = LiveLadder.Read({file: spec});
+    if (errors.length > 0) {
+      throw Error("Invalid ladder\n" + LiveConf.FormatErrors({file: spec, errors}).join("\n"));
+    }
+    return ladder;
+  }
+
+  /**
+   * Compute the video renditions, highest first
+   *
+   * Renditions taller than the source are dropped (with a warning) since
+   * they would only upscale the source.
+   *
+   * @namedParams
+   * @param {Object} ladder - The ladder definition
+   * @param {string} aspectRatio - Source display aspect ratio, e.g. "16/9"
+   * @param {number} sourceHeight - Source video height (optional)
+   * @return {Object} - { rungs, warnings } - rungs is an array of { height, width, bit_rate }
+   */
+  static VideoRungs({ladder, aspectRatio, sourceHeight}) {
+    let warnings = [];
+    let rungs;
+
+    if (ladder.video && ladder.video.length > 0) {
+      rungs = ladder.video.map(r => ({height: r.height, width: r.width, bit_rate: r.bit_rate}));
+    } else if (ladder.tier) {
+      const tier = TIERS[ladder.tier];
+      if (!tier) {
+        throw Error("Bad ladder tier: " + ladder.tier +
+          " (must be one of: " + Object.keys(TIERS).join(", ") + ")");
+      }
+      const ar = Fraction(aspectRatio);
+      rungs = tier.map(r => ({
+        height: r.height,
+        // Round to an even number of pixels
+        width: Math.round(ar.mul(r.height).valueOf() / 2) * 2,
+        bit_rate: r.bit_rate
+      }));
+    } else {
+      return {rungs: [], warnings};
+    }
+
+    rungs.sort((a, b) => b.height - a.height || b.bit_rate - a.bit_rate);
+
+    if (sourceHeight) {
+      const dropped = rungs.filter(r => r.height > sourceHeight);
+      if (dropped.length > 0) {
+        warnings.push("Dropping renditions taller than the source (" + sourceHeight + "): " +
+          dropped.map(r => r.height + "@" + r.bit_rate).join(", "));
+        rungs = rungs.filter(r => r.height <= sourceHeight);
+      }
+    }
+
+    if (rungs.length == 0) {
+      throw Error("Ladder has no usable video renditions");
+    }
+
+    return {rungs, warnings};
+  }
+
+  /**
+   * Compute the audio tracks, filling in unspecified values from the probed source
+   * streams and the source audio parameters.  Without 'audio' in the ladder there is
+   * a single track described by 'audio', not marked as the default (as before ladders).
+   * With 'audio', the first track is the default unless the tracks say otherwise.
+   *
+   * @namedParams
+   * @param {Object} ladder - The ladder definition
+   * @param {Object} audio - Source audio parameters (bit_rate, channels, sample_rate, stream_index, ...)
+   * @param {Array<Object>} sourceAudio - Probed source audio streams (optional - see LiveProbe)
+   * @return {Array<Object>} - Array of audio tracks
+   */
+  static AudioTracks({ladder, audio, sourceAudio = []}) {
+    const configured = !!ladder.audio && ladder.audio.length > 0;
+    const tracks = configured ? ladder.audio : [{}];
+
+    return tracks.map((t, i) => {
+      let streamIndex = t.stream_index;
+      if (streamIndex === undefined) {
+        // Additional tracks default to the source audio streams following the first one
+        streamIndex = sourceAudio[i] ? sourceAudio[i].stream_index : audio.stream_index + i;
+      }
+      const source = sourceAudio.find(s => s.stream_index == streamIndex) || {};
+
+      const track = {
+        ...audio,
+        language: "",
+        label: "",
+        default: configured && i == 0,
+        ...source,
+        ...t,
+        stream_index: streamIndex
+      };
+      if (t.channels && !t.channel_layout && t.channels != source.channels) {
+        track.channel_layout = CHANNEL_LAYOUTS[t.channels] || "";
+      }
+      if (!t.time_base && !source.time_base && (t.sample_rate || !track.time_base)) {
+        track.time_base = "1/" + track.sample_rate;
+      }
+      return track;
+    });
+  }
+
+  /**
+   * Make an ABR profile for the ladder.  The ladder specs for the source aspect ratio
+   * and for each audio channel count are replaced; all other settings are kept.
+   * Pass no 'videoRungs' or 'audioTracks' to keep the base profile's ladders.
+   *
+   * @namedParams
+   * @param {Object} abrProfile - Base ABR profile (not modified)
+   * @param {Array<Object>} videoRungs - See VideoRungs()
+   * @param {Array<Object>} audioTracks - See AudioTracks()
+   * @param {string} aspectRatio - Source display aspect ratio, e.g. "16/9"
+   * @return {Object} - The new ABR profile
+   */
+  static AbrProfile({abrProfile, videoRungs, audioTracks, aspectRatio}) {
+    const profile = JSON.parse(JSON.stringify(abrProfile));
+
+    if (videoRungs && videoRungs.length > 0) {
+      const ar = Fraction(aspectRatio);
+      const key = JSON.stringify({
+        media_type: "video",
+        aspect_ratio_height: ar.d,
+        aspect_ratio_width: ar.n
+      });
+      profile.ladder_specs[key] = {
+        rung_specs: videoRungs.map((rung, i) => ({
+          bit_rate: rung.bit_rate,
+          height: rung.height,
+          media_type: "video",
+          pregenerate: i == 0,
+          width: rung.width
+        }))
+      };
+    }
+
+    // Tracks with the same channel count share a ladder - use the highest bit rate
+    const audioBitRates = {};
+    for (const track of audioTracks || []) {
+      audioBitRates[track.channels] = Math.max(audioBitRates[track.channels] || 0, track.bit_rate);
+    }
+    for (const [channels, bitRate] of Object.entries(audioBitRates)) {
+      const key = JSON.stringify({media_type: "audio", channels: Number(channels)});
+      profile.ladder_specs[key] = {
+        rung_specs: [
+          {
+            bit_rate: bitRate,
+            media_type: "audio",
+            pregenerate: true
+          }
+        ]
+      };
+    }
+
+    return profile;
+  }
+}
+
+LiveLadder.TIERS = TIERS;
+
+exports.LiveLadder = LiveLadder;
@@ -66,38 +66,56 @@ const GenerateOffering = async ({
   aTimeBase,
   // audio info - string containing channel layout, e.g. "stereo"
   aChannelLayout,
+  // multiple audio tracks (optional, replaces the single audio track above) - array of
+  // {bit_rate, channels, channel_layout, sample_rate, stream_index, time_base, language, label, default}
+  audioTracks,
   // video info - integers
   vBitRate, vHeight, vStreamIndex, vWidth,
   // video info - strings containing either integers or fractions, e.g. "16/9", "30", "1/30000"
-  vDisplayAspectRatio, vFrameRate, vTimeBase
+  vDisplayAspectRatio, vFrameRate, vTimeBase,
+  // video info - codec name (optional), e.g. "h264", "hevc"
+  vCodecName = "h264"
 }) => {
 
+  if (!audioTracks) {
+    audioTracks = [{
+      bit_rate: aBitRate,
+      channels: aChannels,
+      channel_layout: aChannelLayout,
+      sample_rate: aSampleRate,
+      stream_index: aStreamIndex,
+      time_base: aTimeBase,
+      language: "",
+      label: "",
+      default: false
+    }];
+  }
+
   // compute duration_ts
-  const aDurationTs = Fraction(aTimeBase).inverse().mul(DUMMY_DURATION).valueOf();
   const vDurationTs = Fraction(vTimeBase).inverse().mul(DUMMY_DURATION).valueOf();
 
   // construct /production_master/sources/STREAM_URL/streams
 
-  const sourceAudioStream = {
-    "bit_rate": aBitRate,
-    "channel_layout": aChannelLayout,
-    "channels": aChannels,
-    "codec_name": "aac",
+  const sourceAudioStream = (track) => ({
+    "bit_rate": track.bit_rate,
+    "channel_layout": track.channel_layout,
+    "channels": track.channels,
+    "codec_name": track.codec_name || "aac",
     "duration": DUMMY_DURATION,
-    "duration_ts": aDurationTs,
+    "duration_ts": Fraction(track.time_base).inverse().mul(DUMMY_DURATION).valueOf(),
     "frame_count": 0,
-    "language": "",
-    "max_bit_rate": aBitRate,
-    "sample_rate": aSampleRate,
+    "language": track.language || "",
+    "max_bit_rate": track.bit_rate,
+    "sample_rate": track.sample_rate,
     "start_pts": 0,
     "start_time": 0,
-    "time_base": aTimeBase,
+    "time_base": track.time_base,
     "type": "StreamAudio"
-  };
+  });
 
   const sourceVideoStream = {
     "bit_rate": vBitRate,
-    "codec_name": "h264",
+    "codec_name": vCodecName,
     "display_aspect_ratio": vDisplayAspectRatio,
     "duration": DUMMY_DURATION,
     "duration_ts": vDurationTs,
@@ -116,7 +134,7 @@ const GenerateOffering = async ({
     "width": vWidth
   };
 
-  // placeholder stream to use if [aStreamIndex, vStreamIndex].sort() is not [0,1]
+  // placeholder stream to use for stream indexes not used by audio or video
   const DUMMY_STREAM = {
     "bit_rate": 0,
     "codec_name": "",
@@ -132,11 +150,12 @@ const GenerateOffering = async ({
   };
 
   const sourceStreams = [];
-  const maxStreamIndex = Math.max(aStreamIndex, vStreamIndex);
+  const maxStreamIndex = Math.max(vStreamIndex, ...audioTracks.map(t => t.stream_index));
 
   for (let i = 0; i <= maxStreamIndex; i++) {
-    if (i === aStreamIndex) {
-      sourceStreams.push(sourceAudioStream);
+    const track = audioTracks.find(t => t.stream_index === i);
+    if (track) {
+      sourceStreams.push(sourceAudioStream(track));
     } else if (i === vStreamIndex) {
       sourceStreams.push(sourceVideoStream);
     } else {
@@ -158,34 +177,38 @@ const GenerateOffering = async ({
   };
 
   // construct /production_master/variants
-  const variants = {
-    "default": {
-      "streams": {
-        "audio": {
-          "default_for_media_type": false,
-          "label": "",
-          "language": "",
-          "mapping_info": "",
-          "sources": [
-            {
-              "files_api_path": streamUrl,
-              "stream_index": aStreamIndex
-            }
-          ]
-        },
-        "video": {
-          "default_for_media_type": false,
-          "label": "",
-          "language": "",
-          "mapping_info": "",
-          "sources": [
-            {
-              "files_api_path": streamUrl,
-              "stream_index": vStreamIndex
-            }
-          ]
+  // The first audio track is "audio", additional tracks are "audio_2", "audio_3", ...
+  const variantStreams = {};
+  audioTracks.forEach((track, i) => {
+    variantStreams[i == 0 ? "audio" : "audio_" + (i + 1)] = {
+      "default_for_media_type": !!track.default,
+      "label": track.label || "",
+      "language": track.language || "",
+      "mapping_info": "",
+      "sources": [
+        {
+          "files_api_path": streamUrl,
+          "stream_index": track.stream_index
         }
+      ]
+    };
+  });
+  variantStreams["video"] = {
+    "default_for_media_type": false,
+    "label": "",
+    "language": "",
+    "mapping_info": "",
+    "sources": [
+      {
+        "files_api_path": streamUrl,
+        "stream_index": vStreamIndex
       }
+    ]
+  };
+
+  const variants = {
+    "default": {
+      "streams": variantStreams
     }
   };
 
@@ -0,0 +1,152 @@
+/*
+ * Source stream probing
+ *
+ * Runs ffprobe (or a compatible command) locally against the live source URL or a
+ * sample file of the feed and extracts the parameters needed to build the offering.
+ */
+
+const fs = require("fs");
+const { promisify } = require("util");
+const execFile = promisify(require("child_process").execFile);
+const Fraction = require("fraction.js");
+
+const DEFAULT_PROBE_COMMAND = "ffprobe";
+const DEFAULT_PROBE_TIMEOUT_SEC = 30;
+
+// ffprobe reports ratios as '16:9' and unknown ones as '0:1' or '0/0'
+const Ratio = (value) => {
+  if (!value) return undefined;
+  const [n, d] = value.split(/[:/]/).map(Number);
+  if (!n || !d) return undefined;
+  return Fraction(n, d).toFraction();
+};
+
+const BitRate = (stream) => {
+  const bitRate = Number(stream.bit_rate || (stream.tags && stream.tags.BPS));
+  return bitRate > 0 ? bitRate : undefined;
+};
+
+// Drop undefined values so they don't override defaults when merged
+const Defined = (obj) => {
+  return Object.fromEntries(Object.entries(obj).filter(([, v]) => v !== undefined));
+};
+
+class LiveProbe {
+
+  /**
+   * Probe a source
+   *
+   * @namedParams
+   * @param {string} source - Source URL or local file.  A '.json' file is read as saved probe output.
+   * @param {string} command - Probe command (default: ffprobe) - must accept ffprobe arguments
+   * @param {number} timeoutSec - Give up after this many seconds
+   * @return {Object} - The raw probe output ({ streams, format })
+   */
+  static async Run({source, command = DEFAULT_PROBE_COMMAND, timeoutSec = DEFAULT_PROBE_TIMEOUT_SEC}) {
+    if (source.endsWith(".json") && fs.existsSync(source)) {
+      return JSON.parse(fs.readFileSync(source, "utf8"));
+    }
+
+    const { stdout } = await execFile(command, [
+      "-v", "error",
+      "-print_format", "json",
+      "-show_streams",
+      "-show_format",
+      source
+    ], {timeout: timeoutSec * 1000, maxBuffer: 16 * 1024 * 1024});
+
+    return JSON.parse(stdout);
+  }
+
+  /**
+   * Extract the video and audio parameters from probe output.  Values that are
+   * not reported by the probe are left out.
+   *
+   * @namedParams
+   * @param {Object} probe - Probe output (see Run())
+   * @return {Object} - { video, audio } - video is the first video stream (or null),
+   * audio is the array of audio streams, in the liveconf.json format (plus codec_name)
+   */
+  static Parse({probe}) {
+    let video = null;
+    let audio = [];
+
+    for (const stream of probe.streams || []) {
+      if (stream.codec_type == "video" && !video) {
+        const width = stream.width;
+        const height = stream.height;
+        video = Defined({
+          codec_name: stream.codec_name,
+          stream_index: stream.index,
+          width,
+          height,
+          bit_rate: BitRate(stream),
+          frame_rate: Ratio(stream.r_frame_rate) || Ratio(stream.avg_frame_rate),
+          time_base: Ratio(stream.time_base),
+          display_aspect_ratio: Ratio(stream.display_aspect_ratio) ||
+            (width && height ? Fraction(width, height).toFraction() : undefined)
+        });
+      } else if (stream.codec_type == "audio") {
+        audio.push(Defined({
+          codec_name: stream.codec_name,
+          stream_index: stream.index,
+          bit_rate: BitRate(stream),
+          channels: stream.channels,
+          channel_layout: stream.channel_layout,
+          sample_rate: stream.sample_rate ? Number(stream.sample_rate) : undefined,
+          time_base: Ratio(stream.time_base),
+          language: stream.tags && stream.tags.language
+        }));
+      }
+    }
+
+    return {video, audio};
+  }
+
+  /**
+   * Check the probed source against the ladder
+   *
+   * @namedParams
+   * @param {Object} source - Probed source (see Parse())
+   * @param {Object} ladder - Ladder definition (see LiveLadder)
+   * @return {Array<string>} - Errors (empty if the source matches)
+   */
+  static Check({source, ladder}) {
+    let errors = [];
+
+    if (!source.video) {
+      errors.push("no video stream in source");
+    } else if (ladder.video) {
+      for (const rung of ladder.video) {
+        if (rung.height > source.video.height) {
+          errors.push("video rendition " + rung.width + "x" + rung.height +
+            " exceeds source resolution " + source.video.width + "x" + source.video.height);
+        }
+      }
+    }
+
+    if (source.audio.length == 0) {
+      errors.push("no audio stream in source");
+    }
+
+    (ladder.audio || []).forEach((track, i) => {
+      if (track.stream_index === undefined) {
+        return;
+      }
+      const stream = source.audio.find(s => s.stream_index == track.stream_index);
+      if (!stream) {
+        errors.push("audio track " + i + ": source stream " + track.stream_index + " is not an audio stream");
+      } else if (track.channels && stream.channels && track.channels != stream.channels) {
+        errors.push("audio track " + i + ": expected " + track.channels + " channels, source stream " +
+          track.stream_index + " has " + stream.channels);
+      }
+    });
+
+    return errors;
+  }
+}
+
+LiveProbe.DEFAULT_PROBE_COMMAND = DEFAULT_PROBE_COMMAND;
+LiveProbe.DEFAULT_PROBE_TIMEOUT_SEC = DEFAULT_PROBE_TIMEOUT_SEC;
+
+exports.LiveProbe = LiveProbe;
@@ -3,13 +3,92 @@
  */
 
 const { ElvClient } = require("@eluvio/elv-client-js");
+const { LiveConf } = require("./LiveConf");
+const { LiveLadder } = require("./LiveLadder");
+const { LiveProbe } = require("./LiveProbe");
+const { LiveInsertions } = require("./LiveInsertions");
+const { LiveArchive } = require("./LiveArchive");
+const { PlayoutProbe } = require("./PlayoutProbe");
+const { LiveHooks } = require("./LiveHooks");
+const { StreamSummary } = require("./StreamSummary");
+const { ChannelCheck } = require("./ChannelCheck");
 
-const fs = require("fs");
-const path = require("path");
 const got = require("got");
 
 const PRINT_DEBUG = false;
 
+// Source stream parameters used when liveconf.json does not describe the stream
+const DEFAULT_VIDEO = {
+  bit_rate: 14000000,
+  height: 720,
+  width: 1280,
+  stream_index: 0,
+  display_aspect_ratio: "16/9",
+  frame_rate: "30000/1001",
+  time_base: "1/30000"
+};
+
+const DEFAULT_AUDIO = {
+  bit_rate: 128000,
+  channels: 2,
+  sample_rate: 48000,
+  stream_index: 1,
+  channel_layout: "stereo"
+};
+
+const DEFAULT_SUMMARY_CONCURRENCY = StreamSummary.DEFAULT_CONCURRENCY;
+
+const DEFAULT_INSERTION = {
+  audio_abr_duration: 2.005333,
+  video_abr_duration: 2.002002
+};
+
+/*
+ * Restrict the ABR profile's playout formats to the requested ones (comma-separated,
+ * e.g. "hls-clear,hls-aes128").  Without formats, playout is either DRM protected
+ * (all the profile's formats) or clear.
+ */
+const SetPlayoutFormats = ({abrProfile, drm, format}) => {
+  let playoutFormats = abrProfile.playout_formats;
+  if (format) {
+    playoutFormats = {};
+    let formats = format.split(",");
+    for (let i = 0; i < formats.length; i++) {
+      if (formats[i] == "hls-clear") {
+        abrProfile.drm_optional = true;
+        playoutFormats["hls-clear"] = {
+          "drm": null,
+          "protocol": {
+            "type": "ProtoHls"
+          }
+        };
+        continue;
+      }
+      playoutFormats[formats[i]] = abrProfile.playout_formats[formats[i]];
+    }
+  } else if (!drm) {
+    abrProfile.drm_optional = true;
+    playoutFormats = {
+      "hls-clear": {
+        "drm": null,
+        "protocol": {
+          "type": "ProtoHls"
+        }
+      }
+    };
+  }
+
+  abrProfile.playout_formats = playoutFormats;
+};
+
+// Insertion (interleave) as shown by the insertion commands
+const InsertionSummary = (interleave) => ({
+  insertion_time: interleave.insertion_time,
+  end_time: Math.round((interleave.insertion_time + interleave.duration) * 1000000) / 1000000,
+  duration: interleave.duration,
+  target_hash: LiveInsertions.TargetHash({interleave})
+});
+
 const MakeTxLessToken = async({client, libraryId, objectId, versionHash}) => {
   tok = await client.authClient.AuthorizationToken({libraryId, objectId,
 						    versionHash, channelAuth: false, noCache: true,
@@ -204,6 +283,7 @@ class EluvioLiveStream {
   */
   async StreamCreate ({name, start = false, show_curl = false}) {
 
+    let conf = await this.LoadConf({name});
     let status = await this.Status({name});
     if (status.state != "inactive" && status.state != "terminated") {
       return {
@@ -251,21 +331,34 @@ class EluvioLiveStream {
     });
     let writeToken = response.write_token;
 
+    let liveRecordingMeta = {
+      status: {
+        edge_write_token: edgeToken,
+        state: "active"  // indicates there is an active session (set to 'closed' when done)
+      },
+      fabric_config: {
+        edge_write_token: edgeToken
+      }
+    };
+
+    // Apply the ingest URL from liveconf.json
+    if (conf.ingest && conf.ingest.url &&
+      conf.ingest.url != liveRecording.recording_config.recording_params.origin_url) {
+      console.log("Ingest URL:", conf.ingest.url);
+      liveRecordingMeta.recording_config = {
+        recording_params: {
+          origin_url: conf.ingest.url
+        }
+      };
+    }
+
     if (PRINT_DEBUG) console.log("MergeMetadata", libraryId, objectId, writeToken);
     await this.client.MergeMetadata({
       libraryId: libraryId,
       objectId: objectId,
       writeToken: writeToken,
       metadata: {
-        live_recording: {
-          status: {
-            edge_write_token: edgeToken,
-            state: "active"  // indicates there is an active session (set to 'closed' when done)
-          },
-          fabric_config: {
-            edge_write_token: edgeToken
-          }
-        }
+        live_recording: liveRecordingMeta
       }
     });
 
@@ -324,8 +417,10 @@ class EluvioLiveStream {
       fabric_api: fabURI,
       state: "stopped"
     };
+    await this.Hook({name, event: "create", data: status});
+
     if (start) {
-      status = this.StartOrStopOrReset({name, op: start});
+      status = await this.StartOrStopOrReset({name, op: "start"});
     }
     return status;
   }
@@ -346,6 +441,7 @@ class EluvioLiveStream {
 
       console.log("Stream ", op, ": ", name);
       let status = await this.Status({name});
+      let stopped = false;
       if (status.state != "terminated" && status.state != "inactive") {
         if (op == "start") {
           return status;
@@ -377,9 +473,13 @@ class EluvioLiveStream {
           console.log("Failed to terminate");
           return status;
         }
+        stopped = true;
       }
 
       if (op == "stop") {
+        if (stopped) {
+          await this.Hook({name, event: "stop", data: status});
+        }
         return status;
       }
 
@@ -409,6 +509,7 @@ class EluvioLiveStream {
       }
 
       console.log("Status after restart - ", status.state);
+      await this.Hook({name, event: op, data: status});
       return status;
 
     } catch (error) {
@@ -510,26 +611,214 @@ class EluvioLiveStream {
         metadata: edgeMeta
       });
 
-      await this.client.FinalizeContentObject({
+      let response = await this.client.FinalizeContentObject({
         libraryId,
         objectId,
         writeToken: edgeWriteToken,
         commitMessage: "Finalize live stream - stop time " + edgeMeta.recording_stop_time,
-        publish: false // Don't publish this version because it is not currently useful
+        publish: false // Not published - the session version is only used to make an archive (see Archive())
       });
 
-      return {
+      const res = {
         name: name,
         edge_write_token: edgeWriteToken,
+        hash: response.hash,
         state: "terminated"
       };
+      await this.Hook({name, event: "terminate", data: res});
+      return res;
 
     } catch (error) {
       console.error(error);
     }
   }
 
-  async Initialize({name, drm=false, format}) {
+  /*
+   * Find the most recent terminated session of the stream - the unpublished version
+   * finalized by StopSession()
+   */
+  async TerminatedSession({libraryId, objectId, maxVersions = 20}) {
+
+    let response = await this.client.ContentObjectVersions({libraryId, objectId});
+    let versions = (response.versions || response).slice(0, maxVersions);
+
+    for (const version of versions) {
+      let status = await this.client.ContentObjectMetadata({
+        libraryId,
+        objectId,
+        versionHash: version.hash,
+        metadataSubtree: "/live_recording/status"
+      });
+      if (status && status.state == "terminated") {
+        return version.hash;
+      }
+    }
+    return null;
+  }
+
+  /*
+   * Make a VOD content object from the recording of a terminated live stream session
+   *
+   * The archive has its own playout offering and title metadata.  The start and end
+   * can be seconds from the start of the session or ISO dates (see LiveArchive).
+   * Returns the new object's ID and version hash.
+   */
+  async Archive({name, sessionHash, title, libraryId, start, end, drm = false, format}) {
+
+    let conf = await this.LoadConf({name});
+    let objectId = conf.objectId;
+    let liveLibraryId = await this.client.ContentObjectLibraryId({objectId});
+
+    if (!sessionHash) {
+      let edgeWriteToken = await this.client.ContentObjectMetadata({
+        libraryId: liveLibraryId,
+        objectId,
+        metadataSubtree: "/live_recording/fabric_config/edge_write_token"
+      });
+      if (edgeWriteToken) {
+        return {
+          name,
+          edge_write_token: edgeWriteToken,
+          error: "stream session still open - must terminate first (or specify the session hash)"
+        };
+      }
+
+      sessionHash = await this.TerminatedSession({libraryId: liveLibraryId, objectId});
+      if (!sessionHash) {
+        return {
+          name,
+          error: "no terminated session found"
+        };
+      }
+    }
+    console.log("ARCHIVE: ", name, sessionHash);
+
+    let recordings = await this.client.ContentObjectMetadata({
+      libraryId: liveLibraryId,
+      objectId,
+      versionHash: sessionHash,
+      metadataSubtree: "/live_recording/recordings"
+    });
+    const periods = LiveArchive.RecordingPeriods({recordings});
+    const {start_time, end_time} = LiveArchive.TrimTimes({periods, start, end});
+    console.log("Archive times:", start_time, "-", end_time);
+
+    // Content type of the archive
+    const contentTypes = await this.client.ContentTypes();
+    let typeTitle;
+    for (const type of Object.values(contentTypes)) {
+      if (type.name.includes("Title")) {
+        typeTitle = type.hash;
+        break;
+      }
+      if (type.name.includes("ABR Master")) {
+        typeTitle = type.hash;
+      }
+    }
+
+    libraryId = libraryId || liveLibraryId;
+    title = title || (conf.name + " " + start_time);
+
+    let response = await this.client.CreateContentObject({
+      libraryId,
+      options: typeTitle ? {type: typeTitle} : {}
+    });
+    const archiveId = response.id;
+    const writeToken = response.write_token;
+    console.log("Archive object:", archiveId, "write token:", writeToken);
+
+    await this.client.MergeMetadata({
+      libraryId,
+      objectId: archiveId,
+      writeToken,
+      metadata: {
+        public: LiveArchive.PublicMetadata({
+          title,
+          source: {object_id: objectId, hash: sessionHash, start_time, end_time}
+        })
+      }
+    });
+
+    const abrProfile = JSON.parse(JSON.stringify(require("./abr_profile_live_drm.json")));
+    SetPlayoutFormats({abrProfile, drm, format});
+
+    console.log("Live to VOD - init");
+    await this.client.CallBitcodeMethod({
+      libraryId,
+      objectId: archiveId,
+      writeToken,
+      method: "/media/live_to_vod/init",
+      body: {
+        live_qhash: sessionHash,
+        start_time,
+        end_time,
+        variant_key: "default"
+      },
+      constant: false
+    });
+
+    console.log("Live to VOD - offering");
+    await this.client.CallBitcodeMethod({
+      libraryId,
+      objectId: archiveId,
+      writeToken,
+      method: "/media/abr_mezzanine/init",
+      body: {
+        abr_profile: abrProfile,
+        offering_key: "default",
+        prod_master_hash: writeToken,
+        variant_key: "default",
+        keep_other_streams: false
+      },
+      constant: false
+    });
+
+    console.log("Live to VOD - copy");
+    await this.client.CallBitcodeMethod({
+      libraryId,
+      objectId: archiveId,
+      writeToken,
+      method: "/media/live_to_vod/copy",
+      body: {
+        variant_key: "default",
+        offering_key: "default"
+      },
+      constant: false
+    });
+
+    await this.client.CallBitcodeMethod({
+      libraryId,
+      objectId: archiveId,
+      writeToken,
+      method: "/media/abr_mezzanine/offerings/default/finalize",
+      body: {
+        offering_key: "default"
+      },
+      constant: false
+    });
+
+    response = await this.client.FinalizeContentObject({
+      libraryId,
+      objectId: archiveId,
+      writeToken,
+      commitMessage: "Archive of live stream " + objectId + " session " + sessionHash
+    });
+
+    return {
+      name,
+      session_hash: sessionHash,
+      archive: {
+        title,
+        library_id: libraryId,
+        object_id: archiveId,
+        hash: response.hash,
+        start_time,
+        end_time
+      }
+    };
+  }
+
+  async Initialize({name, drm=false, format, ladder, probe}) {
 
     const contentTypes = await this.client.ContentTypes();
 
@@ -549,11 +838,18 @@ class EluvioLiveStream {
       console.log("ERROR - unable to find content types", "ABR Master", typeAbrMaster, "Live Stream", typeLiveStream);
       return {};
     }
-    let res = await this.SetOfferingAndDRM({name, typeAbrMaster, typeLiveStream, drm, format});
+    let res = await this.SetOfferingAndDRM({name, typeAbrMaster, typeLiveStream, drm, format, ladder, probe});
     return res;
   }
 
-  async SetOfferingAndDRM({name, typeAbrMaster, typeLiveStream, drm=false, format}) {
+  /*
+  * Set up the offering (production master, ABR profile and DRM) for the stream object
+  *
+  * The source parameters come from the probe (if requested), liveconf.json and the defaults,
+  * in that order.  The 'probe' parameter is an object { source, command } - source defaults
+  * to the stream's ingest URL.
+  */
+  async SetOfferingAndDRM({name, typeAbrMaster, typeLiveStream, drm=false, format, ladder, probe}) {
 
     let status = await this.Status({name});
     if (status.state != "inactive" && status.state != "terminated") {
@@ -569,54 +865,71 @@ class EluvioLiveStream {
 
     const {GenerateOffering} = require("./LiveObjectSetupStepOne");
 
-    const aBitRate = 128000;
-    const aChannels = 2;
-    const aSampleRate = 48000;
-    const aStreamIndex = 1;
-    const aTimeBase = "1/48000";
-    const aChannelLayout = "stereo";
-
-    const vBitRate = 14000000;
-    const vHeight = 720;
-    const vStreamIndex = 0;
-    const vWidth = 1280;
-    const vDisplayAspectRatio = "16/9";
-    const vFrameRate = "30000/1001";
-    const vTimeBase = "1/30000"; // "1/16000";
-
-    const abrProfile = require("./abr_profile_live_drm.json");
-
-    let playoutFormats = abrProfile.playout_formats;
-    if (format) {
-      drm = true; // Override DRM parameter
-      playoutFormats = {};
-      let formats = format.split(",");
-      for (let i = 0; i < formats.length; i++) {
-        if (formats[i] == "hls-clear") {
-          abrProfile.drm_optional = true;
-          playoutFormats["hls-clear"] = {
-            "drm": null,
-            "protocol": {
-              "type": "ProtoHls"
-            }
-          };
-          continue;
-        }
-        playoutFormats[formats[i]] = abrProfile.playout_formats[formats[i]];
+    let conf = await this.LoadConf({name});
+
+    // Ladder - the one passed in overrides liveconf.json
+    ladder = ladder || conf.ladder || {};
+
+    let source = {video: null, audio: []};
+    if (probe) {
+      let probeSource = probe.source || (conf.ingest && conf.ingest.url);
+      if (!probeSource) {
+        probeSource = await this.client.ContentObjectMetadata({
+          libraryId: await this.client.ContentObjectLibraryId({objectId}),
+          objectId,
+          metadataSubtree: "/live_recording/recording_config/recording_params/origin_url"
+        });
       }
-    } else if (!drm) {
-      abrProfile.drm_optional = true;
-      playoutFormats = {
-        "hls-clear": {
-          "drm": null,
-          "protocol": {
-            "type": "ProtoHls"
-          }
-        }
-      };
+      console.log("Probing source:", probeSource);
+      source = LiveProbe.Parse({probe: await LiveProbe.Run({source: probeSource, command: probe.command})});
+      console.log("Source:", JSON.stringify(source));
+
+      const errors = LiveProbe.Check({source, ladder});
+      if (errors.length > 0) {
+        return {
+          name,
+          object_id: objectId,
+          state: status.state,
+          error: "source does not match the ladder",
+          source_errors: errors
+        };
+      }
+    }
+
+    // Source parameters - probed values override liveconf.json values, which override the defaults
+    const video = {...DEFAULT_VIDEO, ...conf.video, ...source.video};
+    const audio = {...DEFAULT_AUDIO, ...conf.audio, ...source.audio[0]};
+
+    const vBitRate = video.bit_rate;
+    const vHeight = video.height;
+    const vStreamIndex = video.stream_index;
+    const vWidth = video.width;
+    const vDisplayAspectRatio = video.display_aspect_ratio;
+    const vFrameRate = video.frame_rate;
+    const vTimeBase = video.time_base;
+    const vCodecName = video.codec_name;
+
+    const {rungs: videoRungs, warnings} = LiveLadder.VideoRungs({
+      ladder,
+      aspectRatio: vDisplayAspectRatio,
+      sourceHeight: vHeight
+    });
+    warnings.forEach(w => console.log("WARNING:", w));
+    const audioTracks = LiveLadder.AudioTracks({ladder, audio, sourceAudio: source.audio});
+
+    const abrProfile = LiveLadder.AbrProfile({
+      abrProfile: require("./abr_profile_live_drm.json"),
+      videoRungs,
+      // Keep the profile's audio ladders unless the tracks are configured
+      audioTracks: ladder.audio ? audioTracks : [],
+      aspectRatio: vDisplayAspectRatio
+    });
+
+    if (!format && conf.drm && conf.drm.formats) {
+      format = conf.drm.formats.join(",");
     }
 
-    abrProfile.playout_formats = playoutFormats;
+    SetPlayoutFormats({abrProfile, drm, format});
 
     let libraryId = await this.client.ContentObjectLibraryId({objectId});
 
@@ -645,11 +958,9 @@ class EluvioLiveStream {
         typeAbrMaster, typeLiveStream,
         streamUrl,
         abrProfile,
-        aBitRate, aChannels, aSampleRate, aStreamIndex,
-        aTimeBase,
-        aChannelLayout,
+        audioTracks,
         vBitRate, vHeight, vStreamIndex, vWidth,
-        vDisplayAspectRatio, vFrameRate, vTimeBase
+        vDisplayAspectRatio, vFrameRate, vTimeBase, vCodecName
       });
 
       console.log("GenerateOffering - DONE");
@@ -664,17 +975,20 @@ class EluvioLiveStream {
     }
   }
 
-  async Insertion({name, insertionTime, duration, targetHash, remove}) {
-    const audioAbrDuration = 2.005333;
-    const videoAbrDuration = 2.002002;
+  /*
+   * Read the insertions (playout_config.interleaves) of the current session (edge write token)
+   */
+  async InsertionsRead({name}) {
 
     let conf = await this.LoadConf({name});
-    let libraryId = await this.client.ContentObjectLibraryId({objectId: conf.objectId});
+    const insertionConf = {...DEFAULT_INSERTION, ...conf.insertion};
+
     let objectId = conf.objectId;
+    let libraryId = await this.client.ContentObjectLibraryId({objectId});
 
     let mainMeta = await this.client.ContentObjectMetadata({
       libraryId: libraryId,
-      objectId: conf.objectId
+      objectId: objectId
     });
 
     let fabURI = mainMeta.live_recording.fabric_config.ingress_node_api;
@@ -686,19 +1000,34 @@ class EluvioLiveStream {
     }
     this.client.SetNodes({fabricURIs: [fabURI]});
     let edgeWriteToken = mainMeta.live_recording.fabric_config.edge_write_token;
+    if (!edgeWriteToken) {
+      throw Error("No live stream session for " + name + " - must 'create' first");
+    }
 
     let edgeMeta = await this.client.ContentObjectMetadata({
       libraryId: libraryId,
-      objectId: conf.objectId,
+      objectId: objectId,
       writeToken: edgeWriteToken
     });
 
-    let res = {};
     let insertions = [];
     if (edgeMeta.live_recording.playout_config.interleaves != undefined) {
       insertions = edgeMeta.live_recording.playout_config.interleaves;
     }
 
+    return {libraryId, objectId, edgeWriteToken, insertionConf, insertions};
+  }
+
+  async Insertion({name, insertionTime, duration, targetHash, remove}) {
+
+    let {libraryId, objectId, edgeWriteToken, insertionConf, insertions} =
+      await this.InsertionsRead({name});
+    if (duration == undefined) {
+      duration = insertionConf.duration;
+    }
+
+    let res = {};
+
     // Assume insertions are sorted by insertion time
     let errs = [];
     let currentTime = -1;
@@ -706,16 +1035,17 @@ class EluvioLiveStream {
     let newInsertion = {
       insertion_time: insertionTime,
       duration: duration,
-      audio_abr_duration: audioAbrDuration,
-      video_abr_duration: videoAbrDuration,
-      playout: "/qfab/" + targetHash + "/rep/playout"  // TO FIX - should be a link
+      audio_abr_duration: insertionConf.audio_abr_duration,
+      video_abr_duration: insertionConf.video_abr_duration,
+      playout: LiveInsertions.Playout({targetHash})
     };
 
     for (let i = 0; i < insertions.length; i ++) {
       if (insertions[i].insertion_time <= currentTime) {
         // Bad insertion - must be later than current time
-        append(errs, "Bad insertion - time:", insertions[i].insertion_time);
+        errs.push("Bad insertion - time: " + insertions[i].insertion_time);
       }
+      currentTime = insertions[i].insertion_time;
       if (remove) {
         if (insertions[i].insertion_time == insertionTime) {
           insertions.splice(i, 1);
@@ -723,18 +1053,11 @@ class EluvioLiveStream {
         }
       } else {
         if (insertions[i].insertion_time > insertionTime) {
-          if (i > 0) {
-            insertions = [
-              ...insertions.splice(0, i),
-              newInsertion,
-              ...insertions.splice(i)
-            ];
-          } else {
-            insertions = [
-              newInsertion,
-              ...insertions.splice(i)
-            ];
-          }
+          insertions = [
+            ...insertions.slice(0, i),
+            newInsertion,
+            ...insertions.slice(i)
+          ];
           insertionDone = true;
           break;
         }
@@ -761,207 +1084,321 @@ class EluvioLiveStream {
 
     res.errors = errs;
     res.insertions = insertions;
+
+    await this.Hook({name, event: "insertion", data: {
+      op: remove ? "remove" : "add",
+      insertion: remove ? {insertion_time: insertionTime} : InsertionSummary(newInsertion)
+    }});
     return res;
   }
 
+  /*
+   * List the insertions of the current session
+   */
+  async InsertionList({name}) {
 
-  async LoadConf({name}) {
+    let {insertions} = await this.InsertionsRead({name});
 
-    if (name.startsWith("iq__")) {
-      return {
-        name: name,
-        objectId: name
-      };
-    }
+    return {
+      name,
+      insertions: insertions.map(InsertionSummary)
+    };
+  }
 
-    // If name is not a QID, load liveconf.json
-    let streamsBuf;
-    try {
-      streamsBuf = fs.readFileSync(
-        path.resolve(__dirname, "../liveconf.json")
-      );
-    } catch (error) {
-      console.log("Stream name must be a QID or a label in liveconf.json");
-      return {};
-    }
-    const streams = JSON.parse(streamsBuf);
-    const conf = streams[name];
-    if (conf == null) {
-      console.log("Bad name: ", name);
-      return {};
-    }
+  /*
+   * Replace all insertions of the current session with the ones in a schedule file
+   * (CSV or JSON - see LiveInsertions).  The schedule is validated first and written
+   * in a single metadata update.  With 'dryRun' only the differences are returned.
+   */
+  async InsertionImport({name, file, dryRun = false}) {
 
-    return conf;
-  }
+    let {libraryId, objectId, edgeWriteToken, insertionConf, insertions} =
+      await this.InsertionsRead({name});
 
-} // End class
+    const schedule = await LiveInsertions.Read({file});
+    const {interleaves, errors} = LiveInsertions.Validate({schedule, insertionConf});
+    if (errors.length > 0) {
+      return {
+        name,
+        error: "invalid insertion schedule",
+        errors: errors.map(e => file + ": " + e)
+      };
+    }
 
+    const diff = LiveInsertions.Diff({current: insertions, next: interleaves});
+    let res = {
+      name,
+      added: diff.added.map(InsertionSummary),
+      removed: diff.removed.map(InsertionSummary),
+      changed: diff.changed.map(c => ({from: InsertionSummary(c.from), to: InsertionSummary(c.to)})),
+      unchanged: diff.unchanged.length
+    };
 
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
-}
+    if (dryRun) {
+      return res;
+    }
 
-const ChannelStatus = async ({client, name}) => {
+    await this.client.ReplaceMetadata({
+      libraryId: libraryId,
+      objectId: objectId,
+      writeToken: edgeWriteToken,
+      metadataSubtree: "/live_recording/playout_config/interleaves",
+      metadata: interleaves
+    });
 
-  let status = {name: name};
+    res.insertions = interleaves.length;
 
-  const conf = channels[name];
-  if (conf == null) {
-    console.log("Bad name: ", name);
-    return;
+    await this.Hook({name, event: "insertion", data: {
+      op: "import",
+      added: res.added,
+      removed: res.removed,
+      changed: res.changed
+    }});
+    return res;
   }
 
-  try {
+  /*
+   * Compact status of several streams - all the streams in liveconf.json by default
+   *
+   * Streams are checked concurrently (up to 'concurrency' at a time) within an ingress
+   * node, one node at a time - see StreamSummary.Collect().
+   *
+   * Returns { streams, totals } - 'streams' maps stream names to their summary,
+   * 'totals' counts the streams in each state.
+   */
+  async Summary({names, concurrency = DEFAULT_SUMMARY_CONCURRENCY} = {}) {
 
-    let meta = await client.ContentObjectMetadata({
-      libraryId: conf.libraryId,
-      objectId: conf.objectId
-    });
+    if (!names) {
+      const {conf, errors} = LiveConf.Read();
+      if (errors.length > 0) {
+        throw Error("Invalid liveconf.json\n" + LiveConf.FormatErrors({errors}).join("\n"));
+      }
+      names = Object.keys(LiveConf.Streams({conf}));
+    }
 
-    status.channel_title = meta.public.asset_metadata.title;
-    let source = meta.channel.offerings.default.items[0].source["/"];
-    let hash = source.split("/")[2];
-    status.stream_hash = hash;
-    latestHash = await client.LatestVersionHash({
-	  versionHash: hash
+    return await StreamSummary.Collect({
+      names,
+      concurrency,
+      node: async name => {
+        const conf = await this.LoadConf({name});
+        const libraryId = await this.client.ContentObjectLibraryId({objectId: conf.objectId});
+        return await this.client.ContentObjectMetadata({
+          libraryId,
+          objectId: conf.objectId,
+          metadataSubtree: "/live_recording/fabric_config/ingress_node_api"
+        });
+      },
+      status: async name => await this.Status({name})
     });
-    status.stream_latest_hash = latestHash;
+  }
 
-    if (hash != latestHash) {
-	  status.warnings = ["Stream version is not the latest"];
+  /*
+   * Check the playout of a stream - fetches the playlists (or manifests) and most recent
+   * segments of each playout format and measures response times, latency, segment
+   * duration drift and HTTP errors (see PlayoutProbe)
+   *
+   * The 'formats' parameter limits the check to some of the formats (default: all the
+   * formats in the stream's options.json)
+   */
+  async PlayoutProbe({name, formats, segments, timeoutSec}) {
+
+    let status = await this.Status({name});
+    let res = {
+      name,
+      object_id: status.object_id,
+      state: status.state
+    };
+    if (status.state != "running" && status.state != "stalled" && status.state != "starting") {
+      res.result = "fail";
+      res.error = "stream is not running";
+      return res;
     }
 
-    let channelFormatsUrl = await client.FabricUrl({
-      libraryId: conf.libraryId,
-      objectId: conf.objectId,
-	  rep: "channel/options.json"
+    let optionsUrl = await this.client.FabricUrl({
+      libraryId: status.library_id,
+      objectId: status.object_id,
+      rep: "live/default/options.json"
     });
-
+    let options;
     try {
-	  let offerings = await got(channelFormatsUrl);
-	  status.offerings = JSON.parse(offerings.body);
+      options = JSON.parse((await got(optionsUrl)).body);
     } catch (error) {
-	  console.log(error);
-	  status.offerings_error = "Failed to retrieve channel offerings";
+      res.result = "fail";
+      res.error = "failed to retrieve playout options: " + error.message;
+      return res;
     }
 
-    status.playout = await ChannelPlayout({client, libraryId: conf.libraryId, objectId: conf.objectId});
+    let urls = {};
+    for (const [format, option] of Object.entries(options)) {
+      if (formats && !formats.includes(format)) {
+        continue;
+      }
+      urls[format] = await this.client.FabricUrl({
+        libraryId: status.library_id,
+        objectId: status.object_id,
+        rep: "live/default/" + option.uri
+      });
+    }
+    if (Object.keys(urls).length == 0) {
+      res.result = "fail";
+      res.error = "no playout formats to probe (available: " + Object.keys(options).join(", ") + ")";
+      return res;
+    }
 
-  } catch (error) {
-    console.error(error);
+    const probe = new PlayoutProbe({segments, timeoutSec});
+    res.formats = await probe.Probe({formats: urls});
+    res.result = Object.values(res.formats).every(f => f.result == "pass") ? "pass" : "fail";
+    return res;
   }
 
-  return status;
-};
-
-/*
- * Performs client-side playout operations - open the channel, read offerings,
- * retrieve playlist and one video init segment.
- */
-const ChannelPlayout = async({client, libraryId, objectId}) => {
-
-  let playout = {};
+  /*
+   * Status of a channel object
+   *
+   * Resolves the stream the channel links to, checks the link points to the latest
+   * version of the stream and verifies playout (see ChannelCheck).
+   */
+  async ChannelStatus({name}) {
 
-  const offerings = await client.AvailableOfferings({
-    libraryId,
-    objectId,
-    handler: "channel",
-    linkPath: "/public/asset_metadata/offerings"
-  });
+    let conf = await this.LoadChannelConf({name});
+    let libraryId = conf.libraryId;
+    const LibraryId = async () => {
+      libraryId = libraryId || await this.client.ContentObjectLibraryId({objectId: conf.objectId});
+      return libraryId;
+    };
 
-  // Choosing offering 'default'
-  let offering = offerings.default;
+    return await ChannelCheck.Status({
+      name,
+      objectId: conf.objectId,
+      metadata: async () => await this.client.ContentObjectMetadata({
+        libraryId: await LibraryId(),
+        objectId: conf.objectId,
+        select: ["public/asset_metadata/title", "channel/offerings/default/items"]
+      }),
+      latestHash: async versionHash => await this.client.LatestVersionHash({versionHash}),
+      optionsUrl: async () => await this.client.FabricUrl({
+        libraryId: await LibraryId(),
+        objectId: conf.objectId,
+        rep: "channel/options.json"
+      }),
+      playout: async () => await this.ChannelPlayout({libraryId: await LibraryId(), objectId: conf.objectId})
+    });
+  }
 
-  const playoutOptions = await client.PlayoutOptions({
-    libraryId,
-    objectId,
-    offeringURI: offering.uri
-  });
+  /*
+   * Client-side playout check of a channel - the master playlist and, for every rendition,
+   * the media playlist and init segment (see ChannelCheck.Playout())
+   */
+  async ChannelPlayout({libraryId, objectId}) {
 
-  // Retrieve master playlist
-  let masterPlaylistUrl = playoutOptions["hls"]["playoutMethods"]["fairplay"]["playoutUrl"];
-  playout.master_playlist_url = masterPlaylistUrl;
-  try {
-    //let masterPlaylist =  await got(masterPlaylistUrl);
-    playout.master_playlist = "success";
-  } catch (error) {
-    playout.master_playlist = "fail";
+    return await ChannelCheck.Playout({
+      offerings: async () => await this.client.AvailableOfferings({
+        libraryId,
+        objectId,
+        handler: "channel",
+        linkPath: "/public/asset_metadata/offerings"
+      }),
+      playoutOptions: async offeringURI => await this.client.PlayoutOptions({
+        libraryId,
+        objectId,
+        offeringURI
+      })
+    });
   }
 
-  let url = new URL(masterPlaylistUrl);
-  let p = url.pathname.split("/");
+  /*
+   * Look up a channel in liveconf.json - the name can be a channel label or a QID
+   */
+  async LoadChannelConf({name}) {
 
-  // Retrieve media playlist
-  p[p.length - 1] = "video/720@14000000/live.m3u8";
-  let pathMediaPlaylist = p.join("/");
-  url.pathname = pathMediaPlaylist;
-  let mediaPlaylistUrl = url.toString();
-  playout.media_playlist_url = mediaPlaylistUrl;
-  let mediaPlaylist;
-  try {
-    mediaPlaylist = await got(mediaPlaylistUrl);
-    playout.media_playlist = "success";
-  } catch (error) {
-    playout.media_playlist = "fail";
-  }
+    if (name.startsWith("iq__")) {
+      return {name, objectId: name};
+    }
 
-  // Retrieve init segment
-  var regex = new RegExp("^#EXT-X-MAP:URI=\"init.m4s.(.*)\"$", "m");
-  var match = regex.exec(mediaPlaylist.body);
-  let initQueryParams;
-  if (match) {
-    initQueryParams = match[1];
+    const {conf, errors} = LiveConf.Read();
+    if (errors.length > 0) {
+      throw Error("Invalid liveconf.json\n" + LiveConf.FormatErrors({errors}).join("\n"));
+    }
+    const channel = LiveConf.Channel({conf, name});
+    if (channel == null) {
+      throw Error("Channel name must be a QID or a label in liveconf.json: " + name);
+    }
+    return channel;
   }
 
-  p[p.length - 1] = "video/720@14000000/init.m4s";
-  let pathInit = p.join("/");
-  url.pathname = pathInit;
-  url.search=initQueryParams;
-  let initUrl = url.toString();
-  playout.init_segment_url = initUrl;
   /*
-  try {
-	let initSegment = await got(initUrl);
-	playout.init_segment = "success"
-  } catch (error) {
-	playout.init_segment = "fail";
-  }
-*/
-  return playout;
-};
+   * Run the stream's lifecycle hooks for an event (see LiveHooks).  Hook failures
+   * are reported on stderr and never fail the operation.
+   */
+  async Hook({name, event, data}) {
 
+    let conf = await this.LoadConf({name});
+    if (!conf.hooks || conf.hooks.length == 0) {
+      return [];
+    }
 
-const Summary = async ({client}) => {
+    const hooks = new LiveHooks({hooks: conf.hooks});
+    const results = await hooks.Emit({event, stream: conf.name, objectId: conf.objectId, data});
+    for (const r of results.filter(r => !r.ok)) {
+      console.error("Hook failed (" + event + "): " + r.hook + ": " + r.error);
+    }
+    return results;
+  }
 
-  let summary = {};
+  /*
+   * Look up the stream configuration in liveconf.json
+   *
+   * The name can be a stream label or a QID.  A QID that is not listed in
+   * liveconf.json resolves to a configuration with only the object ID.
+   */
+  async LoadConf({name}) {
 
-  try {
-    for (const [key] of Object.entries(streams)) {
-	  conf = streams[key];
-	  summary[key] = await Status({client, name: key, stopLro: false});
+    let conf = null;
+    let errors = [];
+    try {
+      ({conf, errors} = LiveConf.Read());
+    } catch (error) {
+      // No liveconf.json
     }
 
-  } catch (error) {
-    console.error(error);
-  }
-  return summary;
-};
+    if (name.startsWith("iq__")) {
+      let streams = (conf && errors.length == 0) ? LiveConf.Streams({conf}) : {};
+      for (const [key, stream] of Object.entries(streams)) {
+        if (stream.objectId == name) {
+          return {name: key, ...stream};
+        }
+      }
+      return {
+        name: name,
+        objectId: name
+      };
+    }
 
-const ChannelSummary = async ({client}) => {
+    if (conf == null && errors.length == 0) {
+      console.log("Stream name must be a QID or a label in liveconf.json");
+      return {};
+    }
 
-  let summary = {};
+    if (errors.length > 0) {
+      console.log("Bad liveconf.json (run 'validate' for details)");
+      LiveConf.FormatErrors({errors}).forEach(e => console.log(e));
+      return {};
+    }
 
-  try {
-    for (const [key] of Object.entries(channels)) {
-	  conf = channels[key];
-	  summary[key] = await ChannelStatus({client, name: key});
+    const stream = LiveConf.Stream({conf, name});
+    if (stream == null) {
+      console.log("Bad name: ", name);
+      return {};
     }
 
-  } catch (error) {
-    console.error(error);
+    return stream;
   }
-  return summary;
-};
+
+} // End class
+
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
 
 const ConfigStream = async () => {
 
@@ -1026,31 +1463,6 @@ const ConfigStream = async () => {
   }
 };
 
-async function EnsureAll() {
-  client = await StatusPrep({name: null});
-  let summary = await Summary({client});
-
-  var res = {
-    running: 0,
-    stalled: 0,
-    terminated: 0
-  };
-
-  try {
-    for (const [key, value] of Object.entries(summary)) {
-	  if (value.state == "stalled") {
-        console.log("Stream stalled: ", key, " - restarting");
-        console.log("todo ...");
-	  }
-	  res[value.state] = res[value.state] + 1;
-    }
-  } catch (error) {
-    console.error(error);
-  }
-
-  return res;
-}
-
 /*
  * Original Run() function - kept for reference
  */
@@ -1075,12 +1487,6 @@ async function Run() {
       Status({client, name, stopLro: true});
       break;
 
-    case "summary":
-      client = await StatusPrep({name: null});
-      let summary = await Summary({client});
-      console.log(JSON.stringify(summary, null, 4));
-      break;
-
     case "init": // Set up DRM
       SetOfferingAndDRM();
       break;
@@ -1091,23 +1497,6 @@ async function Run() {
       console.log(JSON.stringify(reset, null, 4));
       break;
 
-    case "channel":
-      client = await StatusPrep({name});
-      let channelStatus = await ChannelStatus({client, name});
-      console.log(JSON.stringify(channelStatus, null, 4));
-      break;
-
-    case "channel_summary":
-      client = await StatusPrep({name});
-      let channelSummary = await ChannelSummary({client, name});
-      console.log(JSON.stringify(channelSummary, null, 4));
-      break;
-
-    case "ensure_all": // Check all and restart stalled
-      let ensureSummary = await EnsureAll();
-      console.log(JSON.stringify(ensureSummary, null, 4));
-      break;
-
     case "future_use_config":
       ConfigStream();
       break;
@@ -1124,5 +1513,6 @@ if (useOldRunFunction) {
   Run();
 }
 
+EluvioLiveStream.DEFAULT_SUMMARY_CONCURRENCY = DEFAULT_SUMMARY_CONCURRENCY;
 
 exports.EluvioLiveStream = EluvioLiveStream;
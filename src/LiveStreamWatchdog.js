@@ -0,0 +1,229 @@
+/*
+ * Live stream watchdog - polls stream status and resets streams that stay stalled
+ */
+
+const EventEmitter = require("events");
+
+const DEFAULT_INTERVAL_SEC = 15;
+const DEFAULT_STALL_THRESHOLD_SEC = 60;
+const DEFAULT_MAX_RESETS = 3;
+
+class LiveStreamWatchdog extends EventEmitter {
+
+  /**
+   * Instantiate the watchdog
+   *
+   * Every state change is emitted as an 'event' with a structured payload:
+   *   { time, stream, type, ... }
+   *
+   * Event types:
+   * - state_change - the stream moved from one state to another ('from', 'to')
+   * - stalled - the stream entered the 'stalled' state
+   * - reset - a reset was issued because the stream stayed stalled past the threshold
+   * - reset_failed - the reset call failed ('error')
+   * - reset_limit - the stream reached 'maxResets' consecutive resets and will not be reset again
+   * - recovered - the stream is 'running' again after being stalled
+   * - error - status could not be retrieved ('error')
+   *
+   * @namedParams
+   * @param {Object} elvStream - An initialized EluvioLiveStream
+   * @param {Array<string>} names - Stream names (from liveconf.json) or QIDs
+   * @param {number} intervalSec - Polling interval in seconds (default 15)
+   * @param {number} stallThresholdSec - How long a stream can stay stalled before it is reset (default 60)
+   * @param {number} maxResets - Maximum consecutive resets per stream; 0 means unlimited (default 3)
+   * @param {boolean} dryRun - Report events but never reset a stream
+   */
+  constructor({
+    elvStream,
+    names,
+    intervalSec = DEFAULT_INTERVAL_SEC,
+    stallThresholdSec = DEFAULT_STALL_THRESHOLD_SEC,
+    maxResets = DEFAULT_MAX_RESETS,
+    dryRun = false
+  }) {
+    super();
+    this.elvStream = elvStream;
+    this.names = names;
+    this.intervalSec = intervalSec;
+    this.stallThresholdSec = stallThresholdSec;
+    this.maxResets = maxResets;
+    this.dryRun = dryRun;
+
+    this.streams = {};
+    for (const name of names) {
+      this.streams[name] = {
+        state: null,
+        stalledSince: null,
+        lastResetTime: null,
+        resets: 0,
+        resetLimitReported: false
+      };
+    }
+    this.running = false;
+  }
+
+  Emit({now, stream, type, ...fields}) {
+    const event = {
+      time: new Date(now).toISOString(),
+      stream,
+      type,
+      ...fields
+    };
+    this.emit("event", event);
+    return event;
+  }
+
+  /*
+   * Poll every stream once and act on the result.
+   *
+   * Streams are polled one at a time because Status() switches the client
+   * to the stream's ingress node.
+   *
+   * Returns the current watchdog view of each stream.
+   */
+  async Check({now = Date.now()} = {}) {
+    for (const name of this.names) {
+      await this.CheckStream({name, now});
+    }
+    return this.streams;
+  }
+
+  async CheckStream({name, now}) {
+    const s = this.streams[name];
+
+    let status;
+    try {
+      status = await this.elvStream.Status({name});
+    } catch (error) {
+      this.Emit({now, stream: name, type: "error", error: `${error}`});
+      return;
+    }
+
+    const state = status.state || "unknown";
+    const prevState = s.state;
+
+    if (state != prevState) {
+      this.Emit({
+        now,
+        stream: name,
+        type: "state_change",
+        from: prevState,
+        to: state,
+        recording_period_sequence: status.recording_period_sequence,
+        video_since_last_finalize_sec: status.recording_period ?
+          status.recording_period.video_since_last_finalize_sec : undefined
+      });
+      s.state = state;
+
+      if (state == "stalled") {
+        s.stalledSince = now;
+        this.Emit({now, stream: name, type: "stalled"});
+      } else {
+        s.stalledSince = null;
+      }
+
+      if (state == "running" && prevState == "stalled") {
+        this.Emit({now, stream: name, type: "recovered", resets: s.resets});
+      }
+    }
+
+    if (state == "running") {
+      s.resets = 0;
+      s.resetLimitReported = false;
+      return;
+    }
+
+    if (state != "stalled") {
+      return;
+    }
+
+    const stalledSec = (now - s.stalledSince) / 1000;
+    if (stalledSec < this.stallThresholdSec) {
+      return;
+    }
+
+    if (this.maxResets > 0 && s.resets >= this.maxResets) {
+      if (!s.resetLimitReported) {
+        this.Emit({now, stream: name, type: "reset_limit", resets: s.resets});
+        s.resetLimitReported = true;
+      }
+      return;
+    }
+
+    await this.ResetStream({name, now, stalledSec});
+  }
+
+  async ResetStream({name, now, stalledSec}) {
+    const s = this.streams[name];
+
+    s.resets = s.resets + 1;
+    s.lastResetTime = now;
+    // Restart the stall clock so the stream has a full threshold period to recover
+    s.stalledSince = now;
+
+    this.Emit({
+      now,
+      stream: name,
+      type: "reset",
+      stalled_sec: stalledSec,
+      attempt: s.resets,
+      dry_run: this.dryRun
+    });
+
+    if (this.dryRun) {
+      return;
+    }
+
+    try {
+      const res = await this.elvStream.StartOrStopOrReset({name, op: "reset"});
+      if (!res || res.error) {
+        this.Emit({
+          now,
+          stream: name,
+          type: "reset_failed",
+          error: res ? res.error : "no status returned"
+        });
+      }
+    } catch (error) {
+      this.Emit({now, stream: name, type: "reset_failed", error: `${error}`});
+    }
+  }
+
+  /*
+   * Poll all streams every 'intervalSec' until Stop() is called
+   */
+  async Run() {
+    this.running = true;
+    while (this.running) {
+      await this.Check();
+      if (this.running) {
+        await this.Sleep(this.intervalSec * 1000);
+      }
+    }
+  }
+
+  Stop() {
+    this.running = false;
+    if (this.sleepTimer) {
+      clearTimeout(this.sleepTimer.timer);
+      this.sleepTimer.resolve();
+      this.sleepTimer = null;
+    }
+  }
+
+  Sleep(ms) {
+    return new Promise(resolve => {
+      const timer = setTimeout(() => {
+        this.sleepTimer = null;
+        resolve();
+      }, ms);
+      this.sleepTimer = {timer, resolve};
+    });
+  }
+}
+
+LiveStreamWatchdog.DEFAULT_INTERVAL_SEC = DEFAULT_INTERVAL_SEC;
+LiveStreamWatchdog.DEFAULT_STALL_THRESHOLD_SEC = DEFAULT_STALL_THRESHOLD_SEC;
+LiveStreamWatchdog.DEFAULT_MAX_RESETS = DEFAULT_MAX_RESETS;
+
+exports.LiveStreamWatchdog = LiveStreamWatchdog;
@@ -2,8 +2,11 @@ const Utils = require("@eluvio/elv-client-js/src/Utils");
 const { v4: UUID, parse: UUIDParse } = require("uuid");
 const UrlJoin = require("url-join");
 const { EluvioLive } = require("./EluvioLive");
+const { MarketplaceItems } = require("./MarketplaceItems");
+const { MetadataDiff } = require("./MetadataDiff");
 const { ElvClient } = require("@eluvio/elv-client-js");
 const fs = require("fs");
+const path = require("path");
 
 class Marketplace extends EluvioLive {
   constructor({ configUrl, mainObjectId }) {
@@ -227,6 +230,87 @@ class Marketplace extends EluvioLive {
     });
   }
 
+  /**
+   * Update marketplace items by SKU (see MarketplaceItems for the fields and values)
+   *
+   * All updates are checked before anything is written and are made in a single
+   * finalized version.  Nothing is written if there are no changes.
+   *
+   * @namedParams
+   * @param {string} marketplaceObjectId - The marketplace object ID
+   * @param {Array<Object>} updates - { sku, changes, line } - line is only used in errors (optional)
+   * @param {string} commitMessage - Commit message (default 'Update marketplace item(s)')
+   * @return {Promise<Object>} - { results, diff, hash } - hash is only set if a version was finalized
+   */
+  async MarketplaceUpdateItems({marketplaceObjectId, updates, commitMessage}) {
+    const libraryId = await this.client.ContentObjectLibraryId({
+      objectId: marketplaceObjectId
+    });
+
+    const items = await this.client.ContentObjectMetadata({
+      objectId: marketplaceObjectId,
+      libraryId,
+      metadataSubtree: "/public/asset_metadata/info/items"
+    }) || [];
+
+    const applied = MarketplaceItems.Apply({items, updates});
+    if (applied.errors.length > 0) {
+      throw Error("Invalid marketplace item update:\n  " + applied.errors.join("\n  "));
+    }
+
+    const diff = MetadataDiff.Format({
+      changes: MetadataDiff.Diff({from: items, to: applied.items, path: "/public/asset_metadata/info/items"})
+    });
+    if (diff.length == 0) {
+      return {results: applied.results, diff};
+    }
+
+    const { write_token } = await this.client.EditContentObject({
+      objectId: marketplaceObjectId,
+      libraryId
+    });
+
+    await this.client.ReplaceMetadata({
+      objectId: marketplaceObjectId,
+      libraryId,
+      writeToken: write_token,
+      metadataSubtree: "/public/asset_metadata/info/items",
+      metadata: applied.items
+    });
+
+    const res = await this.client.FinalizeContentObject({
+      objectId: marketplaceObjectId,
+      libraryId,
+      writeToken: write_token,
+      commitMessage: commitMessage || (updates.length == 1 ? "Update marketplace item" : "Update marketplace items")
+    });
+
+    return {results: applied.results, diff, hash: res.hash};
+  }
+
+  async MarketplaceUpdateItem({marketplaceObjectId, sku, changes}) {
+    return await this.MarketplaceUpdateItems({
+      marketplaceObjectId,
+      updates: [{sku, changes}]
+    });
+  }
+
+  /**
+   * Update marketplace items from a CSV file - one row per item (see MarketplaceItems)
+   */
+  async MarketplaceUpdateItemBatch({marketplaceObjectId, csv}) {
+    const { updates, errors } = await MarketplaceItems.ParseCsv({text: fs.readFileSync(csv, "utf8")});
+    if (errors.length > 0) {
+      throw Error("Invalid CSV file " + csv + ":\n  " + errors.join("\n  "));
+    }
+
+    return await this.MarketplaceUpdateItems({
+      marketplaceObjectId,
+      updates,
+      commitMessage: "Update marketplace items (" + updates.length + " from " + path.basename(csv) + ")"
+    });
+  }
+
   async StorefrontSectionAddItem({objectId, sku, name}) {
     const libraryId = await this.client.ContentObjectLibraryId({
       objectId
@@ -0,0 +1,240 @@
+/*
+ * Marketplace item updates - changes to the items in public/asset_metadata/info/items,
+ * found by SKU
+ *
+ * The fields that can be changed are:
+ *
+ *   name, description, for_sale, free, max_per_user, available_at, expires_at,
+ *   price (per currency - e.g. { "USD": 9.99 })
+ *
+ * Values may be given as strings (from the command line or CSV) and are converted and
+ * checked.  'none' clears a description, date or currency price.
+ *
+ * Bulk updates are read from CSV with a 'sku' column and a column per field to change -
+ * prices as price_<currency> (e.g. price_USD).  Empty cells leave the field unchanged:
+ *
+ *   sku,price_USD,for_sale,max_per_user,available_at,expires_at
+ *   5jQ1zXXqCqDnDm4ojbp2Y6,19.99,true,2,2023-03-01T17:00:00Z,none
+ */
+
+const { parse } = require("csv-parse");
+
+const FIELDS = ["name", "description", "for_sale", "free", "max_per_user", "available_at", "expires_at", "price"];
+
+const NONE = "none";
+
+const IsNone = (v) => v === null || (typeof v == "string" && v.trim().toLowerCase() == NONE);
+
+const Bool = (v) => {
+  if (typeof v == "boolean") return v;
+  const s = String(v).trim().toLowerCase();
+  if (["true", "yes", "1"].includes(s)) return true;
+  if (["false", "no", "0"].includes(s)) return false;
+  throw Error("must be true or false");
+};
+
+const DateString = (v) => {
+  const time = Date.parse(v);
+  if (isNaN(time)) {
+    throw Error("invalid date '" + v + "' (use ISO format, e.g. 2023-03-01T17:00:00Z)");
+  }
+  return new Date(time).toISOString();
+};
+
+const Price = (v) => {
+  const s = String(v).trim();
+  if (!/^[0-9]+(\.[0-9]+)?$/.test(s)) {
+    throw Error("invalid price '" + v + "' - must be a non-negative number");
+  }
+  return Number(s);
+};
+
+class MarketplaceItems {
+
+  /**
+   * Convert and check the changes to make to an item
+   *
+   * @namedParams
+   * @param {Object} changes - { field: value } - 'price' is { currency: value }
+   * @return {Object} - { changes, errors } - changes with typed values (null to clear a field)
+   */
+  static Normalize({changes}) {
+    let res = {};
+    let errors = [];
+    for (const [field, value] of Object.entries(changes)) {
+      if (value === undefined) continue;
+      try {
+        switch (field) {
+          case "name":
+            if (IsNone(value) || String(value).trim() == "") throw Error("must not be empty");
+            res.name = String(value);
+            break;
+          case "description":
+            res.description = IsNone(value) ? null : String(value);
+            break;
+          case "for_sale":
+          case "free":
+            res[field] = Bool(value);
+            break;
+          case "max_per_user":
+            if (!/^[0-9]+$/.test(String(value).trim())) throw Error("must be a non-negative integer");
+            res.max_per_user = Number(value);
+            break;
+          case "available_at":
+          case "expires_at":
+            res[field] = IsNone(value) ? null : DateString(value);
+            break;
+          case "price":
+            res.price = {};
+            for (const [currency, p] of Object.entries(value)) {
+              if (!/^[A-Z]{3}$/.test(currency)) throw Error("invalid currency '" + currency + "'");
+              if (p === undefined) continue;
+              res.price[currency] = IsNone(p) ? null : Price(p);
+            }
+            break;
+          default:
+            throw Error("can't be changed (fields: " + FIELDS.join(", ") + ")");
+        }
+      } catch (error) {
+        errors.push(field + ": " + error.message);
+      }
+    }
+    return {changes: res, errors};
+  }
+
+  /**
+   * Apply normalized changes to an item
+   *
+   * @return {Object} - { item, changed, errors } - a new item, the fields that changed and the
+   * problems with the resulting item (e.g. it expires before it is available)
+   */
+  static Update({item, changes}) {
+    let updated = JSON.parse(JSON.stringify(item));
+    for (const [field, value] of Object.entries(changes)) {
+      if (field == "price") {
+        updated.price = updated.price || {};
+        for (const [currency, p] of Object.entries(value)) {
+          if (p === null) {
+            delete updated.price[currency];
+          } else {
+            updated.price[currency] = p;
+          }
+        }
+      } else if (value === null) {
+        delete updated[field];
+      } else {
+        updated[field] = value;
+      }
+    }
+
+    let errors = [];
+    // Dates already on the item may be in another ISO form (e.g. without milliseconds)
+    if (updated.available_at && updated.expires_at &&
+      Date.parse(updated.expires_at) <= Date.parse(updated.available_at)) {
+      errors.push("expires_at must be after available_at");
+    }
+    if (updated.free && Object.values(updated.price || {}).some(p => p > 0)) {
+      errors.push("a free item can't have a price");
+    }
+
+    const changed = FIELDS.filter(f => JSON.stringify(item[f]) != JSON.stringify(updated[f]));
+    return {item: updated, changed, errors};
+  }
+
+  /**
+   * Apply updates to the items of a marketplace - all or nothing
+   *
+   * @namedParams
+   * @param {Array<Object>} items - The marketplace items
+   * @param {Array<Object>} updates - { sku, changes, line } - line is only used in errors (optional)
+   * @return {Object} - { items, results, errors } - items are only updated if there are no errors;
+   * results are { sku, line, changed }
+   */
+  static Apply({items, updates}) {
+    let updated = JSON.parse(JSON.stringify(items));
+    let results = [];
+    let errors = [];
+    let seen = {};
+
+    for (const update of updates) {
+      const where = (update.line ? "line " + update.line + ": " : "") + "sku " + update.sku + ": ";
+      if (seen[update.sku]) {
+        errors.push(where + "updated more than once (also " + seen[update.sku] + ")");
+        continue;
+      }
+      seen[update.sku] = update.line ? "line " + update.line : "earlier";
+
+      const index = updated.findIndex(item => item.sku == update.sku);
+      if (index < 0) {
+        errors.push(where + "no such item");
+        continue;
+      }
+
+      const normalized = MarketplaceItems.Normalize({changes: update.changes});
+      if (normalized.errors.length > 0) {
+        errors = errors.concat(normalized.errors.map(e => where + e));
+        continue;
+      }
+      const res = MarketplaceItems.Update({item: updated[index], changes: normalized.changes});
+      if (res.errors.length > 0) {
+        errors = errors.concat(res.errors.map(e => where + e));
+        continue;
+      }
+      updated[index] = res.item;
+      results.push({sku: update.sku, line: update.line, changed: res.changed});
+    }
+
+    return {items: errors.length > 0 ? items : updated, results, errors};
+  }
+
+  /**
+   * Read bulk updates from CSV
+   *
+   * @return {Promise<Object>} - { updates, errors } - updates are { line, sku, changes }
+   */
+  static async ParseCsv({text}) {
+    const records = await new Promise((resolve, reject) => {
+      parse(text, {
+        columns: true,
+        skip_empty_lines: true,
+        trim: true,
+        comment: "#",
+        info: true
+      }, (error, records) => error ? reject(error) : resolve(records));
+    });
+
+    let updates = [];
+    let errors = [];
+    if (records.length > 0) {
+      for (const column of Object.keys(records[0].record)) {
+        if (column != "sku" && !FIELDS.includes(column) && !/^price_[A-Z]{3}$/.test(column)) {
+          errors.push("unknown column '" + column + "'");
+        }
+      }
+    }
+
+    for (const {record, info} of records) {
+      const line = info.lines;
+      if (!record.sku) {
+        errors.push("line " + line + ": missing sku");
+        continue;
+      }
+      let changes = {};
+      for (const [column, value] of Object.entries(record)) {
+        if (column == "sku" || value === "" || value === undefined) continue;
+        if (column.startsWith("price_")) {
+          changes.price = changes.price || {};
+          changes.price[column.slice("price_".length)] = value;
+        } else {
+          changes[column] = value;
+        }
+      }
+      updates.push({line, sku: record.sku, changes});
+    }
+    return {updates, errors};
+  }
+}
+
+MarketplaceItems.FIELDS = FIELDS;
+
+exports.MarketplaceItems = MarketplaceItems;
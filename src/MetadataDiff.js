@@ -0,0 +1,70 @@
+/*
+ * Structured diff of content object metadata
+ *
+ * Changes are listed by metadata path (as used for 'metadataSubtree', with array
+ * indexes as path elements):
+ *
+ *   { path: "/public/nfts/3/image", op: "changed", from: "https://...", to: "https://..." }
+ *
+ * 'op' is added, removed or changed.  Objects and arrays are compared key by key and
+ * element by element, so only the values that differ are listed.
+ */
+
+const IsContainer = (v) => v !== null && typeof v == "object";
+
+const Value = (v) => v === undefined ? "undefined" : JSON.stringify(v);
+
+class MetadataDiff {
+
+  /**
+   * Changes from one metadata value to another
+   *
+   * @namedParams
+   * @param {*} from - Current metadata (undefined if not set)
+   * @param {*} to - New metadata (undefined if removed)
+   * @param {string} path - Path of the values (default '')
+   * @return {Array<Object>} - { path, op, from, to }
+   */
+  static Diff({from, to, path = ""}) {
+    if (from === undefined && to === undefined) return [];
+    if (from === undefined) return [{path: path || "/", op: "added", to}];
+    if (to === undefined) return [{path: path || "/", op: "removed", from}];
+
+    if (!IsContainer(from) || !IsContainer(to) || Array.isArray(from) != Array.isArray(to)) {
+      return JSON.stringify(from) == JSON.stringify(to) ? [] : [{path: path || "/", op: "changed", from, to}];
+    }
+
+    const keys = Array.isArray(from) ?
+      [...Array(Math.max(from.length, to.length)).keys()] :
+      [...new Set(Object.keys(from).concat(Object.keys(to)))];
+    let changes = [];
+    for (const key of keys) {
+      changes = changes.concat(MetadataDiff.Diff({from: from[key], to: to[key], path: path + "/" + key}));
+    }
+    return changes;
+  }
+
+  /**
+   * Number of changes of each kind - { added, removed, changed }
+   */
+  static Summary({changes}) {
+    let summary = {added: 0, removed: 0, changed: 0};
+    for (const c of changes) {
+      summary[c.op]++;
+    }
+    return summary;
+  }
+
+  /**
+   * Format changes as lines - '+ path: value', '- path: value' and '~ path: from -> to'
+   */
+  static Format({changes}) {
+    return changes.map(c => {
+      if (c.op == "added") return "+ " + c.path + ": " + Value(c.to);
+      if (c.op == "removed") return "- " + c.path + ": " + Value(c.from);
+      return "~ " + c.path + ": " + Value(c.from) + " -> " + Value(c.to);
+    });
+  }
+}
+
+exports.MetadataDiff = MetadataDiff;
@@ -0,0 +1,240 @@
+/*
+ * Batch minting (airdrops) from a CSV allowlist
+ *
+ * CSV columns (header line required):
+ *
+ *   address,sku,quantity,email
+ *   0x31d979d8fcc4bfd55a081535c7aa816b67bd40c8,Sku1234,2,fan@example.com
+ *
+ * 'quantity' defaults to 1 and 'email' is optional.
+ *
+ * Every row gets a deterministic transaction ID (trans_id) made from the tenant,
+ * marketplace, batch ID, address, SKU and quantity, so it doesn't change if the
+ * rows are reordered.  Each attempt is appended to a journal (one JSON object per line):
+ *
+ *   { "time", "trans_id", "line", "address", "sku", "quantity", "status", "error" }
+ *
+ * where status is 'pending' (request sent), 'minted' or 'failed'.  Rows the journal
+ * shows as minted are never sent again.  Rows left 'pending' (the run was interrupted
+ * before the response) are reported as 'unconfirmed' and only sent again on request.
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const ethers = require("ethers");
+const { parse } = require("csv-parse");
+
+const DEFAULT_RATE_PER_SEC = 2;
+const DEFAULT_RETRIES = 3;
+const DEFAULT_RETRY_DELAY_MS = 2000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Authority service errors are HTTP responses rather than Error objects
+const ErrorMessage = (error) => {
+  if (error.message) return error.message;
+  if (error.status) return "HTTP " + error.status + (error.statusText ? " " + error.statusText : "");
+  return String(error);
+};
+
+class MintBatch {
+
+  /**
+   * Read and validate a CSV allowlist
+   *
+   * @return {Promise<Object>} - { rows, errors } - rows are { line, address, sku, quantity, email }
+   */
+  static async ReadCsv({file}) {
+    const text = fs.readFileSync(file, "utf8");
+    const records = await new Promise((resolve, reject) => {
+      parse(text, {
+        columns: true,
+        skip_empty_lines: true,
+        trim: true,
+        comment: "#",
+        info: true
+      }, (error, records) => error ? reject(error) : resolve(records));
+    });
+
+    let rows = [];
+    let errors = [];
+    for (const {record, info} of records) {
+      const line = info.lines;
+      const fail = (message) => errors.push("line " + line + ": " + message);
+
+      if (!record.address || !ethers.utils.isAddress(record.address)) {
+        fail("bad address '" + (record.address || "") + "'");
+        continue;
+      }
+      if (!record.sku) {
+        fail("missing sku");
+        continue;
+      }
+      const quantity = record.quantity ? Number(record.quantity) : 1;
+      if (!Number.isInteger(quantity) || quantity < 1) {
+        fail("bad quantity '" + record.quantity + "'");
+        continue;
+      }
+      rows.push({
+        line,
+        address: ethers.utils.getAddress(record.address),
+        sku: record.sku,
+        quantity,
+        email: record.email || undefined
+      });
+    }
+    return {rows, errors};
+  }
+
+  /**
+   * Deterministic transaction ID of a row.  'occurrence' distinguishes rows that are
+   * repeated on purpose (same address, SKU and quantity).
+   */
+  static TransId({tenant, marketplace, batchId = "", row, occurrence = 0}) {
+    const key = [tenant, marketplace, batchId, row.address.toLowerCase(), row.sku, row.quantity, occurrence].join("|");
+    return "batch-" + crypto.createHash("sha256").update(key).digest("hex").slice(0, 32);
+  }
+
+  /**
+   * Read a journal file - returns a map of trans_id to the last entry for it
+   */
+  static ReadJournal({file}) {
+    let entries = {};
+    if (!fs.existsSync(file)) {
+      return entries;
+    }
+    for (const line of fs.readFileSync(file, "utf8").split("\n")) {
+      if (line.trim() == "") continue;
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        // A line cut short by an interruption
+        continue;
+      }
+      entries[entry.trans_id] = entry;
+    }
+    return entries;
+  }
+
+  /**
+   * Mint all rows, skipping the ones the journal shows as minted
+   *
+   * @namedParams
+   * @param {Array<Object>} rows - Rows (see ReadCsv())
+   * @param {string} tenant - Tenant ID
+   * @param {string} marketplace - Marketplace ID
+   * @param {string} batchId - Makes the trans_ids of this batch different from earlier batches with the same rows (optional)
+   * @param {string} journalFile - Path of the journal
+   * @param {function} mint - async ({row, transId}) => response - sends one mint request
+   * @param {number} ratePerSec - Maximum number of mint requests per second
+   * @param {number} retries - Number of retries of a failed row (with the same trans_id)
+   * @param {number} retryDelayMs - Delay before the first retry (doubled for each retry)
+   * @param {boolean} retryUnconfirmed - Also send rows left 'pending' by an interrupted run
+   * @param {boolean} dryRun - Only report what would be minted
+   * @param {function} onRow - Called with each row result (optional)
+   * @return {Promise<Object>} - { rows, totals } - row results are
+   * { line, address, sku, quantity, trans_id, status, attempts, error } where status is
+   * minted, already_minted, unconfirmed, failed or (dry run) planned
+   */
+  static async Run({rows, tenant, marketplace, batchId, journalFile, mint,
+    ratePerSec = DEFAULT_RATE_PER_SEC, retries = DEFAULT_RETRIES, retryDelayMs = DEFAULT_RETRY_DELAY_MS,
+    retryUnconfirmed = false, dryRun = false, onRow}) {
+
+    const journal = MintBatch.ReadJournal({file: journalFile});
+    if (fs.existsSync(journalFile)) {
+      // Don't append to a line cut short by an interruption
+      const text = fs.readFileSync(journalFile, "utf8");
+      if (text.length > 0 && !text.endsWith("\n")) {
+        fs.appendFileSync(journalFile, "\n");
+      }
+    }
+    const record = (row, transId, status, error) => {
+      fs.appendFileSync(journalFile, JSON.stringify({
+        time: new Date().toISOString(),
+        trans_id: transId,
+        line: row.line,
+        address: row.address,
+        sku: row.sku,
+        quantity: row.quantity,
+        status,
+        error
+      }) + "\n");
+    };
+
+    const minIntervalMs = 1000 / ratePerSec;
+    let lastRequest = 0;
+    const throttle = async () => {
+      const wait = lastRequest + minIntervalMs - Date.now();
+      if (wait > 0) {
+        await sleep(wait);
+      }
+      lastRequest = Date.now();
+    };
+
+    let occurrences = {};
+    let results = [];
+    for (const row of rows) {
+      const key = [row.address.toLowerCase(), row.sku, row.quantity].join("|");
+      const occurrence = occurrences[key] || 0;
+      occurrences[key] = occurrence + 1;
+
+      const transId = MintBatch.TransId({tenant, marketplace, batchId, row, occurrence});
+      let result = {
+        line: row.line,
+        address: row.address,
+        sku: row.sku,
+        quantity: row.quantity,
+        trans_id: transId,
+        status: undefined,
+        attempts: 0
+      };
+      results.push(result);
+
+      const previous = journal[transId];
+      if (previous && previous.status == "minted") {
+        result.status = "already_minted";
+      } else if (previous && previous.status == "pending" && !retryUnconfirmed) {
+        result.status = "unconfirmed";
+      } else if (dryRun) {
+        result.status = "planned";
+      } else {
+        for (let attempt = 0; attempt <= retries; attempt++) {
+          if (attempt > 0) {
+            await sleep(retryDelayMs * 2 ** (attempt - 1));
+          }
+          await throttle();
+          result.attempts++;
+          record(row, transId, "pending");
+          try {
+            await mint({row, transId});
+            record(row, transId, "minted");
+            result.status = "minted";
+            delete result.error;
+            break;
+          } catch (error) {
+            result.status = "failed";
+            result.error = ErrorMessage(error);
+            record(row, transId, "failed", result.error);
+          }
+        }
+      }
+
+      if (onRow) {
+        onRow(result);
+      }
+    }
+
+    let totals = {};
+    for (const r of results) {
+      totals[r.status] = (totals[r.status] || 0) + 1;
+    }
+    return {rows: results, totals};
+  }
+}
+
+MintBatch.DEFAULT_RATE_PER_SEC = DEFAULT_RATE_PER_SEC;
+MintBatch.DEFAULT_RETRIES = DEFAULT_RETRIES;
+MintBatch.DEFAULT_RETRY_DELAY_MS = DEFAULT_RETRY_DELAY_MS;
+
+exports.MintBatch = MintBatch;
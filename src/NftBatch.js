@@ -0,0 +1,217 @@
+/*
+ * Batch NFT transfers and burns (recalls, migrations, support remediations)
+ *
+ * CSV columns (header line required):
+ *
+ *   addr,token_id,from,to
+ *   0x43842733179fa1c38560a44f1d9067677461c8ca,128,0x31d979d8fcc4bfd55a081535c7aa816b67bd40c8,0x1111111111111111111111111111111111111111
+ *   0x43842733179fa1c38560a44f1d9067677461c8ca,129,,burn
+ *
+ * 'to' is the address to transfer to or 'burn'.  'from' is optional - if set, the
+ * token must be owned by it.
+ *
+ * A batch is first planned - every row is checked and gets the operation that will
+ * be used ('transfer' or 'burn' as the owner, 'proxy_transfer' through the contract's
+ * transfer proxy) or an error.  Running the plan records each row in a journal (one
+ * JSON object per line - { time, key, line, status, error }) so an interrupted batch
+ * can be resumed: rows the journal shows as done are skipped.
+ */
+
+const fs = require("fs");
+const ethers = require("ethers");
+const { parse } = require("csv-parse");
+
+class NftBatch {
+
+  /**
+   * Read and validate a batch CSV
+   *
+   * @return {Promise<Object>} - { rows, errors } - rows are { line, addr, token_id, from, to, burn }
+   */
+  static async ReadCsv({file}) {
+    const text = fs.readFileSync(file, "utf8");
+    const records = await new Promise((resolve, reject) => {
+      parse(text, {
+        columns: true,
+        skip_empty_lines: true,
+        trim: true,
+        comment: "#",
+        info: true
+      }, (error, records) => error ? reject(error) : resolve(records));
+    });
+
+    let rows = [];
+    let errors = [];
+    for (const {record, info} of records) {
+      const line = info.lines;
+      const fail = (message) => errors.push("line " + line + ": " + message);
+
+      if (!record.addr || !ethers.utils.isAddress(record.addr)) {
+        fail("bad contract address '" + (record.addr || "") + "'");
+        continue;
+      }
+      if (!/^[0-9]+$/.test(record.token_id || "")) {
+        fail("bad token ID '" + (record.token_id || "") + "'");
+        continue;
+      }
+      if (record.from && !ethers.utils.isAddress(record.from)) {
+        fail("bad from address '" + record.from + "'");
+        continue;
+      }
+      const burn = (record.to || "").toLowerCase() == "burn";
+      if (!burn && !ethers.utils.isAddress(record.to || "")) {
+        fail("bad to address '" + (record.to || "") + "' (must be an address or 'burn')");
+        continue;
+      }
+      rows.push({
+        line,
+        addr: ethers.utils.getAddress(record.addr),
+        token_id: record.token_id,
+        from: record.from ? ethers.utils.getAddress(record.from) : undefined,
+        to: burn ? "burn" : ethers.utils.getAddress(record.to),
+        burn
+      });
+    }
+    return {rows, errors};
+  }
+
+  /**
+   * Journal key of a row
+   */
+  static Key({row}) {
+    return [row.addr.toLowerCase(), row.token_id, row.to.toLowerCase()].join("|");
+  }
+
+  /**
+   * Check every row
+   *
+   * @namedParams
+   * @param {Array<Object>} rows - Rows (see ReadCsv())
+   * @param {function} check - async (row) => { owner, op } - throws if the row can't be done
+   * @param {string} journalFile - Rows this journal shows as done are not checked (optional)
+   * @return {Promise<Object>} - { rows, totals } - rows have 'owner' and 'op' set, 'error'
+   * or 'done' (done by an earlier run)
+   */
+  static async Plan({rows, check, journalFile}) {
+    const journal = journalFile ? NftBatch.ReadJournal({file: journalFile}) : {};
+    let plan = [];
+    let seen = {};
+    for (const row of rows) {
+      let entry = {...row};
+      const token = row.addr.toLowerCase() + "|" + row.token_id;
+      const previous = journal[NftBatch.Key({row})];
+      if (previous && previous.status == "done") {
+        entry.done = true;
+      } else if (seen[token]) {
+        entry.error = "token already in the batch (line " + seen[token] + ")";
+      } else {
+        seen[token] = row.line;
+        try {
+          Object.assign(entry, await check(row));
+        } catch (error) {
+          entry.error = error.message || String(error);
+        }
+      }
+      plan.push(entry);
+    }
+
+    let totals = {};
+    for (const entry of plan) {
+      const key = entry.done ? "done" : (entry.error ? "error" : entry.op);
+      totals[key] = (totals[key] || 0) + 1;
+    }
+    return {rows: plan, totals};
+  }
+
+  static ReadJournal({file}) {
+    let entries = {};
+    if (!fs.existsSync(file)) {
+      return entries;
+    }
+    for (const line of fs.readFileSync(file, "utf8").split("\n")) {
+      if (line.trim() == "") continue;
+      try {
+        const entry = JSON.parse(line);
+        entries[entry.key] = entry;
+      } catch (error) {
+        // A line cut short by an interruption
+      }
+    }
+    return entries;
+  }
+
+  /**
+   * Run the rows of a plan that have no error
+   *
+   * Rows the journal shows as done are skipped.  Rows left pending or failed by an
+   * earlier run are checked with 'verify' before being run again.
+   *
+   * @namedParams
+   * @param {Object} plan - Plan (see Plan())
+   * @param {string} journalFile - Path of the journal
+   * @param {function} execute - async (row) => void - runs one row, throws on failure
+   * @param {function} verify - async (row) => boolean - true if the row's transfer or burn already happened
+   * @param {function} onRow - Called with each row result (optional)
+   * @return {Promise<Object>} - { rows, totals } - row results are { line, addr, token_id, to, op, status, error }
+   * where status is done, already_done, failed or skipped (rows with a plan error)
+   */
+  static async Run({plan, journalFile, execute, verify, onRow}) {
+    const journal = NftBatch.ReadJournal({file: journalFile});
+    if (fs.existsSync(journalFile)) {
+      const text = fs.readFileSync(journalFile, "utf8");
+      if (text.length > 0 && !text.endsWith("\n")) {
+        fs.appendFileSync(journalFile, "\n");
+      }
+    }
+    const record = (row, status, error) => {
+      fs.appendFileSync(journalFile, JSON.stringify({
+        time: new Date().toISOString(),
+        key: NftBatch.Key({row}),
+        line: row.line,
+        status,
+        error
+      }) + "\n");
+    };
+
+    let results = [];
+    for (const row of plan.rows) {
+      let result = {line: row.line, addr: row.addr, token_id: row.token_id, to: row.to, op: row.op};
+      results.push(result);
+
+      const previous = journal[NftBatch.Key({row})];
+      try {
+        if (previous && previous.status == "done") {
+          result.status = "already_done";
+        } else if (previous && await verify(row)) {
+          // Interrupted or failed after the transaction went through
+          result.status = "already_done";
+          record(row, "done");
+        } else if (row.error) {
+          result.status = "skipped";
+          result.error = row.error;
+        } else {
+          record(row, "pending");
+          await execute(row);
+          record(row, "done");
+          result.status = "done";
+        }
+      } catch (error) {
+        result.status = "failed";
+        result.error = error.message || String(error);
+        record(row, "failed", result.error);
+      }
+
+      if (onRow) {
+        onRow(result);
+      }
+    }
+
+    let totals = {};
+    for (const r of results) {
+      totals[r.status] = (totals[r.status] || 0) + 1;
+    }
+    return {rows: results, totals};
+  }
+}
+
+exports.NftBatch = NftBatch;
@@ -0,0 +1,253 @@
+/*
+ * Generative NFT build input - a directory of '*.json' files, one per NFT
+ * (see EluvioLive.NftBuild and nft_build.schema.json)
+ *
+ * Every file is validated before anything is built and all problems are reported
+ * together as { file, line, path, message }.  Besides the schema, names must be unique
+ * across the files and a trait can only appear once per NFT.
+ *
+ * 'image' and 'embed_url' are either URLs or paths of local files relative to a media
+ * directory.  Local files are uploaded into the NFT template object under 'nft_media/'
+ * and the values rewritten to their fabric URLs (see RewriteUrls()).
+ */
+
+const fs = require("fs");
+const path = require("path");
+const urljoin = require("url-join");
+
+const { JsonSchema } = require("./JsonSchema");
+const schema = require("./nft_build.schema.json");
+
+const MEDIA_FIELDS = ["image", "embed_url"];
+
+// Object files path of uploaded media
+const MEDIA_PATH = "nft_media";
+
+const MIME_TYPES = {
+  ".gif": "image/gif",
+  ".jpeg": "image/jpeg",
+  ".jpg": "image/jpeg",
+  ".png": "image/png",
+  ".svg": "image/svg+xml",
+  ".webp": "image/webp",
+  ".glb": "model/gltf-binary",
+  ".gltf": "model/gltf+json",
+  ".mov": "video/quicktime",
+  ".mp4": "video/mp4",
+  ".webm": "video/webm",
+  ".mp3": "audio/mpeg",
+  ".wav": "audio/wav",
+  ".html": "text/html"
+};
+
+const IsUrl = (value) => /^[a-z][a-z0-9+.-]*:\/\//i.test(value);
+
+// Path of a local media file relative to the media directory, with '/' separators
+const MediaPath = (mediaDir, value) =>
+  path.relative(path.resolve(mediaDir), path.resolve(mediaDir, value)).split(path.sep).join("/");
+
+class NftBuild {
+
+  /**
+   * Read and validate the NFT files of a directory
+   *
+   * @namedParams
+   * @param {string} nftDir - Directory of '*.json' files
+   * @param {string} mediaDir - Directory local 'image' and 'embed_url' files are relative to (optional -
+   * without it they must be URLs)
+   * @param {boolean} checkMedia - Check 'image' and 'embed_url' (default true)
+   * @return {Promise<Object>} - { nftMetas, files, rarity, media, errors } - nftMetas has each NFT 'count'
+   * times and files the file each came from; media lists the local files referenced -
+   * { path, file, mime_type, size }
+   */
+  static async ReadDir({nftDir, mediaDir, checkMedia = true}) {
+    let files = (await fs.promises.readdir(nftDir))
+      .filter(file => path.extname(file) == ".json")
+      .sort();
+
+    let errors = [];
+    let entries = [];
+    for (const file of files) {
+      const text = fs.readFileSync(path.join(nftDir, file), "utf8");
+      const res = JsonSchema.Parse({text, schema});
+      if (res.value === null) {
+        errors = errors.concat(res.errors.map(e => ({file, ...e})));
+        continue;
+      }
+
+      // Checks the schema can't express - made on whatever parts have the right type
+      let nftMeta = res.value;
+      let fileErrors = res.errors;
+      let traits = {};
+      const attributes = JsonSchema.TypeOf(nftMeta) == "object" && Array.isArray(nftMeta.attributes) ?
+        nftMeta.attributes : [];
+      attributes.forEach((elem, i) => {
+        if (JsonSchema.TypeOf(elem) != "object") return;
+        // Fix up attributes - replace 'type' with 'trait_type'
+        if (elem.type != null) {
+          if (elem.trait_type == null) {
+            elem.trait_type = elem.type;
+          }
+          delete elem.type;
+        }
+        const p = "attributes[" + i + "]";
+        if (elem.trait_type == null) {
+          fileErrors.push({path: p, message: "missing required property 'trait_type'"});
+        } else if (traits[elem.trait_type] !== undefined) {
+          fileErrors.push({path: p, message: "duplicate trait '" + elem.trait_type + "' (also " +
+            "attributes[" + traits[elem.trait_type] + "])"});
+        } else {
+          traits[elem.trait_type] = i;
+        }
+      });
+
+      for (const field of checkMedia ? MEDIA_FIELDS : []) {
+        const value = nftMeta[field];
+        if (typeof value != "string" || value.trim() == "" || IsUrl(value)) continue;
+        if (!mediaDir) {
+          fileErrors.push({path: field, message: "'" + value + "' is not a URL (local files need a media directory)"});
+          continue;
+        }
+        const mediaFile = path.resolve(mediaDir, value);
+        const p = MediaPath(mediaDir, value);
+        if (p == ".." || p.startsWith("../") || path.isAbsolute(p)) {
+          fileErrors.push({path: field, message: "'" + value + "' is outside the media directory"});
+        } else if (!fs.existsSync(mediaFile) || !fs.statSync(mediaFile).isFile()) {
+          fileErrors.push({path: field, message: "media file not found: " + mediaFile});
+        }
+      }
+
+      JsonSchema.LocateErrors({text, errors: fileErrors});
+      errors = errors.concat(fileErrors.map(e => ({file, ...e})));
+      entries.push({file, text, nftMeta});
+    }
+
+    // Names must be unique across files (NFTs without a name use the template's)
+    let names = {};
+    for (const {file, text, nftMeta} of entries) {
+      if (typeof nftMeta.name != "string") continue;
+      if (names[nftMeta.name]) {
+        const nameErrors = [{path: "name", message: "duplicate name '" + nftMeta.name + "' (also in " +
+          names[nftMeta.name] + ")"}];
+        JsonSchema.LocateErrors({text, errors: nameErrors});
+        errors.push({file, ...nameErrors[0]});
+      } else {
+        names[nftMeta.name] = file;
+      }
+    }
+
+    if (errors.length > 0) {
+      return {nftMetas: [], files: [], rarity: {}, media: [], errors};
+    }
+
+    let nftMetas = [];
+    let nftFiles = [];
+    for (const {file, nftMeta} of entries) {
+      const count = nftMeta.count || 1;
+      for (let i = 0; i < count; i++) {
+        nftMetas.push(nftMeta);
+        nftFiles.push(file);
+      }
+    }
+
+    return {
+      nftMetas,
+      files: nftFiles,
+      rarity: NftBuild.Rarity({nftMetas}),
+      media: mediaDir && checkMedia ? NftBuild.MediaFiles({nftMetas, mediaDir}) : [],
+      errors
+    };
+  }
+
+  /**
+   * Number of NFTs with each trait and with each value of a trait -
+   * { trait: { total, value: count } }
+   */
+  static Rarity({nftMetas}) {
+    let rarity = {};
+    for (const nftMeta of nftMetas) {
+      for (const elem of nftMeta.attributes || []) {
+        if (!rarity[elem.trait_type]) {
+          rarity[elem.trait_type] = {total: 0};
+        }
+        rarity[elem.trait_type].total++;
+        rarity[elem.trait_type][elem.value] = (rarity[elem.trait_type][elem.value] || 0) + 1;
+      }
+    }
+    return rarity;
+  }
+
+  /**
+   * Attributes of a token (none if the NFT file has no 'attributes') with the rarity of
+   * each value filled in if not set - e.g. '2/10' for a value 2 of 10 tokens have
+   *
+   * @namedParams
+   * @param {Object} nftMeta - The NFT
+   * @param {Object} rarity - Stats for each trait and value (see Rarity())
+   * @param {string} totalSupply - Total supply of the NFT contract
+   * @return {Array<Object>} - The attributes
+   */
+  static TokenAttributes({nftMeta, rarity, totalSupply}) {
+    return (nftMeta.attributes || []).map(attr => {
+      if (attr.rarity !== undefined || !rarity || !rarity[attr.trait_type]) {
+        return attr;
+      }
+      return {...attr, rarity: rarity[attr.trait_type][attr.value] + "/" + totalSupply};
+    });
+  }
+
+  /**
+   * Local media files referenced by the NFTs (each file once)
+   */
+  static MediaFiles({nftMetas, mediaDir}) {
+    let media = {};
+    for (const nftMeta of nftMetas) {
+      for (const field of MEDIA_FIELDS) {
+        const value = nftMeta[field];
+        if (value === undefined || IsUrl(value)) continue;
+        const file = path.resolve(mediaDir, value);
+        const p = MediaPath(mediaDir, value);
+        if (!media[p]) {
+          media[p] = {
+            path: p,
+            file,
+            mime_type: MIME_TYPES[path.extname(file).toLowerCase()] || "application/octet-stream",
+            size: fs.statSync(file).size
+          };
+        }
+      }
+    }
+    return Object.values(media);
+  }
+
+  /**
+   * Replace local media paths with the URLs of the uploaded files
+   *
+   * @namedParams
+   * @param {Array<Object>} nftMetas - The NFTs (modified)
+   * @param {string} mediaDir - The media directory
+   * @param {string} baseUrl - URL of the object files (e.g. 'https://.../q/hq__.../files')
+   */
+  static RewriteUrls({nftMetas, mediaDir, baseUrl}) {
+    for (const nftMeta of nftMetas) {
+      for (const field of MEDIA_FIELDS) {
+        const value = nftMeta[field];
+        if (value === undefined || IsUrl(value)) continue;
+        nftMeta[field] = urljoin(baseUrl, MEDIA_PATH, MediaPath(mediaDir, value));
+      }
+    }
+    return nftMetas;
+  }
+
+  /**
+   * Format errors as 'file:line: path: message' - file names are shown relative to the NFT directory
+   */
+  static FormatErrors({errors}) {
+    return errors.map(e => JsonSchema.FormatErrors({file: e.file, errors: [e]})[0]);
+  }
+}
+
+NftBuild.MEDIA_PATH = MEDIA_PATH;
+NftBuild.MIME_TYPES = MIME_TYPES;
+
+exports.NftBuild = NftBuild;
@@ -0,0 +1,390 @@
+/*
+ * NFT ownership indexer
+ *
+ * Replays the Transfer logs of an ElvTradable contract (mints are transfers from
+ * the zero address, burns transfers to it) into a local JSON store so balance,
+ * holder and transfer history queries don't need a contract call per token.
+ *
+ * Each sync continues from the last block processed by the previous one.  Works
+ * with any ethers provider - the fabric's blockchain or a local dev chain.
+ *
+ * TokenHistory() reads the chain of custody of a single token, Offers() and
+ * Redemptions() the redeemable offers directly from the logs (no store needed).
+ *
+ * Store file:
+ *
+ *   {
+ *     "version": 1,
+ *     "addr": "0x...",
+ *     "last_block": 1234567,
+ *     "owners": { "<token ID>": "0x...", ... },
+ *     "transfers": [ { "block_number", "transaction_hash", "log_index", "from", "to", "token_id" }, ... ]
+ *   }
+ */
+
+const fs = require("fs");
+const path = require("path");
+const ethers = require("ethers");
+
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+
+// Number of blocks requested per getLogs call (ranges that fail are split in half)
+const DEFAULT_BATCH_BLOCKS = 5000;
+
+const abi = JSON.parse(fs.readFileSync(
+  path.resolve(__dirname, "../contracts/v3/ElvTradableLocal.abi")
+));
+
+class NftIndexer {
+
+  /**
+   * @namedParams
+   * @param {string} addr - The NFT contract address
+   * @param {string} storeFile - Path of the JSON store
+   * @param {Object} provider - ethers provider (only needed to read logs - Sync() and TokenHistory())
+   * @param {number} batchBlocks - Number of blocks per log request
+   */
+  constructor({addr, storeFile, provider, batchBlocks = DEFAULT_BATCH_BLOCKS}) {
+    this.addr = ethers.utils.getAddress(addr);
+    this.storeFile = storeFile;
+    this.provider = provider;
+    this.batchBlocks = batchBlocks;
+    this.iface = new ethers.utils.Interface(abi);
+    this.store = this.Load();
+  }
+
+  /**
+   * Default store path for a contract - 'nft_index_<addr>.json' in the current directory
+   */
+  static DefaultStoreFile({addr}) {
+    return path.resolve("nft_index_" + addr.toLowerCase() + ".json");
+  }
+
+  Load() {
+    if (this.storeFile && fs.existsSync(this.storeFile)) {
+      const store = JSON.parse(fs.readFileSync(this.storeFile, "utf8"));
+      if (store.addr.toLowerCase() != this.addr.toLowerCase()) {
+        throw Error("Store " + this.storeFile + " is for contract " + store.addr);
+      }
+      return store;
+    }
+    return {version: 1, addr: this.addr, last_block: -1, owners: {}, transfers: []};
+  }
+
+  Save() {
+    if (!this.storeFile) return;
+    const tmp = this.storeFile + ".tmp";
+    fs.writeFileSync(tmp, JSON.stringify(this.store));
+    fs.renameSync(tmp, this.storeFile);
+  }
+
+  /**
+   * Fetch and apply the logs from the block after the last one processed
+   *
+   * @namedParams
+   * @param {number} fromBlock - First block to index (only used for a new store - e.g. the contract creation block)
+   * @param {number} toBlock - Last block to index (default: latest block)
+   * @param {function} onProgress - Called with ({block, toBlock, transfers}) after each batch (optional)
+   * @return {Promise<Object>} - { from_block, to_block, transfers } - transfers is the number of new transfers
+   */
+  async Sync({fromBlock = 0, toBlock, onProgress} = {}) {
+    if (!this.provider) {
+      throw Error("NftIndexer needs a provider to sync");
+    }
+    if (toBlock == undefined) {
+      toBlock = await this.provider.getBlockNumber();
+    }
+
+    const start = this.store.last_block >= 0 ? this.store.last_block + 1 : fromBlock;
+    let count = 0;
+    for (let block = start; block <= toBlock; block += this.batchBlocks) {
+      const end = Math.min(block + this.batchBlocks - 1, toBlock);
+      const logs = await this.GetLogs({fromBlock: block, toBlock: end});
+      logs.forEach(log => this.Apply({log}));
+      count += logs.length;
+
+      this.store.last_block = end;
+      this.Save();
+      if (onProgress) {
+        onProgress({block: end, toBlock, transfers: count});
+      }
+    }
+
+    return {from_block: start, to_block: toBlock, transfers: count};
+  }
+
+  /**
+   * Logs of the contract in a block range, in chain order - Transfer logs unless
+   * 'topics' is set.  A range the node refuses (e.g. too many results) is split in half.
+   */
+  async GetLogs({fromBlock, toBlock, topics = [this.iface.getEventTopic("Transfer")]}) {
+    let logs;
+    try {
+      logs = await this.provider.getLogs({
+        address: this.addr,
+        topics,
+        fromBlock,
+        toBlock
+      });
+    } catch (error) {
+      if (toBlock <= fromBlock) {
+        throw error;
+      }
+      const mid = Math.floor((fromBlock + toBlock) / 2);
+      return [
+        ...await this.GetLogs({fromBlock, toBlock: mid, topics}),
+        ...await this.GetLogs({fromBlock: mid + 1, toBlock, topics})
+      ];
+    }
+    return logs.sort((a, b) => (a.blockNumber - b.blockNumber) || (a.logIndex - b.logIndex));
+  }
+
+  /**
+   * Apply one Transfer log to the store
+   */
+  Apply({log}) {
+    const event = this.iface.parseLog(log);
+    const transfer = {
+      block_number: log.blockNumber,
+      transaction_hash: log.transactionHash,
+      log_index: log.logIndex,
+      from: event.args.from,
+      to: event.args.to,
+      token_id: event.args.tokenId.toString()
+    };
+    this.store.transfers.push(transfer);
+    if (transfer.to == ZERO_ADDRESS) {
+      delete this.store.owners[transfer.token_id];
+    } else {
+      this.store.owners[transfer.token_id] = transfer.to;
+    }
+    return transfer;
+  }
+
+  /**
+   * Chain of custody of a token, read from the contract's Transfer and Redeem logs
+   *
+   * Each event is one of:
+   * - mint, burn - transfers from or to the zero address
+   * - transfer - sent to the NFT contract by the owner or an approved address
+   * - proxy_transfer - sent through another contract, e.g. the transfer proxy ('via')
+   * - redeem - an offer redeemed with the token
+   *
+   * @namedParams
+   * @param {string} tokenId - The token ID
+   * @param {number} fromBlock - First block to search (e.g. the contract creation block)
+   * @param {number} toBlock - Last block to search (default: latest block)
+   * @return {Promise<Object>} - { addr, token_id, owner, events } - events are in chain order and
+   * have { type, block_number, time, transaction_hash, sender } plus { from, to, via } for
+   * transfers and { redeemer, offer_id } for redemptions
+   */
+  async TokenHistory({tokenId, fromBlock = 0, toBlock}) {
+    if (toBlock == undefined) {
+      toBlock = await this.provider.getBlockNumber();
+    }
+    tokenId = ethers.BigNumber.from(tokenId);
+    const tokenTopic = ethers.utils.hexZeroPad(tokenId.toHexString(), 32);
+
+    const transferLogs = await this.GetLogs({
+      fromBlock,
+      toBlock,
+      topics: [this.iface.getEventTopic("Transfer"), null, null, tokenTopic]
+    });
+    // The Redeem token ID is not indexed
+    const redeemLogs = (await this.GetLogs({
+      fromBlock,
+      toBlock,
+      topics: [this.iface.getEventTopic("Redeem")]
+    })).filter(log => this.iface.parseLog(log).args.tokenId.eq(tokenId));
+
+    const logs = [...transferLogs, ...redeemLogs]
+      .sort((a, b) => (a.blockNumber - b.blockNumber) || (a.logIndex - b.logIndex));
+
+    let transactions = {};
+    let blocks = {};
+    let owner = null;
+    let events = [];
+    for (const log of logs) {
+      if (!transactions[log.transactionHash]) {
+        transactions[log.transactionHash] = await this.provider.getTransaction(log.transactionHash);
+      }
+      if (!blocks[log.blockNumber]) {
+        blocks[log.blockNumber] = await this.provider.getBlock(log.blockNumber);
+      }
+      const tx = transactions[log.transactionHash];
+      const parsed = this.iface.parseLog(log);
+
+      let event = {
+        type: undefined,
+        block_number: log.blockNumber,
+        time: new Date(blocks[log.blockNumber].timestamp * 1000).toISOString(),
+        transaction_hash: log.transactionHash,
+        sender: tx.from
+      };
+
+      if (parsed.name == "Redeem") {
+        event.type = "redeem";
+        event.redeemer = parsed.args.redeemer;
+        event.offer_id = parsed.args.offerId;
+      } else {
+        const {from, to} = parsed.args;
+        if (from == ZERO_ADDRESS) {
+          event.type = "mint";
+        } else if (to == ZERO_ADDRESS) {
+          event.type = "burn";
+        } else if (tx.to && tx.to.toLowerCase() != this.addr.toLowerCase()) {
+          event.type = "proxy_transfer";
+          event.via = tx.to;
+        } else {
+          event.type = "transfer";
+        }
+        event.from = from;
+        event.to = to;
+        owner = to == ZERO_ADDRESS ? null : to;
+      }
+      events.push(event);
+    }
+
+    return {
+      addr: this.addr,
+      token_id: tokenId.toString(),
+      owner,
+      events
+    };
+  }
+
+  /**
+   * Redeemable offers of the contract, read from its RedeemableAdded and RedeemableRemoved logs
+   *
+   * @namedParams
+   * @param {number} fromBlock - First block to search (e.g. the contract creation block)
+   * @param {number} toBlock - Last block to search (default: latest block)
+   * @return {Promise<Array<Object>>} - { offer_id, added_block, removed_block } by offer ID -
+   * removed_block is null for offers that were not removed
+   */
+  async Offers({fromBlock = 0, toBlock} = {}) {
+    if (toBlock == undefined) {
+      toBlock = await this.provider.getBlockNumber();
+    }
+    const logs = await this.GetLogs({
+      fromBlock,
+      toBlock,
+      topics: [[this.iface.getEventTopic("RedeemableAdded"), this.iface.getEventTopic("RedeemableRemoved")]]
+    });
+
+    let offers = {};
+    for (const log of logs) {
+      const parsed = this.iface.parseLog(log);
+      const offerId = parsed.args.offerId;
+      if (parsed.name == "RedeemableAdded") {
+        offers[offerId] = {offer_id: offerId, added_block: log.blockNumber, removed_block: null};
+      } else if (offers[offerId]) {
+        offers[offerId].removed_block = log.blockNumber;
+      }
+    }
+    return Object.values(offers).sort((a, b) => a.offer_id - b.offer_id);
+  }
+
+  /**
+   * All offer redemptions of the contract, read from its Redeem logs
+   *
+   * @namedParams
+   * @param {number} fromBlock - First block to search (e.g. the contract creation block)
+   * @param {number} toBlock - Last block to search (default: latest block)
+   * @return {Promise<Array<Object>>} - { offer_id, token_id, redeemer, block_number, time, transaction_hash }
+   * in chain order
+   */
+  async Redemptions({fromBlock = 0, toBlock} = {}) {
+    if (toBlock == undefined) {
+      toBlock = await this.provider.getBlockNumber();
+    }
+    const logs = await this.GetLogs({
+      fromBlock,
+      toBlock,
+      topics: [this.iface.getEventTopic("Redeem")]
+    });
+
+    let blocks = {};
+    let redemptions = [];
+    for (const log of logs) {
+      if (!blocks[log.blockNumber]) {
+        blocks[log.blockNumber] = await this.provider.getBlock(log.blockNumber);
+      }
+      const parsed = this.iface.parseLog(log);
+      redemptions.push({
+        offer_id: parsed.args.offerId,
+        token_id: parsed.args.tokenId.toString(),
+        redeemer: parsed.args.redeemer,
+        block_number: log.blockNumber,
+        time: new Date(blocks[log.blockNumber].timestamp * 1000).toISOString(),
+        transaction_hash: log.transactionHash
+      });
+    }
+    return redemptions;
+  }
+
+  /**
+   * Current owner of a token (null if the token doesn't exist or was burned)
+   */
+  OwnerOf({tokenId}) {
+    return this.store.owners[tokenId.toString()] || null;
+  }
+
+  /**
+   * Token IDs held by an address
+   */
+  TokensOf({owner}) {
+    owner = owner.toLowerCase();
+    return Object.entries(this.store.owners)
+      .filter(([, o]) => o.toLowerCase() == owner)
+      .map(([tokenId]) => tokenId);
+  }
+
+  BalanceOf({owner}) {
+    return this.TokensOf({owner}).length;
+  }
+
+  /**
+   * All holders with their balances, largest balance first
+   *
+   * @return {Array<Object>} - { owner, balance }
+   */
+  Holders() {
+    let balances = {};
+    for (const owner of Object.values(this.store.owners)) {
+      balances[owner] = (balances[owner] || 0) + 1;
+    }
+    return Object.entries(balances)
+      .map(([owner, balance]) => ({owner, balance}))
+      .sort((a, b) => (b.balance - a.balance) || a.owner.localeCompare(b.owner));
+  }
+
+  /**
+   * Transfers of a token and/or to and from an address, in chain order
+   */
+  History({tokenId, owner}) {
+    const address = owner ? owner.toLowerCase() : undefined;
+    return this.store.transfers.filter(t =>
+      (tokenId == undefined || t.token_id == tokenId.toString()) &&
+      (address == undefined || t.from.toLowerCase() == address || t.to.toLowerCase() == address)
+    );
+  }
+
+  /**
+   * Summary of the store
+   */
+  Info() {
+    return {
+      addr: this.store.addr,
+      last_block: this.store.last_block,
+      tokens: Object.keys(this.store.owners).length,
+      holders: new Set(Object.values(this.store.owners)).size,
+      transfers: this.store.transfers.length
+    };
+  }
+}
+
+NftIndexer.ZERO_ADDRESS = ZERO_ADDRESS;
+NftIndexer.DEFAULT_BATCH_BLOCKS = DEFAULT_BATCH_BLOCKS;
+
+exports.NftIndexer = NftIndexer;
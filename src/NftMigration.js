@@ -0,0 +1,160 @@
+/*
+ * NFT contract migration - re-mint the tokens of an ElvTradableLocal contract
+ * on a replacement contract
+ *
+ * Tokens keep their token ID, owner, token URI and the remaining part of their
+ * hold.  They are minted in the order of their original ordinals so the ordinals
+ * are preserved as long as no token was burned from the original contract.
+ *
+ * The migration is recorded in a mapping file that is updated after every token,
+ * so an interrupted migration can be resumed:
+ *
+ *   {
+ *     "old_addr": "0x...",
+ *     "new_addr": "0x...",
+ *     "block_number": 1234567,
+ *     "tokens": [
+ *       { "token_id", "owner", "token_uri", "hold_end", "old_ordinal", "new_ordinal", "status", "original", "error" }
+ *     ]
+ *   }
+ *
+ * 'status' is 'pending', 'minted' or 'failed'.  'original' records what was done with
+ * the original token once it is minted on the new contract (e.g. 'burned') - it is
+ * not set if the originals are kept.  A token transferred after the snapshot is minted
+ * to its new owner - 'snapshot_owner' is then the owner at the time of the snapshot.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+// ERC-721 tokens can't be transferred to the zero address - originals the signer
+// can't burn are moved here instead
+const RETIRED_ADDRESS = "0x000000000000000000000000000000000000dEaD";
+
+class NftMigration {
+
+  /**
+   * New mapping from a snapshot of the original contract (see NftSnapshot)
+   */
+  static Mapping({oldAddr, snapshot}) {
+    const tokens = snapshot.tokens.map(t => ({
+      token_id: t.token_id,
+      owner: t.owner,
+      token_uri: t.token_uri,
+      hold_end: t.hold_end,
+      old_ordinal: t.ordinal,
+      status: "pending"
+    }));
+    return {
+      old_addr: oldAddr,
+      new_addr: null,
+      block_number: snapshot.block_number,
+      tokens: NftMigration.MintOrder({tokens})
+    };
+  }
+
+  /**
+   * Tokens sorted by original ordinal - tokens without an ordinal go last, by token ID
+   */
+  static MintOrder({tokens}) {
+    const ordinal = (t) => t.old_ordinal === undefined || t.old_ordinal === null || Number(t.old_ordinal) < 0 ?
+      Infinity : Number(t.old_ordinal);
+    return [...tokens].sort((a, b) => {
+      const d = ordinal(a) - ordinal(b);
+      if (d != 0 && !isNaN(d)) return d;
+      return BigInt(a.token_id) < BigInt(b.token_id) ? -1 : (BigInt(a.token_id) > BigInt(b.token_id) ? 1 : 0);
+    });
+  }
+
+  /**
+   * Remaining hold of a token in seconds (0 if the hold is over)
+   */
+  static HoldSecs({holdEnd, now = Date.now()}) {
+    if (!holdEnd) return 0;
+    return Math.max(0, Math.ceil((Date.parse(holdEnd) - now) / 1000));
+  }
+
+  /**
+   * Default mapping file of a contract - 'nft_migrate_<addr>.json' in the current directory
+   */
+  static DefaultMappingFile({addr}) {
+    return path.resolve("nft_migrate_" + addr.toLowerCase() + ".json");
+  }
+
+  static ReadMapping({file}) {
+    if (!fs.existsSync(file)) {
+      return null;
+    }
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  }
+
+  static WriteMapping({file, mapping}) {
+    const tmp = file + ".tmp";
+    fs.writeFileSync(tmp, JSON.stringify(mapping, null, 2));
+    fs.renameSync(tmp, file);
+  }
+
+  /**
+   * Mint the tokens that are not minted yet and, optionally, retire the originals
+   *
+   * @namedParams
+   * @param {Object} mapping - The migration mapping (see Mapping())
+   * @param {string} mappingFile - Where the mapping is saved after every token
+   * @param {function} mint - async (token) => new ordinal - mints one token on the new contract
+   * @param {function} retire - async (token) => what was done (e.g. 'burned') - takes one original
+   * token out of circulation (optional - originals are kept if not set)
+   * @param {function} onToken - Called with each token after it is processed (optional)
+   * @return {Promise<Object>} - The mapping, with totals { tokens, minted, failed, retired, ordinal_changed }
+   */
+  static async Run({mapping, mappingFile, mint, retire, onToken}) {
+    for (const token of mapping.tokens) {
+      if (token.status != "minted") {
+        try {
+          const ordinal = await mint(token);
+          token.new_ordinal = ordinal === undefined ? undefined : String(ordinal);
+          token.status = "minted";
+          delete token.error;
+        } catch (error) {
+          token.status = "failed";
+          token.error = error.message || String(error);
+        }
+      }
+
+      if (retire && token.status == "minted" && !token.original) {
+        try {
+          token.original = await retire(token);
+          delete token.error;
+        } catch (error) {
+          token.error = "original: " + (error.message || String(error));
+        }
+      }
+
+      NftMigration.WriteMapping({file: mappingFile, mapping});
+      if (onToken) {
+        onToken(token);
+      }
+    }
+
+    mapping.totals = NftMigration.Totals({mapping});
+    NftMigration.WriteMapping({file: mappingFile, mapping});
+    return mapping;
+  }
+
+  static Totals({mapping}) {
+    let totals = {tokens: mapping.tokens.length, minted: 0, failed: 0, retired: 0, ordinal_changed: 0};
+    for (const t of mapping.tokens) {
+      if (t.status == "minted") totals.minted++;
+      if (t.status == "failed") totals.failed++;
+      if (t.original) totals.retired++;
+      if (t.status == "minted" && t.old_ordinal !== undefined && t.new_ordinal !== undefined &&
+        t.old_ordinal != t.new_ordinal) {
+        totals.ordinal_changed++;
+      }
+    }
+    return totals;
+  }
+}
+
+NftMigration.RETIRED_ADDRESS = RETIRED_ADDRESS;
+
+exports.NftMigration = NftMigration;
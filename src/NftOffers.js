@@ -0,0 +1,69 @@
+/*
+ * Redeemable offer reports
+ *
+ * Combines the offers of an NFT contract (see NftIndexer.Offers) with its redemptions
+ * (see NftIndexer.Redemptions) into per-offer counts, and exports the redemptions as
+ * CSV so partners can fulfil the perks:
+ *
+ *   offer_id,token_id,redeemer,block_number,time,transaction_hash
+ */
+
+const { NftSnapshot } = require("./NftSnapshot");
+
+const CSV_FIELDS = ["offer_id", "token_id", "redeemer", "block_number", "time", "transaction_hash"];
+
+class NftOffers {
+
+  /**
+   * Per-offer summary
+   *
+   * @namedParams
+   * @param {Array<Object>} offers - { offer_id, active, added_block, removed_block }
+   * @param {Array<Object>} redemptions - { offer_id, token_id, redeemer, ... }
+   * @param {string} offerId - Only this offer (optional)
+   * @return {Object} - { offers, redemptions } - offers have 'redemptions' (count) and 'redeemers'
+   * (distinct addresses) added; redemptions of offers not found in the logs get an offer
+   * with 'added_block' null
+   */
+  static Report({offers, redemptions, offerId}) {
+    let byId = {};
+    for (const offer of offers) {
+      byId[offer.offer_id] = {...offer, redemptions: 0, redeemers: 0};
+    }
+
+    let redeemers = {};
+    for (const r of redemptions) {
+      if (!byId[r.offer_id]) {
+        byId[r.offer_id] = {offer_id: r.offer_id, active: undefined, added_block: null, removed_block: null,
+          redemptions: 0, redeemers: 0};
+      }
+      byId[r.offer_id].redemptions++;
+      redeemers[r.offer_id] = redeemers[r.offer_id] || new Set();
+      redeemers[r.offer_id].add(r.redeemer.toLowerCase());
+    }
+    for (const [id, set] of Object.entries(redeemers)) {
+      byId[id].redeemers = set.size;
+    }
+
+    const selected = (o) => offerId === undefined || offerId === null || String(o.offer_id) == String(offerId);
+    return {
+      offers: Object.values(byId).filter(selected).sort((a, b) => a.offer_id - b.offer_id),
+      redemptions: redemptions.filter(selected)
+    };
+  }
+
+  /**
+   * Format redemptions as CSV (with a header line)
+   */
+  static ToCsv({redemptions}) {
+    const lines = [CSV_FIELDS.join(",")];
+    for (const r of redemptions) {
+      lines.push(CSV_FIELDS.map(f => NftSnapshot.CsvValue(r[f])).join(","));
+    }
+    return lines.join("\n") + "\n";
+  }
+}
+
+NftOffers.CSV_FIELDS = CSV_FIELDS;
+
+exports.NftOffers = NftOffers;
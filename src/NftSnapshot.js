@@ -0,0 +1,179 @@
+/*
+ * NFT holder snapshot
+ *
+ * Enumerates every token of an NFT contract at a fixed block height.  Tokens are
+ * read with a bounded number of concurrent calls and the progress is saved to a
+ * checkpoint file so an interrupted snapshot can be resumed.  The checkpoint is
+ * removed once all tokens have been read.
+ *
+ * Checkpoint file:
+ *
+ *   {
+ *     "addr": "0x...",
+ *     "block_number": 1234567,
+ *     "total_supply": 1000,
+ *     "tokens": { "0": { "index": 0, "token_id": "1", "owner": "0x...", ... }, ... }
+ *   }
+ */
+
+const fs = require("fs");
+
+const DEFAULT_CONCURRENCY = 10;
+
+// Save the checkpoint after this many tokens
+const CHECKPOINT_EVERY = 50;
+
+const CSV_FIELDS = ["index", "token_id", "owner", "ordinal", "token_uri", "hold_end"];
+
+// CSV field - quoted if it has a comma, quote or newline (also used by NftOffers)
+const CsvValue = (v) => {
+  if (v === undefined || v === null) return "";
+  const s = String(v);
+  return /[",\n]/.test(s) ? "\"" + s.replace(/"/g, "\"\"") + "\"" : s;
+};
+
+class NftSnapshot {
+
+  /**
+   * Read a checkpoint file - returns null if the file doesn't exist
+   */
+  static ReadCheckpoint({file}) {
+    if (!file || !fs.existsSync(file)) {
+      return null;
+    }
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  }
+
+  /**
+   * Write a checkpoint file (through a temporary file so an interruption can't leave it truncated)
+   */
+  static WriteCheckpoint({file, checkpoint}) {
+    const tmp = file + ".tmp";
+    fs.writeFileSync(tmp, JSON.stringify(checkpoint));
+    fs.renameSync(tmp, file);
+  }
+
+  /**
+   * Read all tokens
+   *
+   * @namedParams
+   * @param {string} addr - The NFT contract address
+   * @param {number} blockNumber - Block height of the snapshot
+   * @param {number} totalSupply - Number of tokens at that block
+   * @param {function} readToken - async (index) => token info ({ index, token_id, owner, ordinal, token_uri, hold_end })
+   * @param {number} concurrency - Maximum number of tokens read at the same time
+   * @param {string} checkpointFile - Resume from / save progress to this file (optional)
+   * @param {function} onProgress - Called with ({done, total}) as tokens are read (optional)
+   * @return {Promise<Object>} - { addr, block_number, total_supply, tokens, errors } - tokens
+   * are sorted by index; errors are { index, error } for tokens that could not be read
+   */
+  static async Run({addr, blockNumber, totalSupply, readToken, concurrency = DEFAULT_CONCURRENCY,
+    checkpointFile, onProgress}) {
+
+    let checkpoint = NftSnapshot.ReadCheckpoint({file: checkpointFile});
+    if (checkpoint) {
+      if (checkpoint.addr.toLowerCase() != addr.toLowerCase() || checkpoint.block_number != blockNumber) {
+        throw Error("Checkpoint " + checkpointFile + " is for " + checkpoint.addr +
+          " at block " + checkpoint.block_number + " - remove it or use the same block");
+      }
+    } else {
+      checkpoint = {addr, block_number: blockNumber, total_supply: totalSupply, tokens: {}};
+    }
+
+    const pending = [];
+    for (let i = 0; i < totalSupply; i++) {
+      if (!checkpoint.tokens[i]) pending.push(i);
+    }
+
+    let done = totalSupply - pending.length;
+    let sinceCheckpoint = 0;
+    let errors = [];
+
+    const save = () => {
+      if (checkpointFile) {
+        NftSnapshot.WriteCheckpoint({file: checkpointFile, checkpoint});
+      }
+      sinceCheckpoint = 0;
+    };
+
+    // Each worker reads the next pending token until there are none left
+    let next = 0;
+    const worker = async () => {
+      while (next < pending.length) {
+        const index = pending[next++];
+        try {
+          checkpoint.tokens[index] = await readToken(index);
+        } catch (error) {
+          errors.push({index, error: error.message || String(error)});
+          continue;
+        }
+        done++;
+        if (++sinceCheckpoint >= CHECKPOINT_EVERY) {
+          save();
+        }
+        if (onProgress) {
+          onProgress({done, total: totalSupply});
+        }
+      }
+    };
+
+    await Promise.all(
+      Array.from({length: Math.min(concurrency, pending.length)}, worker)
+    );
+
+    // Keep the checkpoint only if there are tokens left to retry
+    if (errors.length > 0) {
+      save();
+    } else if (checkpointFile && fs.existsSync(checkpointFile)) {
+      fs.unlinkSync(checkpointFile);
+    }
+
+    errors.sort((a, b) => a.index - b.index);
+    return {
+      addr,
+      block_number: blockNumber,
+      total_supply: totalSupply,
+      tokens: Object.values(checkpoint.tokens).sort((a, b) => a.index - b.index),
+      errors
+    };
+  }
+
+  /**
+   * Tokens still under hold, the ones released last first
+   *
+   * @namedParams
+   * @param {Array<Object>} tokens - Snapshot tokens
+   * @param {string} owner - Only the tokens of this address (optional)
+   * @param {number} now - Time to compare the hold ends to (ms - default: now)
+   * @return {Array<Object>} - { token_id, owner, hold_end, remaining_secs }
+   */
+  static Holds({tokens, owner, now = Date.now()}) {
+    return tokens
+      .filter(t => t.hold_end && Date.parse(t.hold_end) > now)
+      .filter(t => !owner || t.owner.toLowerCase() == owner.toLowerCase())
+      .map(t => ({
+        token_id: t.token_id,
+        owner: t.owner,
+        hold_end: t.hold_end,
+        remaining_secs: Math.ceil((Date.parse(t.hold_end) - now) / 1000)
+      }))
+      .sort((a, b) => (b.remaining_secs - a.remaining_secs) || a.token_id.localeCompare(b.token_id));
+  }
+
+  /**
+   * Format snapshot tokens as CSV (with a header line)
+   */
+  static ToCsv({tokens, fields = CSV_FIELDS}) {
+    const lines = [fields.join(",")];
+    for (const token of tokens) {
+      lines.push(fields.map(f => CsvValue(token[f])).join(","));
+    }
+    return lines.join("\n") + "\n";
+  }
+}
+
+NftSnapshot.DEFAULT_CONCURRENCY = DEFAULT_CONCURRENCY;
+NftSnapshot.CSV_FIELDS = CSV_FIELDS;
+NftSnapshot.CsvValue = CsvValue;
+
+exports.NftSnapshot = NftSnapshot;
@@ -0,0 +1,339 @@
+/*
+ * Offer redemption vouchers
+ *
+ * A voucher is an offer signature (see ElvAccount.CreateOfferSignature) together
+ * with what was signed, so it can be checked without a fabric connection:
+ *
+ *   {
+ *     "version": 1,
+ *     "nft_address": "0x...",
+ *     "mint_helper_address": "0x...",
+ *     "token_id": "128",
+ *     "offer_id": 1,
+ *     "signer": "0x...",
+ *     "signature": "0x...",
+ *     "created": "2023-01-01T00:00:00.000Z"
+ *   }
+ *
+ * Encode() turns a voucher into a short string for QR codes ('ELVV1.' followed by
+ * the base64url-encoded JSON).
+ */
+
+const fs = require("fs");
+const ethers = require("ethers");
+const { parse } = require("csv-parse");
+const qrcode = require("qrcode");
+
+const PREFIX = "ELVV1.";
+
+class OfferVoucher {
+
+  /**
+   * The hash that is signed - keccak256 of the packed NFT address, mint helper
+   * address, token ID and offer ID
+   */
+  static MessageHash({nftAddress, mintHelperAddress, tokenId, offerId}) {
+    const packedData = ethers.utils.solidityPack(
+      ["bytes", "bytes", "uint256", "uint8"],
+      [
+        ethers.utils.arrayify(nftAddress),
+        ethers.utils.arrayify(mintHelperAddress),
+        ethers.BigNumber.from(tokenId).toHexString(),
+        offerId
+      ]
+    );
+    const encodedData = ethers.utils.keccak256(packedData);
+    return {packedData, encodedData, messageHashBytes: ethers.utils.arrayify(encodedData)};
+  }
+
+  /**
+   * Sign a voucher
+   *
+   * @namedParams
+   * @param {Object} signer - ethers signer
+   * @param {string} nftAddress - The NFT contract address
+   * @param {string} mintHelperAddress - The mint helper address
+   * @param {string} tokenId - The token ID
+   * @param {number} offerId - The offer ID
+   * @return {Promise<Object>} - The voucher
+   */
+  static async Create({signer, nftAddress, mintHelperAddress, tokenId, offerId}) {
+    const {messageHashBytes} = OfferVoucher.MessageHash({nftAddress, mintHelperAddress, tokenId, offerId});
+    return {
+      version: 1,
+      nft_address: ethers.utils.getAddress(nftAddress),
+      mint_helper_address: ethers.utils.getAddress(mintHelperAddress),
+      token_id: ethers.BigNumber.from(tokenId).toString(),
+      offer_id: Number(offerId),
+      signer: await signer.getAddress(),
+      signature: await signer.signMessage(messageHashBytes),
+      created: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Address that signed a voucher
+   */
+  static Recover({voucher}) {
+    const {messageHashBytes} = OfferVoucher.MessageHash({
+      nftAddress: voucher.nft_address,
+      mintHelperAddress: voucher.mint_helper_address,
+      tokenId: voucher.token_id,
+      offerId: voucher.offer_id
+    });
+    return ethers.utils.verifyMessage(messageHashBytes, voucher.signature);
+  }
+
+  static Encode({voucher}) {
+    return PREFIX + Buffer.from(JSON.stringify(voucher)).toString("base64url");
+  }
+
+  /**
+   * Voucher from an encoded string (see Encode()), JSON or a verification log entry
+   */
+  static Decode({text}) {
+    text = text.trim();
+    let voucher = text.startsWith(PREFIX) ?
+      JSON.parse(Buffer.from(text.slice(PREFIX.length), "base64url").toString("utf8")) :
+      JSON.parse(text);
+    if (typeof voucher.voucher == "string") {
+      voucher = OfferVoucher.Decode({text: voucher.voucher});
+    }
+    for (const field of ["nft_address", "mint_helper_address", "token_id", "offer_id", "signature"]) {
+      if (voucher[field] === undefined || voucher[field] === null) {
+        throw Error("Voucher is missing '" + field + "'");
+      }
+    }
+    return voucher;
+  }
+
+  /**
+   * Read vouchers - a voucher file (one encoded or JSON voucher per line, or a JSON array),
+   * a verification log (see LogEntry()) or a single encoded voucher
+   */
+  static Read({input}) {
+    if (!fs.existsSync(input)) {
+      return [OfferVoucher.Decode({text: input})];
+    }
+    const text = fs.readFileSync(input, "utf8").trim();
+    if (text.startsWith("[")) {
+      return JSON.parse(text);
+    }
+    return text.split("\n").filter(line => line.trim() != "").map(line => OfferVoucher.Decode({text: line}));
+  }
+
+  /**
+   * Read the tokens and offers to make vouchers for from a CSV file with the columns
+   * token_id and offer_id
+   *
+   * @return {Promise<Object>} - { rows, errors } - rows are { line, token_id, offer_id }
+   */
+  static async ReadCsv({file}) {
+    const text = fs.readFileSync(file, "utf8");
+    const records = await new Promise((resolve, reject) => {
+      parse(text, {
+        columns: true,
+        skip_empty_lines: true,
+        trim: true,
+        comment: "#",
+        info: true
+      }, (error, records) => error ? reject(error) : resolve(records));
+    });
+
+    let rows = [];
+    let errors = [];
+    for (const {record, info} of records) {
+      const line = info.lines;
+      if (!/^[0-9]+$/.test(record.token_id || "")) {
+        errors.push("line " + line + ": bad token ID '" + (record.token_id || "") + "'");
+        continue;
+      }
+      const offerId = Number(record.offer_id);
+      if (record.offer_id === undefined || record.offer_id === "" || !Number.isInteger(offerId) ||
+        offerId < 0 || offerId > 255) {
+        errors.push("line " + line + ": bad offer ID '" + (record.offer_id || "") + "'");
+        continue;
+      }
+      rows.push({line, token_id: record.token_id, offer_id: offerId});
+    }
+    return {rows, errors};
+  }
+
+  /**
+   * Token owners from a holder snapshot (nft_snapshot output - CSV or JSON)
+   *
+   * @return {Promise<Object>} - Map of token ID to owner
+   */
+  static async ReadOwners({file}) {
+    const text = fs.readFileSync(file, "utf8");
+    let tokens;
+    if (text.trim().startsWith("{")) {
+      tokens = JSON.parse(text).tokens;
+    } else {
+      tokens = await new Promise((resolve, reject) => {
+        parse(text, {columns: true, skip_empty_lines: true, trim: true},
+          (error, records) => error ? reject(error) : resolve(records));
+      });
+    }
+    let owners = {};
+    for (const token of tokens) {
+      owners[token.token_id] = token.owner;
+    }
+    return owners;
+  }
+
+  /**
+   * Check a voucher
+   *
+   * The signature is always checked.  The other checks are only made if the information
+   * they need is available - e.g. offline, ownership can be checked against a snapshot.
+   *
+   * Anyone can sign a voucher, so it is only valid if the signer is known to be entitled to
+   * it - it owns the token (ownerOf) or, if ownership can't be checked, it is one of the
+   * trusted signers.
+   *
+   * @namedParams
+   * @param {Object} voucher - The voucher
+   * @param {string} nftAddress - The NFT contract the voucher must be for (optional)
+   * @param {function} ownerOf - async (tokenId) => owner (optional)
+   * @param {Array<string>} signers - Trusted signer addresses - only used without ownerOf (optional)
+   * @param {function} isOfferActive - async (offerId) => boolean (optional)
+   * @param {function} isOfferRedeemed - async (tokenId, offerId) => boolean (optional)
+   * @param {Object} used - Map of token|offer keys already accepted - vouchers found in it are rejected and
+   * valid ones are added (optional - detects a voucher presented twice while offline)
+   * @return {Promise<Object>} - { valid, token_id, offer_id, signer, owner, checks, errors } - checks are
+   * true (passed), false (failed) or 'skipped'
+   */
+  static async Verify({voucher, nftAddress, ownerOf, signers, isOfferActive, isOfferRedeemed, used}) {
+    let res = {
+      valid: false,
+      nft_address: voucher.nft_address,
+      token_id: String(voucher.token_id),
+      offer_id: Number(voucher.offer_id),
+      signer: undefined,
+      owner: undefined,
+      checks: {signature: false, contract: "skipped", owner: "skipped", trusted_signer: "skipped",
+        offer_active: "skipped", not_redeemed: "skipped", not_used: "skipped"},
+      errors: []
+    };
+
+    try {
+      res.signer = OfferVoucher.Recover({voucher});
+      res.checks.signature = !voucher.signer || voucher.signer.toLowerCase() == res.signer.toLowerCase();
+      if (!res.checks.signature) {
+        res.errors.push("signed by " + res.signer + ", not " + voucher.signer);
+      }
+    } catch (error) {
+      res.errors.push("bad signature: " + (error.message || error));
+    }
+
+    if (nftAddress) {
+      res.checks.contract = voucher.nft_address.toLowerCase() == nftAddress.toLowerCase();
+      if (!res.checks.contract) {
+        res.errors.push("voucher is for contract " + voucher.nft_address);
+      }
+    }
+
+    const check = async (name, fn, message) => {
+      try {
+        res.checks[name] = await fn();
+        if (!res.checks[name]) {
+          res.errors.push(message);
+        }
+      } catch (error) {
+        res.checks[name] = false;
+        res.errors.push(name + ": " + (error.message || error));
+      }
+    };
+
+    if (ownerOf && res.signer) {
+      await check("owner", async () => {
+        res.owner = await ownerOf(res.token_id);
+        return !!res.owner && res.owner.toLowerCase() == res.signer.toLowerCase();
+      }, "signer " + res.signer + " does not own the token");
+    }
+    if (signers && res.signer && !ownerOf) {
+      res.checks.trusted_signer = signers.some(s => s.toLowerCase() == res.signer.toLowerCase());
+      if (!res.checks.trusted_signer) {
+        res.errors.push("signer " + res.signer + " is not a trusted signer");
+      }
+    }
+    if (res.signer && res.checks.owner === "skipped" && res.checks.trusted_signer === "skipped") {
+      res.errors.push("signer " + res.signer + " not verified - token owner or trusted signers needed");
+    }
+    if (isOfferActive) {
+      await check("offer_active", () => isOfferActive(res.offer_id), "offer is not active");
+    }
+    if (isOfferRedeemed) {
+      await check("not_redeemed", async () => !await isOfferRedeemed(res.token_id, res.offer_id),
+        "offer already redeemed for this token");
+    }
+
+    const key = voucher.nft_address.toLowerCase() + "|" + res.token_id + "|" + res.offer_id;
+    if (used) {
+      res.checks.not_used = !used[key];
+      if (!res.checks.not_used) {
+        res.errors.push("voucher already accepted at " + used[key]);
+      }
+    }
+
+    res.valid = Object.values(res.checks).every(c => c !== false) &&
+      (res.checks.owner === true || res.checks.trusted_signer === true);
+    if (used && res.valid) {
+      used[key] = new Date().toISOString();
+    }
+    return res;
+  }
+
+  /**
+   * Verification log entry (one JSON object per line) - the log can be verified again
+   * online to reconcile vouchers accepted offline
+   */
+  static LogEntry({result, voucher}) {
+    return JSON.stringify({
+      time: new Date().toISOString(),
+      valid: result.valid,
+      token_id: result.token_id,
+      offer_id: result.offer_id,
+      signer: result.signer,
+      errors: result.errors,
+      voucher: OfferVoucher.Encode({voucher})
+    });
+  }
+
+  /**
+   * Vouchers accepted according to a verification log - for Verify({used})
+   */
+  static ReadUsed({file}) {
+    let used = {};
+    if (!fs.existsSync(file)) {
+      return used;
+    }
+    for (const line of fs.readFileSync(file, "utf8").split("\n")) {
+      if (line.trim() == "") continue;
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        // A line cut short by an interruption
+        continue;
+      }
+      if (entry.valid) {
+        const voucher = OfferVoucher.Decode({text: entry.voucher});
+        used[voucher.nft_address.toLowerCase() + "|" + entry.token_id + "|" + entry.offer_id] = entry.time;
+      }
+    }
+    return used;
+  }
+
+  /**
+   * Write a voucher as a QR code PNG
+   */
+  static async WriteQr({voucher, file}) {
+    await qrcode.toFile(file, OfferVoucher.Encode({voucher}), {type: "png", errorCorrectionLevel: "M"});
+  }
+}
+
+OfferVoucher.PREFIX = PREFIX;
+
+exports.OfferVoucher = OfferVoucher;
@@ -0,0 +1,229 @@
+/*
+ * Playout probe - client-side health check of a live stream's playout formats
+ *
+ * For each format, fetches the playlist (HLS) or manifest (DASH) of every rendition
+ * and the most recent segments, and measures:
+ *
+ * - response times of playlists and segments
+ * - live latency (HLS with EXT-X-PROGRAM-DATE-TIME only)
+ * - segment duration drift - how far segment durations are from the nominal duration
+ * - HTTP errors
+ */
+
+const { HttpFetch } = require("./HttpFetch");
+const { HlsPlaylist } = require("./HlsPlaylist");
+const { DashManifest } = require("./DashManifest");
+
+const DEFAULT_SEGMENTS = 3;
+const DEFAULT_TIMEOUT_SEC = HttpFetch.DEFAULT_TIMEOUT_SEC;
+
+// Drift larger than this (seconds) is reported as a warning
+const DRIFT_WARNING_SEC = 0.5;
+
+const Median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+};
+
+const Round = (value, digits = 3) => {
+  return value === undefined ? undefined : Math.round(value * 10 ** digits) / 10 ** digits;
+};
+
+class PlayoutProbe {
+
+  /**
+   * @namedParams
+   * @param {number} segments - Number of most recent segments to fetch per rendition
+   * @param {number} timeoutSec - Request timeout
+   */
+  constructor({segments = DEFAULT_SEGMENTS, timeoutSec = DEFAULT_TIMEOUT_SEC} = {}) {
+    this.segments = segments;
+    this.timeoutSec = timeoutSec;
+  }
+
+  /**
+   * Probe all formats
+   *
+   * @namedParams
+   * @param {Object} formats - Map of format names (e.g. 'hls-clear', 'dash-widevine') to playlist/manifest URLs
+   * @return {Object} - Map of format names to probe results (see ProbeHls() and ProbeDash())
+   */
+  async Probe({formats}) {
+    let results = {};
+    for (const [format, url] of Object.entries(formats)) {
+      if (format.startsWith("dash") || /\.mpd(\?|$)/.test(url)) {
+        results[format] = await this.ProbeDash({url});
+      } else {
+        results[format] = await this.ProbeHls({url});
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Probe an HLS playout - master playlist, then each rendition's media playlist,
+   * init segment and most recent segments
+   */
+  async ProbeHls({url}) {
+    let result = {url, errors: [], warnings: []};
+
+    const master = await HttpFetch.Fetch({url, timeoutSec: this.timeoutSec});
+    result.playlist_time_ms = master.check.time_ms;
+    if (master.check.error) {
+      result.errors.push("master playlist: " + master.check.error);
+      return PlayoutProbe.Finish({result, renditions: []});
+    }
+
+    let playlists;
+    try {
+      const {variants, media} = HlsPlaylist.ParseMaster({text: master.body, baseUrl: url});
+      playlists = [
+        ...variants.map(v => ({rendition: "video " + (v.resolution || "") + "@" + v.bandwidth, url: v.url})),
+        ...media.map(m => ({rendition: m.type.toLowerCase() + " " + (m.name || m.language || m.group_id), url: m.url}))
+      ];
+    } catch (error) {
+      result.errors.push("master playlist: " + error.message);
+      return PlayoutProbe.Finish({result, renditions: []});
+    }
+
+    let renditions = [];
+    for (const {rendition, url: playlistUrl} of playlists) {
+      let r = {rendition, url: playlistUrl, errors: []};
+      renditions.push(r);
+
+      const fetchTime = Date.now();
+      const mediaPlaylist = await HttpFetch.Fetch({url: playlistUrl, timeoutSec: this.timeoutSec});
+      r.playlist_time_ms = mediaPlaylist.check.time_ms;
+      if (mediaPlaylist.check.error) {
+        r.errors.push("media playlist: " + mediaPlaylist.check.error);
+        continue;
+      }
+
+      let playlist;
+      try {
+        playlist = HlsPlaylist.ParseMedia({text: mediaPlaylist.body, baseUrl: playlistUrl});
+      } catch (error) {
+        r.errors.push("media playlist: " + error.message);
+        continue;
+      }
+
+      r.media_sequence = playlist.media_sequence;
+      r.target_duration = playlist.target_duration;
+
+      const last = playlist.segments[playlist.segments.length - 1];
+      if (last && last.program_date_time) {
+        r.latency_sec = Round((fetchTime - Date.parse(last.program_date_time)) / 1000 - last.duration);
+      }
+
+      await this.ProbeSegments({
+        rendition: r,
+        init: playlist.init,
+        segments: playlist.segments.slice(-this.segments),
+        allDurations: playlist.segments.map(s => s.duration),
+        targetDuration: playlist.target_duration
+      });
+    }
+
+    return PlayoutProbe.Finish({result, renditions});
+  }
+
+  /**
+   * Probe a DASH playout - manifest, then each representation's init segment and most recent segments
+   */
+  async ProbeDash({url}) {
+    let result = {url, errors: [], warnings: []};
+
+    const manifest = await HttpFetch.Fetch({url, timeoutSec: this.timeoutSec});
+    result.playlist_time_ms = manifest.check.time_ms;
+    if (manifest.check.error) {
+      result.errors.push("manifest: " + manifest.check.error);
+      return PlayoutProbe.Finish({result, renditions: []});
+    }
+
+    let mpd;
+    try {
+      mpd = DashManifest.Parse({text: manifest.body, baseUrl: url, count: this.segments});
+    } catch (error) {
+      result.errors.push("manifest: " + error.message);
+      return PlayoutProbe.Finish({result, renditions: []});
+    }
+
+    let renditions = [];
+    for (const rep of mpd.representations) {
+      let r = {rendition: (rep.mime_type || "") + " " + rep.id + "@" + rep.bandwidth, errors: []};
+      renditions.push(r);
+      await this.ProbeSegments({
+        rendition: r,
+        init: rep.init,
+        segments: rep.segments,
+        allDurations: rep.segments.map(s => s.duration)
+      });
+    }
+
+    return PlayoutProbe.Finish({result, renditions});
+  }
+
+  /**
+   * Fetch the init segment and segments of a rendition and record
+   * response times, errors and duration drift in 'rendition'
+   */
+  async ProbeSegments({rendition, init, segments, allDurations, targetDuration}) {
+    if (init) {
+      const initSegment = await HttpFetch.Fetch({url: init, binary: true, timeoutSec: this.timeoutSec});
+      if (initSegment.check.error) {
+        rendition.errors.push("init segment: " + initSegment.check.error);
+      }
+    }
+
+    if (segments.length == 0) {
+      rendition.errors.push("no segments");
+      return;
+    }
+
+    let times = [];
+    for (const segment of segments) {
+      const s = await HttpFetch.Fetch({url: segment.url, binary: true, timeoutSec: this.timeoutSec});
+      times.push(s.check.time_ms);
+      if (s.check.error) {
+        rendition.errors.push("segment " + segment.url.replace(/\?.*$/, "").split("/").pop() + ": " + s.check.error);
+      }
+    }
+    rendition.segments = segments.length;
+    rendition.segment_time_ms = {min: Math.min(...times), max: Math.max(...times)};
+
+    // Drift is relative to the nominal (median) segment duration
+    const durations = allDurations.filter(d => d !== undefined);
+    if (durations.length > 0) {
+      const nominal = Median(durations);
+      rendition.segment_duration_sec = Round(nominal);
+      rendition.max_drift_sec = Round(Math.max(...durations.map(d => Math.abs(d - nominal))));
+      if (targetDuration && Math.max(...durations) > targetDuration + 0.5) {
+        rendition.errors.push("segment duration " + Math.max(...durations) +
+          " exceeds the target duration " + targetDuration);
+      }
+    }
+  }
+
+  /**
+   * Summarize: errors and drift warnings of the renditions are added to the format result
+   */
+  static Finish({result, renditions}) {
+    result.renditions = renditions;
+    for (const r of renditions) {
+      r.errors.forEach(e => result.errors.push(r.rendition + ": " + e));
+      if (r.max_drift_sec > DRIFT_WARNING_SEC) {
+        result.warnings.push(r.rendition + ": segment duration drift " + r.max_drift_sec + " sec");
+      }
+      if (r.errors.length == 0) {
+        delete r.errors;
+      }
+    }
+    result.result = result.errors.length == 0 ? "pass" : "fail";
+    return result;
+  }
+}
+
+PlayoutProbe.DEFAULT_SEGMENTS = DEFAULT_SEGMENTS;
+PlayoutProbe.DEFAULT_TIMEOUT_SEC = DEFAULT_TIMEOUT_SEC;
+
+exports.PlayoutProbe = PlayoutProbe;
@@ -0,0 +1,176 @@
+/*
+ * Rarity of the tokens of a generative collection
+ *
+ * Every trait found in the collection is scored for every token - tokens without it
+ * count as having the value 'None' - and the number of traits a token has is scored
+ * as one more trait ('Trait Count').  With p the share of tokens with the same value
+ * of a trait, the methods are:
+ *
+ * - statistical         - 1 / (product of p)
+ * - information-content - sum of -log2(p)
+ * - trait-normalized    - sum of 1 / p, each divided by the number of values of the trait
+ *                         (so traits with many values don't dominate)
+ *
+ * Higher scores are rarer.  Ranks start at 1 (the rarest) and tokens with the same
+ * score share a rank.
+ */
+
+const METHODS = ["statistical", "information-content", "trait-normalized"];
+
+const NONE = "None";
+const TRAIT_COUNT = "Trait Count";
+
+// Traits of a token as { trait: value } - value as a string
+const Traits = (nftMeta) => {
+  let traits = {};
+  for (const elem of nftMeta.attributes || []) {
+    traits[elem.trait_type] = String(elem.value);
+  }
+  return traits;
+};
+
+class Rarity {
+
+  /**
+   * How many tokens have each value of each trait
+   *
+   * @namedParams
+   * @param {Array<Object>} nftMetas - The tokens (with 'attributes')
+   * @param {boolean} traitCount - Count the number of traits of each token as a trait (default true)
+   * @return {Object} - { total, traits: { trait: { value: count } } } - including 'None' for tokens
+   * without the trait
+   */
+  static Distribution({nftMetas, traitCount = true}) {
+    const tokens = nftMetas.map(Traits);
+    let traits = {};
+    for (const t of tokens) {
+      for (const [trait, value] of Object.entries(t)) {
+        traits[trait] = traits[trait] || {};
+        traits[trait][value] = (traits[trait][value] || 0) + 1;
+      }
+    }
+    for (const trait of Object.keys(traits)) {
+      const missing = tokens.filter(t => t[trait] === undefined).length;
+      if (missing > 0) {
+        traits[trait][NONE] = (traits[trait][NONE] || 0) + missing;
+      }
+    }
+    if (traitCount) {
+      traits[TRAIT_COUNT] = {};
+      for (const t of tokens) {
+        const n = String(Object.keys(t).length);
+        traits[TRAIT_COUNT][n] = (traits[TRAIT_COUNT][n] || 0) + 1;
+      }
+    }
+    return {total: tokens.length, traits};
+  }
+
+  /**
+   * Score and rank every token
+   *
+   * @namedParams
+   * @param {Array<Object>} nftMetas - The tokens (with 'attributes')
+   * @param {string} method - Scoring method (see METHODS - default 'statistical')
+   * @param {boolean} traitCount - Score the number of traits (default true)
+   * @return {Object} - { method, distribution, tokens } - tokens are { index, score, rank, traits } in
+   * the order given; 'traits' is { trait: { value, count } }
+   */
+  static Score({nftMetas, method = "statistical", traitCount = true}) {
+    if (!METHODS.includes(method)) {
+      throw Error("Bad rarity method '" + method + "' - must be one of " + METHODS.join(", "));
+    }
+
+    const distribution = Rarity.Distribution({nftMetas, traitCount});
+    const total = distribution.total;
+
+    const tokens = nftMetas.map((nftMeta, index) => {
+      let values = Traits(nftMeta);
+      if (traitCount) {
+        values[TRAIT_COUNT] = String(Object.keys(values).length);
+      }
+
+      let traits = {};
+      let score = method == "statistical" ? 1 : 0;
+      for (const [trait, counts] of Object.entries(distribution.traits)) {
+        const value = values[trait] === undefined ? NONE : values[trait];
+        const count = counts[value];
+        const p = count / total;
+        traits[trait] = {value, count};
+
+        if (method == "statistical") {
+          score = score / p;
+        } else if (method == "information-content") {
+          score = score - Math.log2(p);
+        } else {
+          score = score + (1 / p) / Object.keys(counts).length;
+        }
+      }
+      return {index, score, rank: undefined, traits};
+    });
+
+    Rarity.Rank({tokens});
+    return {method, distribution, tokens};
+  }
+
+  /**
+   * Set the rank of each token - 1 is the highest score, equal scores share a rank
+   */
+  static Rank({tokens}) {
+    const sorted = [...tokens].sort((a, b) => b.score - a.score);
+    sorted.forEach((t, i) => {
+      t.rank = i > 0 && t.score == sorted[i - 1].score ? sorted[i - 1].rank : i + 1;
+    });
+    return tokens;
+  }
+
+  /**
+   * Rarity report of a collection - the distribution of every trait and the tokens by rank
+   *
+   * @namedParams
+   * @param {Object} scores - See Score()
+   * @param {Array<string>} labels - How to show each token (e.g. its file) - in the order scored
+   * @param {number} top - Only the top ranked tokens (optional)
+   * @return {Object} - { method, total, traits, tokens } - traits are { trait: [{ value, count, percent }] }
+   * from the rarest value; tokens are { rank, score, token } from the rarest
+   */
+  static Report({scores, labels = [], top}) {
+    const total = scores.distribution.total;
+    let traits = {};
+    for (const [trait, counts] of Object.entries(scores.distribution.traits)) {
+      traits[trait] = Object.entries(counts)
+        .sort((a, b) => a[1] - b[1] || a[0].localeCompare(b[0]))
+        .map(([value, count]) => ({value, count, percent: Number((100 * count / total).toFixed(2))}));
+    }
+
+    let tokens = [...scores.tokens]
+      .sort((a, b) => a.rank - b.rank || a.index - b.index)
+      .map(t => ({
+        rank: t.rank,
+        score: Number(t.score.toPrecision(8)),
+        token: labels[t.index] !== undefined ? labels[t.index] : String(t.index)
+      }));
+    if (top) {
+      tokens = tokens.slice(0, top);
+    }
+
+    return {method: scores.method, total, traits, tokens};
+  }
+
+  /**
+   * Rarity summary of a token for its public/nfts entry - { method, score, rank, total }
+   */
+  static TokenRarity({method, token, total}) {
+    return {
+      method,
+      score: Number(token.score.toPrecision(8)),
+      rank: token.rank,
+      total
+    };
+  }
+}
+
+Rarity.METHODS = METHODS;
+Rarity.NONE = NONE;
+Rarity.TRAIT_COUNT = TRAIT_COUNT;
+
+exports.Rarity = Rarity;
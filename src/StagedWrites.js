@@ -0,0 +1,73 @@
+/*
+ * Write tokens left open by staged commands (e.g. nft_build --stage) so they can be
+ * committed or discarded later
+ *
+ * Kept in a JSON file in the current directory (staged_writes.json by default):
+ *
+ *   [
+ *     {
+ *       "write_token": "tqw__...",
+ *       "library_id": "ilib...",
+ *       "object_id": "iq__...",
+ *       "node_url": "https://...",
+ *       "commit_message": "Set NFT public/nft",
+ *       "subtrees": ["/public/nfts"],
+ *       "summary": { "added": 1, "removed": 0, "changed": 3 },
+ *       "update": "iq__...",
+ *       "created": "2023-01-01T00:00:00.000Z"
+ *     }
+ *   ]
+ *
+ * 'update' is only set if another object's links are to be updated once the token is
+ * finalized (site_set_drop --update).
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+class StagedWrites {
+
+  static DefaultFile() {
+    return path.resolve("staged_writes.json");
+  }
+
+  static Read({file = StagedWrites.DefaultFile()} = {}) {
+    if (!fs.existsSync(file)) {
+      return [];
+    }
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  }
+
+  static Write({file = StagedWrites.DefaultFile(), entries}) {
+    const tmp = file + ".tmp";
+    fs.writeFileSync(tmp, JSON.stringify(entries, null, 2));
+    fs.renameSync(tmp, file);
+  }
+
+  /**
+   * Record a staged write token
+   */
+  static Add({file = StagedWrites.DefaultFile(), entry}) {
+    let entries = StagedWrites.Read({file}).filter(e => e.write_token != entry.write_token);
+    entries.push({...entry, created: entry.created || new Date().toISOString()});
+    StagedWrites.Write({file, entries});
+  }
+
+  static Find({file = StagedWrites.DefaultFile(), writeToken}) {
+    return StagedWrites.Read({file}).find(e => e.write_token == writeToken) || null;
+  }
+
+  /**
+   * Forget a write token once it is committed or discarded
+   */
+  static Remove({file = StagedWrites.DefaultFile(), writeToken}) {
+    const entries = StagedWrites.Read({file});
+    const rest = entries.filter(e => e.write_token != writeToken);
+    if (rest.length != entries.length) {
+      StagedWrites.Write({file, entries: rest});
+    }
+    return rest.length != entries.length;
+  }
+}
+
+exports.StagedWrites = StagedWrites;
@@ -0,0 +1,113 @@
+/*
+ * Compact status of several streams (see EluvioLiveStream.Summary)
+ *
+ * Streams are grouped by ingress node - checking a stream's status points the client to
+ * its ingress node, so streams are checked concurrently within a node, one node at a time.
+ */
+
+const yaml = require("js-yaml");
+
+const DEFAULT_CONCURRENCY = 5;
+
+const ErrorMessage = (error) => error.message || String(error);
+
+const FormatTable = ({header, rows}) => {
+  const cells = [header, ...rows].map(row => row.map(v => v === undefined || v === null ? "-" : String(v)));
+  const widths = header.map((h, i) => Math.max(...cells.map(row => row[i].length)));
+  return cells.map(row =>
+    row.map((v, i) => v.padEnd(widths[i])).join("  ").trimEnd()
+  ).join("\n");
+};
+
+class StreamSummary {
+
+  /**
+   * Summary of a stream from its full status (see EluvioLiveStream.Status)
+   */
+  static Entry({status}) {
+    const period = status.recording_period || {};
+    return {
+      object_id: status.object_id,
+      state: status.state || "error",
+      recording_period: status.recording_period_sequence,
+      video_parts: period.video_parts,
+      since_last_finalize_sec: period.video_since_last_finalize_sec,
+      insertions: status.insertions ? status.insertions.length : undefined
+    };
+  }
+
+  /**
+   * Collect the summary of each stream
+   *
+   * A stream whose node or status can't be retrieved is reported in state 'error'.
+   *
+   * @namedParams
+   * @param {Array<string>} names - Stream names
+   * @param {function} node - async (name) => ingress node of the stream
+   * @param {function} status - async (name) => status of the stream
+   * @param {number} concurrency - Streams checked at a time within a node
+   * @return {Promise<Object>} - { streams, totals } - 'streams' maps stream names (in the order
+   * given) to their summary, 'totals' counts the streams in each state
+   */
+  static async Collect({names, node, status, concurrency = DEFAULT_CONCURRENCY}) {
+    let streams = {};
+    let nodes = {};
+    await Promise.all(names.map(async name => {
+      try {
+        const n = await node(name);
+        nodes[n] = (nodes[n] || []).concat(name);
+      } catch (error) {
+        streams[name] = {state: "error", error: ErrorMessage(error)};
+      }
+    }));
+
+    for (const group of Object.values(nodes)) {
+      for (let i = 0; i < group.length; i += concurrency) {
+        await Promise.all(group.slice(i, i + concurrency).map(async name => {
+          try {
+            streams[name] = StreamSummary.Entry({status: await status(name)});
+          } catch (error) {
+            streams[name] = {state: "error", error: ErrorMessage(error)};
+          }
+        }));
+      }
+    }
+
+    let summary = {streams: {}, totals: {}};
+    for (const name of names) {
+      summary.streams[name] = streams[name];
+      const state = streams[name].state;
+      summary.totals[state] = (summary.totals[state] || 0) + 1;
+    }
+    return summary;
+  }
+
+  /**
+   * Format a summary as 'json', 'yaml' or a table (default)
+   */
+  static Format({summary, output}) {
+    switch (output) {
+      case "json":
+        return JSON.stringify(summary, null, 2);
+      case "yaml":
+        // Leave out fields that are not set (js-yaml dumps undefined as a tagged value)
+        return yaml.dump(JSON.parse(JSON.stringify(summary))).trimEnd();
+      default:
+        return FormatTable({
+          header: ["STREAM", "STATE", "PERIOD", "PARTS", "SINCE_FINALIZE", "INSERTIONS"],
+          rows: Object.entries(summary.streams).map(([name, s]) => [
+            name,
+            s.error ? s.state + " (" + s.error + ")" : s.state,
+            s.recording_period,
+            s.video_parts,
+            s.since_last_finalize_sec === undefined ? undefined : Math.round(s.since_last_finalize_sec),
+            s.insertions
+          ])
+        }) + "\n\n" + Object.entries(summary.totals).map(([state, n]) => state + ": " + n).join(", ");
+    }
+  }
+}
+
+StreamSummary.DEFAULT_CONCURRENCY = DEFAULT_CONCURRENCY;
+
+exports.StreamSummary = StreamSummary;
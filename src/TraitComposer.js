@@ -0,0 +1,289 @@
+/*
+ * Generative trait composition - make the NFT files for nft_build --nft_dir from a
+ * layer manifest (see trait_layers.schema.json):
+ *
+ *   {
+ *     "name": "Sunsets",                             (tokens are named 'Sunsets #1', ...)
+ *     "description": "...",                          (OPTIONAL)
+ *     "image": "images/{Sky}-{Sun}.png",             ({index}, {id} and trait names are replaced)
+ *     "embed_url": "videos/{id}.mp4",                (OPTIONAL)
+ *     "count": 100,                                  (OPTIONAL, Default: given on the command line)
+ *     "seed": "sunsets-v1",                          (OPTIONAL, Default: given on the command line)
+ *     "layers": [
+ *       { "trait": "Sky", "values": [ { "value": "Blue", "weight": 10 }, { "value": "Night", "weight": 1 } ] },
+ *       { "trait": "Hat", "values": [ { "value": "Cap" }, { "value": null, "weight": 3 } ] }
+ *     ],
+ *     "rules": [
+ *       { "if": { "Sky": "Night" }, "exclude": { "Sun": ["Bright"] } },
+ *       { "if": { "Hat": "Crown" }, "require": { "Hair": ["Short", null] } }
+ *     ]
+ *   }
+ *
+ * Values are picked by weight (default 1) - a null value leaves the trait out.  A rule
+ * applies when a token has one of the values of every trait in 'if' and then the token
+ * must not have any of the 'exclude' values and must have one of the 'require' values.
+ *
+ * The same manifest, count and seed always give the same tokens.  Every token has a
+ * different combination of traits and tokens are numbered in an order shuffled by the
+ * seed (see Shuffler), so the order of the layers doesn't show in the token numbers.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const seedrandom = require("seedrandom");
+
+const { JsonSchema } = require("./JsonSchema");
+const { Shuffler } = require("./Shuffler");
+const schema = require("./trait_layers.schema.json");
+
+const TEMPLATE_FIELDS = ["image", "embed_url"];
+
+// Rule and trait values are compared as strings - null for a trait that is left out
+const Norm = (v) => (v === null || v === undefined) ? null : String(v);
+
+const Values = (v) => [].concat(v).map(Norm);
+
+const Matches = (condition, traits) =>
+  Object.entries(condition).every(([trait, v]) => Values(v).includes(Norm(traits[trait])));
+
+/*
+ * Whether traits break a rule.  Only traits that are decided are checked - a rule is only
+ * applied once all the traits in its 'if' are decided.
+ */
+const Breaks = (rule, traits, decided) => {
+  if (!Object.keys(rule.if).every(t => decided.has(t)) || !Matches(rule.if, traits)) {
+    return false;
+  }
+  for (const [trait, v] of Object.entries(rule.exclude || {})) {
+    if (decided.has(trait) && Values(v).includes(Norm(traits[trait]))) return true;
+  }
+  for (const [trait, v] of Object.entries(rule.require || {})) {
+    if (decided.has(trait) && !Values(v).includes(Norm(traits[trait]))) return true;
+  }
+  return false;
+};
+
+class TraitComposer {
+
+  /**
+   * Parse and validate a layer manifest
+   *
+   * @return {Object} - { manifest, errors } - errors are { line, path, message }
+   */
+  static Parse({text}) {
+    const res = JsonSchema.Parse({text, schema});
+    if (res.value === null || res.errors.length > 0) {
+      return {manifest: res.value, errors: res.errors};
+    }
+
+    const manifest = res.value;
+    let errors = [];
+    let layers = {};
+    manifest.layers.forEach((layer, i) => {
+      if (layers[layer.trait]) {
+        errors.push({path: "layers[" + i + "].trait", message: "duplicate trait '" + layer.trait + "'"});
+        return;
+      }
+      layers[layer.trait] = new Set();
+      layer.values.forEach((v, j) => {
+        if (layers[layer.trait].has(Norm(v.value))) {
+          errors.push({path: "layers[" + i + "].values[" + j + "]", message: "duplicate value '" + v.value + "'"});
+        }
+        layers[layer.trait].add(Norm(v.value));
+      });
+      if (layer.values.every(v => v.weight === 0)) {
+        errors.push({path: "layers[" + i + "].values", message: "all weights are 0"});
+      }
+    });
+
+    (manifest.rules || []).forEach((rule, i) => {
+      if (!rule.exclude && !rule.require) {
+        errors.push({path: "rules[" + i + "]", message: "needs 'exclude' or 'require'"});
+      }
+      for (const key of ["if", "exclude", "require"]) {
+        for (const [trait, v] of Object.entries(rule[key] || {})) {
+          const p = "rules[" + i + "]." + key + "." + trait;
+          if (!layers[trait]) {
+            errors.push({path: p, message: "unknown trait '" + trait + "'"});
+            continue;
+          }
+          for (const value of Values(v)) {
+            if (!layers[trait].has(value)) {
+              errors.push({path: p, message: "unknown value '" + value + "' of trait '" + trait + "'"});
+            }
+          }
+        }
+      }
+    });
+
+    for (const field of TEMPLATE_FIELDS) {
+      for (const [, key] of (manifest[field] || "").matchAll(/\{([^}]*)\}/g)) {
+        if (key != "index" && key != "id" && !layers[key]) {
+          errors.push({path: field, message: "unknown placeholder '{" + key + "}'"});
+        }
+      }
+    }
+
+    return {manifest, errors: JsonSchema.LocateErrors({text, errors})};
+  }
+
+  /**
+   * Read and validate a layer manifest file
+   */
+  static Read({file}) {
+    return TraitComposer.Parse({text: fs.readFileSync(file, "utf8")});
+  }
+
+  /**
+   * Format manifest errors as 'file:line: path: message'
+   */
+  static FormatErrors({file, errors}) {
+    return JsonSchema.FormatErrors({file, errors});
+  }
+
+  /**
+   * Compose the traits of 'count' different tokens
+   *
+   * @namedParams
+   * @param {Object} manifest - The layer manifest
+   * @param {number} count - Number of tokens (default: the manifest's 'count')
+   * @param {string} seed - Random seed (default: the manifest's 'seed')
+   * @param {number} maxAttempts - Give up after this many tries (default: 100 per token + 1000)
+   * @return {Object} - { seed, attempts, tokens } - tokens are { index, traits } with traits
+   * { trait: value } in layer order (null for traits left out)
+   */
+  static Compose({manifest, count = manifest.count, seed = manifest.seed, maxAttempts}) {
+    if (!count) {
+      throw Error("No token count - set 'count' in the manifest or pass one");
+    }
+    if (seed === undefined || seed === null || seed === "") {
+      throw Error("No seed - set 'seed' in the manifest or pass one");
+    }
+    const limit = maxAttempts || count * 100 + 1000;
+    const rules = manifest.rules || [];
+    const rng = seedrandom(String(seed));
+
+    // Each value is checked against the rules as it is picked, so a rule is applied as soon
+    // as the traits it involves are all decided
+    const pick = () => {
+      let traits = {};
+      let decided = new Set();
+      for (const layer of manifest.layers) {
+        decided.add(layer.trait);
+        const allowed = layer.values.filter(v => {
+          const weight = v.weight === undefined ? 1 : v.weight;
+          return weight > 0 && !rules.some(r => Breaks(r, {...traits, [layer.trait]: v.value}, decided));
+        });
+        if (allowed.length == 0) {
+          return null;
+        }
+        const weights = allowed.map(v => v.weight === undefined ? 1 : v.weight);
+        let r = rng() * weights.reduce((a, b) => a + b, 0);
+        let chosen = allowed[allowed.length - 1];
+        for (let i = 0; i < allowed.length; i++) {
+          r -= weights[i];
+          if (r < 0) {
+            chosen = allowed[i];
+            break;
+          }
+        }
+        traits[layer.trait] = chosen.value;
+      }
+      return traits;
+    };
+
+    let combinations = {};
+    let found = 0;
+    let attempts = 0;
+    while (found < count) {
+      if (attempts >= limit) {
+        throw Error("Only " + found + " different tokens found in " + attempts + " attempts (" + count +
+          " needed) - add values, change weights or relax the rules");
+      }
+      attempts++;
+      const traits = pick();
+      if (!traits) continue;
+      const key = JSON.stringify(manifest.layers.map(l => Norm(traits[l.trait])));
+      if (!combinations[key]) {
+        combinations[key] = traits;
+        found++;
+      }
+    }
+
+    let keys = Object.keys(combinations);
+    try {
+      Shuffler.shuffle(keys, true, String(seed), true);
+    } catch (error) {
+      throw Error(error.message || String(error));
+    }
+    return {
+      seed: String(seed),
+      attempts,
+      tokens: keys.map((key, i) => ({index: i + 1, traits: combinations[key]}))
+    };
+  }
+
+  /**
+   * NFT file contents of a token (see EluvioLive.NftBuild)
+   *
+   * @namedParams
+   * @param {Object} manifest - The layer manifest
+   * @param {Object} token - { index, traits }
+   * @param {number} width - Digits of the zero-padded '{id}' (e.g. 4 for '0001')
+   * @return {Object} - { name, description, image, embed_url, attributes }
+   */
+  static Metadata({manifest, token, width}) {
+    const id = String(token.index).padStart(width, "0");
+    const fill = (template) => template.replace(/\{([^}]*)\}/g, (match, key) => {
+      if (key == "index") return String(token.index);
+      if (key == "id") return id;
+      return token.traits[key] === null ? "None" : String(token.traits[key]);
+    });
+
+    let meta = {name: manifest.name + " #" + token.index};
+    if (manifest.description !== undefined) {
+      meta.description = manifest.description;
+    }
+    for (const field of TEMPLATE_FIELDS) {
+      if (manifest[field] !== undefined) {
+        meta[field] = fill(manifest[field]);
+      }
+    }
+    meta.attributes = manifest.layers
+      .filter(l => token.traits[l.trait] !== null && token.traits[l.trait] !== undefined)
+      .map(l => ({trait_type: l.trait, value: token.traits[l.trait]}));
+    return meta;
+  }
+
+  /**
+   * Write one NFT file per token - '<id>.json'
+   *
+   * @namedParams
+   * @param {string} outDir - Output directory (created if needed)
+   * @param {Object} manifest - The layer manifest
+   * @param {Array<Object>} tokens - See Compose()
+   * @param {boolean} overwrite - Replace the json files already in outDir (otherwise it must have none)
+   * @return {Array<string>} - The files written
+   */
+  static Write({outDir, manifest, tokens, overwrite = false}) {
+    fs.mkdirSync(outDir, {recursive: true});
+    const existing = fs.readdirSync(outDir).filter(f => path.extname(f) == ".json");
+    if (existing.length > 0) {
+      if (!overwrite) {
+        throw Error(outDir + " already has " + existing.length + " json file(s) - remove them or overwrite");
+      }
+      for (const f of existing) {
+        fs.unlinkSync(path.join(outDir, f));
+      }
+    }
+
+    const width = String(tokens.length).length;
+    return tokens.map(token => {
+      const file = path.join(outDir, String(token.index).padStart(width, "0") + ".json");
+      fs.writeFileSync(file, JSON.stringify(TraitComposer.Metadata({manifest, token, width}), null, 2) + "\n");
+      return file;
+    });
+  }
+}
+
+exports.TraitComposer = TraitComposer;
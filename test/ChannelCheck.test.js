@@ -0,0 +1,144 @@
+const { ChannelCheck } = require("../src/ChannelCheck");
+
+const fs = require("fs");
+const http = require("http");
+
+// Local stand-in for the fabric channel playout - serves the fixture playlists and fake
+// init segments.  The audio media playlist and the 720p init segment are missing.
+let server;
+let baseUrl;
+
+beforeAll(async () => {
+  server = http.createServer((req, res) => {
+    const path = new URL(req.url, "http://localhost").pathname;
+    let body;
+    if (path.endsWith("options.json")) {
+      body = JSON.stringify({"hls-clear": {uri: "hls-clear/playlist.m3u8"}});
+    } else if (path.endsWith("playlist.m3u8")) {
+      body = fs.readFileSync("./test/testdata/hls/master.m3u8");
+    } else if (path.endsWith("live.m3u8") && !path.includes("/audio/")) {
+      body = fs.readFileSync("./test/testdata/hls/live.m3u8");
+    } else if (path.endsWith("init.m4s") && !path.includes("video@4500000")) {
+      body = Buffer.alloc(512);
+    }
+    if (body) {
+      res.writeHead(200);
+      res.end(body);
+    } else {
+      res.writeHead(404);
+      res.end();
+    }
+  });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  baseUrl = "http://127.0.0.1:" + server.address().port;
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+});
+
+const Offerings = async () => ({default: {uri: "channel/default/options.json"}});
+
+const PlayoutOptions = (path) => async () => ({
+  hls: {playoutMethods: {"aes-128": {playoutUrl: baseUrl + path}}}
+});
+
+const ChannelMeta = (streamHash) => ({
+  public: {asset_metadata: {title: "Channel One"}},
+  channel: {offerings: {default: {items: [{source: {"/": "/qfab/" + streamHash + "/rep/live"}}]}}}
+});
+
+describe("ChannelCheck", () => {
+
+  test("playout checks each rendition's media playlist and init segment", async () => {
+    const playout = await ChannelCheck.Playout({
+      offerings: Offerings,
+      playoutOptions: PlayoutOptions("/channel/hls-aes128/playlist.m3u8?authorization=TOKEN")
+    });
+
+    expect(playout.playout_method).toEqual("aes-128");
+    expect(playout.master_playlist).toMatchObject({result: "pass", status: 200});
+    expect(playout.renditions.map(r => [
+      r.rendition,
+      r.media_playlist.result,
+      r.init_segment && r.init_segment.result
+    ])).toEqual([
+      ["video 1920x1080@9628000", "pass", "pass"],
+      ["video 1280x720@4628000", "pass", "fail"],
+      ["audio English", "fail", undefined]
+    ]);
+
+    // Init segments are resolved against each rendition's own playlist
+    expect(playout.renditions[0].init_segment.url)
+      .toEqual(baseUrl + "/channel/hls-aes128/video/video@9500000/init.m4s?sid=1");
+    expect(playout.renditions[1].init_segment).toMatchObject({
+      url: baseUrl + "/channel/hls-aes128/video/video@4500000/init.m4s?sid=1",
+      status: 404,
+      error: "HTTP 404"
+    });
+    expect(playout.renditions[2].media_playlist).toMatchObject({status: 404, error: "HTTP 404"});
+    expect(playout.result).toEqual("fail");
+  });
+
+  test("playout fails without a default offering, HLS playout or master playlist", async () => {
+    expect(await ChannelCheck.Playout({offerings: async () => ({}), playoutOptions: PlayoutOptions("/")}))
+      .toEqual({result: "fail", error: "no default offering"});
+    expect(await ChannelCheck.Playout({offerings: Offerings, playoutOptions: async () => ({dash: {}})}))
+      .toEqual({result: "fail", error: "no HLS playout"});
+
+    const missing = await ChannelCheck.Playout({offerings: Offerings, playoutOptions: PlayoutOptions("/missing.m3u8")});
+    expect(missing.result).toEqual("fail");
+    expect(missing.master_playlist).toMatchObject({result: "fail", status: 404});
+    expect(missing.renditions).toBeUndefined();
+  });
+
+  test("status warns when the channel doesn't link to the latest stream version", async () => {
+    const status = await ChannelCheck.Status({
+      name: "one",
+      objectId: "iq__channel",
+      metadata: async () => ChannelMeta("hq__old"),
+      latestHash: async () => "hq__new",
+      optionsUrl: async () => baseUrl + "/channel/options.json",
+      playout: async () => ({result: "pass"})
+    });
+    expect(status).toEqual({
+      name: "one",
+      object_id: "iq__channel",
+      channel_title: "Channel One",
+      stream_hash: "hq__old",
+      stream_latest_hash: "hq__new",
+      offerings: {"hls-clear": {uri: "hls-clear/playlist.m3u8"}},
+      playout: {result: "pass"},
+      result: "pass",
+      warnings: ["Stream version is not the latest"]
+    });
+
+    const latest = await ChannelCheck.Status({
+      name: "one",
+      objectId: "iq__channel",
+      metadata: async () => ChannelMeta("hq__new"),
+      latestHash: async () => "hq__new",
+      optionsUrl: async () => baseUrl + "/channel/options.missing",
+      playout: async () => ({result: "fail"})
+    });
+    expect(latest.result).toEqual("fail");
+    expect(latest.warnings).toEqual(["Failed to retrieve channel offerings: HTTP 404"]);
+  });
+
+  test("status of a channel without a stream link or whose lookup fails", async () => {
+    const unlinked = await ChannelCheck.Status({
+      name: "one",
+      objectId: "iq__channel",
+      metadata: async () => ({public: {asset_metadata: {title: "Channel One"}}})
+    });
+    expect(unlinked).toEqual({name: "one", object_id: "iq__channel", channel_title: "Channel One",
+      error: "channel has no stream link"});
+
+    const failed = await ChannelCheck.Status({
+      name: "one",
+      objectId: "iq__channel",
+      metadata: async () => { throw Error("object not found"); }
+    });
+    expect(failed).toEqual({name: "one", object_id: "iq__channel", error: "object not found", result: "fail"});
+  });
+});
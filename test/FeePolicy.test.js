@@ -0,0 +1,122 @@
+const { FeePolicy } = require("../src/FeePolicy");
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const NFT1 = "0x1111111111111111111111111111111111111111";
+const NFT2 = "0x2222222222222222222222222222222222222222";
+const NFT3 = "0x3333333333333333333333333333333333333333";
+const NFT4 = "0x4444444444444444444444444444444444444444";
+
+let dir;
+let auditFile;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "feepolicy-"));
+  auditFile = path.join(dir, "audit.jsonl");
+});
+
+afterEach(() => {
+  fs.rmSync(dir, {recursive: true, force: true});
+});
+
+const policy = () => FeePolicy.Load({file: path.join(__dirname, "testdata/fee_policy.json")});
+
+// Tenant limits (kept in the tenant contract's metadata)
+const limits = {min_elv: "0", max_elv: "10", max_usd: "5"};
+
+describe("FeePolicy", () => {
+
+  test("usd fee", () => {
+    expect(FeePolicy.Fee({policy: policy(), limits})).toEqual({
+      fee_wei: "2000000000000000000",
+      fee_elv: "2.0",
+      fee_usd: "0.5",
+      usd_per_elv: "0.25"
+    });
+    // Rate given on the command line
+    expect(FeePolicy.Fee({policy: policy(), limits, rate: "0.5"}).fee_elv).toBe("1.0");
+  });
+
+  test("elv fee", () => {
+    expect(FeePolicy.Fee({policy: {fee: 0.001}, limits: {}})).toEqual({
+      fee_wei: "1000000000000000",
+      fee_elv: "0.001",
+      fee_usd: undefined,
+      usd_per_elv: undefined
+    });
+  });
+
+  test("limits", () => {
+    expect(() => FeePolicy.Fee({policy: {...policy(), fee: "6"}, limits}))
+      .toThrow("Fee outside the tenant limits: fee 24.0 ELV is above max_elv 10; fee 6.0 USD is above max_usd 5");
+    expect(() => FeePolicy.Fee({policy: {fee: "1"}, limits: {min_elv: "2"}})).toThrow(/below min_elv 2/);
+    expect(() => FeePolicy.Fee({policy: {fee: "1", currency: "USD"}, limits: {}})).toThrow(/needs the ELV price/);
+    expect(() => FeePolicy.Fee({policy: {fee: "1"}, limits: {max_usd: "1"}})).toThrow(/needs the ELV price/);
+    expect(() => FeePolicy.Fee({policy: {fee: "-1"}, limits})).toThrow(/Bad fee/);
+    expect(() => FeePolicy.Fee({policy: {fee: "1", currency: "EUR"}, limits})).toThrow(/Bad currency/);
+    expect(() => FeePolicy.Fee({policy: {fee: "1", usd_per_elv: "0"}, limits})).toThrow(/must not be 0/);
+  });
+
+  test("limits come from the tenant, not the policy", () => {
+    expect(() => FeePolicy.Fee({policy: {fee: "100", limits: {max_elv: "1000"}}, limits}))
+      .toThrow(/policy can't set limits/);
+    expect(() => FeePolicy.Fee({policy: {fee: "1"}})).toThrow(/tenant has no transfer fee limits/);
+    expect(() => FeePolicy.Fee({policy: {fee: "1"}, limits: null})).toThrow(/tenant has no transfer fee limits/);
+
+    expect(FeePolicy.Limits({limits: {min_elv: 0, max_usd: "5", min_usd: null}})).toEqual({min_elv: "0", max_usd: "5"});
+    expect(() => FeePolicy.Limits({limits: {max_fee: "1"}})).toThrow(/Bad fee limit 'max_fee'/);
+    expect(() => FeePolicy.Limits({limits: {max_elv: "-1"}})).toThrow(/Bad max_elv/);
+    expect(() => FeePolicy.Limits({limits: {min_usd: "2", max_usd: "1"}})).toThrow(/min_usd 2 is above max_usd 1/);
+    expect(() => FeePolicy.Limits({limits: "10"})).toThrow(/Bad fee limits/);
+  });
+
+  test("plan and apply with audit log", async () => {
+    const fee = FeePolicy.Fee({policy: policy(), limits});
+    const plan = FeePolicy.Plan({
+      contracts: [
+        {address: NFT1, fee: "0"},
+        {address: NFT2, fee: "5"},
+        {address: NFT3, fee: fee.fee_wei},
+        {address: NFT4, error: "can't read the fee"}
+      ],
+      feeWei: fee.fee_wei,
+      exclude: policy().exclude
+    });
+    expect(plan.map(r => r.action)).toEqual(["set", "excluded", "unchanged", "error"]);
+
+    let fees = {};
+    const res = await FeePolicy.Apply({
+      plan,
+      policyName: "2023 standard",
+      auditFile,
+      setFee: async (address, feeWei) => { fees[address] = feeWei; }
+    });
+    expect(fees).toEqual({[NFT1]: fee.fee_wei});
+    expect(res.totals).toEqual({set: 1, excluded: 1, unchanged: 1, error: 1});
+
+    const audit = FeePolicy.ReadAudit({file: auditFile});
+    expect(audit.length).toBe(1);
+    expect(audit[0]).toMatchObject({policy: "2023 standard", address: NFT1, old_fee: "0",
+      new_fee: fee.fee_wei, status: "set"});
+  });
+
+  test("failed changes are audited", async () => {
+    const plan = FeePolicy.Plan({contracts: [{address: NFT1, fee: "0"}, {address: NFT3, fee: "0"}], feeWei: "7"});
+    // A line cut short by an interruption
+    fs.writeFileSync(auditFile, "{\"time\": \"2023");
+    const res = await FeePolicy.Apply({
+      plan,
+      auditFile,
+      setFee: async (address) => {
+        if (address == NFT3) throw Error("not the contract owner");
+      }
+    });
+    expect(res.rows.map(r => r.status)).toEqual(["set", "failed"]);
+    expect(FeePolicy.ReadAudit({file: auditFile, address: NFT3})).toMatchObject([
+      {status: "failed", error: "not the contract owner", new_fee: "7"}
+    ]);
+    expect(FeePolicy.ReadAudit({file: auditFile}).length).toBe(2);
+  });
+});
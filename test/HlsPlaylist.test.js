@@ -0,0 +1,43 @@
+const { HlsPlaylist } = require("../src/HlsPlaylist");
+
+const fs = require("fs");
+
+const BASE = "https://host.example.com/qlibs/ilib1/q/iq__1/rep/channel/default/hls-clear/playlist.m3u8?authorization=TOKEN";
+
+test("parse master playlist", () => {
+  const text = fs.readFileSync("./test/testdata/hls/master.m3u8", "utf8");
+  const { variants, media } = HlsPlaylist.ParseMaster({text, baseUrl: BASE});
+
+  expect(variants.map(v => [v.resolution, v.bandwidth])).toEqual([["1920x1080", 9628000], ["1280x720", 4628000]]);
+  expect(variants[0].codecs).toEqual("avc1.640028,mp4a.40.2");
+  expect(variants[0].url).toEqual(
+    "https://host.example.com/qlibs/ilib1/q/iq__1/rep/channel/default/hls-clear/video/video@9500000/live.m3u8?authorization=TOKEN");
+  // URIs with their own query are not changed
+  expect(variants[1].url).toMatch(/live.m3u8\?resolve=false$/);
+
+  expect(media).toEqual([{
+    url: "https://host.example.com/qlibs/ilib1/q/iq__1/rep/channel/default/hls-clear/audio/audio@128000/live.m3u8?authorization=TOKEN",
+    type: "AUDIO",
+    group_id: "audio",
+    name: "English",
+    language: "en"
+  }]);
+
+  expect(() => HlsPlaylist.ParseMaster({text: "<html>", baseUrl: BASE})).toThrow(/Not an HLS playlist/);
+});
+
+test("parse media playlist", () => {
+  const text = fs.readFileSync("./test/testdata/hls/live.m3u8", "utf8");
+  const baseUrl = "https://host.example.com/hls/video/video@9500000/live.m3u8?authorization=TOKEN";
+  const playlist = HlsPlaylist.ParseMedia({text, baseUrl});
+
+  expect(playlist.init).toEqual("https://host.example.com/hls/video/video@9500000/init.m4s?sid=1");
+  expect(playlist.target_duration).toEqual(2);
+  expect(playlist.media_sequence).toEqual(1230);
+  expect(playlist.ended).toEqual(false);
+  expect(playlist.segments.length).toEqual(3);
+  expect(playlist.segments[0]).toEqual({
+    url: "https://host.example.com/hls/video/video@9500000/segment-1230.m4s?authorization=TOKEN",
+    duration: 2.002
+  });
+});
@@ -0,0 +1,46 @@
+const { HttpFetch } = require("../src/HttpFetch");
+
+const http = require("http");
+
+let server;
+let baseUrl;
+let timer;
+
+beforeAll(async () => {
+  server = http.createServer((req, res) => {
+    if (req.url == "/ok") {
+      res.writeHead(200);
+      res.end("hello");
+    } else if (req.url == "/slow") {
+      timer = setTimeout(() => res.end("late"), 2000);
+    } else {
+      res.writeHead(404);
+      res.end();
+    }
+  });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  baseUrl = "http://127.0.0.1:" + server.address().port;
+});
+
+afterAll(async () => {
+  clearTimeout(timer);
+  server.closeAllConnections();
+  await new Promise(resolve => server.close(resolve));
+});
+
+test("fetch reports pass and fail with status and timing", async () => {
+  const ok = await HttpFetch.Fetch({url: baseUrl + "/ok"});
+  expect(ok.body).toEqual("hello");
+  expect(ok.check).toMatchObject({url: baseUrl + "/ok", result: "pass", status: 200});
+  expect(ok.check.time_ms).toBeGreaterThanOrEqual(0);
+
+  const binary = await HttpFetch.Fetch({url: baseUrl + "/ok", binary: true});
+  expect(Buffer.isBuffer(binary.body)).toBe(true);
+
+  const missing = await HttpFetch.Fetch({url: baseUrl + "/missing"});
+  expect(missing.body).toBeNull();
+  expect(missing.check).toMatchObject({result: "fail", status: 404, error: "HTTP 404"});
+
+  const slow = await HttpFetch.Fetch({url: baseUrl + "/slow", timeoutSec: 0.2});
+  expect(slow.check).toMatchObject({result: "fail", error: "ETIMEDOUT"});
+});
@@ -0,0 +1,35 @@
+const { LiveArchive } = require("../src/LiveArchive");
+
+const recordings = {
+  recording_sequence: 2,
+  live_offering: [
+    {start_time_epoch_sec: 1700000000, end_time_epoch_sec: 1700003600},
+    {start_time_epoch_sec: 1700003700, end_time_epoch_sec: 1700007200}
+  ]
+};
+
+test("recording periods", () => {
+  const periods = LiveArchive.RecordingPeriods({recordings});
+  expect(periods.map(p => [p.period, p.duration_sec])).toEqual([[0, 3600], [1, 3500]]);
+  expect(LiveArchive.RecordingPeriods({recordings: {}})).toEqual([]);
+});
+
+test("trim times", () => {
+  const periods = LiveArchive.RecordingPeriods({recordings});
+
+  expect(LiveArchive.TrimTimes({periods})).toEqual({
+    start_time: "2023-11-14T22:13:20.000Z",
+    end_time: "2023-11-15T00:13:20.000Z"
+  });
+  expect(LiveArchive.TrimTimes({periods, start: "600", end: 4200})).toEqual({
+    start_time: "2023-11-14T22:23:20.000Z",
+    end_time: "2023-11-14T23:23:20.000Z"
+  });
+  expect(LiveArchive.TrimTimes({periods, start: "2023-11-14T22:30:00Z"}).start_time)
+    .toEqual("2023-11-14T22:30:00.000Z");
+
+  expect(() => LiveArchive.TrimTimes({periods, end: 9000})).toThrow(/within the session/);
+  expect(() => LiveArchive.TrimTimes({periods, start: 600, end: 300})).toThrow(/after its start/);
+  expect(() => LiveArchive.TrimTimes({periods, start: "noon"})).toThrow(/Bad time/);
+  expect(() => LiveArchive.TrimTimes({periods: []})).toThrow(/no recording periods/);
+});
@@ -0,0 +1,60 @@
+const { LiveConf } = require("../src/LiveConf");
+
+const fs = require("fs");
+
+test("valid liveconf", () => {
+  const text = fs.readFileSync("./test/testdata/liveconf.json", "utf8");
+  const { conf, errors } = LiveConf.Parse({text});
+  expect(errors).toEqual([]);
+
+  const stream = LiveConf.Stream({conf, name: "concert"});
+  expect(stream.name).toEqual("concert");
+  expect(stream.ladder.video.length).toEqual(3);
+  expect(stream.hooks.map(h => h.events)).toEqual([["start", "stop", "stall"], ["*"]]);
+  expect(LiveConf.Stream({conf, name: "none"})).toBeNull();
+
+  expect(LiveConf.Channel({conf, name: "concert_channel"}).objectId).toEqual("iq__4FjGFaqzDDh1n6c8sEQfaKiPuATm");
+  expect(LiveConf.Channel({conf, name: "concert"})).toBeNull();
+});
+
+test("legacy liveconf", () => {
+  const text = JSON.stringify({ s1: { objectId: "iq__1111" } });
+  const { conf, errors } = LiveConf.Parse({text});
+  expect(errors).toEqual([]);
+  expect(LiveConf.Stream({conf, name: "s1"})).toEqual({ name: "s1", objectId: "iq__1111" });
+});
+
+test("liveconf errors with line numbers", () => {
+  const text = [
+    "{",                                  // 1
+    "  \"version\": 1,",                  // 2
+    "  \"streams\": {",                   // 3
+    "    \"s1\": {",                      // 4
+    "      \"objectId\": \"iq__1111\",",  // 5
+    "      \"video\": {",                 // 6
+    "        \"width\": \"1920\",",       // 7
+    "        \"fps\": 30",                // 8
+    "      },",                           // 9
+    "      \"drm\": { \"formats\": [\"hls-widevine\"] }", // 10
+    "    },",                             // 11
+    "    \"s2\": {}",                     // 12
+    "  }",
+    "}"
+  ].join("\n");
+
+  const { errors } = LiveConf.Parse({text});
+  expect(LiveConf.FormatErrors({file: "liveconf.json", errors})).toEqual([
+    "liveconf.json:7: streams.s1.video.width: must be of type integer (found string)",
+    "liveconf.json:8: streams.s1.video.fps: unknown property 'fps'",
+    "liveconf.json:10: streams.s1.drm.formats[0]: must be one of: hls-clear, hls-aes128, hls-sample-aes, hls-fairplay",
+    "liveconf.json:12: streams.s2: missing required property 'objectId'",
+  ]);
+});
+
+test("liveconf syntax error", () => {
+  const text = "{\n  \"version\": 1,\n  \"streams\": {,}\n}";
+  const { conf, errors } = LiveConf.Parse({text});
+  expect(conf).toBeNull();
+  expect(errors.length).toEqual(1);
+  expect(errors[0].line).toEqual(3);
+});
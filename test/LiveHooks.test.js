@@ -0,0 +1,122 @@
+const { LiveHooks } = require("../src/LiveHooks");
+
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+
+// Local webhook receiver - records the requests it gets
+let server;
+let baseUrl;
+let requests = [];
+
+beforeAll(async () => {
+  server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", chunk => body = body + chunk);
+    req.on("end", () => {
+      requests.push({url: req.url, headers: req.headers, body});
+      res.writeHead(req.url == "/fail" ? 500 : 200);
+      res.end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  baseUrl = "http://127.0.0.1:" + server.address().port;
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+});
+
+beforeEach(() => {
+  requests = [];
+});
+
+test("signed webhook", async () => {
+  process.env.TEST_LIVE_HOOK_SECRET = "s3cret";
+  const hooks = new LiveHooks({hooks: [
+    {events: ["start", "stop"], url: baseUrl + "/live", secret_env: "TEST_LIVE_HOOK_SECRET"},
+    {events: ["stall"], url: baseUrl + "/stall"}
+  ]});
+
+  const results = await hooks.Emit({event: "start", stream: "my_stream", objectId: "iq__1", data: {state: "starting"}});
+  expect(results).toEqual([{hook: baseUrl + "/live", ok: true}]);
+  expect(requests.length).toEqual(1);
+
+  const req = requests[0];
+  expect(req.headers["x-elv-event"]).toEqual("start");
+  expect(req.headers["x-elv-signature"]).toEqual(LiveHooks.Sign({body: req.body, secret: "s3cret"}));
+
+  const payload = JSON.parse(req.body);
+  expect(payload).toMatchObject({event: "start", stream: "my_stream", object_id: "iq__1", data: {state: "starting"}});
+  expect(isNaN(Date.parse(payload.time))).toBe(false);
+});
+
+test("webhook failures are reported, not thrown", async () => {
+  delete process.env.TEST_LIVE_HOOK_MISSING;
+  const hooks = new LiveHooks({hooks: [
+    {events: ["*"], url: baseUrl + "/fail"},
+    {events: ["*"], url: baseUrl + "/live", secret_env: "TEST_LIVE_HOOK_MISSING"},
+    {events: ["*"]}
+  ]});
+
+  const results = await hooks.Emit({event: "reset", stream: "my_stream", objectId: "iq__1"});
+  expect(results.map(r => r.ok)).toEqual([false, false, false]);
+  expect(results[1].error).toMatch(/TEST_LIVE_HOOK_MISSING/);
+  expect(results[2].error).toMatch(/'url' or a 'command'/);
+  // The unsigned request is not sent
+  expect(requests.map(r => r.url)).toEqual(["/fail"]);
+});
+
+test("command hook", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "livehooks-"));
+  const out = path.join(dir, "payload.json");
+  const hooks = new LiveHooks({hooks: [
+    {events: ["terminate"], command: "cat > \"" + out + "\" && test \"$ELV_LIVE_EVENT\" = terminate"},
+    {events: ["terminate"], command: "echo nope >&2; exit 3"}
+  ]});
+
+  try {
+    const results = await hooks.Emit({event: "terminate", stream: "my_stream", objectId: "iq__1", data: {hash: "hq__1"}});
+    expect(results[0].ok).toBe(true);
+    expect(results[1]).toMatchObject({ok: false, error: "hook command exited with code 3: nope"});
+    expect(JSON.parse(fs.readFileSync(out, "utf8"))).toMatchObject({event: "terminate", data: {hash: "hq__1"}});
+  } finally {
+    fs.rmSync(dir, {recursive: true, force: true});
+  }
+});
+
+test("command hook timeout", async () => {
+  const hooks = new LiveHooks({hooks: [{events: ["stall"], command: "sleep 5", timeout_sec: 1}]});
+  const results = await hooks.Emit({event: "stall", stream: "my_stream", objectId: "iq__1"});
+  expect(results[0]).toMatchObject({ok: false, error: "hook command timed out after 1 sec"});
+});
+
+// Whether a process is running - a killed process that was not reaped yet (zombie) is not
+const Running = (pid) => {
+  try {
+    process.kill(pid, 0);
+  } catch (error) {
+    return false;
+  }
+  const stat = "/proc/" + pid + "/stat";
+  return !fs.existsSync(stat) || fs.readFileSync(stat, "utf8").split(") ")[1][0] != "Z";
+};
+
+test("command hook timeout stops the commands started by the shell", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "livehooks-"));
+  const pidFile = path.join(dir, "pid");
+  try {
+    const hooks = new LiveHooks({hooks: [{
+      events: ["stall"], command: "sleep 30 & echo $! > " + pidFile + "; wait", timeout_sec: 1
+    }]});
+    const results = await hooks.Emit({event: "stall", stream: "my_stream", objectId: "iq__1"});
+    expect(results[0]).toMatchObject({ok: false, error: "hook command timed out after 1 sec"});
+
+    const pid = parseInt(fs.readFileSync(pidFile, "utf8"));
+    await new Promise(resolve => setTimeout(resolve, 200));
+    expect(Running(pid)).toBe(false);
+  } finally {
+    fs.rmSync(dir, {recursive: true, force: true});
+  }
+});
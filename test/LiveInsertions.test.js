@@ -0,0 +1,65 @@
+const { LiveInsertions } = require("../src/LiveInsertions");
+
+const insertionConf = {duration: 60, audio_abr_duration: 2.005333, video_abr_duration: 2.002002};
+
+const HASH = "hq__2pKTwXFMS5kCx3d3eJrCuz1hFtRu4VWZq5VVk6bVGyRv9LVPVbkYf4E9tKDQvHxTgJFiuZTN6y";
+
+test("read and validate csv schedule", async () => {
+  const schedule = await LiveInsertions.Read({file: "./test/testdata/insertions.csv"});
+  expect(schedule.map(e => e.where)).toEqual(["line 3", "line 5", "line 6"]);
+
+  const { interleaves, errors } = LiveInsertions.Validate({schedule, insertionConf});
+  expect(errors).toEqual([]);
+  expect(interleaves.map(i => [i.insertion_time, i.duration])).toEqual([[0, 10], [600, 30], [1500, 60]]);
+  expect(interleaves[1]).toEqual({
+    insertion_time: 600,
+    duration: 30,
+    audio_abr_duration: 2.005333,
+    video_abr_duration: 2.002002,
+    playout: "/qfab/" + HASH + "/rep/playout"
+  });
+  expect(LiveInsertions.TargetHash({interleave: interleaves[1]})).toEqual(HASH);
+});
+
+test("schedule errors", () => {
+  const schedule = [
+    {insertion_time: 100, duration: 30, target_hash: HASH, where: "entry 0"},
+    {insertion_time: 120, duration: 30, target_hash: HASH, where: "entry 1"},
+    {insertion_time: 110, duration: 10, target_hash: HASH, where: "entry 2"},
+    {insertion_time: 300, duration: 10, where: "entry 3"},
+    {insertion_time: "5:xx", target_hash: HASH, where: "entry 4"},
+    {insertion_time: 400, duration: -1, target_hash: "iq__1", where: "entry 5"},
+    {insertion_time: 500, target_hash: "iq__1", where: "entry 6"}
+  ];
+  const { errors } = LiveInsertions.Validate({schedule, insertionConf});
+  expect(errors).toEqual([
+    "entry 1: insertion at 120 overlaps the previous insertion (100 - 130)",
+    "entry 2: insertion_time 110 is not after the previous insertion (120)",
+    "entry 3: missing target_hash",
+    "entry 4: bad insertion_time '5:xx'",
+    "entry 5: bad duration '-1'",
+    "entry 6: bad target_hash 'iq__1' (must be a version hash)"
+  ]);
+
+  expect(LiveInsertions.Validate({schedule: [{insertion_time: 1, target_hash: HASH}], insertionConf: {}}).errors)
+    .toEqual(["bad duration ''"]);
+});
+
+test("diff insertions", () => {
+  const playout = LiveInsertions.Playout({targetHash: HASH});
+  const current = [
+    {insertion_time: 0, duration: 10, playout},
+    {insertion_time: 600, duration: 30, playout},
+    {insertion_time: 900, duration: 30, playout}
+  ];
+  const next = [
+    {insertion_time: 0, duration: 10, playout},
+    {insertion_time: 600, duration: 60, playout},
+    {insertion_time: 1500, duration: 60, playout}
+  ];
+  const diff = LiveInsertions.Diff({current, next});
+  expect(diff.added.map(i => i.insertion_time)).toEqual([1500]);
+  expect(diff.removed.map(i => i.insertion_time)).toEqual([900]);
+  expect(diff.changed.map(c => [c.from.duration, c.to.duration])).toEqual([[30, 60]]);
+  expect(diff.unchanged.length).toEqual(1);
+});
@@ -0,0 +1,118 @@
+const { LiveLadder } = require("../src/LiveLadder");
+const { GenerateOffering } = require("../src/LiveObjectSetupStepOne");
+
+const abrProfile = require("../src/abr_profile_live_drm.json");
+
+const SOURCE_AUDIO = {bit_rate: 128000, channels: 2, sample_rate: 48000, stream_index: 1, channel_layout: "stereo"};
+
+const VIDEO_KEY = JSON.stringify({media_type: "video", aspect_ratio_height: 9, aspect_ratio_width: 16});
+
+test("ladder tier", () => {
+  const { rungs, warnings } = LiveLadder.VideoRungs({
+    ladder: {tier: "1080p"}, aspectRatio: "16/9", sourceHeight: 1080
+  });
+  expect(warnings).toEqual([]);
+  expect(rungs[0]).toEqual({height: 1080, width: 1920, bit_rate: 9500000});
+  expect(rungs.map(r => r.width)).toEqual([1920, 1280, 960, 768, 640]);
+});
+
+test("ladder drops renditions taller than the source", () => {
+  const { rungs, warnings } = LiveLadder.VideoRungs({
+    ladder: {tier: "4k"}, aspectRatio: "16/9", sourceHeight: 1080
+  });
+  expect(rungs[0].height).toEqual(1080);
+  expect(warnings.length).toEqual(1);
+
+  expect(() => LiveLadder.VideoRungs({ladder: {tier: "8k"}, aspectRatio: "16/9"})).toThrow(/Bad ladder tier/);
+  expect(LiveLadder.VideoRungs({ladder: {}, aspectRatio: "16/9"}).rungs).toEqual([]);
+});
+
+test("ladder file", () => {
+  const ladder = LiveLadder.Load({spec: "./test/testdata/ladder.json"});
+  const { rungs } = LiveLadder.VideoRungs({ladder, aspectRatio: "16/9", sourceHeight: 2160});
+  expect(rungs[0]).toEqual({height: 2160, width: 3840, bit_rate: 20000000});
+
+  const tracks = LiveLadder.AudioTracks({ladder, audio: SOURCE_AUDIO});
+  expect(tracks.map(t => t.stream_index)).toEqual([1, 2, 3]);
+  expect(tracks[1].time_base).toEqual("1/48000");
+  expect(tracks[2].channel_layout).toEqual("5.1");
+
+  const original = JSON.stringify(abrProfile);
+  const profile = LiveLadder.AbrProfile({abrProfile, videoRungs: rungs, audioTracks: tracks, aspectRatio: "16/9"});
+  expect(profile.ladder_specs[VIDEO_KEY].rung_specs.length).toEqual(6);
+  expect(profile.ladder_specs[VIDEO_KEY].rung_specs.filter(r => r.pregenerate).length).toEqual(1);
+  expect(profile.ladder_specs["{\"media_type\":\"audio\",\"channels\":6}"].rung_specs[0].bit_rate).toEqual(384000);
+  expect(profile.ladder_specs["{\"media_type\":\"audio\",\"channels\":2}"].rung_specs[0].bit_rate).toEqual(128000);
+  // The base profile is not modified
+  expect(JSON.stringify(abrProfile)).toEqual(original);
+
+  expect(LiveLadder.Load({spec: "720p"})).toEqual({tier: "720p"});
+});
+
+// The production master GenerateOffering writes for the audio tracks
+const ProductionMaster = async ({audioTracks}) => {
+  let replaced = [];
+  const client = {
+    ContentObjectMetadata: async () => ({abr_mezzanine: {offerings: {default: {media_struct: {}}}}}),
+    EditContentObject: async () => ({write_token: "tqw__1"}),
+    ReplaceMetadata: async ({metadata}) => { replaced.push(JSON.parse(JSON.stringify(metadata))); },
+    FinalizeContentObject: async () => ({hash: "hq__1"}),
+    CreateABRMezzanine: async () => ({warnings: [], errors: [], hash: "hq__2"})
+  };
+  jest.spyOn(console, "log").mockImplementation(() => {});
+
+  await GenerateOffering({
+    client,
+    libraryId: "ilib1", objectId: "iq__1",
+    streamUrl: "srt://host:1",
+    abrProfile,
+    audioTracks,
+    vBitRate: 9500000, vHeight: 1080, vStreamIndex: 0, vWidth: 1920,
+    vDisplayAspectRatio: "16/9", vFrameRate: "30000/1001", vTimeBase: "1/30000"
+  });
+  console.log.mockRestore();
+
+  return replaced[0].production_master;
+};
+
+test("production master without a ladder is unchanged", async () => {
+  const master = await ProductionMaster({audioTracks: LiveLadder.AudioTracks({ladder: {}, audio: SOURCE_AUDIO})});
+
+  // As written before ladders could configure the audio tracks
+  expect(master.sources["srt://host:1"].streams[1]).toEqual({
+    bit_rate: 128000,
+    channel_layout: "stereo",
+    channels: 2,
+    codec_name: "aac",
+    duration: 1001,
+    duration_ts: 48048000,
+    frame_count: 0,
+    language: "",
+    max_bit_rate: 128000,
+    sample_rate: 48000,
+    start_pts: 0,
+    start_time: 0,
+    time_base: "1/48000",
+    type: "StreamAudio"
+  });
+  const Variant = (streamIndex) => ({
+    default_for_media_type: false,
+    label: "",
+    language: "",
+    mapping_info: "",
+    sources: [{files_api_path: "srt://host:1", stream_index: streamIndex}]
+  });
+  expect(master.variants).toEqual({default: {streams: {audio: Variant(1), video: Variant(0)}}});
+});
+
+test("production master with multiple audio tracks", async () => {
+  const ladder = LiveLadder.Load({spec: "./test/testdata/ladder.json"});
+  const master = await ProductionMaster({audioTracks: LiveLadder.AudioTracks({ladder, audio: SOURCE_AUDIO})});
+  expect(master.sources["srt://host:1"].streams.map(s => s.type))
+    .toEqual(["StreamVideo", "StreamAudio", "StreamAudio", "StreamAudio"]);
+  const streams = master.variants.default.streams;
+  expect(Object.keys(streams).sort()).toEqual(["audio", "audio_2", "audio_3", "video"]);
+  expect(streams.audio_2.language).toEqual("es");
+  expect(streams.audio_2.sources[0].stream_index).toEqual(2);
+  expect(streams.audio.default_for_media_type).toEqual(true);
+});
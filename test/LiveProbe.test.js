@@ -0,0 +1,54 @@
+const { LiveProbe } = require("../src/LiveProbe");
+const { LiveLadder } = require("../src/LiveLadder");
+
+const DEFAULT_AUDIO = {bit_rate: 128000, channels: 2, sample_rate: 48000, stream_index: 1, channel_layout: "stereo"};
+
+test("parse probe output", async () => {
+  const probe = await LiveProbe.Run({source: "./test/testdata/probe.json"});
+  const source = LiveProbe.Parse({probe});
+
+  expect(source.video).toEqual({
+    codec_name: "h264",
+    stream_index: 0,
+    width: 1920,
+    height: 1080,
+    frame_rate: "30000/1001",
+    time_base: "1/90000",
+    display_aspect_ratio: "16/9"
+  });
+  expect(source.audio.map(a => a.stream_index)).toEqual([1, 2]);
+  expect(source.audio[0].bit_rate).toEqual(130104);
+  expect(source.audio[1].bit_rate).toBeUndefined();
+  expect(source.audio[1].language).toEqual("spa");
+});
+
+test("check source against ladder", async () => {
+  const source = LiveProbe.Parse({probe: await LiveProbe.Run({source: "./test/testdata/probe.json"})});
+
+  expect(LiveProbe.Check({source, ladder: {tier: "4k"}})).toEqual([]);
+  expect(LiveProbe.Check({source, ladder: {
+    video: [{height: 2160, width: 3840, bit_rate: 20000000}],
+    audio: [{stream_index: 1, channels: 2}, {stream_index: 2, channels: 2}, {stream_index: 3}]
+  }})).toEqual([
+    "video rendition 3840x2160 exceeds source resolution 1920x1080",
+    "audio track 1: expected 2 channels, source stream 2 has 6",
+    "audio track 2: source stream 3 is not an audio stream"
+  ]);
+  expect(LiveProbe.Check({source: {video: null, audio: []}, ladder: {}}).length).toEqual(2);
+});
+
+test("audio tracks from probed source", async () => {
+  const source = LiveProbe.Parse({probe: await LiveProbe.Run({source: "./test/testdata/probe.json"})});
+  const ladder = {audio: [{label: "English"}, {label: "Spanish", bit_rate: 384000}]};
+
+  const tracks = LiveLadder.AudioTracks({ladder, audio: DEFAULT_AUDIO, sourceAudio: source.audio});
+  expect(tracks.map(t => [t.stream_index, t.channels, t.channel_layout, t.bit_rate, t.language])).toEqual([
+    [1, 2, "stereo", 130104, "eng"],
+    [2, 6, "5.1", 384000, "spa"]
+  ]);
+  expect(tracks[1].time_base).toEqual("1/90000");
+});
+
+test("probe command failure", async () => {
+  await expect(LiveProbe.Run({source: "srt://none", command: "false"})).rejects.toThrow();
+});
@@ -0,0 +1,60 @@
+const { LiveStreamWatchdog } = require("../src/LiveStreamWatchdog");
+
+// Fake EluvioLiveStream returning a scripted sequence of states
+const fakeStream = (states) => {
+  let i = 0;
+  return {
+    resets: [],
+    async Status({name}) {
+      const state = states[Math.min(i++, states.length - 1)];
+      return {name, state};
+    },
+    async StartOrStopOrReset({name, op}) {
+      this.resets.push({name, op});
+      return {name, state: "starting"};
+    }
+  };
+};
+
+const runChecks = async ({watchdog, times}) => {
+  const events = [];
+  watchdog.on("event", (e) => events.push(e));
+  for (const t of times) {
+    await watchdog.Check({now: t * 1000});
+  }
+  return events;
+};
+
+test("reset after stall threshold", async () => {
+  const elvStream = fakeStream(["running", "stalled", "stalled", "stalled", "running"]);
+  const watchdog = new LiveStreamWatchdog({elvStream, names: ["s1"], stallThresholdSec: 30});
+
+  const events = await runChecks({watchdog, times: [0, 10, 20, 40, 50]});
+
+  expect(elvStream.resets).toEqual([{name: "s1", op: "reset"}]);
+  expect(events.map(e => e.type)).toEqual([
+    "state_change", "state_change", "stalled", "reset", "state_change", "recovered"
+  ]);
+  expect(events[1]).toMatchObject({stream: "s1", from: "running", to: "stalled"});
+  expect(events[3]).toMatchObject({stalled_sec: 30, attempt: 1});
+});
+
+test("stop resetting at max resets", async () => {
+  const elvStream = fakeStream(["stalled"]);
+  const watchdog = new LiveStreamWatchdog({elvStream, names: ["s1"], stallThresholdSec: 10, maxResets: 2});
+
+  const events = await runChecks({watchdog, times: [0, 10, 20, 30, 40, 50]});
+
+  expect(elvStream.resets.length).toEqual(2);
+  expect(events.filter(e => e.type == "reset_limit").length).toEqual(1);
+});
+
+test("dry run does not reset", async () => {
+  const elvStream = fakeStream(["stalled"]);
+  const watchdog = new LiveStreamWatchdog({elvStream, names: ["s1"], stallThresholdSec: 10, dryRun: true});
+
+  const events = await runChecks({watchdog, times: [0, 10]});
+
+  expect(elvStream.resets.length).toEqual(0);
+  expect(events.find(e => e.type == "reset")).toMatchObject({dry_run: true});
+});
@@ -0,0 +1,108 @@
+const { MarketplaceItems } = require("../src/MarketplaceItems");
+
+const fs = require("fs");
+const path = require("path");
+
+const Items = () => [
+  {sku: "sku1", name: "Sunrise", for_sale: false, free: false, max_per_user: 0, price: {USD: 10}},
+  {
+    sku: "sku2", name: "Sunset", description: "An evening", for_sale: true, free: false,
+    price: {USD: 5, EUR: 4}, expires_at: "2023-05-01T00:00:00.000Z"
+  }
+];
+
+test("normalizes string values and reports every invalid field", () => {
+  expect(MarketplaceItems.Normalize({changes: {
+    for_sale: "yes", max_per_user: "3", available_at: "2023-03-01T17:00:00Z",
+    expires_at: "none", price: {USD: "9.99", EUR: "none"}
+  }})).toEqual({
+    changes: {
+      for_sale: true, max_per_user: 3, available_at: "2023-03-01T17:00:00.000Z",
+      expires_at: null, price: {USD: 9.99, EUR: null}
+    },
+    errors: []
+  });
+
+  const { errors } = MarketplaceItems.Normalize({changes: {
+    name: "", for_sale: "maybe", max_per_user: "-1", available_at: "soon", price: {USD: "-5"}, sku: "x"
+  }});
+  expect(errors).toEqual([
+    "name: must not be empty",
+    "for_sale: must be true or false",
+    "max_per_user: must be a non-negative integer",
+    "available_at: invalid date 'soon' (use ISO format, e.g. 2023-03-01T17:00:00Z)",
+    "price: invalid price '-5' - must be a non-negative number",
+    expect.stringMatching(/^sku: can't be changed/)
+  ]);
+});
+
+test("updates an item and checks the result", () => {
+  const item = Items()[1];
+  const res = MarketplaceItems.Update({item, changes: {price: {EUR: null, GBP: 4.5}, description: null}});
+  expect(res.errors).toEqual([]);
+  expect(res.changed).toEqual(["description", "price"]);
+  expect(res.item.price).toEqual({USD: 5, GBP: 4.5});
+  expect(res.item.description).toBeUndefined();
+  expect(item.description).toEqual("An evening");
+
+  expect(MarketplaceItems.Update({item, changes: {available_at: "2023-06-01T00:00:00.000Z"}}).errors)
+    .toEqual(["expires_at must be after available_at"]);
+  // Compared as dates, not text
+  const offset = {...item, available_at: "2023-04-30T20:00:00-05:00", expires_at: undefined};
+  expect(MarketplaceItems.Update({item: offset, changes: {expires_at: "2023-05-01T00:00:00.000Z"}}).errors)
+    .toEqual(["expires_at must be after available_at"]);
+  expect(MarketplaceItems.Update({item: {...item, available_at: "2023-04-30T12:00:00Z"},
+    changes: {expires_at: "2023-04-30T12:00:00.500Z"}}).errors).toEqual([]);
+  expect(MarketplaceItems.Update({item, changes: {free: true}}).errors)
+    .toEqual(["a free item can't have a price"]);
+  expect(MarketplaceItems.Update({item, changes: {free: true, price: {USD: 0, EUR: null}}}).errors)
+    .toEqual([]);
+});
+
+test("applies all updates or none", () => {
+  const items = Items();
+  const ok = MarketplaceItems.Apply({items, updates: [
+    {sku: "sku1", changes: {for_sale: true, price: {USD: "12"}}},
+    {sku: "sku2", changes: {name: "Sunset"}}
+  ]});
+  expect(ok.errors).toEqual([]);
+  expect(ok.results).toEqual([
+    {sku: "sku1", line: undefined, changed: ["for_sale", "price"]},
+    {sku: "sku2", line: undefined, changed: []}
+  ]);
+  expect(ok.items[0]).toMatchObject({for_sale: true, price: {USD: 12}});
+  expect(items[0].for_sale).toBe(false);
+
+  const bad = MarketplaceItems.Apply({items, updates: [
+    {sku: "sku1", line: 2, changes: {for_sale: true}},
+    {sku: "sku3", line: 3, changes: {for_sale: true}},
+    {sku: "sku1", line: 4, changes: {free: true}}
+  ]});
+  expect(bad.errors).toEqual([
+    "line 3: sku sku3: no such item",
+    "line 4: sku sku1: updated more than once (also line 2)"
+  ]);
+  expect(bad.items).toBe(items);
+});
+
+test("reads updates from CSV", async () => {
+  const text = fs.readFileSync(path.join(__dirname, "testdata", "marketplace_items.csv"), "utf8");
+  const { updates, errors } = await MarketplaceItems.ParseCsv({text});
+  expect(errors).toEqual([]);
+  expect(updates).toEqual([
+    {
+      line: 3, sku: "sku1", changes: {
+        price: {USD: "19.99", EUR: "17.50"}, for_sale: "true", max_per_user: "2",
+        available_at: "2023-03-01T17:00:00Z", expires_at: "2023-04-01T17:00:00Z"
+      }
+    },
+    {line: 4, sku: "sku2", changes: {name: "Sunset Pass", description: "none", price: {EUR: "none"}, for_sale: "no", expires_at: "none"}}
+  ]);
+
+  const res = MarketplaceItems.Apply({items: Items(), updates});
+  expect(res.errors).toEqual([]);
+  expect(res.items[1]).toEqual({sku: "sku2", name: "Sunset Pass", for_sale: false, free: false, price: {USD: 5}});
+
+  const invalid = await MarketplaceItems.ParseCsv({text: "sku,prices,price_usd\n,1,2\n"});
+  expect(invalid.errors).toEqual(["unknown column 'prices'", "unknown column 'price_usd'", "line 2: missing sku"]);
+});
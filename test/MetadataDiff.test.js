@@ -0,0 +1,39 @@
+const { MetadataDiff } = require("../src/MetadataDiff");
+
+describe("MetadataDiff", () => {
+
+  test("lists the values that differ by path", () => {
+    const from = {
+      name: "Drop",
+      nfts: [{image: "a.png", attributes: [{trait_type: "Sky", value: "Blue"}]}, {image: "b.png"}],
+      info: {start: "2023-01-01", end: "2023-01-02"}
+    };
+    const to = {
+      name: "Drop",
+      nfts: [{image: "a.png", attributes: [{trait_type: "Sky", value: "Red"}]}],
+      info: {start: "2023-02-01", end: "2023-01-02", uuid: "x"}
+    };
+    const changes = MetadataDiff.Diff({from, to, path: "/public/asset_metadata"});
+    expect(changes).toEqual([
+      {path: "/public/asset_metadata/nfts/0/attributes/0/value", op: "changed", from: "Blue", to: "Red"},
+      {path: "/public/asset_metadata/nfts/1", op: "removed", from: {image: "b.png"}},
+      {path: "/public/asset_metadata/info/start", op: "changed", from: "2023-01-01", to: "2023-02-01"},
+      {path: "/public/asset_metadata/info/uuid", op: "added", to: "x"}
+    ]);
+    expect(MetadataDiff.Summary({changes})).toEqual({added: 1, removed: 1, changed: 2});
+    expect(MetadataDiff.Format({changes})).toEqual([
+      "~ /public/asset_metadata/nfts/0/attributes/0/value: \"Blue\" -> \"Red\"",
+      "- /public/asset_metadata/nfts/1: {\"image\":\"b.png\"}",
+      "~ /public/asset_metadata/info/start: \"2023-01-01\" -> \"2023-02-01\"",
+      "+ /public/asset_metadata/info/uuid: \"x\""
+    ]);
+  });
+
+  test("new subtree and type changes", () => {
+    expect(MetadataDiff.Diff({from: undefined, to: [1], path: "/public/nfts"}))
+      .toEqual([{path: "/public/nfts", op: "added", to: [1]}]);
+    expect(MetadataDiff.Diff({from: {a: [1]}, to: {a: {0: 1}}}))
+      .toEqual([{path: "/a", op: "changed", from: [1], to: {0: 1}}]);
+    expect(MetadataDiff.Diff({from: {a: 1, b: null}, to: {a: 1, b: null}})).toEqual([]);
+  });
+});
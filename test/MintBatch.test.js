@@ -0,0 +1,85 @@
+const { MintBatch } = require("../src/MintBatch");
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const FAN = "0x31D979d8Fcc4Bfd55A081535c7aa816B67BD40c8".toLowerCase();
+
+let dir;
+let journalFile;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "mintbatch-"));
+  journalFile = path.join(dir, "mint.journal");
+});
+
+afterEach(() => {
+  fs.rmSync(dir, {recursive: true, force: true});
+});
+
+const Run = (rows, mint, options = {}) => MintBatch.Run({
+  rows, tenant: "iten123", marketplace: "iq__market", journalFile, mint,
+  ratePerSec: 1000, retries: 2, retryDelayMs: 1, ...options
+});
+
+test("read allowlist", async () => {
+  const { rows, errors } = await MintBatch.ReadCsv({file: "./test/testdata/mint_batch.csv"});
+  expect(errors).toEqual([]);
+  expect(rows.map(r => [r.line, r.address.toLowerCase(), r.sku, r.quantity, r.email])).toEqual([
+    [2, FAN, "Sku1234", 2, "fan@example.com"],
+    [3, "0x1111111111111111111111111111111111111111", "Sku1234", 1, undefined],
+    [5, FAN, "Sku5678", 1, "fan@example.com"]
+  ]);
+
+  const bad = path.join(dir, "bad.csv");
+  fs.writeFileSync(bad, "address,sku,quantity\n0x1234,Sku1,1\n0x1111111111111111111111111111111111111111,,1\n" +
+    "0x1111111111111111111111111111111111111111,Sku1,0\n");
+  expect((await MintBatch.ReadCsv({file: bad})).errors).toEqual([
+    "line 2: bad address '0x1234'",
+    "line 3: missing sku",
+    "line 4: bad quantity '0'"
+  ]);
+});
+
+test("rerun never mints twice", async () => {
+  const { rows } = await MintBatch.ReadCsv({file: "./test/testdata/mint_batch.csv"});
+
+  // The second row fails every time
+  let minted = [];
+  let res = await Run(rows, async ({row, transId}) => {
+    if (row.line == 3) throw {status: 503, statusText: "Service Unavailable"};
+    minted.push(transId);
+  });
+  expect(res.rows.map(r => r.status)).toEqual(["minted", "failed", "minted"]);
+  expect(res.rows[1]).toMatchObject({attempts: 3, error: "HTTP 503 Service Unavailable"});
+  expect(res.totals).toEqual({minted: 2, failed: 1});
+
+  // The rerun only sends the failed row - with the same trans_id
+  let sent = [];
+  res = await Run([...rows].reverse(), async ({transId}) => {
+    sent.push(transId);
+  });
+  expect(sent).toEqual([res.rows[1].trans_id]);
+  expect(res.rows.map(r => r.status)).toEqual(["already_minted", "minted", "already_minted"]);
+  expect(new Set([...minted, ...sent]).size).toEqual(3);
+
+  // A new batch ID mints everything again
+  res = await Run(rows, async () => {}, {batchId: "second", dryRun: true});
+  expect(res.rows.map(r => r.status)).toEqual(["planned", "planned", "planned"]);
+});
+
+test("unconfirmed rows are not resent", async () => {
+  const { rows } = await MintBatch.ReadCsv({file: "./test/testdata/mint_batch.csv"});
+  const transId = MintBatch.TransId({tenant: "iten123", marketplace: "iq__market", row: rows[0]});
+
+  // Interrupted after the request was sent
+  fs.writeFileSync(journalFile, JSON.stringify({trans_id: transId, status: "pending"}) + "\n{\"trans_id\": \"ba");
+
+  let res = await Run(rows, async () => {});
+  expect(res.rows.map(r => r.status)).toEqual(["unconfirmed", "minted", "minted"]);
+  expect(Object.keys(MintBatch.ReadJournal({file: journalFile})).length).toEqual(3);
+
+  res = await Run(rows, async () => {}, {retryUnconfirmed: true});
+  expect(res.rows.map(r => r.status)).toEqual(["minted", "already_minted", "already_minted"]);
+});
@@ -0,0 +1,111 @@
+const { NftBatch } = require("../src/NftBatch");
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const SIGNER = "0x31d979D8FcC4bfD55a081535C7Aa816b67Bd40c8";
+const OTHER = "0x1111111111111111111111111111111111111111";
+const THIRD = "0x2222222222222222222222222222222222222222";
+
+let dir;
+let journalFile;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "nftbatch-"));
+  journalFile = path.join(dir, "batch.journal");
+});
+
+afterEach(() => {
+  fs.rmSync(dir, {recursive: true, force: true});
+});
+
+// Token owners on a fake contract - the signer can transfer its own tokens
+// and use the transfer proxy for the others, but only burn its own
+const Chain = (owners) => ({
+  owners,
+  check: async (row) => {
+    const owner = owners[row.token_id];
+    if (!owner) throw Error("token does not exist");
+    if (row.from && owner != row.from) throw Error("not owned by " + row.from);
+    if (owner == row.to) throw Error("already owned by " + row.to);
+    if (owner == SIGNER) return {owner, op: row.burn ? "burn" : "transfer"};
+    if (row.burn) throw Error("proxy burn is not supported");
+    return {owner, op: "proxy_transfer"};
+  },
+  execute: async (row) => {
+    if (row.burn) {
+      delete owners[row.token_id];
+    } else {
+      owners[row.token_id] = row.to;
+    }
+  },
+  verify: async (row) => row.burn ? !owners[row.token_id] : owners[row.token_id] == row.to
+});
+
+test("read batch csv", async () => {
+  const { rows, errors } = await NftBatch.ReadCsv({file: "./test/testdata/nft_batch.csv"});
+  expect(errors).toEqual([]);
+  expect(rows.map(r => [r.line, r.token_id, r.from, r.to, r.burn])).toEqual([
+    [2, "128", SIGNER, OTHER, false],
+    [3, "129", undefined, "burn", true],
+    [4, "130", undefined, OTHER, false]
+  ]);
+
+  const bad = path.join(dir, "bad.csv");
+  fs.writeFileSync(bad, "addr,token_id,from,to\n0x43842733179fa1c38560a44f1d9067677461c8ca,12a,,burn\n" +
+    "0x43842733179fa1c38560a44f1d9067677461c8ca,12,,recall\n");
+  expect((await NftBatch.ReadCsv({file: bad})).errors).toEqual([
+    "line 2: bad token ID '12a'",
+    "line 3: bad to address 'recall' (must be an address or 'burn')"
+  ]);
+});
+
+test("plan, run and resume", async () => {
+  const { rows } = await NftBatch.ReadCsv({file: "./test/testdata/nft_batch.csv"});
+  const chain = Chain({"128": SIGNER, "129": OTHER, "130": THIRD});
+
+  let plan = await NftBatch.Plan({rows, check: chain.check, journalFile});
+  expect(plan.rows.map(r => r.error || r.op)).toEqual(["transfer", "proxy burn is not supported", "proxy_transfer"]);
+  expect(plan.totals).toEqual({transfer: 1, error: 1, proxy_transfer: 1});
+
+  // Interrupted while running the last row
+  let res = await NftBatch.Run({plan, journalFile, verify: chain.verify, execute: async (row) => {
+    await chain.execute(row);
+    if (row.token_id == "130") throw Error("connection reset");
+  }});
+  expect(res.rows.map(r => r.status)).toEqual(["done", "skipped", "failed"]);
+
+  // The failed row went through - resuming doesn't run anything again
+  let executed = [];
+  plan = await NftBatch.Plan({rows, check: chain.check, journalFile});
+  expect(plan.rows[0].done).toBe(true);
+  res = await NftBatch.Run({plan, journalFile, verify: chain.verify, execute: async (row) => {
+    executed.push(row.token_id);
+  }});
+  expect(executed).toEqual([]);
+  expect(res.rows.map(r => r.status)).toEqual(["already_done", "skipped", "already_done"]);
+});
+
+test("pending rows are verified before running again", async () => {
+  const { rows } = await NftBatch.ReadCsv({file: "./test/testdata/nft_batch.csv"});
+  const chain = Chain({"128": OTHER, "129": SIGNER, "130": SIGNER});
+
+  // The burn was sent before an interruption, the transfer was not
+  fs.writeFileSync(journalFile, [
+    JSON.stringify({key: NftBatch.Key({row: rows[1]}), status: "pending"}),
+    JSON.stringify({key: NftBatch.Key({row: rows[2]}), status: "pending"}),
+    ""
+  ].join("\n"));
+  delete chain.owners["129"];
+
+  const plan = await NftBatch.Plan({rows, check: chain.check, journalFile});
+  let executed = [];
+  const res = await NftBatch.Run({plan, journalFile, verify: chain.verify, execute: async (row) => {
+    executed.push(row.token_id);
+    await chain.execute(row);
+  }});
+  expect(res.rows.map(r => r.status)).toEqual(["skipped", "already_done", "done"]);
+  expect(executed).toEqual(["130"]);
+  expect(chain.owners["130"]).toEqual(OTHER);
+});
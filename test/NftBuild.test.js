@@ -0,0 +1,114 @@
+const { NftBuild } = require("../src/NftBuild");
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const NFT_DIR = "./test/testdata/nft_build/nfts";
+const MEDIA_DIR = "./test/testdata/nft_build/media";
+
+let dir;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "nftbuild-"));
+});
+
+afterEach(() => {
+  fs.rmSync(dir, {recursive: true, force: true});
+});
+
+const WriteNft = (file, text) => {
+  fs.writeFileSync(path.join(dir, file), typeof text == "string" ? text : JSON.stringify(text, null, 2));
+};
+
+describe("NftBuild", () => {
+
+  test("reads NFTs, rarity and local media", async () => {
+    const { nftMetas, rarity, media, errors } = await NftBuild.ReadDir({nftDir: NFT_DIR, mediaDir: MEDIA_DIR});
+    expect(errors).toEqual([]);
+    expect(nftMetas.map(m => m.name)).toEqual(["Sunrise", "Sunrise", "Sunset"]);
+    expect(nftMetas[2].attributes[0]).toEqual({trait_type: "Sky", value: "Red", rarity: "1/3"});
+    expect(rarity).toEqual({
+      Sky: {total: 3, Orange: 2, Red: 1},
+      Clouds: {total: 3, 3: 3}
+    });
+    expect(media.map(f => [f.path, f.mime_type, f.size])).toEqual([
+      ["images/sunrise.png", "image/png", 8],
+      ["videos/sunrise.mp4", "video/mp4", 3]
+    ]);
+  });
+
+  test("rewrites local media to file URLs", async () => {
+    const { nftMetas } = await NftBuild.ReadDir({nftDir: NFT_DIR, mediaDir: MEDIA_DIR});
+    NftBuild.RewriteUrls({nftMetas, mediaDir: MEDIA_DIR, baseUrl: "https://host/s/main/q/hq__1/files"});
+    expect(nftMetas[0].image).toEqual("https://host/s/main/q/hq__1/files/nft_media/images/sunrise.png");
+    expect(nftMetas[1].embed_url).toEqual("https://host/s/main/q/hq__1/files/nft_media/videos/sunrise.mp4");
+    expect(nftMetas[2].image).toEqual("https://example.com/sunset.png");
+  });
+
+  test("local media needs a media directory", async () => {
+    const { errors } = await NftBuild.ReadDir({nftDir: NFT_DIR});
+    expect(NftBuild.FormatErrors({errors})).toEqual([
+      "nft001.json:4: image: 'images/sunrise.png' is not a URL (local files need a media directory)",
+      "nft001.json:5: embed_url: 'videos/sunrise.mp4' is not a URL (local files need a media directory)"
+    ]);
+  });
+
+  test("reports all errors together", async () => {
+    WriteNft("a.json", {name: "One", image: "https://i/1", attributes: [{trait_type: "Sky", value: true}]});
+    WriteNft("b.json", "{ \"name\": \"Two\",\n  \"image\": \"https://i/2\"\n");
+    WriteNft("c.json", {name: "One", image: "missing.png", count: 0, attributes: [{value: "x"}]});
+    WriteNft("d.json", {name: "Four", image: "../secret.png",
+      attributes: [{type: "Sky", value: "Blue"}, {trait_type: "Sky", value: "Red"}]});
+    WriteNft("e.json", {name: "Four", image: "https://i/5", attributes: []});
+    WriteNft("notes.txt", "not an NFT");
+
+    const res = await NftBuild.ReadDir({nftDir: dir, mediaDir: MEDIA_DIR});
+    expect(res.nftMetas).toEqual([]);
+    expect(res.errors.map(e => [e.file, e.path, e.message.replace(/: \/.*/, ": ...")])).toEqual([
+      ["a.json", "attributes[0].value", "must be of type string or number (found boolean)"],
+      ["b.json", "", expect.stringMatching(/JSON/)],
+      ["c.json", "count", "must be >= 1"],
+      ["c.json", "attributes[0]", "missing required property 'trait_type'"],
+      ["c.json", "image", "media file not found: ..."],
+      ["d.json", "attributes[1]", "duplicate trait 'Sky' (also attributes[0])"],
+      ["d.json", "image", "'../secret.png' is outside the media directory"],
+      ["c.json", "name", "duplicate name 'One' (also in a.json)"],
+      ["e.json", "name", "duplicate name 'Four' (also in d.json)"]
+    ]);
+    expect(res.errors[2].line).toEqual(4);
+    expect(res.errors[8].line).toEqual(2);
+  });
+
+  test("attributes need a trait type", async () => {
+    WriteNft("a.json", {image: "https://i/1", attributes: [{value: "x"}]});
+    const res = await NftBuild.ReadDir({nftDir: dir});
+    expect(res.errors).toEqual([
+      {file: "a.json", line: 4, path: "attributes[0]", message: "missing required property 'trait_type'"}
+    ]);
+  });
+
+  test("image, attributes and extra attribute keys are optional", async () => {
+    WriteNft("a.json", {name: "One"});
+    WriteNft("b.json", {name: "Two", image: "https://i/2",
+      attributes: [{display_type: "number", trait_type: "Level", value: 3, max_value: 10}]});
+    const res = await NftBuild.ReadDir({nftDir: dir});
+    expect(res.errors).toEqual([]);
+    expect(res.nftMetas[1].attributes[0]).toEqual(
+      {display_type: "number", trait_type: "Level", value: 3, max_value: 10});
+    expect(res.rarity).toEqual({Level: {total: 1, 3: 1}});
+  });
+
+  test("token attributes with rarity - none without attributes", async () => {
+    WriteNft("a.json", {name: "One"});
+    WriteNft("b.json", {name: "Two", attributes: [{trait_type: "Sky", value: "Red"}, {trait_type: "Sea", value: 1, rarity: "x"}]});
+    WriteNft("c.json", {name: "Three", attributes: [{trait_type: "Sky", value: "Red"}]});
+    const { nftMetas, rarity } = await NftBuild.ReadDir({nftDir: dir});
+
+    expect(NftBuild.TokenAttributes({nftMeta: nftMetas[0], rarity, totalSupply: "10"})).toEqual([]);
+    expect(NftBuild.TokenAttributes({nftMeta: nftMetas[1], rarity, totalSupply: "10"})).toEqual([
+      {trait_type: "Sky", value: "Red", rarity: "2/10"},
+      {trait_type: "Sea", value: 1, rarity: "x"}
+    ]);
+  });
+});
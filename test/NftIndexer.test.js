@@ -0,0 +1,236 @@
+const { NftIndexer } = require("../src/NftIndexer");
+
+const ethers = require("ethers");
+const ganache = require("ganache");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const ADDR = "0x43842733179fa1C38560a44f1d9067677461c8ca";
+const ZERO = NftIndexer.ZERO_ADDRESS;
+const ALICE = "0x1111111111111111111111111111111111111111";
+const BOB = "0x2222222222222222222222222222222222222222";
+const PROXY = "0x3333333333333333333333333333333333333333";
+
+const iface = new ethers.utils.Interface([
+  "event Transfer(address indexed from, address indexed to, uint256 indexed tokenId)",
+  "event Redeem(address redeemer, uint256 tokenId, uint8 offerId)",
+  "event RedeemableAdded(uint8 offerId)",
+  "event RedeemableRemoved(uint8 offerId)"
+]);
+
+// Minimal stand-in for an ethers provider on a dev chain
+class FakeChain {
+  constructor() {
+    this.blockNumber = 0;
+    this.logs = [];
+    this.requests = [];
+    this.maxRange = Infinity;
+    this.transactions = {};
+  }
+
+  // One transaction per block, sent by 'sender' to 'to' (the NFT contract by default)
+  event(name, args, {sender, to = ADDR} = {}) {
+    this.blockNumber++;
+    const hash = "0x" + String(this.blockNumber).padStart(64, "0");
+    this.transactions[hash] = {hash, from: sender || args[0], to};
+    this.logs.push({
+      address: ADDR,
+      blockNumber: this.blockNumber,
+      transactionHash: hash,
+      logIndex: 0,
+      ...iface.encodeEventLog(iface.getEvent(name), args)
+    });
+  }
+
+  transfer(from, to, tokenId, options) {
+    this.event("Transfer", [from, to, tokenId], options);
+  }
+
+  async getBlockNumber() {
+    return this.blockNumber;
+  }
+
+  async getBlock(blockNumber) {
+    return {number: blockNumber, timestamp: 1672531200 + blockNumber * 60};
+  }
+
+  async getTransaction(hash) {
+    return this.transactions[hash];
+  }
+
+  async getLogs({address, topics, fromBlock, toBlock}) {
+    this.requests.push([fromBlock, toBlock]);
+    if (toBlock - fromBlock + 1 > this.maxRange) {
+      throw Error("query returned more than 10000 results");
+    }
+    return this.logs.filter(l => l.address == address &&
+      topics.every((t, i) => t == null || (Array.isArray(t) ? t.includes(l.topics[i]) : l.topics[i] == t)) &&
+      l.blockNumber >= fromBlock && l.blockNumber <= toBlock);
+  }
+}
+
+let dir;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "nftindexer-"));
+});
+
+afterEach(() => {
+  fs.rmSync(dir, {recursive: true, force: true});
+});
+
+test("index transfers incrementally", async () => {
+  const chain = new FakeChain();
+  const storeFile = path.join(dir, "index.json");
+
+  chain.transfer(ZERO, ALICE, 1);
+  chain.transfer(ZERO, ALICE, 2);
+  chain.transfer(ZERO, BOB, 3);
+
+  let indexer = new NftIndexer({addr: ADDR, storeFile, provider: chain});
+  expect(await indexer.Sync()).toEqual({from_block: 0, to_block: 3, transfers: 3});
+  expect(indexer.BalanceOf({owner: ALICE})).toEqual(2);
+
+  chain.transfer(ALICE, BOB, 1);
+  chain.transfer(BOB, ZERO, 3);
+
+  // A new indexer on the same store only requests the new blocks
+  indexer = new NftIndexer({addr: ADDR, storeFile, provider: chain});
+  chain.requests = [];
+  expect(await indexer.Sync()).toEqual({from_block: 4, to_block: 5, transfers: 2});
+  expect(chain.requests).toEqual([[4, 5]]);
+
+  expect(indexer.OwnerOf({tokenId: 1})).toEqual(BOB);
+  expect(indexer.OwnerOf({tokenId: 3})).toBeNull();
+  expect(indexer.TokensOf({owner: ALICE.toUpperCase().replace("0X", "0x")})).toEqual(["2"]);
+  expect(indexer.Holders()).toEqual([{owner: ALICE, balance: 1}, {owner: BOB, balance: 1}]);
+  expect(indexer.History({tokenId: 1}).map(t => [t.from, t.to])).toEqual([[ZERO, ALICE], [ALICE, BOB]]);
+  expect(indexer.History({owner: BOB}).map(t => t.token_id)).toEqual(["3", "1", "3"]);
+  expect(indexer.Info()).toEqual({addr: ADDR, last_block: 5, tokens: 2, holders: 2, transfers: 5});
+});
+
+test("split log ranges the node refuses", async () => {
+  const chain = new FakeChain();
+  for (let i = 1; i <= 10; i++) {
+    chain.transfer(ZERO, i % 2 ? ALICE : BOB, i);
+  }
+  chain.maxRange = 3;
+
+  const indexer = new NftIndexer({addr: ADDR, provider: chain, batchBlocks: 100});
+  const res = await indexer.Sync({fromBlock: 1});
+  expect(res.transfers).toEqual(10);
+  expect(indexer.History({}).map(t => t.block_number)).toEqual([1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+  expect(indexer.BalanceOf({owner: BOB})).toEqual(5);
+});
+
+test("token history", async () => {
+  const chain = new FakeChain();
+  chain.transfer(ZERO, ALICE, 7, {sender: BOB});
+  chain.transfer(ZERO, BOB, 8);
+  chain.event("Redeem", [ALICE, 7, 1]);
+  chain.transfer(ALICE, BOB, 7, {sender: PROXY, to: PROXY});
+  chain.event("Redeem", [BOB, 8, 1]);
+  chain.transfer(BOB, ALICE, 7);
+  chain.transfer(ALICE, ZERO, 7);
+
+  const indexer = new NftIndexer({addr: ADDR, provider: chain});
+  const history = await indexer.TokenHistory({tokenId: "7"});
+  expect(history.owner).toBeNull();
+  expect(history.events.map(e => e.type)).toEqual(["mint", "redeem", "proxy_transfer", "transfer", "burn"]);
+  expect(history.events[0]).toEqual({
+    type: "mint",
+    block_number: 1,
+    time: "2023-01-01T00:01:00.000Z",
+    transaction_hash: "0x" + "1".padStart(64, "0"),
+    sender: BOB,
+    from: ZERO,
+    to: ALICE
+  });
+  expect(history.events[1]).toMatchObject({redeemer: ALICE, offer_id: 1});
+  expect(history.events[2]).toMatchObject({from: ALICE, to: BOB, via: PROXY, sender: PROXY});
+});
+
+test("offers and redemptions", async () => {
+  const chain = new FakeChain();
+  chain.event("RedeemableAdded", [0], {sender: ALICE});
+  chain.event("RedeemableAdded", [1], {sender: ALICE});
+  chain.transfer(ZERO, ALICE, 7);
+  chain.event("Redeem", [ALICE, 7, 1]);
+  chain.event("RedeemableRemoved", [0], {sender: ALICE});
+  chain.event("Redeem", [BOB, 8, 1]);
+
+  const indexer = new NftIndexer({addr: ADDR, provider: chain});
+  expect(await indexer.Offers({})).toEqual([
+    {offer_id: 0, added_block: 1, removed_block: 5},
+    {offer_id: 1, added_block: 2, removed_block: null}
+  ]);
+
+  const redemptions = await indexer.Redemptions({});
+  expect(redemptions.map(r => [r.offer_id, r.token_id, r.redeemer])).toEqual([[1, "7", ALICE], [1, "8", BOB]]);
+  expect(redemptions[0]).toMatchObject({block_number: 4, time: "2023-01-01T00:04:00.000Z"});
+});
+
+test("store for another contract", () => {
+  const storeFile = path.join(dir, "index.json");
+  fs.writeFileSync(storeFile, JSON.stringify({addr: ALICE, last_block: 1, owners: {}, transfers: []}));
+  expect(() => new NftIndexer({addr: ADDR, storeFile})).toThrow(/is for contract/);
+});
+
+// Deploys ElvTradableLocal to an in-process dev chain
+const DevChain = async () => {
+  const chain = ganache.provider({
+    logging: {quiet: true},
+    wallet: {totalAccounts: 3, deterministic: true},
+    chain: {chainId: 1337}
+  });
+  const provider = new ethers.providers.Web3Provider(chain);
+  const signers = [0, 1, 2].map(i => provider.getSigner(i));
+  const Contract = (name) => new ethers.ContractFactory(
+    fs.readFileSync(path.resolve(__dirname, "../contracts/v3/" + name + ".abi"), "utf8"),
+    fs.readFileSync(path.resolve(__dirname, "../contracts/v3/" + name + ".bin"), "utf8").trim(),
+    signers[0]
+  );
+
+  const registry = await Contract("TransferProxyRegistry").deploy();
+  await registry.deployed();
+  const nft = await Contract("ElvTradableLocal").deploy("Test", "TST", "", registry.address, 0, 100, 0);
+  await nft.deployed();
+  return {chain, provider, signers, nft};
+};
+
+test("index transfers on a local dev chain", async () => {
+  const {chain, provider, signers, nft} = await DevChain();
+  try {
+    const [alice, bob] = await Promise.all(signers.slice(1).map(s => s.getAddress()));
+    const Send = async (tx) => (await tx).wait();
+
+    await Send(nft.mintWithTokenURI(alice, 1, "https://example.com/1"));
+    await Send(nft.mintWithTokenURI(alice, 2, "https://example.com/2"));
+    await Send(nft.mintWithTokenURI(bob, 3, "https://example.com/3"));
+
+    const storeFile = path.join(dir, "index.json");
+    let indexer = new NftIndexer({addr: nft.address, storeFile, provider});
+    expect(await indexer.Sync()).toMatchObject({transfers: 3});
+    expect(indexer.BalanceOf({owner: alice})).toEqual(2);
+
+    await Send(nft.connect(signers[1]).transferFrom(alice, bob, 1));
+    await Send(nft.connect(signers[2]).burn(3));
+
+    indexer = new NftIndexer({addr: nft.address, storeFile, provider});
+    expect(await indexer.Sync()).toMatchObject({transfers: 2, to_block: await provider.getBlockNumber()});
+    expect(indexer.OwnerOf({tokenId: 1})).toEqual(bob);
+    expect(indexer.OwnerOf({tokenId: 3})).toBeNull();
+    expect(indexer.Holders()).toHaveLength(2);
+    expect(indexer.Holders()).toEqual(expect.arrayContaining([{owner: alice, balance: 1}, {owner: bob, balance: 1}]));
+    for (const tokenId of [1, 2]) {
+      expect(indexer.OwnerOf({tokenId})).toEqual(await nft.ownerOf(tokenId));
+    }
+
+    const history = await indexer.TokenHistory({tokenId: "1"});
+    expect(history.owner).toEqual(bob);
+    expect(history.events.map(e => [e.type, e.from, e.to])).toEqual([["mint", ZERO, alice], ["transfer", alice, bob]]);
+  } finally {
+    await chain.disconnect();
+  }
+}, 60000);
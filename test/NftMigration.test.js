@@ -0,0 +1,148 @@
+const { NftMigration } = require("../src/NftMigration");
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const OWNER_A = "0x31d979D8FcC4bfD55a081535C7Aa816b67Bd40c8";
+const OWNER_B = "0x1111111111111111111111111111111111111111";
+
+let dir;
+let mappingFile;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "nftmigration-"));
+  mappingFile = path.join(dir, "mapping.json");
+});
+
+afterEach(() => {
+  fs.rmSync(dir, {recursive: true, force: true});
+});
+
+const Snapshot = () => ({
+  addr: "0x43842733179fa1C38560a44f1d9067677461c8ca",
+  block_number: 100,
+  total_supply: 3,
+  tokens: [
+    {index: 0, token_id: "30", owner: OWNER_A, ordinal: "2", token_uri: "uri30"},
+    {index: 1, token_id: "10", owner: OWNER_B, ordinal: "0", token_uri: "uri10",
+      hold_end: "2030-01-01T00:00:00.000Z"},
+    {index: 2, token_id: "20", owner: OWNER_A, ordinal: "1", token_uri: "uri20"}
+  ],
+  errors: []
+});
+
+// New contract that assigns ordinals in mint order
+const NewContract = () => {
+  let tokens = {};
+  let minted = 0;
+  return {
+    tokens,
+    mint: async (token) => {
+      tokens[token.token_id] = {owner: token.owner, uri: token.token_uri, ordinal: minted++};
+      return tokens[token.token_id].ordinal;
+    }
+  };
+};
+
+describe("NftMigration", () => {
+
+  test("mapping mints in ordinal order", () => {
+    const mapping = NftMigration.Mapping({oldAddr: "0xold", snapshot: Snapshot()});
+    expect(mapping.tokens.map(t => t.token_id)).toEqual(["10", "20", "30"]);
+    expect(mapping.tokens.every(t => t.status == "pending")).toBe(true);
+    expect(mapping.block_number).toBe(100);
+  });
+
+  test("tokens without an ordinal go last, by token ID", () => {
+    const tokens = NftMigration.MintOrder({tokens: [
+      {token_id: "9"}, {token_id: "100", old_ordinal: "1"}, {token_id: "5"}, {token_id: "7", old_ordinal: "0"}
+    ]});
+    expect(tokens.map(t => t.token_id)).toEqual(["7", "100", "5", "9"]);
+  });
+
+  test("remaining hold", () => {
+    const now = Date.parse("2029-12-31T23:59:00.000Z");
+    expect(NftMigration.HoldSecs({holdEnd: "2030-01-01T00:00:00.000Z", now})).toBe(60);
+    expect(NftMigration.HoldSecs({holdEnd: "2020-01-01T00:00:00.000Z", now})).toBe(0);
+    expect(NftMigration.HoldSecs({holdEnd: undefined, now})).toBe(0);
+  });
+
+  test("mints every token and preserves ordinals", async () => {
+    const contract = NewContract();
+    const mapping = NftMigration.Mapping({oldAddr: "0xold", snapshot: Snapshot()});
+    const res = await NftMigration.Run({mapping, mappingFile, mint: contract.mint});
+
+    expect(contract.tokens["30"]).toEqual({owner: OWNER_A, uri: "uri30", ordinal: 2});
+    expect(res.totals).toEqual({tokens: 3, minted: 3, failed: 0, retired: 0, ordinal_changed: 0});
+    expect(res.tokens.every(t => t.old_ordinal == t.new_ordinal)).toBe(true);
+    expect(res.tokens.some(t => t.original)).toBe(false);
+    expect(NftMigration.ReadMapping({file: mappingFile})).toEqual(res);
+  });
+
+  test("reports ordinals that could not be preserved", async () => {
+    const snapshot = Snapshot();
+    // Ordinal 0 was burned
+    snapshot.tokens = snapshot.tokens.filter(t => t.token_id != "10");
+    const mapping = NftMigration.Mapping({oldAddr: "0xold", snapshot});
+    const res = await NftMigration.Run({mapping, mappingFile, mint: NewContract().mint});
+    expect(res.totals.ordinal_changed).toBe(2);
+  });
+
+  test("resume retries failed tokens only", async () => {
+    const contract = NewContract();
+    let fail = true;
+    const mint = async (token) => {
+      if (token.token_id == "20" && fail) throw Error("out of gas");
+      return contract.mint(token);
+    };
+
+    let mapping = NftMigration.Mapping({oldAddr: "0xold", snapshot: Snapshot()});
+    let res = await NftMigration.Run({mapping, mappingFile, mint});
+    expect(res.totals.failed).toBe(1);
+    expect(res.tokens[1]).toMatchObject({token_id: "20", status: "failed", error: "out of gas"});
+
+    fail = false;
+    let calls = [];
+    mapping = NftMigration.ReadMapping({file: mappingFile});
+    res = await NftMigration.Run({mapping, mappingFile, mint: async (token) => {
+      calls.push(token.token_id);
+      return mint(token);
+    }});
+    expect(calls).toEqual(["20"]);
+    expect(res.totals).toMatchObject({minted: 3, failed: 0});
+    expect(res.tokens[1].error).toBeUndefined();
+  });
+
+  test("retires originals once minted", async () => {
+    const original = {"10": OWNER_B, "20": OWNER_A, "30": OWNER_A};
+    const retire = async (token) => {
+      if (original[token.token_id] != token.owner) throw Error("owner changed");
+      if (token.owner == OWNER_A) {
+        delete original[token.token_id];
+        return "burned";
+      }
+      original[token.token_id] = NftMigration.RETIRED_ADDRESS;
+      return "retired";
+    };
+
+    original["30"] = OWNER_B; // Transferred since the snapshot
+    const mapping = NftMigration.Mapping({oldAddr: "0xold", snapshot: Snapshot()});
+    let res = await NftMigration.Run({mapping, mappingFile, mint: NewContract().mint, retire});
+
+    expect(res.tokens.map(t => t.original)).toEqual(["retired", "burned", undefined]);
+    expect(res.tokens[2]).toMatchObject({status: "minted", error: "original: owner changed"});
+    expect(res.totals).toMatchObject({minted: 3, retired: 2});
+
+    // Only the original that was not retired is tried again
+    let calls = [];
+    res = await NftMigration.Run({mapping: NftMigration.ReadMapping({file: mappingFile}), mappingFile,
+      mint: NewContract().mint,
+      retire: async (token) => {
+        calls.push(token.token_id);
+        return "retired";
+      }});
+    expect(calls).toEqual(["30"]);
+    expect(res.totals.retired).toBe(3);
+  });
+});
@@ -0,0 +1,45 @@
+const { NftOffers } = require("../src/NftOffers");
+
+const ALICE = "0x1111111111111111111111111111111111111111";
+const BOB = "0x2222222222222222222222222222222222222222";
+
+const offers = [
+  {offer_id: 0, added_block: 1, removed_block: 5},
+  {offer_id: 1, added_block: 2, removed_block: null},
+  {offer_id: 2, added_block: 3, removed_block: null}
+];
+
+const redemptions = [
+  {offer_id: 1, token_id: "7", redeemer: ALICE, block_number: 4, time: "2023-01-01T00:04:00.000Z", transaction_hash: "0x04"},
+  {offer_id: 1, token_id: "8", redeemer: BOB, block_number: 6, time: "2023-01-01T00:06:00.000Z", transaction_hash: "0x06"},
+  {offer_id: 1, token_id: "9", redeemer: ALICE.toUpperCase().replace("0X", "0x"), block_number: 7,
+    time: "2023-01-01T00:07:00.000Z", transaction_hash: "0x07"},
+  {offer_id: 4, token_id: "7", redeemer: ALICE, block_number: 8, time: "2023-01-01T00:08:00.000Z", transaction_hash: "0x08"}
+];
+
+describe("NftOffers", () => {
+
+  test("redemption counts per offer", () => {
+    const report = NftOffers.Report({offers, redemptions});
+    expect(report.offers.map(o => [o.offer_id, o.redemptions, o.redeemers])).toEqual([
+      [0, 0, 0], [1, 3, 2], [2, 0, 0], [4, 1, 1]
+    ]);
+    // Redeemed, but added before the first block searched
+    expect(report.offers[3].added_block).toBeNull();
+    expect(report.redemptions.length).toBe(4);
+  });
+
+  test("single offer", () => {
+    const report = NftOffers.Report({offers, redemptions, offerId: "1"});
+    expect(report.offers.map(o => o.offer_id)).toEqual([1]);
+    expect(report.redemptions.map(r => r.token_id)).toEqual(["7", "8", "9"]);
+  });
+
+  test("csv", () => {
+    const csv = NftOffers.ToCsv({redemptions: redemptions.slice(0, 1)});
+    expect(csv).toBe(
+      "offer_id,token_id,redeemer,block_number,time,transaction_hash\n" +
+      "1,7," + ALICE + ",4,2023-01-01T00:04:00.000Z,0x04\n"
+    );
+  });
+});
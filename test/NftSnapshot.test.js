@@ -0,0 +1,107 @@
+const { NftSnapshot } = require("../src/NftSnapshot");
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const ADDR = "0x43842733179fa1c38560a44f1d9067677461c8ca";
+
+const Token = (index) => ({
+  index,
+  token_id: String(100 + index),
+  owner: "0x000000000000000000000000000000000000000" + (index % 3),
+  ordinal: String(index),
+  token_uri: "https://example.com/nft/" + (100 + index),
+  hold_end: undefined
+});
+
+let dir;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "nftsnapshot-"));
+});
+
+afterEach(() => {
+  fs.rmSync(dir, {recursive: true, force: true});
+});
+
+test("snapshot with bounded concurrency", async () => {
+  let active = 0;
+  let maxActive = 0;
+  const readToken = async (index) => {
+    active++;
+    maxActive = Math.max(maxActive, active);
+    await new Promise(resolve => setTimeout(resolve, 1));
+    active--;
+    return Token(index);
+  };
+
+  const res = await NftSnapshot.Run({addr: ADDR, blockNumber: 500, totalSupply: 25, readToken, concurrency: 4});
+  expect(maxActive).toEqual(4);
+  expect(res.errors).toEqual([]);
+  expect(res.tokens.map(t => t.index)).toEqual([...Array(25).keys()]);
+  expect(res.block_number).toEqual(500);
+});
+
+test("resume from checkpoint", async () => {
+  const checkpointFile = path.join(dir, "checkpoint.json");
+
+  // First run - tokens 3 and 7 fail
+  let res = await NftSnapshot.Run({
+    addr: ADDR, blockNumber: 500, totalSupply: 10, checkpointFile,
+    readToken: async (index) => {
+      if (index == 3 || index == 7) throw Error("timeout");
+      return Token(index);
+    }
+  });
+  expect(res.errors).toEqual([{index: 3, error: "timeout"}, {index: 7, error: "timeout"}]);
+  expect(Object.keys(NftSnapshot.ReadCheckpoint({file: checkpointFile}).tokens).length).toEqual(8);
+
+  // A different block can't use the checkpoint
+  await expect(NftSnapshot.Run({
+    addr: ADDR, blockNumber: 501, totalSupply: 10, checkpointFile, readToken: async (index) => Token(index)
+  })).rejects.toThrow(/at block 500/);
+
+  // Second run only reads the failed tokens and removes the checkpoint
+  let read = [];
+  res = await NftSnapshot.Run({
+    addr: ADDR, blockNumber: 500, totalSupply: 10, checkpointFile,
+    readToken: async (index) => {
+      read.push(index);
+      return Token(index);
+    }
+  });
+  expect(read.sort()).toEqual([3, 7]);
+  expect(res.errors).toEqual([]);
+  expect(res.tokens.length).toEqual(10);
+  expect(fs.existsSync(checkpointFile)).toBe(false);
+});
+
+test("snapshot csv", () => {
+  const csv = NftSnapshot.ToCsv({tokens: [
+    Token(0),
+    {...Token(1), token_uri: "https://example.com/nft?a=1,b=2", hold_end: "2023-01-01T00:00:00.000Z"}
+  ]});
+  expect(csv.split("\n")).toEqual([
+    "index,token_id,owner,ordinal,token_uri,hold_end",
+    "0,100,0x0000000000000000000000000000000000000000,0,https://example.com/nft/100,",
+    "1,101,0x0000000000000000000000000000000000000001,1,\"https://example.com/nft?a=1,b=2\",2023-01-01T00:00:00.000Z",
+    ""
+  ]);
+});
+
+test("tokens under hold", () => {
+  const now = Date.parse("2023-01-01T00:00:00.000Z");
+  const tokens = [
+    {...Token(0), hold_end: "2023-01-01T01:00:00.000Z"},
+    {...Token(1), hold_end: "2022-12-31T00:00:00.000Z"},
+    Token(2),
+    {...Token(3), hold_end: "2023-01-02T00:00:00.000Z"},
+    {...Token(4), owner: Token(0).owner, hold_end: "2023-01-01T00:00:01.000Z"}
+  ];
+  const holds = NftSnapshot.Holds({tokens, now});
+  expect(holds.map(h => [h.token_id, h.remaining_secs])).toEqual([["103", 86400], ["100", 3600], ["104", 1]]);
+  expect(NftSnapshot.Holds({tokens, now, owner: Token(0).owner}).map(h => h.token_id)).toEqual(["103", "100", "104"]);
+  expect(NftSnapshot.ToCsv({tokens: holds.slice(0, 1), fields: ["token_id", "remaining_secs"]}))
+    .toBe("token_id,remaining_secs\n103,86400\n");
+});
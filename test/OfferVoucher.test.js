@@ -0,0 +1,170 @@
+const { OfferVoucher } = require("../src/OfferVoucher");
+const { NftSnapshot } = require("../src/NftSnapshot");
+
+const ethers = require("ethers");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const ADDR = "0x43842733179fa1C38560a44f1d9067677461c8ca";
+const MINT_HELPER = "0x1111111111111111111111111111111111111111";
+const OTHER = "0x2222222222222222222222222222222222222222";
+
+const wallet = new ethers.Wallet("0x" + "11".repeat(32));
+
+let dir;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "offervoucher-"));
+});
+
+afterEach(() => {
+  fs.rmSync(dir, {recursive: true, force: true});
+});
+
+const Voucher = (tokenId = "128", offerId = 1) => OfferVoucher.Create({
+  signer: wallet,
+  nftAddress: ADDR,
+  mintHelperAddress: MINT_HELPER,
+  tokenId,
+  offerId
+});
+
+describe("OfferVoucher", () => {
+
+  test("sign and recover", async () => {
+    const voucher = await Voucher();
+    expect(voucher).toMatchObject({nft_address: ADDR, token_id: "128", offer_id: 1, signer: wallet.address});
+    expect(OfferVoucher.Recover({voucher})).toBe(wallet.address);
+
+    // Same message as ElvAccount.CreateOfferSignature
+    const packed = ethers.utils.solidityPack(["bytes", "bytes", "uint256", "uint8"],
+      [ethers.utils.arrayify(ADDR), ethers.utils.arrayify(MINT_HELPER), ethers.BigNumber.from(128).toHexString(), 1]);
+    expect(OfferVoucher.MessageHash({nftAddress: ADDR, mintHelperAddress: MINT_HELPER, tokenId: "128", offerId: 1})
+      .encodedData).toBe(ethers.utils.keccak256(packed));
+  });
+
+  test("encode and decode", async () => {
+    const voucher = await Voucher();
+    const text = OfferVoucher.Encode({voucher});
+    expect(text.startsWith(OfferVoucher.PREFIX)).toBe(true);
+    expect(OfferVoucher.Decode({text})).toEqual(voucher);
+    expect(OfferVoucher.Decode({text: JSON.stringify(voucher)})).toEqual(voucher);
+    expect(() => OfferVoucher.Decode({text: "{\"token_id\": \"1\"}"})).toThrow(/missing 'nft_address'/);
+  });
+
+  test("verify online", async () => {
+    const voucher = await Voucher();
+    const res = await OfferVoucher.Verify({
+      voucher,
+      nftAddress: ADDR.toLowerCase(),
+      ownerOf: async () => wallet.address,
+      isOfferActive: async () => true,
+      isOfferRedeemed: async () => false
+    });
+    expect(res.valid).toBe(true);
+    expect(res.checks).toEqual({signature: true, contract: true, owner: true, trusted_signer: "skipped",
+      offer_active: true, not_redeemed: true, not_used: "skipped"});
+
+    const redeemed = await OfferVoucher.Verify({
+      voucher,
+      ownerOf: async () => OTHER,
+      isOfferActive: async () => { throw Error("call failed"); },
+      isOfferRedeemed: async () => true
+    });
+    expect(redeemed.valid).toBe(false);
+    expect(redeemed.checks).toMatchObject({owner: false, offer_active: false, not_redeemed: false});
+    expect(redeemed.errors).toEqual([
+      "signer " + wallet.address + " does not own the token",
+      "offer_active: call failed",
+      "offer already redeemed for this token"
+    ]);
+  });
+
+  test("tampered voucher", async () => {
+    const voucher = {...await Voucher(), token_id: "129"};
+    const res = await OfferVoucher.Verify({voucher});
+    expect(res.valid).toBe(false);
+    expect(res.checks.signature).toBe(false);
+    expect(res.errors[0]).toMatch(/^signed by 0x/);
+  });
+
+  test("verify offline with a snapshot and log", async () => {
+    const snapshotFile = path.join(dir, "holders.csv");
+    fs.writeFileSync(snapshotFile, NftSnapshot.ToCsv({tokens: [
+      {index: 0, token_id: "128", owner: wallet.address},
+      {index: 1, token_id: "129", owner: OTHER}
+    ]}));
+    const owners = await OfferVoucher.ReadOwners({file: snapshotFile});
+    const ownerOf = async (tokenId) => owners[tokenId];
+
+    const logFile = path.join(dir, "venue.log");
+    const voucher = await Voucher();
+    let used = OfferVoucher.ReadUsed({file: logFile});
+    const first = await OfferVoucher.Verify({voucher, ownerOf, used});
+    expect(first.valid).toBe(true);
+    expect(first.checks.offer_active).toBe("skipped");
+    fs.appendFileSync(logFile, OfferVoucher.LogEntry({result: first, voucher}) + "\n");
+
+    // Presented again later
+    used = OfferVoucher.ReadUsed({file: logFile});
+    const second = await OfferVoucher.Verify({voucher, ownerOf, used});
+    expect(second.valid).toBe(false);
+    expect(second.errors[0]).toMatch(/^voucher already accepted at/);
+
+    // The log can be verified again (e.g. online to reconcile)
+    expect(OfferVoucher.Read({input: logFile})).toEqual([voucher]);
+
+    const notOwned = await OfferVoucher.Verify({voucher: await Voucher("129"), ownerOf, used});
+    expect(notOwned.checks.owner).toBe(false);
+  });
+
+  test("a signer that isn't verified is not valid", async () => {
+    // Anyone can sign a voucher for any token
+    const forger = ethers.Wallet.createRandom();
+    const voucher = await OfferVoucher.Create({
+      signer: forger,
+      nftAddress: ADDR,
+      mintHelperAddress: MINT_HELPER,
+      tokenId: "128",
+      offerId: 1
+    });
+
+    const res = await OfferVoucher.Verify({voucher, nftAddress: ADDR, used: {}});
+    expect(res.checks).toMatchObject({signature: true, owner: "skipped", trusted_signer: "skipped"});
+    expect(res.valid).toBe(false);
+    expect(res.errors).toEqual([
+      "signer " + forger.address + " not verified - token owner or trusted signers needed"
+    ]);
+
+    const untrusted = await OfferVoucher.Verify({voucher, signers: [wallet.address]});
+    expect(untrusted.valid).toBe(false);
+    expect(untrusted.checks.trusted_signer).toBe(false);
+
+    const trusted = await OfferVoucher.Verify({voucher: await Voucher(), signers: [wallet.address.toLowerCase()]});
+    expect(trusted.valid).toBe(true);
+    expect(trusted.checks).toMatchObject({owner: "skipped", trusted_signer: true});
+  });
+
+  test("read vouchers and csv", async () => {
+    const vouchers = [await Voucher("1"), await Voucher("2", 0)];
+    const file = path.join(dir, "vouchers.txt");
+    fs.writeFileSync(file, vouchers.map(voucher => OfferVoucher.Encode({voucher})).join("\n") + "\n");
+    expect(OfferVoucher.Read({input: file})).toEqual(vouchers);
+    expect(OfferVoucher.Read({input: OfferVoucher.Encode({voucher: vouchers[0]})})).toEqual([vouchers[0]]);
+
+    const csv = path.join(dir, "perks.csv");
+    fs.writeFileSync(csv, "token_id,offer_id\n128,1\nabc,1\n129,256\n130,0\n");
+    const {rows, errors} = await OfferVoucher.ReadCsv({file: csv});
+    expect(rows).toEqual([{line: 2, token_id: "128", offer_id: 1}, {line: 5, token_id: "130", offer_id: 0}]);
+    expect(errors).toEqual(["line 3: bad token ID 'abc'", "line 4: bad offer ID '256'"]);
+  });
+
+  test("write QR code", async () => {
+    const file = path.join(dir, "voucher.png");
+    await OfferVoucher.WriteQr({voucher: await Voucher(), file});
+    const png = fs.readFileSync(file);
+    expect(png.subarray(0, 8)).toEqual(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]));
+    expect(png.length).toBeGreaterThan(100);
+  });
+});
@@ -0,0 +1,97 @@
+const { PlayoutProbe } = require("../src/PlayoutProbe");
+const { DashManifest } = require("../src/DashManifest");
+
+const fs = require("fs");
+const http = require("http");
+
+// Local stand-in for the fabric playout - serves the fixture playlists and
+// fake segments.  Segment 1232 of the 720p rendition is missing.
+let server;
+let baseUrl;
+
+beforeAll(async () => {
+  server = http.createServer((req, res) => {
+    const path = new URL(req.url, "http://localhost").pathname;
+    let body;
+    if (path.endsWith("playlist.m3u8")) {
+      body = fs.readFileSync("./test/testdata/hls/master.m3u8");
+    } else if (path.endsWith("live.m3u8")) {
+      body = fs.readFileSync("./test/testdata/hls/live.m3u8");
+    } else if (path.endsWith("manifest.mpd")) {
+      body = fs.readFileSync("./test/testdata/dash/manifest.mpd");
+    } else if (path.endsWith(".m4s") && !path.endsWith("video@4500000/segment-1232.m4s")) {
+      body = Buffer.alloc(1024);
+    }
+    if (body) {
+      res.writeHead(200);
+      res.end(body);
+    } else {
+      res.writeHead(404);
+      res.end();
+    }
+  });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  baseUrl = "http://127.0.0.1:" + server.address().port;
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+});
+
+test("probe hls playout", async () => {
+  const probe = new PlayoutProbe({segments: 2, timeoutSec: 5});
+  const results = await probe.Probe({formats: {
+    "hls-clear": baseUrl + "/hls-clear/playlist.m3u8?authorization=TOKEN",
+    "hls-aes128": baseUrl + "/missing/master.m3u8"
+  }});
+
+  const hls = results["hls-clear"];
+  expect(hls.renditions.map(r => r.rendition)).toEqual([
+    "video 1920x1080@9628000", "video 1280x720@4628000", "audio English"
+  ]);
+  expect(hls.renditions[0].segments).toEqual(2);
+  expect(hls.renditions[0].segment_duration_sec).toEqual(2.002);
+  expect(hls.renditions[0].max_drift_sec).toEqual(0);
+  expect(hls.errors).toEqual(["video 1280x720@4628000: segment segment-1232.m4s: HTTP 404"]);
+  expect(hls.result).toEqual("fail");
+
+  expect(results["hls-aes128"].errors).toEqual(["master playlist: HTTP 404"]);
+});
+
+test("probe dash playout", async () => {
+  const probe = new PlayoutProbe({segments: 3, timeoutSec: 5});
+  const dash = await probe.ProbeDash({url: baseUrl + "/dash-clear/manifest.mpd"});
+
+  expect(dash.renditions.map(r => r.rendition)).toEqual([
+    "video/mp4 video_1080@9500000", "video/mp4 video_720@4500000", "audio/mp4 audio_en@128000"
+  ]);
+  // The last segment of the timeline is shorter
+  expect(dash.renditions[0].max_drift_sec).toEqual(0.5);
+  expect(dash.warnings).toEqual([]);
+  expect(dash.result).toEqual("pass");
+});
+
+test("parse dash manifest", () => {
+  const text = fs.readFileSync("./test/testdata/dash/manifest.mpd", "utf8");
+  const mpd = DashManifest.Parse({
+    text,
+    baseUrl: "https://host/live/default/dash-clear/manifest.mpd?authorization=TOKEN",
+    count: 2,
+    now: Date.parse("2023-11-14T22:14:20Z")
+  });
+
+  expect(mpd.type).toEqual("dynamic");
+  expect(mpd.min_buffer_time).toEqual(4);
+
+  const video = mpd.representations[0];
+  expect(video.init).toEqual("https://host/live/default/dash-clear/video_1080/init.m4s?authorization=TOKEN");
+  expect(video.segments).toEqual([
+    {url: "https://host/live/default/dash-clear/video_1080/segment-00103.m4s?authorization=TOKEN", duration: 2.002},
+    {url: "https://host/live/default/dash-clear/video_1080/segment-00104.m4s?authorization=TOKEN", duration: 1.5015}
+  ]);
+
+  // 60 seconds after the availability start with 2.005333 second segments - 29 complete segments
+  const audio = mpd.representations[2];
+  expect(audio.segments.map(s => s.url.replace(/\?.*$/, "").split("/").pop()))
+    .toEqual(["segment-2598912.m4s", "segment-2695168.m4s"]);
+});
@@ -0,0 +1,75 @@
+const { Rarity } = require("../src/Rarity");
+
+const Nft = (traits) => ({
+  attributes: Object.entries(traits).map(([trait_type, value]) => ({trait_type, value}))
+});
+
+// D is the rarest, then C (no hat), A and B are the same
+const NFTS = [
+  Nft({Sky: "Blue", Hat: "Cap"}),
+  Nft({Sky: "Blue", Hat: "Cap"}),
+  Nft({Sky: "Blue"}),
+  Nft({Sky: "Red", Hat: "Crown", Eyes: "Green"})
+];
+
+describe("Rarity", () => {
+
+  test("distribution counts missing traits and trait counts", () => {
+    expect(Rarity.Distribution({nftMetas: NFTS})).toEqual({
+      total: 4,
+      traits: {
+        Sky: {Blue: 3, Red: 1},
+        Hat: {Cap: 2, Crown: 1, None: 1},
+        Eyes: {Green: 1, None: 3},
+        "Trait Count": {1: 1, 2: 2, 3: 1}
+      }
+    });
+    expect(Rarity.Distribution({nftMetas: NFTS, traitCount: false}).traits["Trait Count"]).toBeUndefined();
+  });
+
+  test("statistical", () => {
+    const { tokens } = Rarity.Score({nftMetas: NFTS, method: "statistical"});
+    expect(tokens[0].score).toBeCloseTo(1 / (0.75 * 0.5 * 0.75 * 0.5));
+    expect(tokens[2].score).toBeCloseTo(1 / (0.75 * 0.25 * 0.75 * 0.25));
+    expect(tokens[3].score).toBeCloseTo(256);
+    expect(tokens.map(t => t.rank)).toEqual([3, 3, 2, 1]);
+    expect(tokens[2].traits.Hat).toEqual({value: "None", count: 1});
+  });
+
+  test("information content", () => {
+    const { tokens } = Rarity.Score({nftMetas: NFTS, method: "information-content"});
+    expect(tokens[0].score).toBeCloseTo(-2 * Math.log2(0.75) - 2 * Math.log2(0.5));
+    expect(tokens[3].score).toBeCloseTo(8);
+    expect(tokens.map(t => t.rank)).toEqual([3, 3, 2, 1]);
+  });
+
+  test("trait normalized", () => {
+    const { tokens } = Rarity.Score({nftMetas: NFTS, method: "trait-normalized"});
+    // Sky, Eyes: 2 values, Hat, Trait Count: 3 values
+    expect(tokens[0].score).toBeCloseTo((4 / 3) / 2 + 2 / 3 + (4 / 3) / 2 + 2 / 3);
+    expect(tokens[3].score).toBeCloseTo(4 / 2 + 4 / 3 + 4 / 2 + 4 / 3);
+    expect(tokens.map(t => t.rank)).toEqual([3, 3, 2, 1]);
+  });
+
+  test("unknown method", () => {
+    expect(() => Rarity.Score({nftMetas: NFTS, method: "popularity"})).toThrow(/Bad rarity method/);
+  });
+
+  test("report", () => {
+    const scores = Rarity.Score({nftMetas: NFTS});
+    const report = Rarity.Report({scores, labels: ["a#1", "a#2", "c", "d"], top: 3});
+    expect(report.total).toBe(4);
+    expect(report.traits.Hat).toEqual([
+      {value: "Crown", count: 1, percent: 25},
+      {value: "None", count: 1, percent: 25},
+      {value: "Cap", count: 2, percent: 50}
+    ]);
+    expect(report.tokens).toEqual([
+      {rank: 1, score: 256, token: "d"},
+      {rank: 2, score: 28.444444, token: "c"},
+      {rank: 3, score: 7.1111111, token: "a#1"}
+    ]);
+    expect(Rarity.TokenRarity({method: scores.method, token: scores.tokens[3], total: 4}))
+      .toEqual({method: "statistical", score: 256, rank: 1, total: 4});
+  });
+});
@@ -0,0 +1,34 @@
+const { StagedWrites } = require("../src/StagedWrites");
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+let dir;
+let file;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "stagedwrites-"));
+  file = path.join(dir, "staged_writes.json");
+});
+
+afterEach(() => {
+  fs.rmSync(dir, {recursive: true, force: true});
+});
+
+test("records staged write tokens until committed or discarded", () => {
+  expect(StagedWrites.Read({file})).toEqual([]);
+
+  StagedWrites.Add({file, entry: {write_token: "tqw__1", object_id: "iq__1", commit_message: "one"}});
+  StagedWrites.Add({file, entry: {write_token: "tqw__2", object_id: "iq__2", commit_message: "two"}});
+  StagedWrites.Add({file, entry: {write_token: "tqw__1", object_id: "iq__1", commit_message: "again"}});
+
+  expect(StagedWrites.Read({file}).map(e => e.write_token)).toEqual(["tqw__2", "tqw__1"]);
+  expect(StagedWrites.Find({file, writeToken: "tqw__1"})).toMatchObject({commit_message: "again"});
+  expect(StagedWrites.Find({file, writeToken: "tqw__1"}).created).toBeDefined();
+  expect(StagedWrites.Find({file, writeToken: "tqw__3"})).toBeNull();
+
+  expect(StagedWrites.Remove({file, writeToken: "tqw__2"})).toBe(true);
+  expect(StagedWrites.Remove({file, writeToken: "tqw__2"})).toBe(false);
+  expect(StagedWrites.Read({file}).map(e => e.write_token)).toEqual(["tqw__1"]);
+});
@@ -0,0 +1,87 @@
+const { StreamSummary } = require("../src/StreamSummary");
+
+const yaml = require("js-yaml");
+
+const NODES = {
+  "stream-a": "https://host-1",
+  "stream-b": "https://host-2",
+  "stream-c": "https://host-1",
+  "stream-d": "https://host-2"
+};
+
+const STATUS = {
+  "stream-a": {
+    object_id: "iq__a", state: "running", recording_period_sequence: 3,
+    recording_period: {video_parts: 120, video_since_last_finalize_sec: 1.6},
+    insertions: [{}, {}]
+  },
+  "stream-b": {object_id: "iq__b", state: "inactive"},
+  "stream-c": {object_id: "iq__c", state: "running", recording_period_sequence: 1, recording_period: {video_parts: 4}}
+};
+
+// Stand-ins for EluvioLiveStream - stream-d's status fails and stream-e has no node
+const Node = async (name) => {
+  if (!NODES[name]) throw Error("no ingress node");
+  return NODES[name];
+};
+
+const Collect = ({concurrency, active} = {}) => StreamSummary.Collect({
+  names: ["stream-a", "stream-b", "stream-c", "stream-d", "stream-e"],
+  concurrency,
+  node: Node,
+  status: async (name) => {
+    if (active) {
+      active.current++;
+      active.max = Math.max(active.max, active.current);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      active.current--;
+    }
+    if (!STATUS[name]) throw Error("status failed");
+    return STATUS[name];
+  }
+});
+
+test("summary of several streams, including ones that fail", async () => {
+  const summary = await Collect();
+
+  expect(Object.keys(summary.streams)).toEqual(["stream-a", "stream-b", "stream-c", "stream-d", "stream-e"]);
+  expect(summary.streams["stream-a"]).toEqual({
+    object_id: "iq__a", state: "running", recording_period: 3, video_parts: 120,
+    since_last_finalize_sec: 1.6, insertions: 2
+  });
+  expect(summary.streams["stream-b"]).toMatchObject({object_id: "iq__b", state: "inactive"});
+  expect(summary.streams["stream-d"]).toEqual({state: "error", error: "status failed"});
+  expect(summary.streams["stream-e"]).toEqual({state: "error", error: "no ingress node"});
+  expect(summary.totals).toEqual({running: 2, inactive: 1, error: 2});
+});
+
+test("streams are checked one node at a time, up to 'concurrency' at a time", async () => {
+  let active = {current: 0, max: 0};
+  await Collect({concurrency: 1, active});
+  expect(active.max).toEqual(1);
+
+  active = {current: 0, max: 0};
+  await Collect({concurrency: 5, active});
+  expect(active.max).toEqual(2);
+});
+
+test("format summary as json, yaml and table", async () => {
+  const summary = await Collect();
+
+  expect(JSON.parse(StreamSummary.Format({summary, output: "json"}))).toEqual(JSON.parse(JSON.stringify(summary)));
+
+  const text = StreamSummary.Format({summary, output: "yaml"});
+  expect(text).not.toMatch(/undefined/);
+  expect(yaml.load(text)).toEqual(JSON.parse(JSON.stringify(summary)));
+
+  expect(StreamSummary.Format({summary}).split("\n")).toEqual([
+    "STREAM    STATE                    PERIOD  PARTS  SINCE_FINALIZE  INSERTIONS",
+    "stream-a  running                  3       120    2               2",
+    "stream-b  inactive                 -       -      -               -",
+    "stream-c  running                  1       4      -               -",
+    "stream-d  error (status failed)    -       -      -               -",
+    "stream-e  error (no ingress node)  -       -      -               -",
+    "",
+    "running: 2, inactive: 1, error: 2"
+  ]);
+});
@@ -0,0 +1,93 @@
+const { TraitComposer } = require("../src/TraitComposer");
+const { NftBuild } = require("../src/NftBuild");
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const MANIFEST_FILE = "./test/testdata/trait_layers.json";
+
+let dir;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "traitcomposer-"));
+});
+
+afterEach(() => {
+  fs.rmSync(dir, {recursive: true, force: true});
+});
+
+const Manifest = () => {
+  const { manifest, errors } = TraitComposer.Read({file: MANIFEST_FILE});
+  expect(errors).toEqual([]);
+  return manifest;
+};
+
+describe("TraitComposer", () => {
+
+  test("same manifest and seed give the same tokens", () => {
+    const a = TraitComposer.Compose({manifest: Manifest()});
+    const b = TraitComposer.Compose({manifest: Manifest()});
+    expect(a.tokens.length).toBe(20);
+    expect(b).toEqual(a);
+
+    const c = TraitComposer.Compose({manifest: Manifest(), seed: "another"});
+    expect(c.tokens).not.toEqual(a.tokens);
+  });
+
+  test("tokens are unique and follow weights and rules", () => {
+    // 52 combinations are allowed - ask for all of them
+    const { tokens } = TraitComposer.Compose({manifest: Manifest(), count: 52});
+    const keys = tokens.map(t => JSON.stringify(t.traits));
+    expect(new Set(keys).size).toBe(52);
+    expect(tokens.map(t => t.index)).toEqual([...Array(52).keys()].map(i => i + 1));
+    for (const { traits } of tokens) {
+      expect(traits.Sun).not.toBe("Moon");
+      if (traits.Sky == "Night") expect(traits.Sun).not.toBe("Bright");
+      if (traits.Birds == "Crows") expect(["Night", "Orange"]).toContain(traits.Sky);
+    }
+  });
+
+  test("too many tokens for the combinations allowed", () => {
+    expect(() => TraitComposer.Compose({manifest: Manifest(), count: 53, maxAttempts: 5000}))
+      .toThrow(/Only 52 different tokens found in 5000 attempts \(53 needed\)/);
+  });
+
+  test("manifest errors are reported together", () => {
+    const manifest = JSON.parse(fs.readFileSync(MANIFEST_FILE, "utf8"));
+    manifest.image = "https://example.com/{id}-{Hat}.png";
+    manifest.layers.push({trait: "Sky", values: [{value: "Pink"}]});
+    manifest.layers[2].values.push({value: 3});
+    manifest.rules.push({if: {Sky: "Pink"}});
+    const { errors } = TraitComposer.Parse({text: JSON.stringify(manifest, null, 2)});
+    expect(errors.map(e => e.path + ": " + e.message)).toEqual([
+      "layers[2].values[4]: duplicate value '3'",
+      "layers[4].trait: duplicate trait 'Sky'",
+      "rules[2]: needs 'exclude' or 'require'",
+      "rules[2].if.Sky: unknown value 'Pink' of trait 'Sky'",
+      "image: unknown placeholder '{Hat}'"
+    ]);
+    expect(errors.every(e => e.line > 0)).toBe(true);
+  });
+
+  test("writes files ready for nft_build", async () => {
+    const manifest = Manifest();
+    const { tokens } = TraitComposer.Compose({manifest, count: 12});
+    const files = TraitComposer.Write({outDir: dir, manifest, tokens});
+    expect(path.basename(files[0])).toEqual("01.json");
+
+    const meta = JSON.parse(fs.readFileSync(files[0], "utf8"));
+    expect(meta.name).toEqual("Sunsets #1");
+    expect(meta.image).toEqual("https://example.com/sunsets/01-" + tokens[0].traits.Sky + ".png");
+    expect(meta.attributes.map(a => a.trait_type)).toEqual(
+      ["Sky", "Sun", "Clouds", "Birds"].filter(t => tokens[0].traits[t] !== null));
+
+    const { nftMetas, errors } = await NftBuild.ReadDir({nftDir: dir});
+    expect(errors).toEqual([]);
+    expect(nftMetas.length).toBe(12);
+
+    expect(() => TraitComposer.Write({outDir: dir, manifest, tokens})).toThrow(/already has 12 json file/);
+    TraitComposer.Write({outDir: dir, manifest, tokens: tokens.slice(0, 3), overwrite: true});
+    expect(fs.readdirSync(dir).sort()).toEqual(["1.json", "2.json", "3.json"]);
+  });
+});
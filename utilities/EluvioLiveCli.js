@@ -4,6 +4,17 @@ const Utils = require("@eluvio/elv-client-js/src/Utils.js");
 const { InitializeTenant, AddConsumerGroup } = require("../src/Provision");
 const { Config } = require("../src/Config.js");
 const { Shuffler } = require("../src/Shuffler");
+const { NftSnapshot } = require("../src/NftSnapshot");
+const { NftIndexer } = require("../src/NftIndexer");
+const { NftOffers } = require("../src/NftOffers");
+const { OfferVoucher } = require("../src/OfferVoucher");
+const { FeePolicy } = require("../src/FeePolicy");
+const { NftBuild } = require("../src/NftBuild");
+const { Rarity } = require("../src/Rarity");
+const { TraitComposer } = require("../src/TraitComposer");
+const { MetadataDiff } = require("../src/MetadataDiff");
+const { StagedWrites } = require("../src/StagedWrites");
+const { MintBatch } = require("../src/MintBatch");
 const { Marketplace } = require("../src/Marketplace");
 const { Notifier } = require ("../src/Notifier");
 const { ElvToken } = require ("../src/ElvToken.js");
@@ -14,6 +25,7 @@ const { hideBin } = require("yargs/helpers");
 const yaml = require("js-yaml");
 const fs = require("fs");
 const path = require("path");
+const ethers = require("ethers");
 const prompt = require("prompt-sync")({ sigint: true });
 
 // hack that quiets this msg:
@@ -37,6 +49,17 @@ const Init = async ({debugLogging = false, asUrl}={}) => {
     configUrl: Config.networks[Config.net],
     mainObjectId: Config.mainObjects[Config.net],
   };
+
+// Show the changes of a staged command and what happened to its write token
+const PrintStaged = (staged) => {
+  const lines = MetadataDiff.Format({ changes: staged.diff });
+  console.log(lines.length > 0 ? lines.join("\n") : "No changes");
+  console.log(yaml.dump({ ...staged, diff: undefined }));
+  if (!staged.committed) {
+    console.log("Write token left open - commit it with 'staged_commit " + staged.write_token +
+      "' or discard it with 'staged_discard " + staged.write_token + "'");
+  }
+};
   elvlv = new EluvioLive(config);
   await elvlv.Init({ debugLogging, asUrl });
 
@@ -58,7 +81,7 @@ const CmfNftTemplateAddNftContract = async ({ argv }) => {
   try {
     await Init({debugLogging: argv.verbose, asUrl: argv.as_url});
 
-    await elvlv.NftTemplateAddNftContract({
+    let res = await elvlv.NftTemplateAddNftContract({
       objectId: argv.object,
       tenantId: argv.tenant,
       totalSupply: argv.cap,
@@ -66,7 +89,13 @@ const CmfNftTemplateAddNftContract = async ({ argv }) => {
       collectionSymbol: argv.symbol,
       hold: argv.hold,
       contractUri: "",
+      stage: argv.stage || argv.commit,
+      commit: argv.commit,
     });
+
+    if (argv.stage || argv.commit) {
+      PrintStaged(res);
+    }
   } catch (e) {
     console.error("ERROR:", e);
   }
@@ -200,23 +229,440 @@ const CmdNftShow = async ({ argv }) => {
   }
 };
 
+const CmdNftSnapshot = async ({ argv }) => {
+  console.log("NFT - snapshot");
+  console.log("addr ", argv.addr);
+  console.log("block ", argv.block);
+  console.log("output ", argv.output);
+  try {
+    await Init({ debugLogging: argv.verbose, asUrl: argv.as_url });
+
+    let res = await elvlv.NftSnapshot({
+      addr: argv.addr,
+      blockNumber: argv.block,
+      concurrency: argv.concurrency,
+      checkpointFile: argv.checkpoint,
+      onProgress: ({done, total}) => {
+        if (done % 100 == 0 || done == total) {
+          process.stderr.write("Tokens: " + done + "/" + total + "\r");
+        }
+      }
+    });
+    process.stderr.write("\n");
+
+    if (argv.output) {
+      const csv = argv.format ? argv.format == "csv" : argv.output.endsWith(".csv");
+      fs.writeFileSync(argv.output,
+        csv ? NftSnapshot.ToCsv({tokens: res.tokens}) : JSON.stringify(res, null, 2));
+      res = {
+        addr: res.addr,
+        block_number: res.block_number,
+        total_supply: res.total_supply,
+        tokens: res.tokens.length,
+        holders: new Set(res.tokens.map(t => t.owner.toLowerCase())).size,
+        errors: res.errors,
+        output: argv.output
+      };
+    }
+
+    console.log(yaml.dump(res));
+    if (res.errors.length > 0) {
+      console.log("Some tokens could not be read" +
+        (argv.checkpoint ? " - run again to retry them" : " - use --checkpoint to retry only the failed tokens"));
+      process.exitCode = 1;
+    }
+  } catch (e) {
+    console.error("ERROR:", e);
+  }
+};
+
+const CmdNftIndexSync = async ({ argv }) => {
+  console.log("NFT - index sync");
+  console.log("addr ", argv.addr);
+  console.log("store ", argv.store);
+  console.log("rpc ", argv.rpc);
+  try {
+    await Init({ debugLogging: argv.verbose, asUrl: argv.as_url });
+
+    let res = await elvlv.NftIndexSync({
+      addr: argv.addr,
+      storeFile: argv.store,
+      rpcUrl: argv.rpc,
+      fromBlock: argv.from_block,
+      toBlock: argv.to_block,
+      onProgress: ({block, toBlock, transfers}) => {
+        process.stderr.write("Block: " + block + "/" + toBlock + " transfers: " + transfers + "\r");
+      }
+    });
+    process.stderr.write("\n");
+
+    console.log(yaml.dump(res));
+  } catch (e) {
+    console.error("ERROR:", e);
+  }
+};
+
+const CmdNftIndexShow = async ({ argv }) => {
+  try {
+    // Queries only read the local index
+    const indexer = new NftIndexer({
+      addr: argv.addr,
+      storeFile: argv.store || NftIndexer.DefaultStoreFile({ addr: argv.addr })
+    });
+
+    let res = indexer.Info();
+    if (argv.token_id != undefined) {
+      res.token = {
+        token_id: argv.token_id,
+        owner: indexer.OwnerOf({ tokenId: argv.token_id }),
+        transfers: indexer.History({ tokenId: argv.token_id })
+      };
+    } else if (argv.owner) {
+      res.owner = {
+        address: argv.owner,
+        balance: indexer.BalanceOf({ owner: argv.owner }),
+        tokens: indexer.TokensOf({ owner: argv.owner }),
+        transfers: indexer.History({ owner: argv.owner })
+      };
+    } else if (argv.holders) {
+      res.holders_list = indexer.Holders();
+    }
+
+    console.log(yaml.dump(res));
+  } catch (e) {
+    console.error("ERROR:", e);
+  }
+};
+
+const CmdNftTokenHistory = async ({ argv }) => {
+  console.log("NFT - token history");
+  console.log("addr ", argv.addr);
+  console.log("token_id ", argv.token_id);
+  try {
+    await Init({ debugLogging: argv.verbose, asUrl: argv.as_url });
+
+    let res = await elvlv.NftTokenHistory({
+      addr: argv.addr,
+      tokenId: argv.token_id,
+      rpcUrl: argv.rpc,
+      fromBlock: argv.from_block
+    });
+
+    console.log(yaml.dump(res));
+  } catch (e) {
+    console.error("ERROR:", e);
+  }
+};
+
+const CmdNftHolds = async ({ argv }) => {
+  console.log("NFT - holds");
+  console.log("addr ", argv.addr);
+  console.log("owner ", argv.owner);
+  try {
+    await Init({ debugLogging: argv.verbose, asUrl: argv.as_url });
+
+    let res = await elvlv.NftHolds({
+      addr: argv.addr,
+      owner: argv.owner,
+      concurrency: argv.concurrency,
+      checkpointFile: argv.checkpoint,
+      onProgress: ({done, total}) => {
+        if (done % 100 == 0 || done == total) {
+          process.stderr.write("Tokens: " + done + "/" + total + "\r");
+        }
+      }
+    });
+    process.stderr.write("\n");
+
+    if (argv.output) {
+      fs.writeFileSync(argv.output, NftSnapshot.ToCsv({
+        tokens: res.tokens,
+        fields: ["token_id", "owner", "hold_end", "remaining_secs"]
+      }));
+      res.tokens_under_hold = res.tokens.length;
+      res.output = argv.output;
+      delete res.tokens;
+    }
+
+    console.log(yaml.dump(res));
+    if (res.errors.length > 0) {
+      console.log("Some tokens could not be read");
+      process.exitCode = 1;
+    }
+  } catch (e) {
+    console.error("ERROR:", e);
+  }
+};
+
+const CmdMintHelperShow = async ({ argv }) => {
+  console.log("Mint helper - show");
+  console.log("addr ", argv.addr);
+  try {
+    await Init({ debugLogging: argv.verbose, asUrl: argv.as_url });
+
+    let res = await elvlv.ShowMintHelper({ addr: argv.addr });
+
+    console.log(yaml.dump(res));
+  } catch (e) {
+    console.error("ERROR:", e);
+  }
+};
+
+const CmdMintHelperSetHold = async ({ argv }) => {
+  console.log("Mint helper - set hold");
+  console.log("addr ", argv.addr);
+  console.log("hold_secs ", argv.hold_secs);
+  try {
+    await Init({ debugLogging: argv.verbose, asUrl: argv.as_url });
+
+    let res = await elvlv.MintHelperSetHold({
+      addr: argv.addr,
+      holdSecs: argv.hold_secs
+    });
+
+    console.log(yaml.dump(res));
+  } catch (e) {
+    console.error("ERROR:", e);
+  }
+};
+
+const CmdNftOffers = async ({ argv }) => {
+  console.log("NFT - offers");
+  console.log("addr ", argv.addr);
+  try {
+    await Init({ debugLogging: argv.verbose, asUrl: argv.as_url });
+
+    let res = await elvlv.NftOffers({
+      addr: argv.addr,
+      rpcUrl: argv.rpc,
+      fromBlock: argv.from_block,
+      offerId: argv.offer_id
+    });
+
+    if (argv.csv) {
+      fs.writeFileSync(argv.csv, NftOffers.ToCsv({ redemptions: res.redemptions }));
+      res = {
+        addr: res.addr,
+        offers: res.offers,
+        redemptions: res.redemptions.length,
+        csv: argv.csv
+      };
+    } else if (!argv.redemptions) {
+      delete res.redemptions;
+    }
+
+    console.log(yaml.dump(res));
+  } catch (e) {
+    console.error("ERROR:", e);
+  }
+};
+
+const CmdNftBatch = async ({ argv }) => {
+  console.log("NFT - batch transfer/burn");
+  console.log("csv ", argv.csv);
+  console.log("dry_run ", argv.dry_run);
+  try {
+    await Init({ debugLogging: argv.verbose, asUrl: argv.as_url });
+
+    const plan = await elvlv.NftBatchPlan({
+      csvFile: argv.csv,
+      journalFile: argv.journal
+    });
+    if (plan.errors) {
+      console.log(yaml.dump(plan));
+      process.exitCode = 1;
+      return;
+    }
+
+    console.log("\nPlan:");
+    for (const row of plan.rows) {
+      let action = row.done ? "done" : (row.error ? "ERROR " + row.error : row.op + " " + row.owner + " -> " + row.to);
+      console.log("line " + row.line + ": " + row.addr + " " + row.token_id + ": " + action);
+    }
+    console.log(yaml.dump({totals: plan.totals}));
+
+    if (argv.dry_run) {
+      return;
+    }
+    if (!argv.yes) {
+      const ans = prompt("Run the rows above (rows with errors are skipped)? (y/n)");
+      if (ans.toLowerCase() != "y") {
+        console.log("Aborting...");
+        return;
+      }
+    }
+
+    const res = await elvlv.NftBatchRun({
+      plan,
+      onRow: (row) => {
+        console.log("line " + row.line + ": " + row.status + (row.error ? " - " + row.error : ""));
+      }
+    });
+
+    console.log(yaml.dump(res));
+    if (res.totals.failed || res.totals.skipped) {
+      process.exitCode = 1;
+    }
+  } catch (e) {
+    console.error("ERROR:", e);
+  }
+};
+
+const CmdNftMigrate = async ({ argv }) => {
+  console.log("NFT - migrate");
+  console.log("addr ", argv.addr);
+  console.log("tenant ", argv.tenant);
+  console.log("object ", argv.object);
+  console.log("originals ", argv.originals);
+  try {
+    await Init({ debugLogging: argv.verbose, asUrl: argv.as_url });
+
+    const params = {
+      addr: argv.addr,
+      tenantId: argv.tenant,
+      objectId: argv.object,
+      cap: argv.cap,
+      hold: argv.hold,
+      proxyAddress: argv.proxy,
+      collectionName: argv.name,
+      collectionSymbol: argv.symbol,
+      contractUri: argv.contract_uri,
+      originals: argv.originals,
+      mappingFile: argv.mapping,
+    };
+
+    // The migration starts from the snapshot taken for the plan
+    const { mapping, ...plan } = await elvlv.NftMigrate({ ...params, dryRun: true });
+    console.log(yaml.dump(plan));
+
+    if (argv.dry_run) {
+      return;
+    }
+    if (!argv.yes) {
+      const ans = prompt((plan.new_addr ? "Resume the migration to " + plan.new_addr :
+        "Deploy the new contract and mint " + plan.totals.tokens + " tokens") + "? (y/n)");
+      if (ans.toLowerCase() != "y") {
+        console.log("Aborting...");
+        return;
+      }
+    }
+
+    const res = await elvlv.NftMigrate({
+      ...params,
+      mapping,
+      onToken: (token) => {
+        console.log(token.token_id + ": " + token.status + (token.original ? " original " + token.original : "") +
+          (token.error ? " - " + token.error : ""));
+      }
+    });
+
+    console.log(yaml.dump(res));
+    if (res.failed.length > 0) {
+      console.log("Some tokens failed - run the same command again to retry them");
+      process.exitCode = 1;
+    }
+  } catch (e) {
+    console.error("ERROR:", e);
+  }
+};
+
 const CmdNftBuild = async ({ argv }) => {
   console.log("NFT - build ");
   console.log("NFT - libraryId ", argv.library);
   console.log("NFT - objectId ", argv.object);
   console.log("NFT - nftDir ", argv.nft_dir);
+  console.log("NFT - mediaDir ", argv.media_dir);
   try {
+    if (argv.media_dir && !argv.nft_dir) {
+      throw Error("--media_dir needs --nft_dir");
+    }
+    if (argv.media_dir && argv.stage && !argv.commit) {
+      throw Error("--media_dir can't be staged, the media is uploaded in a version of its own - use --commit");
+    }
+
     await Init({ debugLogging: argv.verbose, asUrl: argv.as_url });
 
     let res = await elvlv.NftBuild({
       libraryId: argv.library,
       objectId: argv.object,
       nftDir: argv.nft_dir,
+      mediaDir: argv.media_dir,
+      rarityMethod: argv.rarity_method,
+      stage: argv.stage || argv.commit,
+      commit: argv.commit,
     });
 
-    console.log(yaml.dump(res));
+    if (argv.stage || argv.commit) {
+      PrintStaged(res);
+    } else {
+      console.log(yaml.dump(res));
+    }
+  } catch (e) {
+    console.error("ERROR:", e);
+    process.exitCode = 1;
+  }
+};
+
+const CmdNftRarityReport = async ({ argv }) => {
+  try {
+    // Only reads the local nft files
+    const { nftMetas, files, errors } = await NftBuild.ReadDir({
+      nftDir: argv.nft_dir,
+      checkMedia: false,
+    });
+    if (errors.length > 0) {
+      console.error(NftBuild.FormatErrors({ errors }).join("\n"));
+      throw Error("Invalid NFT files in " + argv.nft_dir);
+    }
+
+    let copies = {};
+    const labels = files.map((file, i) => {
+      copies[file] = (copies[file] || 0) + 1;
+      const copy = (nftMetas[i].count || 1) > 1 ? "#" + copies[file] : "";
+      return file + copy + (nftMetas[i].name ? " " + nftMetas[i].name : "");
+    });
+
+    const scores = Rarity.Score({ nftMetas, method: argv.method });
+    console.log(yaml.dump(Rarity.Report({ scores, labels, top: argv.top })));
+  } catch (e) {
+    console.error("ERROR:", e);
+    process.exitCode = 1;
+  }
+};
+
+const CmdNftCompose = async ({ argv }) => {
+  try {
+    // Only reads and writes local files
+    const { manifest, errors } = TraitComposer.Read({ file: argv.manifest });
+    if (errors.length > 0) {
+      console.error(TraitComposer.FormatErrors({ file: argv.manifest, errors }).join("\n"));
+      throw Error("Invalid layer manifest " + argv.manifest);
+    }
+
+    const { seed, attempts, tokens } = TraitComposer.Compose({
+      manifest,
+      count: argv.count,
+      seed: argv.seed,
+    });
+    const files = TraitComposer.Write({
+      outDir: argv.out_dir,
+      manifest,
+      tokens,
+      overwrite: argv.overwrite,
+    });
+
+    const nftMetas = tokens.map(token => TraitComposer.Metadata({ manifest, token, width: 1 }));
+    const report = Rarity.Report({ scores: Rarity.Score({ nftMetas }) });
+    console.log(yaml.dump({
+      out_dir: argv.out_dir,
+      seed,
+      tokens: files.length,
+      attempts,
+      traits: report.traits,
+    }));
   } catch (e) {
     console.error("ERROR:", e);
+    process.exitCode = 1;
   }
 };
 
@@ -361,11 +807,61 @@ const CmdSiteSetDrop = async ({ argv }) => {
       startMint: argv.start_mint,
       newUuid: argv.new_uuid,
       update: argv.update,
+      stage: argv.stage || argv.commit,
+      commit: argv.commit,
+    });
+
+    if (res.staged) {
+      PrintStaged(res.staged);
+      delete res.staged;
+    }
+    console.log(yaml.dump(res));
+  } catch (e) {
+    console.error("ERROR:", e);
+  }
+};
+
+const CmdStagedList = async () => {
+  try {
+    // Only reads the local record of staged write tokens
+    console.log(yaml.dump(StagedWrites.Read()));
+  } catch (e) {
+    console.error("ERROR:", e);
+  }
+};
+
+const CmdStagedCommit = async ({ argv }) => {
+  console.log("Staged - commit", argv.write_token);
+  try {
+    await Init({ debugLogging: argv.verbose, asUrl: argv.as_url });
+
+    let res = await elvlv.StagedCommit({
+      writeToken: argv.write_token,
+      objectId: argv.object,
+      commitMessage: argv.message,
+    });
+
+    console.log(yaml.dump(res));
+  } catch (e) {
+    console.error("ERROR:", e);
+    process.exitCode = 1;
+  }
+};
+
+const CmdStagedDiscard = async ({ argv }) => {
+  console.log("Staged - discard", argv.write_token);
+  try {
+    await Init({ debugLogging: argv.verbose, asUrl: argv.as_url });
+
+    let res = await elvlv.StagedDiscard({
+      writeToken: argv.write_token,
+      objectId: argv.object,
     });
 
     console.log(yaml.dump(res));
   } catch (e) {
     console.error("ERROR:", e);
+    process.exitCode = 1;
   }
 };
 
@@ -482,6 +978,42 @@ const CmdTenantMint = async ({ argv }) => {
   }
 };
 
+const CmdTenantMintBatch = async ({ argv }) => {
+  console.log(
+    "Tenant mint batch",
+    argv.tenant,
+    argv.marketplace,
+    argv.csv
+  );
+
+  try {
+    await Init({ debugLogging: argv.verbose, asUrl: argv.as_url });
+
+    let res = await elvlv.TenantMintBatch({
+      tenant: argv.tenant,
+      marketplace: argv.marketplace,
+      csvFile: argv.csv,
+      journalFile: argv.journal,
+      batchId: argv.batch_id,
+      ratePerSec: argv.rate,
+      retries: argv.retries,
+      retryUnconfirmed: argv.retry_unconfirmed,
+      dryRun: argv.dry_run,
+      onRow: (row) => {
+        console.log("line " + row.line + ": " + row.status + " " + row.address + " " + row.sku + " x" + row.quantity +
+          (row.error ? " - " + row.error : ""));
+      }
+    });
+
+    console.log(yaml.dump(res));
+    if (res.errors || res.totals.failed || res.totals.unconfirmed) {
+      process.exitCode = 1;
+    }
+  } catch (e) {
+    console.error("ERROR:", e);
+  }
+};
+
 const CmdTenantWallets = async ({ argv }) => {
   console.log(
     `Tenant wallets tenant: ${argv.tenant} max_results: ${argv.max_results}`
@@ -901,10 +1433,57 @@ const CmdMarketplaceRemoveItem = async ({ argv }) => {
   }
 };
 
-const CmdTenantHasConsumer = async ({ argv }) => {
-  console.log("Tenant Has Consumer");
-  console.log(`Group ID: ${argv.group_id}`);
-  console.log(`Account Address: ${argv.addr}`);
+const CmdMarketplaceItemUpdate = async ({ argv }) => {
+  console.log("Marketplace Item Update");
+  console.log(`Marketplace Object ID: ${argv.marketplace}`);
+  console.log(`SKU: ${argv.sku}`);
+
+  let changes = {};
+  for (const field of ["name", "description", "for_sale", "free", "max_per_user", "available_at", "expires_at"]) {
+    changes[field] = argv[field];
+  }
+  if (argv.price !== undefined) {
+    changes.price = { [argv.currency]: argv.price };
+  }
+
+  try {
+    await Init({ debugLogging: argv.verbose, asUrl: argv.as_url });
+    const res = await marketplace.MarketplaceUpdateItem({
+      marketplaceObjectId: argv.marketplace,
+      sku: argv.sku,
+      changes
+    });
+
+    console.log(yaml.dump(res));
+  } catch (e) {
+    console.error("ERROR:", e);
+    process.exitCode = 1;
+  }
+};
+
+const CmdMarketplaceItemUpdateBatch = async ({ argv }) => {
+  console.log("Marketplace Item Update Batch");
+  console.log(`Marketplace Object ID: ${argv.marketplace}`);
+  console.log(`CSV file: ${argv.csv}`);
+
+  try {
+    await Init({ debugLogging: argv.verbose, asUrl: argv.as_url });
+    const res = await marketplace.MarketplaceUpdateItemBatch({
+      marketplaceObjectId: argv.marketplace,
+      csv: argv.csv
+    });
+
+    console.log(yaml.dump(res));
+  } catch (e) {
+    console.error("ERROR:", e);
+    process.exitCode = 1;
+  }
+};
+
+const CmdTenantHasConsumer = async ({ argv }) => {
+  console.log("Tenant Has Consumer");
+  console.log(`Group ID: ${argv.group_id}`);
+  console.log(`Account Address: ${argv.addr}`);
 
   try {
     await Init({ debugLogging: argv.verbose, asUrl: argv.as_url });
@@ -993,6 +1572,97 @@ const CmdNftGetTransferFee = async ({ argv }) => {
   }
 };
 
+const CmdTenantFeePolicy = async ({ argv }) => {
+  console.log("Tenant Fee Policy");
+  console.log(`Tenant ID: ${argv.tenant}`);
+  console.log(`Policy: ${argv.policy}`);
+
+  try {
+    const policy = FeePolicy.Load({ file: argv.policy });
+    const params = {
+      tenantId: argv.tenant,
+      policy,
+      rate: argv.rate,
+      addr: argv.addr,
+      auditFile: argv.audit
+    };
+
+    await Init({ debugLogging: argv.verbose, asUrl: argv.as_url });
+
+    const plan = await elvlv.TenantFeePolicy({ ...params, dryRun: true });
+    console.log(yaml.dump(plan));
+
+    if (argv.dry_run || !plan.totals.set) {
+      return;
+    }
+    if (!argv.yes) {
+      const ans = prompt("Set the fee of " + plan.totals.set + " contracts to " + plan.fee.fee_elv + " ELV? (y/n)");
+      if (ans.toLowerCase() != "y") {
+        console.log("Aborting...");
+        return;
+      }
+    }
+
+    const res = await elvlv.TenantFeePolicy({
+      ...params,
+      onRow: (row) => {
+        if (row.action == "set") {
+          console.log(row.address + ": " + row.status + (row.error ? " - " + row.error : ""));
+        }
+      }
+    });
+
+    console.log(yaml.dump({ audit: res.audit, totals: res.totals }));
+    if (res.totals.failed || res.totals.error) {
+      process.exitCode = 1;
+    }
+  } catch (e) {
+    console.error("ERROR:", e);
+  }
+};
+
+const CmdTenantFeeLimits = async ({ argv }) => {
+  console.log("Tenant Fee Limits");
+  console.log(`Tenant ID: ${argv.tenant}`);
+
+  try {
+    await Init({ debugLogging: argv.verbose, asUrl: argv.as_url });
+
+    let limits = {};
+    for (const name of FeePolicy.LIMITS) {
+      if (argv[name] !== undefined) {
+        limits[name] = argv[name];
+      }
+    }
+
+    let res;
+    if (Object.keys(limits).length > 0) {
+      res = await elvlv.TenantSetFeeLimits({ tenantId: argv.tenant, limits });
+    } else {
+      res = await elvlv.TenantFeeLimits({ tenantId: argv.tenant });
+    }
+    console.log(yaml.dump(res));
+  } catch (e) {
+    console.error("ERROR:", e);
+    process.exitCode = 1;
+  }
+};
+
+const CmdTenantFeeAudit = async ({ argv }) => {
+  try {
+    // Only reads the local audit log
+    const file = argv.audit || path.resolve("fee_audit_" + argv.tenant + ".jsonl");
+    const entries = FeePolicy.ReadAudit({ file, address: argv.addr });
+    console.log(yaml.dump(entries.map(e => ({
+      ...e,
+      old_fee_elv: e.old_fee != undefined ? ethers.utils.formatEther(e.old_fee) : undefined,
+      new_fee_elv: ethers.utils.formatEther(e.new_fee)
+    }))));
+  } catch (e) {
+    console.error("ERROR:", e);
+  }
+};
+
 const CmdNftAddRedeemableOffer = async ({ argv }) => {
   console.log("NFT Add Redeemable Offer");
   console.log(`NFT Contract Address: ${argv.addr}`);
@@ -1003,7 +1673,7 @@ const CmdNftAddRedeemableOffer = async ({ argv }) => {
     res = await elvlv.NFTAddRedeemableOffer({ addr: argv.addr });
 
     console.log(yaml.dump(res));
-    console.log("Offer ID: ",res.logs[0].values.offerId);
+    console.log("Offer ID: ", res.offer_id);
   } catch (e) {
     console.error("ERROR:", e);
   }
@@ -1112,6 +1782,87 @@ const CmdASNftRedeemOffer = async ({ argv }) => {
 };
 
 
+const CmdNftOfferVouchers = async ({ argv }) => {
+  console.log("NFT Offer Vouchers");
+  console.log(`NFT Contract Address: ${argv.addr}`);
+  console.log(`Mint Helper Address: ${argv.mint_helper_addr}`);
+  console.log(`CSV: ${argv.csv}`);
+
+  try {
+    const { rows, errors } = await OfferVoucher.ReadCsv({ file: argv.csv });
+    if (errors.length > 0) {
+      console.log(yaml.dump({ errors }));
+      process.exitCode = 1;
+      return;
+    }
+
+    await Init({ debugLogging: argv.verbose, asUrl: argv.as_url });
+
+    let res = await elvlv.NftOfferVouchers({
+      addr: argv.addr,
+      mintHelperAddr: argv.mint_helper_addr,
+      rows,
+      output: argv.output,
+      qrDir: argv.qr_dir
+    });
+
+    console.log(yaml.dump(res));
+  } catch (e) {
+    console.error("ERROR:", e);
+  }
+};
+
+const CmdVerifyOfferSignature = async ({ argv }) => {
+  console.log("Verify Offer Signature");
+  console.log(`Voucher: ${argv.voucher}`);
+  console.log(`Offline: ${!!argv.offline}`);
+
+  try {
+    if (argv.offline && !argv.snapshot && !argv.signers) {
+      throw Error("--offline needs --snapshot or --signers to check who signed the vouchers");
+    }
+
+    const vouchers = OfferVoucher.Read({ input: argv.voucher });
+    const used = argv.log ? OfferVoucher.ReadUsed({ file: argv.log }) : undefined;
+
+    let results;
+    if (argv.offline) {
+      // Only the signature, the snapshot owners or trusted signers and the log - no fabric connection
+      const owners = argv.snapshot ? await OfferVoucher.ReadOwners({ file: argv.snapshot }) : undefined;
+      results = [];
+      for (const voucher of vouchers) {
+        results.push(await OfferVoucher.Verify({
+          voucher,
+          nftAddress: argv.addr,
+          ownerOf: owners ? async (tokenId) => owners[tokenId] : undefined,
+          signers: argv.signers ? argv.signers.split(",") : undefined,
+          used
+        }));
+      }
+    } else {
+      await Init({ debugLogging: argv.verbose, asUrl: argv.as_url });
+      results = await elvlv.NftVerifyOfferVouchers({ vouchers, addr: argv.addr, used });
+    }
+
+    if (argv.log) {
+      fs.appendFileSync(argv.log, results.map((result, i) =>
+        OfferVoucher.LogEntry({ result, voucher: vouchers[i] }) + "\n").join(""));
+    }
+
+    console.log(yaml.dump(results.length == 1 ? results[0] : {
+      vouchers: results.length,
+      valid: results.filter(r => r.valid).length,
+      invalid: results.filter(r => !r.valid)
+    }));
+    if (results.some(r => !r.valid)) {
+      process.exitCode = 1;
+    }
+  } catch (e) {
+    console.error("ERROR:", e);
+    process.exitCode = 1;
+  }
+};
+
 const CmdTenantProvision = async ({ argv }) => {
   console.log("Tenant Provision");
   console.log(`Tenant ID: ${argv.tenant}`);
@@ -1628,6 +2379,14 @@ yargs(hideBin(process.argv))
         .option("hold", {
           describe: "Hold period in seconds (default 7 days)",
           type: "number",
+        })
+        .option("stage", {
+          describe: "Show the metadata changes and leave the write token open instead of finalizing",
+          type: "boolean",
+        })
+        .option("commit", {
+          describe: "Show the metadata changes and finalize",
+          type: "boolean",
         });
     },
     (argv) => {
@@ -1753,207 +2512,659 @@ yargs(hideBin(process.argv))
   )
 
   .command(
-    "nft_transfer <addr> <token_id> <to_addr> [options]",
-    "Transfer the specified NFT as the token owner",
+    "nft_snapshot <addr> [options]",
+    "Export all token holders of an NFT contract at a block height",
     (yargs) => {
       yargs
         .positional("addr", {
-          describe: "Local NFT contract address",
+          describe: "NFT address (hex)",
           type: "string",
         })
-        .positional("token_id", {
-          describe: "External token ID",
-          type: "string", // BigNumber as string
+        .option("block", {
+          describe: "Block number of the snapshot (default: latest block)",
+          type: "number",
         })
-        .positional("to_addr", {
-          describe: "Address to transfer to (hex)",
+        .option("output", {
+          describe: "Write the tokens to this file (CSV if it ends in .csv, JSON otherwise)",
           type: "string",
         })
-        .option("auth_service", {
-          describe: "Use the Authority Service to do the transfer"
+        .option("format", {
+          describe: "Output file format",
+          choices: ["csv", "json"],
+        })
+        .option("concurrency", {
+          describe: "Maximum number of tokens read at the same time",
+          type: "number",
+          default: NftSnapshot.DEFAULT_CONCURRENCY,
+        })
+        .option("checkpoint", {
+          describe: "Save progress to this file and resume from it if the snapshot is interrupted",
+          type: "string",
         });
     },
     (argv) => {
-      CmdNftTransfer({ argv });
+      CmdNftSnapshot({ argv });
     }
   )
 
   .command(
-    "nft_proxy_transfer <addr> <token_id> <from_addr> <to_addr>",
-    "Tranfer NFT as a proxy owner",
+    "nft_holds <addr> [options]",
+    "List the tokens of an NFT contract that are still under hold, with their release time",
     (yargs) => {
       yargs
         .positional("addr", {
           describe: "NFT address (hex)",
           type: "string",
         })
-        .positional("token_id", {
-          describe: "Token Id",
-          type: "integer",
-        })
-        .positional("from_addr", {
-          describe: "Address to transfer from (hex)",
+        .option("owner", {
+          describe: "Only the tokens of this address",
           type: "string",
         })
-        .positional("to_addr", {
-          describe: "Address to transfer to (hex)",
-          type: "string",
-        });
-    },
-    (argv) => {
-      CmdNftProxyTransfer({ argv });
-    }
-  )
-
-  .command(
-    "nft_build <library> <object> [options]",
-    "Build the public/nft section based on asset metadata. If --nft_dir is specified, will build a generative nft based on *.json files inside the dir. See README.md for more details.",
-    (yargs) => {
-      yargs
-        .positional("library", {
-          describe: "Content library",
+        .option("output", {
+          describe: "Write the tokens to this CSV file",
           type: "string",
         })
-        .positional("object", {
-          describe: "Content object hash (hq__) or id (iq__)",
-          type: "string",
+        .option("concurrency", {
+          describe: "Maximum number of tokens read at the same time",
+          type: "number",
+          default: NftSnapshot.DEFAULT_CONCURRENCY,
         })
-        .option("nft_dir", {
-          describe:
-            "Create a multi-media NFT (generative). " +
-            "Directory contains json files describing the nft.  See documentation to see *.json structure.",
+        .option("checkpoint", {
+          describe: "Save progress to this file and resume from it if the command is interrupted",
           type: "string",
         });
     },
     (argv) => {
-      CmdNftBuild({ argv });
+      CmdNftHolds({ argv });
     }
   )
 
   .command(
-    "nft_burn <addr> <token_id>",
-    "Burn the specified NFT as the owner",
+    "mint_helper_show <addr>",
+    "Show the owner and hold period of a mint helper",
     (yargs) => {
       yargs
         .positional("addr", {
-          describe: "Local NFT contract address",
+          describe: "Mint helper address (hex)",
           type: "string",
-        })
-        .positional("token_id", {
-          describe: "External token ID",
-          type: "string", // BigNumber as string
         });
     },
     (argv) => {
-      CmdNftBurn({ argv });
+      CmdMintHelperShow({ argv });
     }
   )
 
   .command(
-    "nft_proxy_burn <addr> <token_id>",
-    "Burn the specified NFT",
+    "mint_helper_set_hold <addr> <hold_secs>",
+    "Set the hold period of the tokens minted through a mint helper (as the mint helper owner)",
     (yargs) => {
       yargs
         .positional("addr", {
-          describe: "Local NFT contract address",
+          describe: "Mint helper address (hex)",
           type: "string",
         })
-        .positional("token_id", {
-          describe: "External token ID",
-          type: "string", // BigNumber as string
+        .positional("hold_secs", {
+          describe: "Hold period in seconds",
+          type: "number",
         });
     },
     (argv) => {
-      CmdNftProxyBurn({ argv });
+      CmdMintHelperSetHold({ argv });
     }
   )
 
   .command(
-    "nft_set_transfer_fee <addr> <fee>",
-    "Decode and look up a local NFT by external token ID",
+    "nft_index_sync <addr> [options]",
+    "Update the local ownership index of an NFT contract from its Transfer logs",
     (yargs) => {
       yargs
         .positional("addr", {
-          describe: "NFT contract address",
+          describe: "NFT address (hex)",
           type: "string",
         })
-        .positional("fee", {
-          describe: "Fee in ETH",
-          type: "string", // BigNumber as string
+        .option("store", {
+          describe: "Index file (default: nft_index_<addr>.json in the current directory)",
+          type: "string",
+        })
+        .option("rpc", {
+          describe: "Read logs from this Ethereum RPC URL (e.g. a local dev chain) instead of the fabric's",
+          type: "string",
+        })
+        .option("from_block", {
+          describe: "First block to index when creating the index (e.g. the contract creation block)",
+          type: "number",
+        })
+        .option("to_block", {
+          describe: "Last block to index (default: latest block)",
+          type: "number",
         });
     },
     (argv) => {
-      CmdNftSetTransferFee({ argv });
+      CmdNftIndexSync({ argv });
     }
   )
 
   .command(
-    "nft_get_transfer_fee <addr>",
-    "Decode and look up a local NFT by external token ID",
+    "nft_index_show <addr> [options]",
+    "Query the local ownership index of an NFT contract (see nft_index_sync)",
     (yargs) => {
       yargs
         .positional("addr", {
-          describe: "NFT contract address",
+          describe: "NFT address (hex)",
+          type: "string",
+        })
+        .option("store", {
+          describe: "Index file (default: nft_index_<addr>.json in the current directory)",
           type: "string",
+        })
+        .option("token_id", {
+          describe: "Show the owner and transfers of this token",
+          type: "string",
+        })
+        .option("owner", {
+          describe: "Show the balance, tokens and transfers of this address",
+          type: "string",
+        })
+        .option("holders", {
+          describe: "List all holders and their balances",
+          type: "boolean",
         });
     },
     (argv) => {
-      CmdNftGetTransferFee({ argv });
+      CmdNftIndexShow({ argv });
     }
   )
 
   .command(
-    "nft_add_offer <addr>",
-    "Add a redeemable offer to the NFT contract as the contract owner or minter",
+    "nft_token_history <addr> <token_id> [options]",
+    "Show the chain of custody of a token - mint, transfers, redeemed offers and burn",
     (yargs) => {
       yargs
         .positional("addr", {
-          describe: "NFT contract address",
+          describe: "NFT address (hex)",
+          type: "string",
+        })
+        .positional("token_id", {
+          describe: "External token ID",
+          type: "string", // BigNumber as string
+        })
+        .option("rpc", {
+          describe: "Read logs from this Ethereum RPC URL instead of the fabric's",
           type: "string",
+        })
+        .option("from_block", {
+          describe: "First block to search (e.g. the contract creation block)",
+          type: "number",
         });
     },
     (argv) => {
-      CmdNftAddRedeemableOffer({ argv });
+      CmdNftTokenHistory({ argv });
     }
   )
 
   .command(
-    "nft_remove_offer <addr> <offer_id>",
-    "Remove (disable) a redeemable offer from the NFT contract as the contract owner or minter",
+    "nft_batch <csv> [options]",
+    "Transfer or burn the NFTs listed in a CSV file (columns: addr, token_id, from, to - 'burn' to burn)",
     (yargs) => {
       yargs
-        .positional("addr", {
-          describe: "NFT contract address",
+        .positional("csv", {
+          describe: "Batch CSV file",
           type: "string",
         })
-        .positional("offer_id", {
-          describe: "Offer ID",
-          type: "integer",
+        .option("dry_run", {
+          describe: "Only check the rows and show the plan",
+          type: "boolean",
+        })
+        .option("yes", {
+          describe: "Run the plan without asking for confirmation",
+          type: "boolean",
+        })
+        .option("journal", {
+          describe: "Journal of the batch - running the batch again skips the rows it shows as done (default: <csv>.journal)",
+          type: "string",
         });
     },
     (argv) => {
-      CmdNftRemoveRedeemableOffer({ argv });
+      CmdNftBatch({ argv });
     }
   )
 
   .command(
-    "nft_offer_redeemed <addr> <token_id> <offer_id>",
-    "Returns true if offer is redeemed",
+    "nft_migrate <addr> <tenant> [options]",
+    "Migrate an NFT contract - deploy a replacement and mint every token on it to its current owner",
     (yargs) => {
       yargs
         .positional("addr", {
-          describe: "NFT contract address",
+          describe: "NFT address (hex) of the contract to migrate",
           type: "string",
         })
-        .positional("token_id", {
-          describe: "Offer ID",
-          type: "integer",
+        .positional("tenant", {
+          describe: "Tenant ID",
+          type: "string",
         })
-        .positional("offer_id", {
-          describe: "Offer ID",
-          type: "integer",
-        });
-    },
+        .option("object", {
+          describe: "NFT Template object ID - set the new contract in this template",
+          type: "string",
+        })
+        .option("cap", {
+          describe: "Mint cap of the new contract (default: same as the old contract)",
+          type: "number",
+        })
+        .option("hold", {
+          describe: "Default hold period of the new contract in seconds (default: same as the old contract)",
+          type: "number",
+        })
+        .option("proxy", {
+          describe: "Transfer proxy address of the new contract (default: same as the old contract)",
+          type: "string",
+        })
+        .option("name", {
+          describe: "Collection name of the new contract (default: same as the old contract)",
+          type: "string",
+        })
+        .option("symbol", {
+          describe: "Collection symbol of the new contract (default: same as the old contract)",
+          type: "string",
+        })
+        .option("contract_uri", {
+          describe: "Contract URI of the new contract (default: same as the old contract)",
+          type: "string",
+        })
+        .option("originals", {
+          describe: "Original tokens: keep them, lock (remove the old contract from the tenant) or burn them (and lock)",
+          choices: ["keep", "lock", "burn"],
+          default: "keep",
+        })
+        .option("mapping", {
+          describe: "Mapping file - running the migration again resumes it (default: nft_migrate_<addr>.json)",
+          type: "string",
+        })
+        .option("dry_run", {
+          describe: "Only read the tokens and show the new contract's parameters",
+          type: "boolean",
+        })
+        .option("yes", {
+          describe: "Run the migration without asking for confirmation",
+          type: "boolean",
+        });
+    },
+    (argv) => {
+      CmdNftMigrate({ argv });
+    }
+  )
+
+  .command(
+    "nft_transfer <addr> <token_id> <to_addr> [options]",
+    "Transfer the specified NFT as the token owner",
+    (yargs) => {
+      yargs
+        .positional("addr", {
+          describe: "Local NFT contract address",
+          type: "string",
+        })
+        .positional("token_id", {
+          describe: "External token ID",
+          type: "string", // BigNumber as string
+        })
+        .positional("to_addr", {
+          describe: "Address to transfer to (hex)",
+          type: "string",
+        })
+        .option("auth_service", {
+          describe: "Use the Authority Service to do the transfer"
+        });
+    },
+    (argv) => {
+      CmdNftTransfer({ argv });
+    }
+  )
+
+  .command(
+    "nft_proxy_transfer <addr> <token_id> <from_addr> <to_addr>",
+    "Tranfer NFT as a proxy owner",
+    (yargs) => {
+      yargs
+        .positional("addr", {
+          describe: "NFT address (hex)",
+          type: "string",
+        })
+        .positional("token_id", {
+          describe: "Token Id",
+          type: "integer",
+        })
+        .positional("from_addr", {
+          describe: "Address to transfer from (hex)",
+          type: "string",
+        })
+        .positional("to_addr", {
+          describe: "Address to transfer to (hex)",
+          type: "string",
+        });
+    },
+    (argv) => {
+      CmdNftProxyTransfer({ argv });
+    }
+  )
+
+  .command(
+    "nft_build <library> <object> [options]",
+    "Build the public/nft section based on asset metadata. If --nft_dir is specified, will build a generative nft based on *.json files inside the dir. See README.md for more details.",
+    (yargs) => {
+      yargs
+        .positional("library", {
+          describe: "Content library",
+          type: "string",
+        })
+        .positional("object", {
+          describe: "Content object hash (hq__) or id (iq__)",
+          type: "string",
+        })
+        .option("nft_dir", {
+          describe:
+            "Create a multi-media NFT (generative). " +
+            "Directory contains json files describing the nft.  See documentation to see *.json structure.",
+          type: "string",
+        })
+        .option("media_dir", {
+          describe:
+            "Directory of the local image and video files referenced by the --nft_dir json files. " +
+            "The files are uploaded into the object and their URLs set in the NFTs.",
+          type: "string",
+        })
+        .option("rarity_method", {
+          describe: "How the overall rarity score and rank of generative NFTs is calculated",
+          type: "string",
+          choices: Rarity.METHODS,
+          default: "statistical",
+        })
+        .option("stage", {
+          describe: "Show the metadata changes and leave the write token open instead of finalizing",
+          type: "boolean",
+        })
+        .option("commit", {
+          describe: "Show the metadata changes and finalize",
+          type: "boolean",
+        });
+    },
+    (argv) => {
+      CmdNftBuild({ argv });
+    }
+  )
+
+  .command(
+    "nft_rarity_report <nft_dir> [options]",
+    "Show the trait distribution and rarity ranks of the generative NFTs in a --nft_dir directory, without building them",
+    (yargs) => {
+      yargs
+        .positional("nft_dir", {
+          describe: "Directory of nft json files (see nft_build)",
+          type: "string",
+        })
+        .option("method", {
+          describe: "Rarity scoring method",
+          type: "string",
+          choices: Rarity.METHODS,
+          default: "statistical",
+        })
+        .option("top", {
+          describe: "Only show this many of the rarest NFTs",
+          type: "number",
+        });
+    },
+    (argv) => {
+      CmdNftRarityReport({ argv });
+    }
+  )
+
+  .command(
+    "nft_compose <manifest> <out_dir> [options]",
+    "Generate the json files of a generative collection from a layer manifest, ready for nft_build --nft_dir. See README.md for the manifest format.",
+    (yargs) => {
+      yargs
+        .positional("manifest", {
+          describe: "Layer manifest (json)",
+          type: "string",
+        })
+        .positional("out_dir", {
+          describe: "Directory the nft json files are written to",
+          type: "string",
+        })
+        .option("count", {
+          describe: "Number of NFTs (default: the manifest's 'count')",
+          type: "number",
+        })
+        .option("seed", {
+          describe: "Random seed - the same seed always gives the same NFTs (default: the manifest's 'seed')",
+          type: "string",
+        })
+        .option("overwrite", {
+          describe: "Replace the json files already in out_dir",
+          type: "boolean",
+        });
+    },
+    (argv) => {
+      CmdNftCompose({ argv });
+    }
+  )
+
+  .command(
+    "nft_burn <addr> <token_id>",
+    "Burn the specified NFT as the owner",
+    (yargs) => {
+      yargs
+        .positional("addr", {
+          describe: "Local NFT contract address",
+          type: "string",
+        })
+        .positional("token_id", {
+          describe: "External token ID",
+          type: "string", // BigNumber as string
+        });
+    },
+    (argv) => {
+      CmdNftBurn({ argv });
+    }
+  )
+
+  .command(
+    "nft_proxy_burn <addr> <token_id>",
+    "Burn the specified NFT",
+    (yargs) => {
+      yargs
+        .positional("addr", {
+          describe: "Local NFT contract address",
+          type: "string",
+        })
+        .positional("token_id", {
+          describe: "External token ID",
+          type: "string", // BigNumber as string
+        });
+    },
+    (argv) => {
+      CmdNftProxyBurn({ argv });
+    }
+  )
+
+  .command(
+    "nft_set_transfer_fee <addr> <fee>",
+    "Decode and look up a local NFT by external token ID",
+    (yargs) => {
+      yargs
+        .positional("addr", {
+          describe: "NFT contract address",
+          type: "string",
+        })
+        .positional("fee", {
+          describe: "Fee in ETH",
+          type: "string", // BigNumber as string
+        });
+    },
+    (argv) => {
+      CmdNftSetTransferFee({ argv });
+    }
+  )
+
+  .command(
+    "nft_get_transfer_fee <addr>",
+    "Decode and look up a local NFT by external token ID",
+    (yargs) => {
+      yargs
+        .positional("addr", {
+          describe: "NFT contract address",
+          type: "string",
+        });
+    },
+    (argv) => {
+      CmdNftGetTransferFee({ argv });
+    }
+  )
+
+  .command(
+    "tenant_fee_policy <tenant> <policy> [options]",
+    "Set the transfer fee of all NFT contracts of a tenant from a fee policy file (ELV or USD, within the tenant's limits)",
+    (yargs) => {
+      yargs
+        .positional("tenant", {
+          describe: "Tenant ID",
+          type: "string",
+        })
+        .positional("policy", {
+          describe: "Fee policy file (JSON)",
+          type: "string",
+        })
+        .option("rate", {
+          describe: "ELV price in USD, for USD fees and limits (overrides the policy's usd_per_elv)",
+          type: "string",
+        })
+        .option("addr", {
+          describe: "Only this NFT contract",
+          type: "string",
+        })
+        .option("audit", {
+          describe: "Audit log (default: fee_audit_<tenant>.jsonl)",
+          type: "string",
+        })
+        .option("dry_run", {
+          describe: "Only show the current and new fees",
+          type: "boolean",
+        })
+        .option("yes", {
+          describe: "Set the fees without asking for confirmation",
+          type: "boolean",
+        });
+    },
+    (argv) => {
+      CmdTenantFeePolicy({ argv });
+    }
+  )
+
+  .command(
+    "tenant_fee_limits <tenant> [options]",
+    "Show the transfer fee limits of a tenant, or set them (replacing the current limits) if any limit is given. " +
+      "tenant_fee_policy only sets fees within these limits.",
+    (yargs) => {
+      yargs
+        .positional("tenant", {
+          describe: "Tenant ID",
+          type: "string",
+        })
+        .option("min_elv", {
+          describe: "Lowest fee in ELV",
+          type: "string",
+        })
+        .option("max_elv", {
+          describe: "Highest fee in ELV",
+          type: "string",
+        })
+        .option("min_usd", {
+          describe: "Lowest fee in USD",
+          type: "string",
+        })
+        .option("max_usd", {
+          describe: "Highest fee in USD",
+          type: "string",
+        });
+    },
+    (argv) => {
+      CmdTenantFeeLimits({ argv });
+    }
+  )
+
+  .command(
+    "tenant_fee_audit <tenant> [options]",
+    "Show the transfer fee changes made by tenant_fee_policy",
+    (yargs) => {
+      yargs
+        .positional("tenant", {
+          describe: "Tenant ID",
+          type: "string",
+        })
+        .option("addr", {
+          describe: "Only this NFT contract",
+          type: "string",
+        })
+        .option("audit", {
+          describe: "Audit log (default: fee_audit_<tenant>.jsonl)",
+          type: "string",
+        });
+    },
+    (argv) => {
+      CmdTenantFeeAudit({ argv });
+    }
+  )
+
+  .command(
+    "nft_add_offer <addr>",
+    "Add a redeemable offer to the NFT contract as the contract owner or minter",
+    (yargs) => {
+      yargs
+        .positional("addr", {
+          describe: "NFT contract address",
+          type: "string",
+        });
+    },
+    (argv) => {
+      CmdNftAddRedeemableOffer({ argv });
+    }
+  )
+
+  .command(
+    "nft_remove_offer <addr> <offer_id>",
+    "Remove (disable) a redeemable offer from the NFT contract as the contract owner or minter",
+    (yargs) => {
+      yargs
+        .positional("addr", {
+          describe: "NFT contract address",
+          type: "string",
+        })
+        .positional("offer_id", {
+          describe: "Offer ID",
+          type: "integer",
+        });
+    },
+    (argv) => {
+      CmdNftRemoveRedeemableOffer({ argv });
+    }
+  )
+
+  .command(
+    "nft_offer_redeemed <addr> <token_id> <offer_id>",
+    "Returns true if offer is redeemed",
+    (yargs) => {
+      yargs
+        .positional("addr", {
+          describe: "NFT contract address",
+          type: "string",
+        })
+        .positional("token_id", {
+          describe: "Offer ID",
+          type: "integer",
+        })
+        .positional("offer_id", {
+          describe: "Offer ID",
+          type: "integer",
+        });
+    },
     (argv) => {
       CmdNftIsOfferRedeemed({ argv });
     }
@@ -1978,6 +3189,41 @@ yargs(hideBin(process.argv))
     }
   )
 
+  .command(
+    "nft_offers <addr> [options]",
+    "List the redeemable offers of an NFT contract with their status and redemption counts",
+    (yargs) => {
+      yargs
+        .positional("addr", {
+          describe: "NFT address (hex)",
+          type: "string",
+        })
+        .option("offer_id", {
+          describe: "Only this offer",
+          type: "number",
+        })
+        .option("redemptions", {
+          describe: "Also list every redemption (token, redeemer, time)",
+          type: "boolean",
+        })
+        .option("csv", {
+          describe: "Write the redemptions to this CSV file (offer_id, token_id, redeemer, block_number, time, transaction_hash)",
+          type: "string",
+        })
+        .option("rpc", {
+          describe: "Read logs from this Ethereum RPC URL instead of the fabric's",
+          type: "string",
+        })
+        .option("from_block", {
+          describe: "First block to search (e.g. the contract creation block)",
+          type: "number",
+        });
+    },
+    (argv) => {
+      CmdNftOffers({ argv });
+    }
+  )
+
   .command(
     "nft_redeem_offer <addr> <redeemer> <token_id> <offer_id>",
     "Redeem an nft offer",
@@ -2036,6 +3282,74 @@ yargs(hideBin(process.argv))
     }
   )
 
+  .command(
+    "nft_offer_vouchers <addr> <mint_helper_addr> <csv> [options]",
+    "Sign offer redemption vouchers for the tokens and offers in a CSV file (columns: token_id, offer_id)",
+    (yargs) => {
+      yargs
+        .positional("addr", {
+          describe: "NFT contract address",
+          type: "string",
+        })
+        .positional("mint_helper_addr", {
+          describe: "Address of the mint helper (hex)",
+          type: "string",
+        })
+        .positional("csv", {
+          describe: "CSV file with the columns token_id and offer_id",
+          type: "string",
+        })
+        .option("output", {
+          describe: "Voucher file - one encoded voucher per line",
+          type: "string",
+          default: "vouchers.txt",
+        })
+        .option("qr_dir", {
+          describe: "Also write a QR code PNG per voucher to this directory",
+          type: "string",
+        });
+    },
+    (argv) => {
+      CmdNftOfferVouchers({ argv });
+    }
+  )
+
+  .command(
+    "verify_offer_signature <voucher> [options]",
+    "Check offer redemption vouchers - signer, token ownership and offer state",
+    (yargs) => {
+      yargs
+        .positional("voucher", {
+          describe: "Encoded voucher, or a file of vouchers (one per line) or a verification log",
+          type: "string",
+        })
+        .option("addr", {
+          describe: "NFT contract address the vouchers must be for",
+          type: "string",
+        })
+        .option("offline", {
+          describe: "Don't connect to the fabric - only check the signature, the snapshot owners or " +
+            "trusted signers and the log (needs --snapshot or --signers)",
+          type: "boolean",
+        })
+        .option("snapshot", {
+          describe: "Holder snapshot (nft_snapshot output) used to check ownership offline",
+          type: "string",
+        })
+        .option("signers", {
+          describe: "Trusted signer addresses (comma separated) - used offline without --snapshot",
+          type: "string",
+        })
+        .option("log", {
+          describe: "Verification log - vouchers it shows as accepted are rejected, and results are appended to it",
+          type: "string",
+        });
+    },
+    (argv) => {
+      CmdVerifyOfferSignature({ argv });
+    }
+  )
+
   .command(
     "tenant_show <tenant> [options]",
     "Show info on this tenant",
@@ -2196,6 +3510,14 @@ yargs(hideBin(process.argv))
         .option("update", {
           describe: "Tenant-level EluvioLive object to update",
           type: "string",
+        })
+        .option("stage", {
+          describe: "Show the metadata changes and leave the write token open instead of finalizing",
+          type: "boolean",
+        })
+        .option("commit", {
+          describe: "Show the metadata changes and finalize",
+          type: "boolean",
         });
     },
     (argv) => {
@@ -2203,6 +3525,57 @@ yargs(hideBin(process.argv))
     }
   )
 
+  .command(
+    "staged_list",
+    "List the write tokens left open by --stage (recorded in staged_writes.json in the current directory)",
+    () => {},
+    () => {
+      CmdStagedList();
+    }
+  )
+
+  .command(
+    "staged_commit <write_token> [options]",
+    "Finalize a write token left open by --stage",
+    (yargs) => {
+      yargs
+        .positional("write_token", {
+          describe: "Write token (tqw__...)",
+          type: "string",
+        })
+        .option("object", {
+          describe: "Object ID (only needed for write tokens not in staged_writes.json)",
+          type: "string",
+        })
+        .option("message", {
+          describe: "Commit message (default: the staged command's)",
+          type: "string",
+        });
+    },
+    (argv) => {
+      CmdStagedCommit({ argv });
+    }
+  )
+
+  .command(
+    "staged_discard <write_token> [options]",
+    "Delete a write token left open by --stage, dropping its changes",
+    (yargs) => {
+      yargs
+        .positional("write_token", {
+          describe: "Write token (tqw__...)",
+          type: "string",
+        })
+        .option("object", {
+          describe: "Object ID (only needed for write tokens not in staged_writes.json)",
+          type: "string",
+        });
+    },
+    (argv) => {
+      CmdStagedDiscard({ argv });
+    }
+  )
+
   .command(
     "shuffle <file> [options]",
     "Sort each line deterministically based on the seed",
@@ -2285,6 +3658,55 @@ yargs(hideBin(process.argv))
     }
   )
 
+  .command(
+    "tenant_mint_batch <tenant> <marketplace> <csv> [options]",
+    "Mint marketplace NFTs to the addresses in a CSV allowlist (columns: address, sku, quantity, email)",
+    (yargs) => {
+      yargs
+        .positional("tenant", {
+          describe: "Tenant ID",
+          type: "string",
+        })
+        .positional("marketplace", {
+          describe: "Marketplace ID",
+          type: "string",
+        })
+        .positional("csv", {
+          describe: "CSV allowlist",
+          type: "string",
+        })
+        .option("journal", {
+          describe: "Journal of mint requests - rows it shows as minted are skipped (default: <csv>.journal)",
+          type: "string",
+        })
+        .option("batch_id", {
+          describe: "Mint rows that were already minted again as a new batch",
+          type: "string",
+        })
+        .option("rate", {
+          describe: "Maximum number of mint requests per second",
+          type: "number",
+          default: MintBatch.DEFAULT_RATE_PER_SEC,
+        })
+        .option("retries", {
+          describe: "Number of retries of a failed row",
+          type: "number",
+          default: MintBatch.DEFAULT_RETRIES,
+        })
+        .option("retry_unconfirmed", {
+          describe: "Also send rows whose previous request got no response (check the tenant's transactions first)",
+          type: "boolean",
+        })
+        .option("dry_run", {
+          describe: "Only show what would be minted",
+          type: "boolean",
+        });
+    },
+    (argv) => {
+      CmdTenantMintBatch({ argv });
+    }
+  )
+
   .command(
     "tenant_wallets <tenant> [options]",
     "Show the wallets associated with this tenant",
@@ -2657,6 +4079,82 @@ yargs(hideBin(process.argv))
     }
   )
 
+  .command(
+    "marketplace_item_update <marketplace> <sku> [options]",
+    "Changes a marketplace item - only the options given are changed, in a single version. " +
+      "Use 'none' to clear the description, a date or the price in a currency.",
+    (yargs) => {
+      yargs.positional("marketplace", {
+        describe: "Marketplace object ID",
+        type: "string",
+      });
+      yargs.positional("sku", {
+        describe: "Marketplace item SKU",
+        type: "string",
+      });
+      yargs.option("name", {
+        describe: "Item name",
+        type: "string",
+      });
+      yargs.option("description", {
+        describe: "Item description",
+        type: "string",
+      });
+      yargs.option("price", {
+        describe: "Price in --currency",
+        type: "string",
+      });
+      yargs.option("currency", {
+        describe: "Currency of --price",
+        type: "string",
+        default: "USD",
+      });
+      yargs.option("for_sale", {
+        describe: "Whether to show for sale",
+        type: "boolean",
+      });
+      yargs.option("free", {
+        describe: "Whether the item is free",
+        type: "boolean",
+      });
+      yargs.option("max_per_user", {
+        describe: "Maximum number per user",
+        type: "number",
+      });
+      yargs.option("available_at", {
+        describe: "Start of sale (ISO date, e.g. 2023-03-01T17:00:00Z)",
+        type: "string",
+      });
+      yargs.option("expires_at", {
+        describe: "End of sale (ISO date)",
+        type: "string",
+      });
+    },
+    (argv) => {
+      CmdMarketplaceItemUpdate({ argv });
+    }
+  )
+
+  .command(
+    "marketplace_item_update_batch <marketplace> <csv>",
+    "Changes marketplace items from a CSV file with a 'sku' column and a column per field to change: " +
+      "name, description, for_sale, free, max_per_user, available_at, expires_at and price_<currency> " +
+      "(e.g. price_USD). Empty cells are left unchanged. All rows are checked first and made in a single version.",
+    (yargs) => {
+      yargs.positional("marketplace", {
+        describe: "Marketplace object ID",
+        type: "string",
+      });
+      yargs.positional("csv", {
+        describe: "CSV file of item updates",
+        type: "string",
+      });
+    },
+    (argv) => {
+      CmdMarketplaceItemUpdateBatch({ argv });
+    }
+  )
+
   .command(
     "storefront_section_add_item <marketplace> <sku> [section]",
     "Adds an item to a marketplace storefront section",
@@ -1,4 +1,10 @@
 const { EluvioLiveStream } = require("../src/LiveStream.js");
+const { LiveStreamWatchdog } = require("../src/LiveStreamWatchdog.js");
+const { LiveConf } = require("../src/LiveConf.js");
+const { LiveLadder } = require("../src/LiveLadder.js");
+const { LiveProbe } = require("../src/LiveProbe.js");
+const { PlayoutProbe } = require("../src/PlayoutProbe.js");
+const { StreamSummary } = require("../src/StreamSummary.js");
 const { Config } = require("../src/Config.js");
 
 const yargs = require("yargs/yargs");
@@ -30,7 +36,12 @@ const CmdInit = async ({ argv }) => {
     let status = await elvStream.Initialize({
       name: argv.stream,
       drm: argv.drm,
-      format: argv.formats
+      format: argv.formats,
+      ladder: argv.ladder ? LiveLadder.Load({spec: argv.ladder}) : undefined,
+      probe: (argv.probe || argv.probe_source) ? {
+        source: argv.probe_source,
+        command: argv.probe_cmd
+      } : undefined
     });
     console.log(yaml.dump(status));
   } catch (e) {
@@ -78,6 +89,33 @@ const CmdStreamTerminate = async ({ argv }) => {
   }
 };
 
+const CmdStreamArchive = async ({ argv }) => {
+  try {
+    let elvStream = new EluvioLiveStream({
+      configUrl: Config.networks[Config.net],
+      debugLogging: argv.verbose
+    });
+
+    await elvStream.Init({
+      privateKey: process.env.PRIVATE_KEY,
+    });
+
+    let status = await elvStream.Archive({
+      name: argv.stream,
+      sessionHash: argv.hash,
+      title: argv.title,
+      libraryId: argv.library,
+      start: argv.start,
+      end: argv.end,
+      drm: argv.drm,
+      format: argv.formats
+    });
+    console.log(yaml.dump(status));
+  } catch (e) {
+    console.error("ERROR:", e);
+  }
+};
+
 const CmdStreamStatus = async ({ argv }) => {
   try {
     let elvStream = new EluvioLiveStream({
@@ -139,6 +177,187 @@ const CmdStreamInsertion = async ({ argv }) => {
   }
 };
 
+const CmdStreamInsertionImport = async ({ argv, dryRun }) => {
+  try {
+    let elvStream = new EluvioLiveStream({
+      configUrl: Config.networks[Config.net],
+      debugLogging: argv.verbose
+    });
+
+    await elvStream.Init({
+      privateKey: process.env.PRIVATE_KEY,
+    });
+
+    let status = await elvStream.InsertionImport({
+      name: argv.stream,
+      file: argv.file,
+      dryRun
+    });
+    console.log(yaml.dump(status));
+    if (status.errors) {
+      process.exitCode = 1;
+    }
+  } catch (e) {
+    console.error("ERROR:", e);
+  }
+};
+
+const CmdStreamInsertionList = async ({ argv }) => {
+  try {
+    let elvStream = new EluvioLiveStream({
+      configUrl: Config.networks[Config.net],
+      debugLogging: argv.verbose
+    });
+
+    await elvStream.Init({
+      privateKey: process.env.PRIVATE_KEY,
+    });
+
+    let status = await elvStream.InsertionList({name: argv.stream});
+    console.log(yaml.dump(status));
+  } catch (e) {
+    console.error("ERROR:", e);
+  }
+};
+
+const CmdStreamProbe = async ({ argv }) => {
+  try {
+    let elvStream = new EluvioLiveStream({
+      configUrl: Config.networks[Config.net],
+      debugLogging: argv.verbose
+    });
+
+    await elvStream.Init({
+      privateKey: process.env.PRIVATE_KEY,
+    });
+
+    let status = await elvStream.PlayoutProbe({
+      name: argv.stream,
+      formats: argv.formats ? argv.formats.split(",") : undefined,
+      segments: argv.segments,
+      timeoutSec: argv.timeout
+    });
+    console.log(yaml.dump(status));
+    if (status.result != "pass") {
+      process.exitCode = 1;
+    }
+  } catch (e) {
+    console.error("ERROR:", e);
+  }
+};
+
+const CmdChannelStatus = async ({ argv }) => {
+  try {
+    let elvStream = new EluvioLiveStream({
+      configUrl: Config.networks[Config.net],
+      debugLogging: argv.verbose
+    });
+
+    await elvStream.Init({
+      privateKey: process.env.PRIVATE_KEY,
+    });
+
+    let status = await elvStream.ChannelStatus({name: argv.channel});
+    console.log(yaml.dump(status));
+    if (status.result != "pass") {
+      process.exitCode = 1;
+    }
+  } catch (e) {
+    console.error("ERROR:", e);
+  }
+};
+
+const CmdStreamSummary = async ({ argv }) => {
+  try {
+    let elvStream = new EluvioLiveStream({
+      configUrl: Config.networks[Config.net],
+      debugLogging: argv.verbose
+    });
+
+    await elvStream.Init({
+      privateKey: process.env.PRIVATE_KEY,
+    });
+
+    // Status() logs progress to stdout - keep it out of the summary
+    const log = console.log;
+    console.log = console.error;
+    let summary;
+    try {
+      summary = await elvStream.Summary({
+        names: argv.streams && argv.streams.length > 0 ? argv.streams : undefined,
+        concurrency: argv.concurrency
+      });
+    } finally {
+      console.log = log;
+    }
+
+    console.log(StreamSummary.Format({summary, output: argv.output}));
+  } catch (e) {
+    console.error("ERROR:", e);
+  }
+};
+
+const CmdStreamWatch = async ({ argv }) => {
+  try {
+    let elvStream = new EluvioLiveStream({
+      configUrl: Config.networks[Config.net],
+      debugLogging: argv.verbose
+    });
+
+    await elvStream.Init({
+      privateKey: process.env.PRIVATE_KEY,
+    });
+
+    let watchdog = new LiveStreamWatchdog({
+      elvStream,
+      names: argv.streams,
+      intervalSec: argv.interval,
+      stallThresholdSec: argv.stall_threshold,
+      maxResets: argv.max_resets,
+      dryRun: argv.dry_run
+    });
+
+    // One JSON event per line so the output can be piped into other tools
+    watchdog.on("event", (event) => {
+      console.log(JSON.stringify(event));
+      if (event.type == "stalled") {
+        elvStream.Hook({name: event.stream, event: "stall", data: event})
+          .catch(e => console.error("Hook failed (stall):", e));
+      }
+    });
+
+    process.on("SIGINT", () => {
+      watchdog.Stop();
+    });
+
+    await watchdog.Run();
+  } catch (e) {
+    console.error("ERROR:", e);
+  }
+};
+
+const CmdConfValidate = async ({ argv }) => {
+  try {
+    const file = argv.file || LiveConf.DEFAULT_CONF_PATH;
+    const { conf, errors } = LiveConf.Read({file});
+
+    if (errors.length > 0) {
+      LiveConf.FormatErrors({file, errors}).forEach(e => console.log(e));
+      process.exitCode = 1;
+      return;
+    }
+
+    if (conf.version === undefined) {
+      console.log("Legacy (unversioned) configuration - add \"version\": 1 to enable validation");
+    }
+    const streams = Object.keys(LiveConf.Streams({conf}));
+    console.log(`${file}: OK (${streams.length} streams: ${streams.join(", ")})`);
+  } catch (e) {
+    console.error("ERROR:", e);
+    process.exitCode = 1;
+  }
+};
+
 yargs(hideBin(process.argv))
   .option("verbose", {
     describe: "Verbose mode",
@@ -165,6 +384,27 @@ yargs(hideBin(process.argv))
             "Specify the list of playout formats and DRM to support, comma-separated (hls-clear, hls-aes128, hls-sample-aes, hls-fairplay)",
           type: "string",
         })
+        .option("ladder", {
+          describe:
+            "ABR ladder - a tier (" + Object.keys(LiveLadder.TIERS).join(", ") + ") or a JSON ladder file (default: 'ladder' in liveconf.json)",
+          type: "string",
+        })
+        .option("probe", {
+          describe:
+            "Probe the source feed (ingest URL) to determine the video and audio parameters",
+          type: "boolean",
+        })
+        .option("probe_source", {
+          describe:
+            "Probe this URL or local sample file instead of the ingest URL (implies --probe). A .json file is read as saved ffprobe output.",
+          type: "string",
+        })
+        .option("probe_cmd", {
+          describe:
+            "Probe command - must accept ffprobe arguments",
+          type: "string",
+          default: LiveProbe.DEFAULT_PROBE_COMMAND
+        })
 
       },
     (argv) => {
@@ -211,6 +451,56 @@ yargs(hideBin(process.argv))
       CmdStreamTerminate({ argv });
     }
   )
+  .command(
+    "archive <stream>",
+    "Make a VOD content object from a terminated live stream session.",
+    (yargs) => {
+      yargs
+        .positional("stream", {
+          describe:
+            "Stream name or QID (content ID)",
+          type: "string",
+        })
+        .option("hash", {
+          describe:
+            "Version hash of the terminated session (default: the most recent one)",
+          type: "string",
+        })
+        .option("title", {
+          describe:
+            "Title of the archive (default: stream name and start time)",
+          type: "string",
+        })
+        .option("library", {
+          describe:
+            "Library for the archive object (default: the stream object's library)",
+          type: "string",
+        })
+        .option("start", {
+          describe:
+            "Start of the archive - seconds from the start of the session or ISO date (default: session start)",
+          type: "string",
+        })
+        .option("end", {
+          describe:
+            "End of the archive - seconds from the start of the session or ISO date (default: session end)",
+          type: "string",
+        })
+        .option("drm", {
+          describe:
+            "Specify if playout should be DRM protected (default: false)",
+          type: "boolean",
+        })
+        .option("formats", {
+          describe:
+            "Specify the list of playout formats and DRM to support, comma-separated (hls-clear, hls-aes128, hls-sample-aes, hls-fairplay)",
+          type: "string",
+        })
+    },
+    (argv) => {
+      CmdStreamArchive({ argv });
+    }
+  )
   .command(
     "start <stream>",
     "Start or resume current live stream if not running.",
@@ -272,8 +562,125 @@ yargs(hideBin(process.argv))
     }
   )
   .command(
-    "insertion <stream> <time> <duration> <target_hash>",
-    "Pauses the currently active live stream.",
+    "insertion",
+    "Add, remove or import stream insertions (ad/slate breaks).",
+    (yargs) => {
+      yargs
+        .command(
+          "$0 <stream> <time> <duration> <target_hash>",
+          "Add or remove a single insertion.",
+          (yargs) => {
+            yargs
+              .positional("stream", {
+                describe:
+                  "Stream name or QID (content ID)",
+                type: "string",
+              })
+              .positional("time", {
+                describe:
+                  "Insertion time relative to stream start (seconds with 6 decimal precision)",
+                type: "float",
+              })
+              .positional("duration", {
+                describe:
+                  "Duration (seconds with 6 decimal precision)",
+                type: "float",
+              })
+              .positional("target_hash", {
+                describe:
+                  "Target content object hash (playable)",
+                type: "string",
+              })
+              .option("remove", {
+                describe:
+                  "Flag indicating the insertion is to be deleted",
+                type: "bool",
+              })
+          },
+          (argv) => {
+            CmdStreamInsertion({ argv });
+          }
+        )
+        .command(
+          "import <stream> <file>",
+          "Replace all insertions with a CSV or JSON schedule (insertion_time,duration,target_hash).",
+          (yargs) => {
+            yargs
+              .positional("stream", {
+                describe:
+                  "Stream name or QID (content ID)",
+                type: "string",
+              })
+              .positional("file", {
+                describe:
+                  "Schedule file (.csv or .json)",
+                type: "string",
+              })
+              .option("dry_run", {
+                describe:
+                  "Validate the schedule and show the changes without applying them",
+                type: "boolean",
+              })
+          },
+          (argv) => {
+            CmdStreamInsertionImport({ argv, dryRun: argv.dry_run });
+          }
+        )
+        .command(
+          "diff <stream> <file>",
+          "Show the changes a schedule would make to the current insertions.",
+          (yargs) => {
+            yargs
+              .positional("stream", {
+                describe:
+                  "Stream name or QID (content ID)",
+                type: "string",
+              })
+              .positional("file", {
+                describe:
+                  "Schedule file (.csv or .json)",
+                type: "string",
+              })
+          },
+          (argv) => {
+            CmdStreamInsertionImport({ argv, dryRun: true });
+          }
+        )
+        .command(
+          "list <stream>",
+          "List the current insertions.",
+          (yargs) => {
+            yargs
+              .positional("stream", {
+                describe:
+                  "Stream name or QID (content ID)",
+                type: "string",
+              })
+          },
+          (argv) => {
+            CmdStreamInsertionList({ argv });
+          }
+        )
+    }
+  )
+  .command(
+    "validate [file]",
+    "Validate the stream configuration file (liveconf.json).",
+    (yargs) => {
+      yargs
+        .positional("file", {
+          describe:
+            "Configuration file (default: liveconf.json)",
+          type: "string",
+        })
+    },
+    (argv) => {
+      CmdConfValidate({ argv });
+    }
+  )
+  .command(
+    "probe <stream>",
+    "Check the stream's playout - playlists and recent segments of each format (latency, segment drift, HTTP errors).",
     (yargs) => {
       yargs
         .positional("stream", {
@@ -281,30 +688,106 @@ yargs(hideBin(process.argv))
             "Stream name or QID (content ID)",
           type: "string",
         })
-        .positional("time", {
+        .option("formats", {
+          describe:
+            "Playout formats to check, comma-separated (default: all, e.g. hls-clear,hls-aes128,dash-widevine)",
+          type: "string",
+        })
+        .option("segments", {
+          describe:
+            "Number of most recent segments to fetch per rendition",
+          type: "number",
+          default: PlayoutProbe.DEFAULT_SEGMENTS
+        })
+        .option("timeout", {
+          describe:
+            "Request timeout in seconds",
+          type: "number",
+          default: PlayoutProbe.DEFAULT_TIMEOUT_SEC
+        })
+    },
+    (argv) => {
+      CmdStreamProbe({ argv });
+    }
+  )
+  .command(
+    "channel_status <channel>",
+    "Check a channel's stream link and playout (master playlist, media playlists and init segments).",
+    (yargs) => {
+      yargs
+        .positional("channel", {
+          describe:
+            "Channel name (in liveconf.json) or QID (content ID)",
+          type: "string",
+        })
+    },
+    (argv) => {
+      CmdChannelStatus({ argv });
+    }
+  )
+  .command(
+    "summary [streams..]",
+    "Status summary of all the streams in liveconf.json (or the ones specified).",
+    (yargs) => {
+      yargs
+        .positional("streams", {
           describe:
-            "Insertion time relative to stream start (seconds with 6 decimal precision)",
-          type: "float",
+            "Stream names or QIDs (content IDs)",
+          type: "string",
         })
-        .positional("duration", {
+        .option("output", {
           describe:
-            "Duration (seconds with 6 decimal precision)",
-          type: "float",
+            "Output format",
+          choices: ["table", "json", "yaml"],
+          default: "table"
         })
-        .positional("target_hash", {
+        .option("concurrency", {
           describe:
-            "Target content object hash (playable)",
+            "Maximum number of streams to check at the same time",
+          type: "number",
+          default: EluvioLiveStream.DEFAULT_SUMMARY_CONCURRENCY
+        })
+    },
+    (argv) => {
+      CmdStreamSummary({ argv });
+    }
+  )
+  .command(
+    "watch <streams..>",
+    "Monitor streams and reset the ones that stay stalled. Prints one JSON event per line.",
+    (yargs) => {
+      yargs
+        .positional("streams", {
+          describe:
+            "Stream names or QIDs (content IDs)",
           type: "string",
         })
-        .option("remove", {
+        .option("interval", {
           describe:
-            "Flag indicating the insertion is to be deleted",
-          type: "bool",
+            "Polling interval in seconds",
+          type: "number",
+          default: LiveStreamWatchdog.DEFAULT_INTERVAL_SEC
+        })
+        .option("stall_threshold", {
+          describe:
+            "Reset a stream after it has been stalled for this many seconds",
+          type: "number",
+          default: LiveStreamWatchdog.DEFAULT_STALL_THRESHOLD_SEC
+        })
+        .option("max_resets", {
+          describe:
+            "Maximum consecutive resets per stream (0 for unlimited)",
+          type: "number",
+          default: LiveStreamWatchdog.DEFAULT_MAX_RESETS
+        })
+        .option("dry_run", {
+          describe:
+            "Report stalls but do not reset streams",
+          type: "boolean",
         })
-
     },
     (argv) => {
-      CmdStreamInsertion({ argv });
+      CmdStreamWatch({ argv });
     }
   )
 